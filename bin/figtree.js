@@ -1,10 +1,17 @@
 #!/usr/bin/env node
 
-import { run } from '../src/index.js'
-import { validateConfiguration } from '../src/config.js'
-import { handleError, getExitCode } from '../src/errors.js'
+import { run, build, watch, diff, parseFormats } from '../src/index.js'
+import { DIFF_REPORTS } from '../src/diff.js'
+import { validateConfiguration, getAppConfig } from '../src/config.js'
+import { loadProjectConfig } from '../src/project-config.js'
+import { NAMING_CONVENTIONS } from '../src/generators.js'
+import { handleError, getExitCode, ValidationError } from '../src/errors.js'
 import logger from '../src/logger.js'
-import { APP_CONFIG } from '../src/constants.js'
+import {
+  APP_CONFIG,
+  GENERATION_MODES,
+  SUPPORTED_FORMATS
+} from '../src/constants.js'
 
 // Polyfill fetch using undici for Node.js
 import { fetch, Headers, Request, Response } from 'undici'
@@ -26,15 +33,78 @@ function showHelp() {
   logger.raw('')
   logger.colored('Usage:', 'yellow')
   logger.raw('  figtree [options]')
+  logger.raw('  figtree build [target...] [options]')
+  logger.raw('  figtree watch [target...] [options]')
+  logger.raw(
+    '  figtree diff [--from VERSION|FILE] [--to VERSION|FILE] [options]'
+  )
+  logger.raw('')
+  logger.colored('Commands:', 'yellow')
+  logger.raw(
+    '  build          Regenerate the targets of figtree.config.js or .figtreerc.json'
+  )
+  logger.raw(
+    '  watch          Regenerate the targets (or --file/--format) when the file changes'
+  )
+  logger.raw(
+    '  diff           Report added, removed, renamed and changed tokens between versions'
+  )
   logger.raw('')
   logger.colored('Options:', 'yellow')
   logger.raw('  -h, --help     Show this help message')
   logger.raw('  -v, --version  Show version number')
   logger.raw(
-    '  -o, --output   Specify output file path (default: ./figtree-prompt.txt)'
+    '  -o, --output   Output file, or directory with several formats (default: ./figtree-prompt.txt)'
   )
   logger.raw('  -t, --token    Provide Figma token directly (overrides .env)')
   logger.raw('  -d, --debug    Enable debug logging')
+  logger.raw('  -f, --file     Figma file key or URL')
+  logger.raw(
+    `  -F, --format   Code format, comma separated for several (${SUPPORTED_FORMATS.join(
+      ', '
+    )})`
+  )
+  logger.raw(
+    `  -m, --mode     Generation mode (${GENERATION_MODES.join(', ')})`
+  )
+  logger.raw(
+    '  -p, --provider AI provider (openai, anthropic, google, deepseek, local or one from the config)'
+  )
+  logger.raw('  -M, --model    AI model for the selected provider')
+  logger.raw(
+    `  -n, --naming   Token naming (${Object.keys(NAMING_CONVENTIONS).join(
+      ', '
+    )})`
+  )
+  logger.raw('  -c, --config   Project config file (default: found in cwd)')
+  logger.raw(
+    '  -y, --yes      Run without prompts (confirm file, use defaults)'
+  )
+  logger.raw('  --no-cache     Always download the file from Figma')
+  logger.raw('  --no-ai-cache  Always ask the AI model, ignoring cached responses')
+  logger.raw('  --refresh      Download the file again and update the cache')
+  logger.raw(
+    '  --frozen       Fail if Figma or the outputs differ from figtree.lock.json'
+  )
+  logger.raw(
+    '  --repair-rounds Times AI code that fails its checks is sent back to be fixed (default: 2)'
+  )
+  logger.raw(
+    '  --max-cost     Most an AI generation may cost in US dollars, checked before and during it'
+  )
+  logger.raw(
+    '  --concurrency  Chunks of a large file generated at once (default: 3)'
+  )
+  logger.raw(
+    '  --interval     Seconds between checks in watch mode (default: 30)'
+  )
+  logger.raw(
+    '  --from, --to   Diff sides: a version id or a snapshot file (default: previous and current version)'
+  )
+  logger.raw(`  --report       Diff report (${DIFF_REPORTS.join(', ')})`)
+  logger.raw(
+    '  --snapshot     Save the tokens of the newer diff side to a file'
+  )
   logger.raw('')
   logger.colored('Examples:', 'yellow')
   logger.raw('  figtree                                    # Interactive mode')
@@ -45,6 +115,27 @@ function showHelp() {
   logger.raw(
     '  figtree --debug                            # Enable debug logging'
   )
+  logger.raw(
+    '  figtree -y -f FILE_KEY -m ai -F css -p openai   # Headless (CI) run'
+  )
+  logger.raw(
+    '  figtree -y -f FILE_KEY -m local -F css-variables,swiftui,android -o tokens'
+  )
+  logger.raw(
+    '  figtree build                              # Build all config targets'
+  )
+  logger.raw(
+    '  figtree build web ios                      # Build selected targets'
+  )
+  logger.raw(
+    '  figtree build --frozen                     # CI check against the lockfile'
+  )
+  logger.raw(
+    '  figtree watch --interval 10                # Rebuild on Figma changes'
+  )
+  logger.raw(
+    '  figtree diff --report markdown -o CHANGES.md  # Changelog of the last version'
+  )
   logger.raw('')
   logger.colored('Setup:', 'yellow')
   logger.raw('  1. Copy .env.example to .env')
@@ -68,6 +159,118 @@ async function showVersion() {
   }
 }
 
+/**
+ * Read the value that follows a flag
+ * @param {string[]} args - Command line arguments
+ * @param {number} index - Index of the flag
+ * @param {string} description - Human readable value description
+ * @returns {string} Flag value
+ * @throws {ValidationError} If the value is missing
+ */
+function readFlagValue(args, index, description) {
+  const value = args[index + 1]
+  if (value === undefined || value.startsWith('-')) {
+    throw new ValidationError(
+      `${args[index]} requires ${description}`,
+      'MISSING_FLAG_VALUE'
+    )
+  }
+  return value
+}
+
+// Subcommands, running without one starts the interactive flow
+const COMMANDS = ['build', 'watch', 'diff']
+
+// Commands that take target names as arguments
+const TARGET_COMMANDS = ['build', 'watch']
+
+// Settings with a fixed set of values, checked whether they come from a flag
+// or an environment variable
+const CHOICES = {
+  mode: { values: GENERATION_MODES, code: 'INVALID_MODE' },
+  'naming convention': {
+    values: Object.keys(NAMING_CONVENTIONS),
+    code: 'INVALID_NAMING'
+  },
+  report: { values: DIFF_REPORTS, code: 'INVALID_REPORT' }
+}
+
+/**
+ * Check a setting against its allowed values
+ * @param {string} name - Setting name, a key of CHOICES
+ * @param {string} [value] - Value to check, unset values pass
+ * @throws {ValidationError} If the value is not allowed
+ */
+function validateChoice(name, value) {
+  const { values, code } = CHOICES[name]
+  if (value && !values.includes(value)) {
+    throw new ValidationError(
+      `Unknown ${name} '${value}'. Expected one of: ${values.join(', ')}`,
+      code
+    )
+  }
+}
+
+/**
+ * Check the number of repair rounds, set by flag, environment variable or
+ * project config
+ * @param {string|number} [value] - Rounds, unset values pass
+ * @returns {number|undefined} Rounds
+ * @throws {ValidationError} If the value is not a whole number of 0 or more
+ */
+function parseRepairRounds(value) {
+  if (value === undefined) return undefined
+
+  const rounds = Number(value)
+  if (!Number.isInteger(rounds) || rounds < 0) {
+    throw new ValidationError(
+      `Repair rounds must be a whole number of 0 or more, got '${value}'`,
+      'INVALID_REPAIR_ROUNDS'
+    )
+  }
+  return rounds
+}
+
+/**
+ * Check how many AI requests may run at once, set by flag, environment
+ * variable or project config
+ * @param {string|number} [value] - Requests, unset values pass
+ * @returns {number|undefined} Requests
+ * @throws {ValidationError} If the value is not a whole number of 1 or more
+ */
+function parseConcurrency(value) {
+  if (value === undefined) return undefined
+
+  const requests = Number(value)
+  if (!Number.isInteger(requests) || requests < 1) {
+    throw new ValidationError(
+      `Concurrency must be a whole number of 1 or more, got '${value}'`,
+      'INVALID_CONCURRENCY'
+    )
+  }
+  return requests
+}
+
+/**
+ * Check the most an AI generation may cost, set by flag, environment
+ * variable or project config
+ * @param {string|number} [value] - US dollars, unset values pass
+ * @returns {number|undefined} US dollars
+ * @throws {ValidationError} If the value is not an amount of 0 or more
+ */
+function parseMaxCost(value) {
+  if (value === undefined) return undefined
+
+  const cost = Number(value)
+  if (!Number.isFinite(cost) || cost < 0) {
+    throw new ValidationError(
+      `Max cost must be an amount of US dollars of 0 or more, got '${value}'`,
+      'INVALID_MAX_COST'
+    )
+  }
+  return cost
+}
+
 /**
  * Parse command line arguments
  * @param {string[]} args - Command line arguments
@@ -79,7 +282,29 @@ function parseArgs(args) {
     token: null,
     debug: false,
     help: false,
-    version: false
+    version: false,
+    file: null,
+    format: null,
+    mode: null,
+    provider: null,
+    model: null,
+    naming: null,
+    repairRounds: null,
+    maxCost: null,
+    concurrency: null,
+    config: null,
+    command: null,
+    targets: [],
+    yes: false,
+    cache: true,
+    aiCache: true,
+    refresh: false,
+    frozen: false,
+    interval: null,
+    from: null,
+    to: null,
+    report: 'text',
+    snapshot: null
   }
 
   for (let i = 0; i < args.length; i++) {
@@ -101,29 +326,149 @@ function parseArgs(args) {
         options.debug = true
         break
 
+      case '-y':
+      case '--yes':
+        options.yes = true
+        break
+
+      case '--no-cache':
+        options.cache = false
+        break
+
+      case '--no-ai-cache':
+        options.aiCache = false
+        break
+
+      case '--refresh':
+        options.refresh = true
+        break
+
+      case '--frozen':
+        options.frozen = true
+        break
+
       case '-o':
       case '--output':
-        if (i + 1 < args.length) {
-          options.output = args[i + 1]
-          i++ // Skip next argument since we consumed it
-        } else {
-          throw new Error('--output requires a file path')
-        }
+        options.output = readFlagValue(args, i, 'a file path')
+        i++ // Skip next argument since we consumed it
         break
 
       case '-t':
       case '--token':
-        if (i + 1 < args.length) {
-          options.token = args[i + 1]
-          i++ // Skip next argument since we consumed it
-        } else {
-          throw new Error('--token requires a token value')
+        options.token = readFlagValue(args, i, 'a token value')
+        i++
+        break
+
+      case '-f':
+      case '--file':
+        options.file = readFlagValue(args, i, 'a Figma file key or URL')
+        i++
+        break
+
+      case '-F':
+      case '--format':
+        // Repeat the flag or separate formats with commas for several
+        options.format = parseFormats([
+          options.format,
+          readFlagValue(args, i, 'a code format')
+        ])
+        i++
+        break
+
+      case '-m':
+      case '--mode':
+        options.mode = readFlagValue(args, i, 'a generation mode')
+        i++
+        validateChoice('mode', options.mode)
+        break
+
+      case '-p':
+      case '--provider':
+        options.provider = readFlagValue(args, i, 'a provider name')
+        i++
+        break
+
+      case '-M':
+      case '--model':
+        options.model = readFlagValue(args, i, 'a model name')
+        i++
+        break
+
+      case '-n':
+      case '--naming':
+        options.naming = readFlagValue(args, i, 'a naming convention')
+        i++
+        validateChoice('naming convention', options.naming)
+        break
+
+      case '--interval': {
+        const seconds = Number(readFlagValue(args, i, 'a number of seconds'))
+        i++
+        if (!Number.isFinite(seconds) || seconds <= 0) {
+          throw new ValidationError(
+            `--interval requires a positive number of seconds, got '${args[i]}'`,
+            'INVALID_INTERVAL'
+          )
         }
+        options.interval = seconds * 1000
+        break
+      }
+
+      case '--repair-rounds':
+        options.repairRounds = readFlagValue(args, i, 'a number of rounds')
+        i++
+        break
+
+      case '--max-cost':
+        options.maxCost = readFlagValue(args, i, 'an amount of US dollars')
+        i++
+        break
+
+      case '--concurrency':
+        options.concurrency = readFlagValue(args, i, 'a number of requests')
+        i++
+        break
+
+      case '--from':
+        options.from = readFlagValue(args, i, 'a version id or snapshot file')
+        i++
+        break
+
+      case '--to':
+        options.to = readFlagValue(args, i, 'a version id or snapshot file')
+        i++
+        break
+
+      case '--report':
+        options.report = readFlagValue(args, i, 'a report format')
+        i++
+        validateChoice('report', options.report)
+        break
+
+      case '--snapshot':
+        options.snapshot = readFlagValue(args, i, 'a file path')
+        i++
+        break
+
+      case '-c':
+      case '--config':
+        options.config = readFlagValue(args, i, 'a config file path')
+        i++
         break
 
       default:
         if (arg.startsWith('-')) {
-          throw new Error(`Unknown option '${arg}'`)
+          throw new ValidationError(`Unknown option '${arg}'`, 'UNKNOWN_OPTION')
+        }
+        if (TARGET_COMMANDS.includes(options.command)) {
+          options.targets.push(arg)
+        } else if (options.command === null && COMMANDS.includes(arg)) {
+          options.command = arg
+        } else {
+          throw new ValidationError(
+            `Unknown command '${arg}'. Expected one of: ${COMMANDS.join(', ')}`,
+            'UNKNOWN_COMMAND'
+          )
         }
         break
     }
@@ -169,6 +514,11 @@ async function main() {
       process.env.FIGTREE_OUTPUT = options.output
     }
 
+    // Never prompt when told so or when there is no terminal to prompt on
+    // A lockfile check never asks anything
+    const interactive =
+      !options.yes && !options.frozen && Boolean(process.stdin.isTTY)
+
     // Validate configuration before starting
     try {
       const config = validateConfiguration()
@@ -186,9 +536,75 @@ async function main() {
       return getExitCode(configError)
     }
 
+    // Merge the project config, environment and flags
+    const project = await loadProjectConfig({ configPath: options.config })
+    const appConfig = getAppConfig({ project, cli: options })
+    parseFormats(appConfig.format)
+    validateChoice('mode', appConfig.mode)
+    validateChoice('naming convention', appConfig.naming)
+    appConfig.repairRounds = parseRepairRounds(appConfig.repairRounds)
+    appConfig.maxCost = parseMaxCost(appConfig.maxCost)
+    appConfig.concurrency = parseConcurrency(appConfig.concurrency)
+
+    if (options.command === 'diff') {
+      await diff(appConfig, {
+        from: options.from,
+        to: options.to,
+        report: options.report,
+        output: options.output,
+        snapshot: options.snapshot,
+        cache: options.cache,
+        refresh: options.refresh
+      })
+      return 0
+    }
+
+    if (options.command === 'watch') {
+      const controller = new AbortController()
+      process.once('SIGINT', () => controller.abort())
+      await watch(appConfig, {
+        targets: options.targets,
+        interval: options.interval ?? undefined,
+        cache: options.cache,
+        aiCache: options.aiCache,
+        refresh: options.refresh,
+        signal: controller.signal
+      })
+      return 0
+    }
+
+    if (options.command === 'build') {
+      logger.debug('Building project targets', { config: appConfig.configFile })
+      await build(appConfig, {
+        targets: options.targets,
+        cache: options.cache,
+        aiCache: options.aiCache,
+        refresh: options.refresh,
+        frozen: options.frozen
+      })
+      return 0
+    }
+
     // Start the application
     logger.debug('Starting figtree application')
-    await run()
+    await run({
+      interactive,
+      file: appConfig.file,
+      format: appConfig.format,
+      mode: appConfig.mode,
+      provider: appConfig.provider,
+      model: appConfig.model,
+      naming: appConfig.naming,
+      repairRounds: appConfig.repairRounds,
+      maxCost: appConfig.maxCost,
+      concurrency: appConfig.concurrency,
+      tokens: appConfig.tokens,
+      output: appConfig.output,
+      cache: options.cache,
+      aiCache: options.aiCache,
+      refresh: options.refresh,
+      frozen: options.frozen
+    })
 
     logger.debug('Application completed successfully')
     return 0
@@ -1,70 +1,36 @@
-import { openai } from '@ai-sdk/openai'
-import { google } from '@ai-sdk/google'
-import { anthropic } from '@ai-sdk/anthropic'
-import { deepseek } from '@ai-sdk/deepseek'
-import { generateText, generateObject } from 'ai'
+import { streamText, generateObject } from 'ai'
 import { z } from 'zod'
 import fs from 'fs'
+import os from 'os'
 import path from 'path'
 import chalk from 'chalk'
 import logger from './logger.js'
-
-// Provider configuration
-const AI_PROVIDERS = {
-  openai: {
-    name: 'OpenAI',
-    models: {
-      'o4-mini': 'o4 Mini - Faster and more affordable model',
-      o3: 'o3 - Most powerful model',
-      'o3-pro': 'o3 Pro - More compute than o3 for better responses',
-      'o3-mini': 'o3 Mini - Smaller than o3',
-      o1: 'o1 - Most powerful model',
-      'o1-pro': 'o1 Pro - More compute than o1 for better responses'
-    },
-    factory: openai,
-    envVar: 'OPENAI_API_KEY',
-    defaultModel: 'o4-mini'
-  },
-  google: {
-    name: 'Google (Gemini)',
-    models: {
-      'gemini-2.5-pro': 'Gemini 2.5 Pro - Enhanced thinking and reasoning',
-      'gemini-2.5-flash':
-        'Gemini 2.5 Flash - Adaptive thinking, cost efficient'
-    },
-    factory: google,
-    envVar: 'GOOGLE_API_KEY',
-    defaultModel: 'gemini-2.5-flash'
-  },
-  anthropic: {
-    name: 'Anthropic (Claude)',
-    models: {
-      'claude-opus-4-20250514':
-        'Claude Opus 4 - Most powerful and capable model',
-      'claude-sonnet-4-20250514': 'Claude Sonnet 4 - High performance model'
-    },
-    factory: anthropic,
-    envVar: 'ANTHROPIC_API_KEY',
-    defaultModel: 'claude-sonnet-4-20250514'
-  },
-  deepseek: {
-    name: 'DeepSeek',
-    models: {
-      'deepseek-chat': 'Most powerful and capable model',
-      'deepseek-reasoner': 'High performance model'
-    },
-    factory: deepseek,
-    envVar: 'DEEPSEEK_API_KEY',
-    defaultModel: 'deepseek-chat'
-  }
-}
+import { compressStylesForAI } from './compress.js'
+import { getThemingGuidelines } from './themes.js'
+import { getNamingGuidelines } from './generators.js'
+import { verifyOutput } from './verify.js'
+import { mergeChunks } from './merge.js'
+import { AI_CONFIG } from './constants.js'
+import { getProvider, getProviders, isProviderConfigured } from './providers.js'
+import {
+  countTokens,
+  estimateTokens,
+  estimateOutputRatio,
+  fitsModel,
+  getDataBudget,
+  getModelLimits
+} from './tokens.js'
+import { getCost } from './costs.js'
+import { getCacheDir, hashKey, readCache, writeCache } from './cache.js'
+import { ConfigurationError, retry } from './errors.js'
+import { getRateLimiter, getRetryAfter, isRetryable } from './rate-limit.js'
 
 // Get available providers (only those with API keys)
 export function getAvailableProviders() {
   const available = {}
 
-  for (const [key, config] of Object.entries(AI_PROVIDERS)) {
-    if (process.env[config.envVar]) {
+  for (const [key, config] of Object.entries(getProviders())) {
+    if (isProviderConfigured(config)) {
       available[key] = config
     }
   }
@@ -79,12 +45,18 @@ export function hasAvailableProviders() {
 
 // Create model instance
 export function createModel(provider, modelId) {
-  const config = AI_PROVIDERS[provider]
+  const config = getProvider(provider)
   if (!config) {
     throw new Error(`Unknown provider: ${provider}`)
   }
 
-  if (!process.env[config.envVar]) {
+  if (!isProviderConfigured(config)) {
+    if (config.keyless) {
+      throw new ConfigurationError(
+        `Missing server URL for ${config.name}. Please set ${config.envVar} in your .env file.`,
+        'MISSING_LOCAL_LLM_URL'
+      )
+    }
     throw new Error(
       `Missing API key for ${config.name}. Please set ${config.envVar} in your .env file.`
     )
@@ -93,152 +65,625 @@ export function createModel(provider, modelId) {
   return config.factory(modelId || config.defaultModel)
 }
 
-// Count approximate tokens (rough estimate: 1 token ≈ 4 characters)
-function countTokens(text) {
-  return Math.ceil(text.length / 4)
-}
-
-// Check if styles need chunking based on token limits
-function shouldChunkStyles(compressedStyles, maxTokens = 100000) {
-  const estimatedTokens = countTokens(JSON.stringify(compressedStyles))
-  return estimatedTokens > maxTokens
-}
+// Split compressed styles into chunks whose data stays within budget
+// tokens. Items are counted one at a time as they are printed in the
+// prompt.
+function chunkStyles(compressed, budget, provider, model) {
+  const categories = [
+    'colors',
+    'typography',
+    'effects',
+    'spacing',
+    'variables'
+  ]
+  const newChunk = () => ({
+    colors: [],
+    typography: [],
+    effects: [],
+    spacing: [],
+    variables: [],
+    // Every chunk needs the collection/mode metadata its variables refer to
+    ...(compressed.variableCollections && {
+      variableCollections: compressed.variableCollections
+    })
+  })
+  const summarize = (chunk, chunkNumber) => ({
+    totalColors: chunk.colors.length,
+    totalTypography: chunk.typography.length,
+    totalEffects: chunk.effects.length,
+    totalSpacing: chunk.spacing.length,
+    totalVariables: chunk.variables.length,
+    chunkNumber
+  })
+  const hasItems = (chunk) =>
+    categories.some((category) => chunk[category].length > 0)
+
+  // Tokens of a chunk before any items are added
+  const emptyChunk = newChunk()
+  const baseTokens = countTokens(
+    JSON.stringify({ ...emptyChunk, summary: summarize(emptyChunk, 0) }, null, 2),
+    provider
+  )
 
-// Split styles into chunks for processing
-function chunkStyles(styles, maxTokensPerChunk = 80000) {
-  const compressed = compressStylesForAI(styles)
   const chunks = []
-
-  // If small enough, return as single chunk
-  if (!shouldChunkStyles(compressed, maxTokensPerChunk)) {
-    return [compressed]
-  }
-
-  // Split by category if needed
-  const categories = ['colors', 'typography', 'effects', 'spacing']
-  let currentChunk = { colors: [], typography: [], effects: [], spacing: [] }
+  let currentChunk = newChunk()
+  let tokens = baseTokens
 
   for (const category of categories) {
-    const items = compressed[category] || []
-
-    for (const item of items) {
-      currentChunk[category].push(item)
-
-      // Check if chunk is getting too large
-      if (countTokens(JSON.stringify(currentChunk)) > maxTokensPerChunk) {
-        // Remove the last item and save chunk
-        currentChunk[category].pop()
-
-        // Add summary to chunk
-        currentChunk.summary = {
-          totalColors: currentChunk.colors.length,
-          totalTypography: currentChunk.typography.length,
-          totalEffects: currentChunk.effects.length,
-          totalSpacing: currentChunk.spacing.length,
-          chunkNumber: chunks.length + 1
-        }
+    for (const item of compressed[category] || []) {
+      const itemTokens = countTokens(JSON.stringify(item, null, 2), provider)
+      if (baseTokens + itemTokens > budget) {
+        throw new ConfigurationError(
+          `${item.name} alone doesn't fit in a request to ${model}. Choose a model with a larger context window`,
+          'CONTEXT_TOO_SMALL'
+        )
+      }
 
+      if (tokens + itemTokens > budget) {
+        currentChunk.summary = summarize(currentChunk, chunks.length + 1)
         chunks.push(currentChunk)
-
-        // Start new chunk with the item that didn't fit
-        currentChunk = { colors: [], typography: [], effects: [], spacing: [] }
-        currentChunk[category] = [item]
+        currentChunk = newChunk()
+        tokens = baseTokens
       }
+
+      currentChunk[category].push(item)
+      tokens += itemTokens
     }
   }
 
-  // Add remaining items as final chunk
-  if (Object.values(currentChunk).some((arr) => arr.length > 0)) {
-    currentChunk.summary = {
-      totalColors: currentChunk.colors.length,
-      totalTypography: currentChunk.typography.length,
-      totalEffects: currentChunk.effects.length,
-      totalSpacing: currentChunk.spacing.length,
-      chunkNumber: chunks.length + 1
-    }
+  if (hasItems(currentChunk)) {
+    currentChunk.summary = summarize(currentChunk, chunks.length + 1)
     chunks.push(currentChunk)
   }
 
   return chunks
 }
 
-// Generate code from styles with chunking support
-export async function generateCodeFromStyles(styles, options = {}) {
+/**
+ * Work out the requests generating code for styles takes, before making
+ * any: a single one, or one per chunk when the prompt and the code that
+ * comes back don't fit the model together. JSON is a single request for
+ * structured design tokens. Requests whose output is in the AI cache cost
+ * nothing and are left out of the totals.
+ * @param {Object} styles - Styles from Figma
+ * @param {Object} [options] - { provider, model, format, naming,
+ * temperature, aiCache } where aiCache false ignores the cache
+ * @returns {Object} { provider, model, format, chunked, requests,
+ * inputTokens, outputTokens, cost } where each request has its label
+ * (chunks only), prompt and compressed styles, the same estimates, its
+ * cacheFile and the cached output, if any
+ * @throws {ConfigurationError} When not even a chunk fits the model
+ */
+export function planGeneration(styles, options = {}) {
   const {
     provider = 'openai',
     model,
     format = 'css',
-    temperature = 0.3,
-    maxTokens = 100000
+    naming,
+    temperature = AI_CONFIG.TEMPERATURE,
+    aiCache = true
   } = options
 
-  const aiModel = createModel(provider, model)
+  const modelId = model || getProvider(provider).defaultModel
+  const limits = getModelLimits(provider, modelId)
   const compressed = compressStylesForAI(styles)
-  const estimatedTokens = countTokens(JSON.stringify(compressed))
+  const prompt =
+    format === 'json'
+      ? createTokenPrompt(styles, naming, provider)
+      : createPrompt(styles, format, naming, provider)
+
+  // The prompt has to leave room for the code that comes back
+  const dataTokens = countTokens(JSON.stringify(compressed, null, 2), provider)
+  const outputRatio = estimateOutputRatio(styles, format, {
+    provider,
+    naming,
+    dataTokens
+  })
+  const request = {
+    promptTokens: countTokens(prompt, provider),
+    outputTokens: Math.ceil(dataTokens * outputRatio)
+  }
 
   logger.debug(
-    `[figtree] Estimated tokens: ${estimatedTokens.toLocaleString()}`
+    `[figtree] Prompt: ${request.promptTokens.toLocaleString()} tokens, expected output: ${request.outputTokens.toLocaleString()} tokens`
   )
 
+  let requests = [
+    {
+      prompt,
+      compressed,
+      inputTokens: request.promptTokens,
+      outputTokens: request.outputTokens
+    }
+  ]
+
   // Check if we need to chunk
-  if (shouldChunkStyles(compressed, maxTokens)) {
+  const chunked = format !== 'json' && !fitsModel(request, limits)
+  if (chunked) {
     logger.warn(
-      `[figtree] File is large (${estimatedTokens.toLocaleString()} tokens), splitting into chunks...`
+      `[figtree] File is large (${request.promptTokens.toLocaleString()} prompt and ~${request.outputTokens.toLocaleString()} output tokens for ${modelId}), splitting into chunks...`
     )
 
-    const chunks = chunkStyles(styles, maxTokens * 0.8) // Use 80% of limit for safety
-    const results = []
+    const budget = getDataBudget(
+      {
+        templateTokens: countTokens(
+          createChunkPrompt({}, format, 1, 1, naming),
+          provider
+        ),
+        outputRatio
+      },
+      limits
+    )
+    if (budget === 0) {
+      throw new ConfigurationError(
+        `The prompt for ${format} code doesn't fit in the context window of ${modelId}. Choose a model with a larger context window`,
+        'CONTEXT_TOO_SMALL'
+      )
+    }
 
-    for (let i = 0; i < chunks.length; i++) {
-      const chunk = chunks[i]
-      logger.progress(
-        `[figtree] Processing chunk ${i + 1}/${chunks.length}...`
+    const chunks = chunkStyles(compressed, budget, provider, modelId)
+    requests = chunks.map((chunk, i) => {
+      const prompt = createChunkPrompt(
+        chunk,
+        format,
+        i + 1,
+        chunks.length,
+        naming
+      )
+      const chunkTokens = countTokens(JSON.stringify(chunk, null, 2), provider)
+
+      return {
+        label: `Chunk ${i + 1}/${chunks.length}`,
+        prompt,
+        compressed: chunk,
+        inputTokens: countTokens(prompt, provider),
+        outputTokens: Math.ceil(chunkTokens * outputRatio)
+      }
+    })
+  }
+
+  for (const request of requests) {
+    request.cost = getCost(provider, modelId, request)
+    if (aiCache) {
+      // Token requests are sent without a temperature
+      request.cacheFile = aiCacheFile(
+        provider,
+        modelId,
+        format === 'json' ? null : temperature,
+        format,
+        request.prompt
       )
+      request.cached = readCache(request.cacheFile)
+    }
+  }
+  const pending = requests.filter((request) => request.cached === undefined)
+  const total = {
+    inputTokens: sum(pending, 'inputTokens'),
+    outputTokens: sum(pending, 'outputTokens')
+  }
 
-      const prompt = createChunkPrompt(chunk, format, i + 1, chunks.length)
+  return {
+    provider,
+    model: modelId,
+    format,
+    chunked,
+    requests,
+    ...total,
+    // Nothing to pay when every output is cached, even without pricing
+    cost: pending.length > 0 ? getCost(provider, modelId, total) : 0
+  }
+}
 
-      try {
-        const { text } = await generateText({
-          model: aiModel,
-          prompt,
-          temperature
-        })
+const sum = (items, key) => items.reduce((total, item) => total + item[key], 0)
+
+// Cache entry for the output of a prompt. Everything else that changes the
+// output is in its name, so the entry of a changed Figma file, model or
+// prompt template is never read. Only output that passed its checks is
+// stored.
+function aiCacheFile(provider, model, temperature, format, prompt) {
+  return path.join(
+    getCacheDir(),
+    'ai',
+    provider,
+    `${hashKey(model, temperature, format, hashKey(prompt))}.json`
+  )
+}
 
-        results.push(text)
-      } catch (error) {
-        logger.error(chalk.red(`[figtree] Error processing chunk ${i + 1}:`), {
-          error: error.message
-        })
-        throw error
-      }
+// Generate code from styles with chunking support. Chunks are generated
+// options.concurrency at a time and every request is sent again with
+// backoff when it fails on the way, so one failure doesn't lose the chunks
+// already paid for. The output is kept in a temp file when the run fails;
+// options.onProgress(progress) gets the { label, tokens } of every response
+// coming in, with done when it is complete and { label, retry, delay }
+// before it is sent again, and options.onUsage(usage) the
+// { label, inputTokens, outputTokens } of every response. Pass the result
+// of planGeneration as options.plan to reuse it. Chunks in the AI cache
+// aren't requested again unless options.aiCache is false. A caller that
+// stops on Ctrl+C itself passes the AbortSignal it stops with as
+// options.signal.
+export async function generateCodeFromStyles(styles, options = {}) {
+  const partial = createPartialOutput(options.format ?? 'css', options)
+
+  try {
+    const code = await generateCode(styles, { ...options, partial })
+    partial.discard()
+    return code
+  } catch (error) {
+    if (partial.keep()) error.partialOutput = partial.file
+    throw error
+  }
+}
+
+async function generateCode(styles, options) {
+  const {
+    provider = 'openai',
+    model,
+    format = 'css',
+    temperature = AI_CONFIG.TEMPERATURE,
+    repairRounds,
+    concurrency = AI_CONFIG.CONCURRENCY,
+    retries,
+    onProgress,
+    onUsage,
+    partial
+  } = options
+
+  const aiModel = createModel(provider, model)
+  const plan = options.plan ?? planGeneration(styles, options)
+  const results = []
+  let next = 0
+  let failure
+
+  const generateRequest = async(i) => {
+    const request = plan.requests[i]
+    if (request.cached !== undefined) {
+      logger.debug(
+        `[figtree] ${request.label || 'Response'} reused from the AI cache`
+      )
+      results[i] = request.cached
+      return
     }
 
-    // Combine chunks
-    return combineChunkedResults(results, format)
-  } else {
-    // Process normally
-    const prompt = createPrompt(styles, format)
+    if (plan.chunked) {
+      logger.progress(
+        `[figtree] Processing chunk ${i + 1}/${plan.requests.length}...`
+      )
+    }
 
     try {
-      const { text } = await generateText({
-        model: aiModel,
-        prompt,
-        temperature
+      results[i] = await generateCheckedCode(aiModel, {
+        prompt: request.prompt,
+        format,
+        compressed: request.compressed,
+        temperature,
+        repairRounds,
+        label: request.label,
+        provider,
+        retries,
+        cacheFile: request.cacheFile,
+        onProgress,
+        onUsage,
+        partial
       })
-
-      return text
     } catch (error) {
       logger.error(
-        chalk.red(`[figtree] Error generating code with ${provider}:`),
+        chalk.red(
+          plan.chunked
+            ? `[figtree] Error processing chunk ${i + 1}:`
+            : `[figtree] Error generating code with ${provider}:`
+        ),
         { error: error.message }
       )
       throw error
     }
   }
+
+  // Chunks that are on their way finish after a failure, their tokens are
+  // paid for either way, but no new ones start
+  const worker = async() => {
+    while (next < plan.requests.length && !failure) {
+      await generateRequest(next++).catch((error) => {
+        failure ??= error
+      })
+    }
+  }
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, plan.requests.length) }, worker)
+  )
+  if (failure) throw failure
+
+  // Combine chunks
+  return plan.chunked ? mergeChunks(results, format) : results[0]
+}
+
+// Generate code, then send code that fails the checks in verify.js back
+// to the model with what was wrong until it passes or the repair rounds
+// run out. Returns the code cleaned of markdown fences; code that still
+// fails is returned too, generateWithAI reports its problems. Code that
+// passes is stored in options.cacheFile when there is one.
+export async function generateCheckedCode(aiModel, options) {
+  const {
+    temperature,
+    provider,
+    retries,
+    cacheFile,
+    onProgress,
+    onUsage,
+    partial,
+    ...checkOptions
+  } = options
+  const { check } = await withRepairs((messages, round) => {
+    const label = [options.label, round > 0 && `repair round ${round}`]
+      .filter(Boolean)
+      .join(', ')
+
+    return sendRequest(
+      () =>
+        streamGeneration(
+          { model: aiModel, messages, temperature, maxRetries: 0 },
+          { label, provider, onProgress, onUsage, partial }
+        ),
+      { provider, label, retries, onProgress }
+    )
+  }, checkOptions)
+
+  if (cacheFile && check.problems.length === 0) {
+    writeCache(cacheFile, check.code)
+  }
+  return check.code
+}
+
+// Send a request through the rate limiter of its provider, and again with
+// backoff while it fails in a way that can pass (see rate-limit.js). A 429
+// holds back every request to the provider for as long as it asked. The
+// ai SDK's own retries are turned off, they'd wait outside the limiter.
+function sendRequest(send, { provider, label, retries, onProgress }) {
+  const limiter = getRateLimiter(provider)
+
+  return retry(() => limiter.run(send), {
+    maxRetries: retries ?? AI_CONFIG.RETRIES,
+    baseDelay: AI_CONFIG.RETRY_DELAY,
+    maxDelay: AI_CONFIG.MAX_RETRY_DELAY,
+    shouldRetry: isRetryable,
+    retryAfter: getRetryAfter,
+    onRetry: (error, attempt, delay) => {
+      if (error.statusCode === 429) limiter.pause(delay)
+      logger.debug(
+        `[figtree] ${label || 'Request'} failed (${
+          error.message
+        }), retry ${attempt} in ${Math.ceil(delay / 1000)}s`
+      )
+      onProgress?.({ label, retry: attempt, delay })
+    }
+  })
+}
+
+// Stream a response, reporting the tokens received so far (counted piece
+// by piece, close enough for progress) and copying the text to the partial
+// output as it arrives. Resolves to the whole text once its usage is
+// reported.
+async function streamGeneration(
+  request,
+  { label, provider, onProgress, onUsage, partial }
+) {
+  let text = ''
+  let tokens = 0
+  let usage
+  const section = partial?.start(label || 'Response')
+  onProgress?.({ label, tokens: 0 })
+
+  const { fullStream } = streamText(request)
+  for await (const part of fullStream) {
+    // streamText hands errors over in the stream instead of throwing
+    if (part.type === 'error') throw part.error
+    if (part.type === 'finish') usage = part.usage
+    if (part.type !== 'text-delta') continue
+
+    text += part.textDelta
+    section?.write(part.textDelta)
+    tokens += countTokens(part.textDelta, provider)
+    onProgress?.({ label, tokens })
+  }
+
+  section?.end()
+  onProgress?.({ label, tokens, done: true })
+  onUsage?.({
+    label,
+    ...getUsage(usage, request.messages, text, provider)
+  })
+  return text
+}
+
+// Tokens of a request as the provider reports them. Some OpenAI-compatible
+// servers report none, their tokens are counted instead.
+function getUsage(usage, messages, output, provider) {
+  return {
+    inputTokens:
+      usage?.promptTokens ||
+      countTokens(
+        messages.map((message) => message.content).join('\n'),
+        provider
+      ),
+    outputTokens: usage?.completionTokens || countTokens(output, provider)
+  }
+}
+
+// Temp file the responses of a generation are kept in. Responses stream in
+// side by side, so each one goes to a file of its own next to it
+// (file.1, file.2, ...) as it arrives, and a run killed on the way still
+// leaves them on disk. A run that fails, times out or is interrupted merges
+// them into the file in the order they started and keeps it, since the
+// tokens in it were already paid for. A run that succeeds deletes them all.
+function createPartialOutput(format, { signal } = {}) {
+  const file = path.join(
+    os.tmpdir(),
+    `figtree-${format}-${Date.now()}-${process.pid}.partial`
+  )
+  // Responses by label, a retried one starts its file over
+  const sections = new Map()
+  let closed = false
+  let kept = false
+
+  const closeSection = (section) => {
+    if (section.fd === null) return
+    fs.closeSync(section.fd)
+    section.fd = null
+  }
+
+  const removeSections = () => {
+    for (const section of sections.values()) {
+      closeSection(section)
+      fs.rmSync(section.file, { force: true })
+    }
+    sections.clear()
+  }
+
+  const partial = {
+    file,
+    // Returns { write(text), end() } for the response
+    start(label) {
+      // Responses still coming in after the run ended have nowhere to go
+      if (closed) return { write() {}, end() {} }
+
+      let section = sections.get(label)
+      if (section) {
+        closeSection(section)
+      } else {
+        section = { file: `${file}.${sections.size + 1}`, fd: null }
+        sections.set(label, section)
+      }
+      section.fd = fs.openSync(section.file, 'w')
+
+      return {
+        write(text) {
+          if (section.fd !== null) fs.writeSync(section.fd, text)
+        },
+        end() {
+          closeSection(section)
+        }
+      }
+    },
+    discard() {
+      closed = true
+      process.off('SIGINT', onInterrupt)
+      removeSections()
+      fs.rmSync(file, { force: true })
+    },
+    // Returns whether there was anything worth keeping
+    keep() {
+      if (closed) return kept
+      closed = true
+      process.off('SIGINT', onInterrupt)
+
+      let output = ''
+      for (const [label, section] of sections) {
+        closeSection(section)
+        const text = fs.readFileSync(section.file, 'utf8')
+        if (text) output += `${output ? '\n' : ''}--- ${label} ---\n${text}`
+      }
+      removeSections()
+
+      kept = output !== ''
+      if (kept) fs.writeFileSync(file, output, 'utf8')
+      return kept
+    }
+  }
+
+  // Ctrl+C would end the process without saying where the file is. Other
+  // listeners (the spinner restoring the cursor) don't stop it either, so
+  // the signal is sent again once the file is kept. Callers that stop on
+  // their own signal, like watch mode, let the generation finish instead.
+  function onInterrupt() {
+    if (partial.keep()) {
+      logger.warn(`\n[figtree] Interrupted, partial output kept in ${file}`)
+    }
+    // Ours is gone by now, so the signal ends the process as usual
+    process.kill(process.pid, 'SIGINT')
+  }
+  if (!signal) process.on('SIGINT', onInterrupt)
+
+  return partial
+}
+
+// Run a generation request, repeating it with repair instructions while
+// its output fails the checks. request(messages, round) resolves to the
+// model output, round is 0 for the first request; the result is
+// { result, check } for the last output.
+async function withRepairs(request, options) {
+  const {
+    prompt,
+    format,
+    compressed,
+    repairRounds = AI_CONFIG.REPAIR_ROUNDS,
+    label = 'Generated code'
+  } = options
+
+  const messages = [{ role: 'user', content: prompt }]
+  let result = await request(messages, 0)
+  let check = verifyOutput(result, format, compressed)
+
+  for (
+    let round = 1;
+    round <= repairRounds && check.problems.length > 0;
+    round++
+  ) {
+    logger.warn(
+      chalk.yellow(
+        `[figtree] ${label} failed ${check.problems.length} check(s), asking the model to fix it (round ${round}/${repairRounds})...`
+      )
+    )
+    for (const problem of check.problems) {
+      logger.debug(`[figtree]   ${problem}`)
+    }
+
+    messages.push(
+      { role: 'assistant', content: check.code },
+      { role: 'user', content: createRepairPrompt(format, check) }
+    )
+    result = await request(messages, round)
+    check = verifyOutput(result, format, compressed)
+  }
+
+  if (check.problems.length > 0 && repairRounds > 0) {
+    logger.warn(
+      chalk.yellow(
+        `[figtree] ${label} still fails ${check.problems.length} check(s) after ${repairRounds} repair round(s)`
+      )
+    )
+  }
+
+  return { result, check }
+}
+
+// Follow-up prompt listing what the checks found, with the data of every
+// token that is missing or has the wrong value
+function createRepairPrompt(format, check) {
+  const tokens = check.tokens.map((token) => token.data)
+  const tokenList =
+    tokens.length > 0
+      ? `
+These tokens are missing from your code or have the wrong value. Include every one of them with exactly these values:
+
+${JSON.stringify(tokens, null, 2)}
+`
+      : ''
+
+  return `CRITICAL: Your ${format} code failed these checks:
+
+${check.problems.map((problem) => `- ${problem}`).join('\n')}
+${tokenList}
+Return the complete corrected ${format} code, not only the changed parts.
+
+OUTPUT RULES:
+- Return ONLY valid ${format} code
+- Keep every token that was already correct
+- NO explanations or descriptions outside of code
+- NO markdown formatting, NO backticks
+- Start immediately with the code`
 }
 
 // Create prompt for individual chunks
-function createChunkPrompt(chunk, format, chunkNumber, totalChunks) {
+function createChunkPrompt(chunk, format, chunkNumber, totalChunks, naming) {
   const stylesSummary = JSON.stringify(chunk, null, 2)
 
   // Get comment format for the target language
@@ -273,7 +718,9 @@ This is chunk ${chunkNumber} of ${totalChunks} from a large design system.
 Convert these Figma design tokens to ${format} code:
 
 ${stylesSummary}
-
+${getThemingGuidelines(chunk.variableCollections, format)}${getNamingGuidelines(
+    naming
+  )}
 OUTPUT RULES:
 - Return ONLY valid ${format} code
 - NO explanations or descriptions outside of code
@@ -287,7 +734,6 @@ OUTPUT RULES:
     totalChunks > 1
       ? `- Generate code for this chunk only
 - Use consistent naming that will work with other chunks
-- Add comments indicating this is part ${chunkNumber} of ${totalChunks}
 - `
       : ''
 
@@ -400,65 +846,20 @@ ${chunkInstructions}- Follow best practices for ${format}
   }
 }
 
-// Combine results from multiple chunks
-function combineChunkedResults(results, format) {
-  const header = `/* Design tokens generated from Figma - Combined from ${results.length} chunks */\n\n`
-
-  switch (format) {
-    case 'css':
-    case 'scss':
-    case 'css-variables':
-      return header + results.join('\n\n/* --- Next chunk --- */\n\n')
-
-    case 'tailwind':
-      // For Tailwind, we need to merge the config objects
-      try {
-        const configs = results.map((r) => {
-          // Extract the config object from the code
-          const configMatch = r.match(/module\.exports\s*=\s*({[\s\S]*})/)
-          if (configMatch) {
-            return configMatch[1]
-          }
-          return r
-        })
-
-        return `${header}module.exports = {\n  theme: {\n    extend: {\n      // Combined from ${
-          results.length
-        } chunks\n      ${configs.join(',\n      ')}\n    }\n  }\n}`
-      } catch (error) {
-        return header + results.join('\n\n// --- Next chunk ---\n\n')
-      }
-
-    case 'javascript':
-      return header + results.join('\n\n// --- Next chunk ---\n\n')
-
-    case 'json':
-      // For JSON, try to merge objects
-      try {
-        const merged = {}
-        results.forEach((result, index) => {
-          try {
-            const parsed = JSON.parse(result)
-            Object.assign(merged, parsed)
-          } catch (error) {
-            merged[`chunk_${index + 1}`] = result
-          }
-        })
-        return JSON.stringify(merged, null, 2)
-      } catch (error) {
-        return header + results.join('\n\n// --- Next chunk ---\n\n')
-      }
-
-    default:
-      return header + results.join('\n\n// --- Next chunk ---\n\n')
-  }
-}
-
-// Generate structured design tokens
+// Generate structured design tokens. options.plan, options.retries,
+// options.aiCache and options.onUsage work as for generateCodeFromStyles.
 export async function generateDesignTokens(styles, options = {}) {
-  const { provider = 'openai', model } = options
+  const { provider = 'openai', model, repairRounds, retries, onUsage } =
+    options
 
   const aiModel = createModel(provider, model)
+  const plan =
+    options.plan ?? planGeneration(styles, { ...options, format: 'json' })
+  const [request] = plan.requests
+  if (request.cached !== undefined) {
+    logger.debug('[figtree] Tokens reused from the AI cache')
+    return request.cached
+  }
 
   // Define the schema for design tokens
   const tokenSchema = z.object({
@@ -502,13 +903,35 @@ export async function generateDesignTokens(styles, options = {}) {
   })
 
   try {
-    const { object } = await generateObject({
-      model: aiModel,
-      schema: tokenSchema,
-      prompt: createTokenPrompt(styles)
-    })
+    const { result, check } = await withRepairs(
+      async(messages) => {
+        const { object, usage } = await sendRequest(
+          () =>
+            generateObject({
+              model: aiModel,
+              schema: tokenSchema,
+              messages,
+              maxRetries: 0
+            }),
+          { provider, retries }
+        )
+        onUsage?.(
+          getUsage(usage, messages, JSON.stringify(object, null, 2), provider)
+        )
+        return object
+      },
+      {
+        prompt: request.prompt,
+        format: 'json',
+        compressed: request.compressed,
+        repairRounds
+      }
+    )
 
-    return object
+    if (request.cacheFile && check.problems.length === 0) {
+      writeCache(request.cacheFile, result)
+    }
+    return result
   } catch (error) {
     logger.error(
       chalk.red(`[figtree] Error generating tokens with ${provider}:`),
@@ -518,255 +941,16 @@ export async function generateDesignTokens(styles, options = {}) {
   }
 }
 
-// Compress styles data to reduce token usage
-function compressStylesForAI(styles) {
-  const compressed = {
-    colors: [],
-    typography: [],
-    effects: [],
-    spacing: []
-  }
-
-  // Extract detailed paint/color information
-  if (styles.styles?.fill) {
-    compressed.colors = styles.styles.fill
-      .map((style) => {
-        const paint = {
-          name: style.name,
-          type: style.values?.type || 'unknown'
-        }
-
-        // Common properties for all paint types
-        if (style.values?.opacity !== undefined) {
-          paint.opacity = style.values.opacity
-        }
-        if (style.values?.blendMode) paint.blendMode = style.values.blendMode
-
-        // SOLID paint properties
-        if (style.values?.type === 'SOLID') {
-          if (style.values?.color) paint.color = style.values.color
-          if (style.values?.hex) paint.hex = style.values.hex
-          if (style.values?.css) paint.css = style.values.css
-        }
-
-        // GRADIENT paint properties (LINEAR, RADIAL, ANGULAR, DIAMOND)
-        if (style.values?.type?.startsWith('GRADIENT_')) {
-          if (style.values?.gradientHandlePositions) {
-            paint.gradientHandlePositions =
-              style.values.gradientHandlePositions
-          }
-          if (style.values?.gradientStops) {
-            paint.gradientStops = style.values.gradientStops
-          }
-          if (style.values?.gradient) paint.gradient = style.values.gradient // Fallback if API uses different structure
-        }
-
-        // IMAGE paint properties
-        if (style.values?.type === 'IMAGE') {
-          if (style.values?.scaleMode) paint.scaleMode = style.values.scaleMode
-          if (style.values?.imageTransform) {
-            paint.imageTransform = style.values.imageTransform
-          }
-          if (style.values?.scalingFactor !== undefined) {
-            paint.scalingFactor = style.values.scalingFactor
-          }
-          if (style.values?.rotation !== undefined) {
-            paint.rotation = style.values.rotation
-          }
-          if (style.values?.imageRef) paint.imageRef = style.values.imageRef
-          if (style.values?.filters) paint.filters = style.values.filters
-          if (style.values?.gifRef) paint.gifRef = style.values.gifRef
-        }
-
-        // PATTERN paint properties (beta)
-        if (style.values?.type === 'PATTERN') {
-          if (style.values?.sourceNodeId) {
-            paint.sourceNodeId = style.values.sourceNodeId
-          }
-          if (style.values?.tileType) paint.tileType = style.values.tileType
-          if (style.values?.scalingFactor !== undefined) {
-            paint.scalingFactor = style.values.scalingFactor
-          }
-          if (style.values?.spacing) paint.spacing = style.values.spacing
-          if (style.values?.horizontalAlignment) {
-            paint.horizontalAlignment = style.values.horizontalAlignment
-          }
-          if (style.values?.verticalAlignment) {
-            paint.verticalAlignment = style.values.verticalAlignment
-          }
-        }
-
-        // Fallback to any available color representation
-        if (!paint.color && !paint.gradientStops && !paint.imageRef) {
-          if (style.values?.hex) paint.fallbackHex = style.values.hex
-          if (style.values?.css) paint.fallbackCss = style.values.css
-        }
-
-        return paint
-      })
-      .filter(
-        (paint) =>
-          paint.type !== 'unknown' || paint.fallbackHex || paint.fallbackCss
-      )
-  }
-
-  // Extract only essential typography information
-  if (styles.styles?.text) {
-    compressed.typography = styles.styles.text.map((style) => ({
-      name: style.name,
-      fontSize: style.values?.fontSize || 16,
-      fontFamily: style.values?.fontFamily || 'system',
-      fontWeight: style.values?.fontWeight || 'normal',
-      lineHeight: style.values?.lineHeight || 'normal',
-      letterSpacing: style.values?.letterSpacing || 'normal'
-    }))
-  }
-
-  // Extract detailed effect information
-  if (styles.styles?.effect) {
-    compressed.effects = styles.styles.effect
-      .map((style) => {
-        // Effects are stored in style.values.effects array
-        if (
-          !style.values?.effects ||
-          !Array.isArray(style.values.effects) ||
-          style.values.effects.length === 0
-        ) {
-          return null
-        }
-
-        // Take the first effect from the array (most Figma styles have one effect)
-        const effectData = style.values.effects[0]
-        const effect = {
-          name: style.name,
-          type: effectData.type || 'unknown'
-        }
-
-        // Add common properties
-        if (effectData.radius !== undefined) effect.radius = effectData.radius
-        if (effectData.blendMode) effect.blendMode = effectData.blendMode
-        if (effectData.visible !== undefined) {
-          effect.visible = effectData.visible
-        }
-
-        // Shadow-specific properties (INNER_SHADOW, DROP_SHADOW)
-        if (
-          effectData.type === 'INNER_SHADOW' ||
-          effectData.type === 'DROP_SHADOW'
-        ) {
-          if (effectData.color) effect.color = effectData.color
-          if (effectData.offset) effect.offset = effectData.offset
-          if (effectData.spread !== undefined) {
-            effect.spread = effectData.spread
-          }
-          if (effectData.showShadowBehindNode !== undefined) {
-            effect.showShadowBehindNode = effectData.showShadowBehindNode
-          }
-        }
-
-        // Blur-specific properties (LAYER_BLUR, BACKGROUND_BLUR)
-        if (
-          effectData.type === 'LAYER_BLUR' ||
-          effectData.type === 'BACKGROUND_BLUR'
-        ) {
-          if (effectData.blurType) effect.blurType = effectData.blurType
-          if (effectData.startRadius !== undefined) {
-            effect.startRadius = effectData.startRadius
-          }
-          if (effectData.startOffset) {
-            effect.startOffset = effectData.startOffset
-          }
-          if (effectData.endOffset) effect.endOffset = effectData.endOffset
-        }
-
-        // Noise-specific properties
-        if (effectData.type === 'NOISE') {
-          if (effectData.noiseSize !== undefined) {
-            effect.noiseSize = effectData.noiseSize
-          }
-          if (effectData.noiseType) effect.noiseType = effectData.noiseType
-          if (effectData.density !== undefined) {
-            effect.density = effectData.density
-          }
-          if (effectData.secondaryColor) {
-            effect.secondaryColor = effectData.secondaryColor
-          }
-          if (effectData.opacity !== undefined) {
-            effect.opacity = effectData.opacity
-          }
-        }
-
-        // Texture-specific properties
-        if (effectData.type === 'TEXTURE') {
-          if (effectData.noiseSize !== undefined) {
-            effect.noiseSize = effectData.noiseSize
-          }
-          if (effectData.clipToShape !== undefined) {
-            effect.clipToShape = effectData.clipToShape
-          }
-        }
-
-        // Include all effects from the array if there are multiple
-        if (style.values.effects.length > 1) {
-          effect.allEffects = style.values.effects
-        }
-
-        return effect
-      })
-      .filter((effect) => effect !== null && effect.type !== 'unknown')
-  }
-
-  // Extract grid/layout information
-  if (styles.styles?.grid) {
-    compressed.spacing = styles.styles.grid
-      .map((style) => {
-        const grid = {
-          name: style.name,
-          type: 'grid'
-        }
-
-        // Extract grid properties
-        if (style.values?.grids && style.values.grids.length > 0) {
-          const gridData = style.values.grids[0] // Take first grid
-          if (gridData.pattern) grid.pattern = gridData.pattern
-          if (gridData.sectionSize !== undefined) {
-            grid.sectionSize = gridData.sectionSize
-          }
-          if (gridData.gutterSize !== undefined) {
-            grid.gutterSize = gridData.gutterSize
-          }
-          if (gridData.offset !== undefined) grid.offset = gridData.offset
-          if (gridData.count !== undefined) grid.count = gridData.count
-          if (gridData.alignment) grid.alignment = gridData.alignment
-          if (gridData.color) grid.color = gridData.color
-        }
-
-        return grid
-      })
-      .filter((grid) => grid.pattern || grid.sectionSize !== undefined)
-  }
-
-  // Add summary stats
-  compressed.summary = {
-    totalColors: compressed.colors.length,
-    totalTypography: compressed.typography.length,
-    totalEffects: compressed.effects.length,
-    totalSpacing: compressed.spacing.length,
-    originalFileSize: JSON.stringify(styles).length
-  }
-
-  return compressed
-}
-
 // Create prompt for code generation
-function createPrompt(styles, format) {
+function createPrompt(styles, format, naming, provider) {
   // Use compressed styles instead of full object
   const compressedStyles = compressStylesForAI(styles)
   const stylesSummary = JSON.stringify(compressedStyles, null, 2)
 
+  // The whole styles can hold the document, too large to tokenize
   logger.tokenUsage(
-    Math.round(JSON.stringify(styles).length / 4),
-    Math.round(stylesSummary.length / 4),
+    estimateTokens(JSON.stringify(styles), provider),
+    countTokens(stylesSummary, provider),
     'Code generation'
   )
 
@@ -800,7 +984,10 @@ function createPrompt(styles, format) {
 Convert these Figma design tokens to ${format} code:
 
 ${stylesSummary}
-
+${getThemingGuidelines(
+    compressedStyles.variableCollections,
+    format
+  )}${getNamingGuidelines(naming)}
 OUTPUT RULES:
 - Return ONLY valid ${format} code
 - NO explanations or descriptions outside of code
@@ -919,14 +1106,14 @@ REQUIREMENTS:
 }
 
 // Create prompt for design token generation
-function createTokenPrompt(styles) {
+function createTokenPrompt(styles, naming, provider) {
   // Use compressed styles for token generation as well
   const compressedStyles = compressStylesForAI(styles)
   const stylesSummary = JSON.stringify(compressedStyles, null, 2)
 
   logger.tokenUsage(
-    Math.round(JSON.stringify(styles).length / 4),
-    Math.round(stylesSummary.length / 4),
+    estimateTokens(JSON.stringify(styles), provider),
+    countTokens(stylesSummary, provider),
     'Token generation'
   )
 
@@ -949,7 +1136,7 @@ REQUIREMENTS:
 - Typography tokens from text styles with complete font information
 - Spacing tokens if available
 - Effect tokens for shadows and other effects
-- Proper naming conventions (kebab-case)
+- Proper naming conventions (${naming ? `${naming} case` : 'kebab-case'})
 - Meaningful descriptions for each token as JSON values
 - Organized grouping by category
 - Focus on creating a maintainable and scalable design system`
@@ -978,9 +1165,10 @@ export async function saveCodeToFile(code, format, filename) {
       fs.mkdirSync(dir, { recursive: true })
     }
 
-    // Format the code based on type
+    // Format the code based on type (structured JSON tokens come back as
+    // objects, generated code is already a string)
     let formattedCode = code
-    if (format === 'json' || typeof code === 'object') {
+    if (typeof code === 'object') {
       formattedCode = JSON.stringify(code, null, 2)
     }
 
@@ -994,22 +1182,24 @@ export async function saveCodeToFile(code, format, filename) {
   }
 }
 
-// List available models for a provider
+// List available models for a provider, by id with their labels
 export function getProviderModels(provider) {
-  const config = AI_PROVIDERS[provider]
+  const config = getProvider(provider)
   if (!config) {
     throw new Error(`Unknown provider: ${provider}`)
   }
 
-  return config.models
+  return Object.fromEntries(
+    Object.entries(config.models).map(([id, model]) => [id, model.label ?? id])
+  )
 }
 
 // Get provider info
 export function getProviderInfo(provider) {
-  return AI_PROVIDERS[provider]
+  return getProvider(provider)
 }
 
 // Get all provider names
 export function getAllProviders() {
-  return AI_PROVIDERS
+  return getProviders()
 }
@@ -0,0 +1,134 @@
+/**
+ * On-disk cache
+ *
+ * Entries are JSON files below the cache directory. The caller decides the
+ * layout and puts everything that makes an entry stale into its path, so an
+ * entry that exists is always valid. A broken or unwritable cache never fails
+ * a run, it only costs the request it would have saved.
+ */
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import crypto from 'crypto'
+import logger from './logger.js'
+import { APP_CONFIG, ENV_VARS } from './constants.js'
+
+/**
+ * Cache directory: FIGTREE_CACHE_DIR, else figtree in the XDG cache
+ * directory (~/.cache by default)
+ * @returns {string} Absolute directory path
+ */
+export function getCacheDir() {
+  if (process.env[ENV_VARS.FIGTREE_CACHE_DIR]) {
+    return path.resolve(process.env[ENV_VARS.FIGTREE_CACHE_DIR])
+  }
+
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache')
+  return path.join(base, APP_CONFIG.NAME)
+}
+
+/**
+ * Short stable hash to use as a file or directory name
+ * @param {...*} parts - Values that identify the entry
+ * @returns {string} Hex digest
+ */
+export function hashKey(...parts) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(parts))
+    .digest('hex')
+    .slice(0, 16)
+}
+
+/**
+ * Read a cache entry
+ * @param {string} file - Entry path
+ * @returns {*} Cached value, undefined when missing or unreadable
+ */
+export function readCache(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).data
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.debug(`[figtree] Ignoring unreadable cache entry ${file}`, {
+        error: error.message
+      })
+    }
+    return undefined
+  }
+}
+
+/**
+ * Write a cache entry. The file is written next to its final path and
+ * renamed, so concurrent runs never read half an entry.
+ * @param {string} file - Entry path
+ * @param {*} data - JSON serializable value
+ */
+export function writeCache(file, data) {
+  const temp = `${file}.${process.pid}.tmp`
+
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    fs.writeFileSync(
+      temp,
+      JSON.stringify({ createdAt: new Date().toISOString(), data }),
+      'utf8'
+    )
+    fs.renameSync(temp, file)
+  } catch (error) {
+    logger.debug(`[figtree] Could not write cache entry ${file}`, {
+      error: error.message
+    })
+    fs.rmSync(temp, { force: true })
+  }
+}
+
+/**
+ * Remove the entries of a cache directory except one
+ * @param {string} dir - Directory holding entries
+ * @param {string} keep - Name of the entry to keep
+ */
+export function pruneCache(dir, keep) {
+  try {
+    for (const name of fs.readdirSync(dir)) {
+      if (name !== keep) {
+        fs.rmSync(path.join(dir, name), { recursive: true, force: true })
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.debug(`[figtree] Could not prune cache ${dir}`, {
+        error: error.message
+      })
+    }
+  }
+}
+
+/**
+ * Return a cached value or load and store it
+ * @param {string} file - Entry path
+ * @param {Function} load - Async loader for a miss
+ * @param {Object} [options] - Cache options
+ * @param {boolean} [options.cache=true] - Use the cache at all
+ * @param {boolean} [options.refresh=false] - Skip reading, store a fresh value
+ * @returns {Promise<*>} Value
+ */
+export async function cached(
+  file,
+  load,
+  { cache = true, refresh = false } = {}
+) {
+  if (cache && !refresh) {
+    const hit = readCache(file)
+    if (hit !== undefined) {
+      logger.debug(`[figtree] Cache hit: ${file}`)
+      return hit
+    }
+  }
+
+  const value = await load()
+  if (cache) {
+    writeCache(file, value)
+  }
+  return value
+}
@@ -0,0 +1,71 @@
+/**
+ * Color conversion helpers for Figma colors (channels between 0 and 1)
+ */
+
+// Round to a fixed precision so float noise from the API doesn't leak out
+export function formatNumber(value, digits = 3) {
+  return String(parseFloat(Number(value).toFixed(digits)))
+}
+
+function toByte(channel) {
+  return Math.round(channel * 255)
+}
+
+function byteToHex(byte) {
+  return byte.toString(16).padStart(2, '0')
+}
+
+/**
+ * Hex string for a color, with alpha appended only when not fully opaque
+ * @param {Object} color - Color with r, g, b and optional a
+ * @returns {string} #rrggbb or #rrggbbaa
+ */
+export function colorToHex(color) {
+  const hex = `#${[color.r, color.g, color.b]
+    .map((channel) => byteToHex(toByte(channel)))
+    .join('')}`
+  const alpha = color.a ?? 1
+  return alpha < 1 ? `${hex}${byteToHex(toByte(alpha))}` : hex
+}
+
+/**
+ * rgba() string for a color
+ * @param {Object} color - Color with r, g, b and optional a
+ * @returns {string} CSS rgba() color
+ */
+export function colorToRgba(color) {
+  return `rgba(${toByte(color.r)}, ${toByte(color.g)}, ${toByte(
+    color.b
+  )}, ${formatNumber(color.a ?? 1)})`
+}
+
+/**
+ * CSS color: plain hex when opaque, rgba() otherwise
+ * @param {Object} color - Color with r, g, b and optional a
+ * @returns {string} CSS color
+ */
+export function colorToCss(color) {
+  return (color.a ?? 1) < 1 ? colorToRgba(color) : colorToHex(color)
+}
+
+/**
+ * Android color resource value
+ * @param {Object} color - Color with r, g, b and optional a
+ * @returns {string} #AARRGGBB
+ */
+export function colorToAndroid(color) {
+  return `#${[color.a ?? 1, color.r, color.g, color.b]
+    .map((channel) => byteToHex(toByte(channel)).toUpperCase())
+    .join('')}`
+}
+
+/**
+ * SwiftUI Color initializer
+ * @param {Object} color - Color with r, g, b and optional a
+ * @returns {string} Swift source
+ */
+export function colorToSwift(color) {
+  return `Color(red: ${color.r.toFixed(3)}, green: ${color.g.toFixed(
+    3
+  )}, blue: ${color.b.toFixed(3)}, opacity: ${(color.a ?? 1).toFixed(3)})`
+}
@@ -0,0 +1,338 @@
+/**
+ * Compact representation of extracted styles for AI prompts
+ *
+ * Shared by AI generation (ai-providers.js) and manual prompt mode (export.js)
+ * so both send the model exactly the same data.
+ */
+
+import { colorToHex } from './colors.js'
+
+// Text style values passed on to the model, in this order
+const TYPOGRAPHY_FIELDS = [
+  'fontFamily',
+  'fontPostScriptName',
+  'fontSize',
+  'fontWeight',
+  'italic',
+  'lineHeight',
+  'lineHeightUnit',
+  'lineHeightPercentFontSize',
+  'letterSpacing',
+  'paragraphSpacing',
+  'paragraphIndent',
+  'textAlignHorizontal',
+  'textCase',
+  'textDecoration',
+  'opentypeFlags'
+]
+
+/**
+ * Compress styles data to reduce token usage
+ * @param {Object} styles - Result of getStylesFromFile
+ * @returns {Object} Compressed styles grouped by category
+ */
+export function compressStylesForAI(styles) {
+  const compressed = {
+    colors: [],
+    typography: [],
+    effects: [],
+    spacing: [],
+    variables: []
+  }
+
+  // Extract detailed paint/color information
+  if (styles.styles?.fill) {
+    compressed.colors = styles.styles.fill
+      .map((style) => {
+        const paint = {
+          name: style.name,
+          type: style.values?.type || 'unknown'
+        }
+
+        // Common properties for all paint types
+        if (style.values?.opacity !== undefined) {
+          paint.opacity = style.values.opacity
+        }
+        if (style.values?.blendMode) paint.blendMode = style.values.blendMode
+
+        // SOLID paint properties
+        if (style.values?.type === 'SOLID') {
+          if (style.values?.color) paint.color = style.values.color
+          if (style.values?.hex) paint.hex = style.values.hex
+          if (style.values?.css) paint.css = style.values.css
+        }
+
+        // GRADIENT paint properties (LINEAR, RADIAL, ANGULAR, DIAMOND)
+        if (style.values?.type?.startsWith('GRADIENT_')) {
+          const gradient = style.values?.gradient
+          if (gradient) {
+            paint.kind = gradient.kind
+            paint.angle = gradient.angle
+            paint.gradientHandlePositions = gradient.handles
+            paint.gradientStops = gradient.stops.map((stop) => ({
+              position: stop.position,
+              color: colorToHex(stop.color)
+            }))
+            paint.css = gradient.css
+          } else if (style.values?.gradientStops) {
+            paint.gradientStops = style.values.gradientStops
+          }
+        }
+
+        // Stacked paints that don't flatten to one color, bottom first
+        if (style.values?.layers) {
+          paint.layers = style.values.layers.map((layer) => ({
+            type: layer.type,
+            ...(layer.blendMode !== 'NORMAL' && { blendMode: layer.blendMode }),
+            ...(layer.color
+              ? { color: colorToHex(layer.color) }
+              : { css: layer.gradient.css })
+          }))
+          paint.css = style.values.css
+        }
+
+        // IMAGE paint properties
+        if (style.values?.type === 'IMAGE') {
+          if (style.values?.scaleMode) paint.scaleMode = style.values.scaleMode
+          if (style.values?.imageTransform) {
+            paint.imageTransform = style.values.imageTransform
+          }
+          if (style.values?.scalingFactor !== undefined) {
+            paint.scalingFactor = style.values.scalingFactor
+          }
+          if (style.values?.rotation !== undefined) {
+            paint.rotation = style.values.rotation
+          }
+          if (style.values?.imageRef) paint.imageRef = style.values.imageRef
+          if (style.values?.filters) paint.filters = style.values.filters
+          if (style.values?.gifRef) paint.gifRef = style.values.gifRef
+        }
+
+        // PATTERN paint properties (beta)
+        if (style.values?.type === 'PATTERN') {
+          if (style.values?.sourceNodeId) {
+            paint.sourceNodeId = style.values.sourceNodeId
+          }
+          if (style.values?.tileType) paint.tileType = style.values.tileType
+          if (style.values?.scalingFactor !== undefined) {
+            paint.scalingFactor = style.values.scalingFactor
+          }
+          if (style.values?.spacing) paint.spacing = style.values.spacing
+          if (style.values?.horizontalAlignment) {
+            paint.horizontalAlignment = style.values.horizontalAlignment
+          }
+          if (style.values?.verticalAlignment) {
+            paint.verticalAlignment = style.values.verticalAlignment
+          }
+        }
+
+        // Fallback to any available color representation
+        if (
+          !paint.color &&
+          !paint.gradientStops &&
+          !paint.layers &&
+          !paint.imageRef
+        ) {
+          if (style.values?.hex) paint.fallbackHex = style.values.hex
+          if (style.values?.css) paint.fallbackCss = style.values.css
+        }
+
+        return paint
+      })
+      .filter(
+        (paint) =>
+          paint.type !== 'unknown' || paint.fallbackHex || paint.fallbackCss
+      )
+  }
+
+  // Extract typography, leaving out values Figma didn't set rather than
+  // guessing defaults the model would treat as real
+  if (styles.styles?.text) {
+    compressed.typography = styles.styles.text.map((style) => {
+      const item = { name: style.name }
+      for (const key of TYPOGRAPHY_FIELDS) {
+        const value = style.values?.[key]
+        if (value === undefined || value === null || value === false) continue
+        if (typeof value === 'object' && Object.keys(value).length === 0) {
+          continue
+        }
+        item[key] = value
+      }
+      return item
+    })
+  }
+
+  // Extract detailed effect information
+  if (styles.styles?.effect) {
+    compressed.effects = styles.styles.effect
+      .map((style) => {
+        // Effects are stored in style.values.effects array
+        if (
+          !style.values?.effects ||
+          !Array.isArray(style.values.effects) ||
+          style.values.effects.length === 0
+        ) {
+          return null
+        }
+
+        // Take the first effect from the array (most Figma styles have one effect)
+        const effectData = style.values.effects[0]
+        const effect = {
+          name: style.name,
+          type: effectData.type || 'unknown'
+        }
+
+        // Add common properties
+        if (effectData.radius !== undefined) effect.radius = effectData.radius
+        if (effectData.blendMode) effect.blendMode = effectData.blendMode
+        if (effectData.visible !== undefined) {
+          effect.visible = effectData.visible
+        }
+
+        // Shadow-specific properties (INNER_SHADOW, DROP_SHADOW)
+        if (
+          effectData.type === 'INNER_SHADOW' ||
+          effectData.type === 'DROP_SHADOW'
+        ) {
+          if (effectData.color) effect.color = effectData.color
+          if (effectData.offset) effect.offset = effectData.offset
+          if (effectData.spread !== undefined) {
+            effect.spread = effectData.spread
+          }
+          if (effectData.showShadowBehindNode !== undefined) {
+            effect.showShadowBehindNode = effectData.showShadowBehindNode
+          }
+        }
+
+        // Blur-specific properties (LAYER_BLUR, BACKGROUND_BLUR)
+        if (
+          effectData.type === 'LAYER_BLUR' ||
+          effectData.type === 'BACKGROUND_BLUR'
+        ) {
+          if (effectData.blurType) effect.blurType = effectData.blurType
+          if (effectData.startRadius !== undefined) {
+            effect.startRadius = effectData.startRadius
+          }
+          if (effectData.startOffset) {
+            effect.startOffset = effectData.startOffset
+          }
+          if (effectData.endOffset) effect.endOffset = effectData.endOffset
+        }
+
+        // Noise-specific properties
+        if (effectData.type === 'NOISE') {
+          if (effectData.noiseSize !== undefined) {
+            effect.noiseSize = effectData.noiseSize
+          }
+          if (effectData.noiseType) effect.noiseType = effectData.noiseType
+          if (effectData.density !== undefined) {
+            effect.density = effectData.density
+          }
+          if (effectData.secondaryColor) {
+            effect.secondaryColor = effectData.secondaryColor
+          }
+          if (effectData.opacity !== undefined) {
+            effect.opacity = effectData.opacity
+          }
+        }
+
+        // Texture-specific properties
+        if (effectData.type === 'TEXTURE') {
+          if (effectData.noiseSize !== undefined) {
+            effect.noiseSize = effectData.noiseSize
+          }
+          if (effectData.clipToShape !== undefined) {
+            effect.clipToShape = effectData.clipToShape
+          }
+        }
+
+        // Include all effects from the array if there are multiple
+        if (style.values.effects.length > 1) {
+          effect.allEffects = style.values.effects
+        }
+
+        return effect
+      })
+      .filter((effect) => effect !== null && effect.type !== 'unknown')
+  }
+
+  // Extract grid/layout information
+  if (styles.styles?.grid) {
+    compressed.spacing = styles.styles.grid
+      .map((style) => {
+        const grid = {
+          name: style.name,
+          type: 'grid'
+        }
+
+        // Extract grid properties
+        if (style.values?.grids && style.values.grids.length > 0) {
+          const gridData = style.values.grids[0] // Take first grid
+          if (gridData.pattern) grid.pattern = gridData.pattern
+          if (gridData.sectionSize !== undefined) {
+            grid.sectionSize = gridData.sectionSize
+          }
+          if (gridData.gutterSize !== undefined) {
+            grid.gutterSize = gridData.gutterSize
+          }
+          if (gridData.offset !== undefined) grid.offset = gridData.offset
+          if (gridData.count !== undefined) grid.count = gridData.count
+          if (gridData.alignment) grid.alignment = gridData.alignment
+          if (gridData.color) grid.color = gridData.color
+        }
+
+        return grid
+      })
+      .filter((grid) => grid.pattern || grid.sectionSize !== undefined)
+  }
+
+  // Extract variables with their value in every mode
+  if (styles.variables?.variables?.length > 0) {
+    compressed.variableCollections = styles.variables.collections.map(
+      (collection) => ({
+        name: collection.name,
+        modes: collection.modes,
+        defaultMode: collection.defaultMode
+      })
+    )
+
+    compressed.variables = styles.variables.variables.map((variable) => {
+      const item = {
+        name: variable.name,
+        collection: variable.collection,
+        type: variable.type
+      }
+      if (variable.description) item.description = variable.description
+
+      item.values = {}
+      for (const [mode, value] of Object.entries(variable.valuesByMode)) {
+        item.values[mode] =
+          variable.type === 'COLOR' ? colorToHex(value) : value
+      }
+
+      // Keep references so the model can emit aliases instead of raw values
+      const aliases = Object.entries(variable.aliasesByMode || {}).filter(
+        ([, alias]) => alias.name
+      )
+      if (aliases.length > 0) {
+        item.aliases = Object.fromEntries(
+          aliases.map(([mode, alias]) => [mode, alias.name])
+        )
+      }
+
+      return item
+    })
+  }
+
+  // Add summary stats
+  compressed.summary = {
+    totalColors: compressed.colors.length,
+    totalTypography: compressed.typography.length,
+    totalEffects: compressed.effects.length,
+    totalSpacing: compressed.spacing.length,
+    totalVariables: compressed.variables.length,
+    originalFileSize: JSON.stringify(styles).length
+  }
+
+  return compressed
+}
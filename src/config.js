@@ -7,9 +7,10 @@ import {
   DEFAULT_CONFIG,
   VALIDATION_PATTERNS,
   ERROR_MESSAGES,
-  AI_PROVIDERS,
-  APP_CONFIG
+  APP_CONFIG,
+  API_CONFIG
 } from './constants.js'
+import { getProvider, getProviders, isProviderConfigured } from './providers.js'
 
 // Load environment variables
 dotenv.config()
@@ -51,6 +52,24 @@ export function getFigmaToken() {
   return token
 }
 
+/**
+ * Get the Figma API base URL, FIGMA_API_URL points figtree at a proxy or at
+ * the mock server
+ * @returns {string} Base URL without a trailing slash
+ */
+export function getFigmaApiUrl() {
+  const url = process.env[ENV_VARS.FIGMA_API_URL] || API_CONFIG.FIGMA_BASE_URL
+  return url.replace(/\/+$/, '')
+}
+
+/**
+ * Get the directory Figma responses are recorded to as fixtures
+ * @returns {string|null} Directory or null when not recording
+ */
+export function getRecordDir() {
+  return process.env[ENV_VARS.FIGTREE_RECORD_DIR] || null
+}
+
 /**
  * Validate file key format
  * @param {string} fileKey - Figma file key
@@ -67,9 +86,8 @@ export function validateFileKey(fileKey) {
 export function getAvailableAIProviders() {
   const available = {}
 
-  for (const [key, provider] of Object.entries(AI_PROVIDERS)) {
-    const apiKey = process.env[provider.envKey]
-    if (apiKey && apiKey.trim()) {
+  for (const [key, provider] of Object.entries(getProviders())) {
+    if (isProviderConfigured(provider)) {
       available[key] = {
         ...provider,
         hasApiKey: true
@@ -87,7 +105,7 @@ export function getAvailableAIProviders() {
  * @throws {ConfigurationError} If API key is missing
  */
 export function getProviderApiKey(provider) {
-  const providerConfig = AI_PROVIDERS[provider]
+  const providerConfig = getProvider(provider)
 
   if (!providerConfig) {
     throw new ConfigurationError(
@@ -96,7 +114,7 @@ export function getProviderApiKey(provider) {
     )
   }
 
-  const apiKey = process.env[providerConfig.envKey]
+  const apiKey = process.env[providerConfig.envVar]
 
   if (!apiKey || !apiKey.trim()) {
     throw new ConfigurationError(
@@ -128,18 +146,80 @@ export function isDebugMode() {
   )
 }
 
+/**
+ * Run settings set through environment variables
+ * @returns {Object} Settings keyed like the CLI options
+ */
+function getEnvSettings() {
+  return {
+    file: process.env[ENV_VARS.FIGTREE_FILE],
+    format: process.env[ENV_VARS.FIGTREE_FORMAT],
+    mode: process.env[ENV_VARS.FIGTREE_MODE],
+    provider: process.env[ENV_VARS.FIGTREE_PROVIDER],
+    model: process.env[ENV_VARS.FIGTREE_MODEL],
+    naming: process.env[ENV_VARS.FIGTREE_NAMING],
+    repairRounds: process.env[ENV_VARS.FIGTREE_REPAIR_ROUNDS],
+    maxCost: process.env[ENV_VARS.FIGTREE_MAX_COST],
+    concurrency: process.env[ENV_VARS.FIGTREE_CONCURRENCY]
+  }
+}
+
+// First value that is set, empty strings count as unset
+function firstSet(...values) {
+  return values.find(
+    (value) => value !== undefined && value !== null && value !== ''
+  )
+}
+
 /**
  * Get application configuration
+ *
+ * Run settings are merged with this precedence, highest first:
+ *   1. CLI flags
+ *   2. Environment variables (FIGTREE_FILE, FIGTREE_MODE, ...)
+ *   3. The target in the project config (for build)
+ *   4. The top level of the project config
+ *   5. Defaults
+ * @param {Object} [sources] - Setting sources
+ * @param {Object} [sources.project] - Result of loadProjectConfig
+ * @param {Object} [sources.cli] - Parsed CLI flags
  * @returns {Object} Application configuration
  */
-export function getAppConfig() {
+export function getAppConfig({ project = null, cli = {} } = {}) {
+  const env = getEnvSettings()
+  const setting = (key) => firstSet(cli[key], env[key], project?.config[key])
+
+  // Flags and variables override every target, format and output stay
+  // per target
+  const overrides = Object.fromEntries(
+    ['file', 'mode', 'provider', 'model', 'naming']
+      .map((key) => [key, firstSet(cli[key], env[key])])
+      .filter(([, value]) => value !== undefined)
+  )
+
   return {
     ...APP_CONFIG,
     debug: isDebugMode(),
     outputFile: getOutputFile(),
     maxRetries: DEFAULT_CONFIG.maxRetries,
     chunkSize: DEFAULT_CONFIG.chunkSize,
-    timeout: DEFAULT_CONFIG.timeout
+    timeout: DEFAULT_CONFIG.timeout,
+    configFile: project?.path || null,
+    file: setting('file'),
+    format: setting('format'),
+    mode: setting('mode'),
+    provider: setting('provider'),
+    model: setting('model'),
+    naming: setting('naming'),
+    repairRounds: setting('repairRounds'),
+    maxCost: setting('maxCost'),
+    concurrency: setting('concurrency'),
+    tokens: project?.config.tokens || null,
+    output: firstSet(cli.output),
+    targets: (project?.targets || []).map((target) => ({
+      ...target,
+      ...overrides
+    }))
   }
 }
 
@@ -213,6 +293,17 @@ export function getSetupInstructions(errorCode) {
         '  • GOOGLE_API_KEY for Google (Gemini)',
         '  • ANTHROPIC_API_KEY for Anthropic (Claude)',
         '  • DEEPSEEK_API_KEY for DeepSeek',
+        '  • FIGTREE_LOCAL_LLM_URL for a local OpenAI-compatible server',
+        ''
+      )
+      break
+
+    case 'MISSING_LOCAL_LLM_URL':
+      instructions.push(
+        '🏠 Local LLM Setup:',
+        '  Point figtree at your OpenAI-compatible server in .env:',
+        '  • FIGTREE_LOCAL_LLM_URL=http://localhost:11434/v1 (Ollama)',
+        '  • FIGTREE_LOCAL_LLM_MODEL=llama3.1 (optional)',
         ''
       )
       break
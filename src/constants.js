@@ -9,75 +9,27 @@ export const API_CONFIG = {
   SERVER_ERROR_RETRY_DELAY: 5000, // 5 seconds
   NETWORK_ERROR_RETRY_DELAY: 3000, // 3 seconds
   MAX_RETRIES: 3,
+  NODE_IDS_PER_REQUEST: 50, // Keeps /nodes URLs well below length limits
+  PAGE_STYLE_DEPTH: 2, // Levels of each page searched for local styles
   REQUEST_TIMEOUT: 30000 // 30 seconds
 }
 
-// Token Limits for AI Models
-export const TOKEN_LIMITS = {
-  'o4-mini': 200_000,
-  o3: 200_000,
-  'o3-pro': 200_000,
-  'o3-mini': 200_000,
-  o1: 200_000,
-  'o1-pro': 200_000,
-  'gemini-2.5-pro': 1_048_576,
-  'gemini-2.5-flash': 1_048_576,
-  'claude-opus-4-20250514': 200_000,
-  'claude-sonnet-4-20250514': 200_000,
-  'deepseek-chat': 64_000,
-  'deepseek-reasoner': 64_000
+// Watch mode polling
+export const WATCH_CONFIG = {
+  INTERVAL: 30000, // 30 seconds between checks by default
+  MAX_INTERVAL: 300000, // Backoff never waits longer than 5 minutes
+  IDLE_BACKOFF: 1.5, // Slow down while the file doesn't change
+  ERROR_BACKOFF: 2 // Slow down faster while checks fail
 }
 
-// Default token limits for unknown models
-export const DEFAULT_TOKEN_LIMITS = {
-  openai: 100_000,
-  anthropic: 100_000,
-  google: 100_000,
-  deepseek: 64_000
-}
-
-// AI Provider Configuration
-export const AI_PROVIDERS = {
-  openai: {
-    name: 'OpenAI',
-    envKey: 'OPENAI_API_KEY',
-    defaultModel: 'o4-mini',
-    models: {
-      'o4-mini': 'o4-mini',
-      o3: 'o3',
-      'o3-pro': 'o3-pro',
-      'o3-mini': 'o3-mini',
-      o1: 'o1',
-      'o1-pro': 'o1-pro'
-    }
-  },
-  anthropic: {
-    name: 'Anthropic',
-    envKey: 'ANTHROPIC_API_KEY',
-    defaultModel: 'claude-sonnet-4-20250514',
-    models: {
-      'claude-opus-4-20250514': 'Claude 4 Opus',
-      'claude-sonnet-4-20250514': 'Claude 4 Sonnet'
-    }
-  },
-  google: {
-    name: 'Google',
-    envKey: 'GOOGLE_API_KEY',
-    defaultModel: 'gemini-2.5-pro',
-    models: {
-      'gemini-2.5-pro': 'Gemini 2.5 Pro',
-      'gemini-2.5-flash': 'Gemini 2.5 Flash'
-    }
-  },
-  deepseek: {
-    name: 'DeepSeek',
-    envKey: 'DEEPSEEK_API_KEY',
-    defaultModel: 'deepseek-chat',
-    models: {
-      'deepseek-chat': 'DeepSeek Chat',
-      'deepseek-reasoner': 'DeepSeek Reasoner'
-    }
-  }
+// AI code generation
+export const AI_CONFIG = {
+  REPAIR_ROUNDS: 2, // Follow-up requests when generated code fails its checks
+  TEMPERATURE: 0.3, // Of code requests, token requests use the model's own
+  CONCURRENCY: 3, // Chunks generated at once
+  RETRIES: 3, // Times a request that failed on the way is sent again
+  RETRY_DELAY: 2000, // 2 seconds before the first retry, doubling after
+  MAX_RETRY_DELAY: 60000 // 60 seconds
 }
 
 // File Output Configuration
@@ -102,9 +54,16 @@ export const OUTPUT_CONFIG = {
     android: 'figma-styles.xml',
     swiftui: 'figma-styles.swift'
   },
-  PROMPT_FILENAME: 'figtree-prompt.txt'
+  PROMPT_FILENAME: 'figtree-prompt.txt',
+  LOCKFILE_FILENAME: 'figtree.lock.json'
 }
 
+// Supported code formats (in the order they are offered to the user)
+export const SUPPORTED_FORMATS = Object.keys(OUTPUT_CONFIG.EXTENSIONS)
+
+// Code generation modes
+export const GENERATION_MODES = ['ai', 'prompt', 'local']
+
 // Comment Formats for Code Generation
 export const COMMENT_FORMATS = {
   css: '/* comment */',
@@ -163,6 +122,21 @@ export const APP_CONFIG = {
 export const ENV_VARS = {
   FIGMA_TOKEN: 'FIGMA_TOKEN',
   FIGTREE_OUTPUT: 'FIGTREE_OUTPUT',
+  FIGTREE_FILE: 'FIGTREE_FILE',
+  FIGTREE_FORMAT: 'FIGTREE_FORMAT',
+  FIGTREE_MODE: 'FIGTREE_MODE',
+  FIGTREE_PROVIDER: 'FIGTREE_PROVIDER',
+  FIGTREE_MODEL: 'FIGTREE_MODEL',
+  FIGTREE_NAMING: 'FIGTREE_NAMING',
+  FIGTREE_REPAIR_ROUNDS: 'FIGTREE_REPAIR_ROUNDS',
+  FIGTREE_MAX_COST: 'FIGTREE_MAX_COST',
+  FIGTREE_CONCURRENCY: 'FIGTREE_CONCURRENCY',
+  FIGTREE_CACHE_DIR: 'FIGTREE_CACHE_DIR',
+  FIGMA_API_URL: 'FIGMA_API_URL',
+  FIGTREE_RECORD_DIR: 'FIGTREE_RECORD_DIR',
+  FIGTREE_LOCAL_LLM_URL: 'FIGTREE_LOCAL_LLM_URL',
+  FIGTREE_LOCAL_LLM_MODEL: 'FIGTREE_LOCAL_LLM_MODEL',
+  FIGTREE_LOCAL_LLM_API_KEY: 'FIGTREE_LOCAL_LLM_API_KEY',
   OPENAI_API_KEY: 'OPENAI_API_KEY',
   ANTHROPIC_API_KEY: 'ANTHROPIC_API_KEY',
   GOOGLE_API_KEY: 'GOOGLE_API_KEY',
@@ -0,0 +1,108 @@
+/**
+ * Cost of AI generation
+ *
+ * Prices come from the provider registry, in US dollars per million input
+ * and output tokens. Before a generation the estimated tokens of every
+ * request give the expected cost, which --max-cost can cap; afterwards the
+ * usage the providers report gives what it actually cost. Models without a
+ * price have no cost rather than a free one.
+ */
+import logger from './logger.js'
+import { getModelInfo } from './providers.js'
+import { ValidationError } from './errors.js'
+
+/**
+ * Cost of tokens with a model
+ * @param {string} provider - Provider id
+ * @param {string} model - Model id
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @returns {number|null} US dollars, null when the model has no pricing
+ */
+export function getCost(provider, model, { inputTokens, outputTokens }) {
+  const { pricing } = getModelInfo(provider, model)
+  if (!pricing) return null
+
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1e6
+}
+
+/**
+ * Format a cost for the terminal
+ * @param {number|null} cost - US dollars
+ * @returns {string} Cost with enough digits to tell small ones apart
+ */
+export function formatCost(cost) {
+  if (cost === null) return 'cost unknown'
+  if (cost === 0) return '$0'
+  return `$${cost.toFixed(cost < 0.01 ? 4 : 2)}`
+}
+
+/**
+ * Format the tokens and cost of requests
+ * @param {Object} usage - { inputTokens, outputTokens, cost }
+ * @param {boolean} [estimate] - Whether the tokens are estimated
+ * @returns {string} Tokens and cost
+ */
+export function formatUsage({ inputTokens, outputTokens, cost }, estimate) {
+  const about = estimate ? '~' : ''
+  return `${about}${inputTokens.toLocaleString()} input + ${about}${outputTokens.toLocaleString()} output tokens, ${formatCost(
+    cost
+  )}`
+}
+
+/**
+ * Check a cost against the most a run may spend
+ * @param {number|null} cost - US dollars
+ * @param {number} [maxCost] - Limit from --max-cost, none when not set
+ * @param {string} [what] - What the cost is of, for the error
+ * @throws {ValidationError} When the cost is above the limit, or unknown
+ * while there is one
+ */
+export function checkCostLimit(cost, maxCost, what = 'Estimated cost') {
+  if (maxCost === null || maxCost === undefined) return
+
+  if (cost === null) {
+    throw new ValidationError(
+      `${what} can't be checked against --max-cost, the model has no pricing. Add its pricing to the providers in the project config`,
+      'UNKNOWN_COST'
+    )
+  }
+  if (cost > maxCost) {
+    throw new ValidationError(
+      `${what} ${formatCost(cost)} is above --max-cost ${formatCost(maxCost)}`,
+      'COST_LIMIT_EXCEEDED'
+    )
+  }
+}
+
+/**
+ * Add up the usage of the requests of a run
+ * @param {string} provider - Provider id
+ * @param {string} model - Model id
+ * @param {number} [maxCost] - Limit from --max-cost
+ * @returns {Object} { total, add } where add(usage) takes the
+ * { label, inputTokens, outputTokens } of a request and throws once the
+ * total goes above maxCost, which repair rounds can do after an estimate
+ * that was below it
+ */
+export function createUsageTracker(provider, model, maxCost) {
+  const total = { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 }
+
+  return {
+    total,
+    add({ label, inputTokens, outputTokens }) {
+      logger.debug(
+        `[figtree] ${label || 'Response'} used ${formatUsage({
+          inputTokens,
+          outputTokens,
+          cost: getCost(provider, model, { inputTokens, outputTokens })
+        })}`
+      )
+
+      total.requests++
+      total.inputTokens += inputTokens
+      total.outputTokens += outputTokens
+      total.cost = getCost(provider, model, total)
+      checkCostLimit(total.cost, maxCost, 'Cost so far')
+    }
+  }
+}
@@ -0,0 +1,452 @@
+/**
+ * Token diffs
+ *
+ * Compares two extractions of the same file. Both sides are first normalized
+ * to a flat token list, which is also what snapshots store, so a Figma
+ * version can be compared with a snapshot taken earlier. Styles and
+ * variables keep their id across edits: a token whose id survives but whose
+ * name differs was renamed, one whose value differs was changed.
+ */
+import fs from 'fs'
+import { ValidationError } from './errors.js'
+import { colorToCss, formatNumber } from './colors.js'
+
+// Style groups of getStylesFromFile, named like the token types
+const STYLE_GROUPS = ['fill', 'text', 'effect', 'grid']
+
+// Snapshot layout version, bumped when the token shape changes
+export const SNAPSHOT_VERSION = 1
+
+/**
+ * Report formats of formatDiff
+ */
+export const DIFF_REPORTS = ['text', 'markdown', 'json']
+
+/**
+ * JSON with object keys sorted, so equal values always give equal strings
+ * @param {*} value - JSON serializable value
+ * @returns {string} JSON
+ */
+export function stableStringify(value) {
+  return JSON.stringify(value, (key, item) =>
+    item && typeof item === 'object' && !Array.isArray(item)
+      ? Object.fromEntries(
+        Object.keys(item)
+          .sort()
+          .map((name) => [name, item[name]])
+      )
+      : item
+  )
+}
+
+/**
+ * Flatten the styles and variables of an extraction into tokens
+ * @param {Object} styles - Result of getStylesFromFile
+ * @returns {Object[]} Tokens as { type, id, name, value }, sorted by type
+ * and name
+ */
+export function normalizeTokens(styles) {
+  const tokens = []
+
+  for (const type of STYLE_GROUPS) {
+    for (const style of styles?.styles?.[type] || []) {
+      tokens.push({
+        type,
+        id: style.id,
+        name: style.name,
+        value: style.values ?? null
+      })
+    }
+  }
+
+  for (const variable of styles?.variables?.variables || []) {
+    tokens.push({
+      type: 'variable',
+      id: variable.id,
+      name: variable.name,
+      value: {
+        collection: variable.collection,
+        resolvedType: variable.type,
+        valuesByMode: variable.valuesByMode,
+        aliasesByMode: variable.aliasesByMode
+      }
+    })
+  }
+
+  return tokens.sort(
+    (a, b) =>
+      a.type.localeCompare(b.type) ||
+      a.name.localeCompare(b.name) ||
+      a.id.localeCompare(b.id)
+  )
+}
+
+/**
+ * Compare two token lists
+ * @param {Object[]} before - Earlier tokens (normalizeTokens)
+ * @param {Object[]} after - Later tokens (normalizeTokens)
+ * @returns {Object} { added, removed, renamed, changed } lists of
+ * { type, id, name } (renamed entries add previousName, changed entries
+ * previousValue and value)
+ */
+export function diffTokens(before, after) {
+  const key = (token) => `${token.type}:${token.id}`
+  const previous = new Map(before.map((token) => [key(token), token]))
+  const next = new Map(after.map((token) => [key(token), token]))
+  const diff = { added: [], removed: [], renamed: [], changed: [] }
+
+  for (const token of after) {
+    const old = previous.get(key(token))
+    if (!old) {
+      diff.added.push({ type: token.type, id: token.id, name: token.name })
+      continue
+    }
+
+    if (old.name !== token.name) {
+      diff.renamed.push({
+        type: token.type,
+        id: token.id,
+        name: token.name,
+        previousName: old.name
+      })
+    }
+
+    if (stableStringify(old.value) !== stableStringify(token.value)) {
+      diff.changed.push({
+        type: token.type,
+        id: token.id,
+        name: token.name,
+        previousValue: old.value,
+        value: token.value
+      })
+    }
+  }
+
+  for (const token of before) {
+    if (!next.has(key(token))) {
+      diff.removed.push({ type: token.type, id: token.id, name: token.name })
+    }
+  }
+
+  return diff
+}
+
+/**
+ * Compare two extractions of a file
+ * @param {Object} previous - Earlier result of getStylesFromFile
+ * @param {Object} next - Later result of getStylesFromFile
+ * @returns {Object} See diffTokens
+ */
+export function diffStyles(previous, next) {
+  return diffTokens(normalizeTokens(previous), normalizeTokens(next))
+}
+
+/**
+ * Whether a diff has no changes
+ * @param {Object} diff - Result of diffTokens
+ * @returns {boolean} True when nothing changed
+ */
+export function isEmptyDiff(diff) {
+  return (
+    diff.added.length === 0 &&
+    diff.removed.length === 0 &&
+    diff.renamed.length === 0 &&
+    diff.changed.length === 0
+  )
+}
+
+/**
+ * Snapshot of the tokens of an extraction, to compare against later
+ * @param {Object} styles - Result of getStylesFromFile
+ * @returns {Object} { snapshotVersion, fileKey, fileName, version,
+ * lastModified, tokens }
+ */
+export function createSnapshot(styles) {
+  return {
+    snapshotVersion: SNAPSHOT_VERSION,
+    fileKey: styles.fileInfo?.key || null,
+    fileName: styles.fileInfo?.name || null,
+    version: styles.fileInfo?.version || null,
+    lastModified: styles.fileInfo?.lastModified || null,
+    tokens: normalizeTokens(styles)
+  }
+}
+
+/**
+ * Read a snapshot, or any file that holds one such as a lockfile
+ * @param {string} file - Snapshot path
+ * @returns {Object} Snapshot
+ * @throws {ValidationError} If the file can't be read or holds no tokens
+ */
+export function readSnapshot(file) {
+  let snapshot
+  try {
+    snapshot = JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (error) {
+    throw new ValidationError(
+      `Could not read snapshot ${file}: ${error.message}`,
+      'INVALID_SNAPSHOT'
+    )
+  }
+
+  if (!Array.isArray(snapshot?.tokens)) {
+    throw new ValidationError(
+      `${file} is not a token snapshot (no tokens list)`,
+      'INVALID_SNAPSHOT'
+    )
+  }
+  if (snapshot.snapshotVersion > SNAPSHOT_VERSION) {
+    throw new ValidationError(
+      `${file} was written by a newer figtree (snapshot version ${snapshot.snapshotVersion})`,
+      'INVALID_SNAPSHOT'
+    )
+  }
+
+  return snapshot
+}
+
+// Colors as CSS, numbers without float noise, everything else as JSON
+function formatValue(value) {
+  if (value === undefined || value === null) {
+    return '–'
+  }
+  if (value && typeof value === 'object' && 'r' in value && 'g' in value) {
+    return colorToCss(value)
+  }
+  if (typeof value === 'number') {
+    return formatNumber(value)
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value)
+}
+
+/**
+ * Short human readable form of a token value
+ * @param {string} type - Token type
+ * @param {Object} value - Token value
+ * @returns {string} Description
+ */
+export function describeValue(type, value) {
+  if (!value) return 'none'
+
+  switch (type) {
+    case 'fill':
+      return value.css || value.hex || 'no paint'
+    case 'text': {
+      const parts = [
+        value.fontFamily,
+        value.fontWeight,
+        `${formatValue(value.fontSize)}/${formatValue(value.lineHeight)}`
+      ]
+      if (value.letterSpacing) {
+        parts.push(`letter spacing ${formatValue(value.letterSpacing)}`)
+      }
+      if (value.italic) parts.push('italic')
+      if (value.textCase && value.textCase !== 'ORIGINAL') {
+        parts.push(value.textCase.toLowerCase())
+      }
+      if (value.textDecoration && value.textDecoration !== 'NONE') {
+        parts.push(value.textDecoration.toLowerCase())
+      }
+      return parts.join(' ')
+    }
+    case 'effect':
+      return (value.effects || [])
+        .map((effect) =>
+          [
+            effect.type,
+            effect.offset &&
+              `${formatValue(effect.offset.x)} ${formatValue(effect.offset.y)}`,
+            formatValue(effect.radius),
+            effect.spread && formatValue(effect.spread),
+            effect.color && formatValue(effect.color)
+          ]
+            .filter(Boolean)
+            .join(' ')
+        )
+        .join(', ')
+    case 'grid':
+      return (value.grids || [])
+        .map((grid) =>
+          [
+            grid.pattern,
+            grid.count && `${grid.count}×`,
+            grid.sectionSize && formatValue(grid.sectionSize),
+            grid.gutterSize !== undefined &&
+              `gutter ${formatValue(grid.gutterSize)}`
+          ]
+            .filter(Boolean)
+            .join(' ')
+        )
+        .join(', ')
+    case 'variable':
+      return Object.entries(value.valuesByMode || {})
+        .map(([mode, modeValue]) => {
+          const alias = value.aliasesByMode?.[mode]?.name
+          return `${mode}: ${alias ? `{${alias}}` : formatValue(modeValue)}`
+        })
+        .join(', ')
+    default:
+      return stableStringify(value)
+  }
+}
+
+// Describe both sides of a change, falling back to the raw values when
+// the short forms look the same
+function describeChange(token) {
+  const before = describeValue(token.type, token.previousValue)
+  const after = describeValue(token.type, token.value)
+  return before === after
+    ? [stableStringify(token.previousValue), stableStringify(token.value)]
+    : [before, after]
+}
+
+// Counts for the summary line
+function countChanges(diff) {
+  return {
+    added: diff.added.length,
+    removed: diff.removed.length,
+    renamed: diff.renamed.length,
+    changed: diff.changed.length
+  }
+}
+
+function formatText(diff, { from, to }) {
+  const lines = [`Token changes from ${from} to ${to}`, '']
+
+  if (isEmptyDiff(diff)) {
+    return [...lines, 'No token changes.'].join('\n')
+  }
+
+  const section = (title, items, line) => {
+    if (items.length === 0) return
+    lines.push(`${title} (${items.length})`)
+    for (const item of items) lines.push(...[line(item)].flat())
+    lines.push('')
+  }
+
+  section('Added', diff.added, (token) => `  + ${token.type} ${token.name}`)
+  section('Removed', diff.removed, (token) => `  - ${token.type} ${token.name}`)
+  section(
+    'Renamed',
+    diff.renamed,
+    (token) => `  → ${token.type} ${token.previousName} → ${token.name}`
+  )
+  section('Changed', diff.changed, (token) => {
+    const [before, after] = describeChange(token)
+    return [`  ~ ${token.type} ${token.name}`, `      ${before} → ${after}`]
+  })
+
+  const counts = countChanges(diff)
+  lines.push(
+    `${Object.values(counts).reduce((sum, count) => sum + count, 0)} changes: ${
+      counts.added
+    } added, ${counts.removed} removed, ${counts.renamed} renamed, ${
+      counts.changed
+    } changed`
+  )
+  return lines.join('\n')
+}
+
+// Keep table cells on one line
+function cell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ')
+}
+
+function formatMarkdown(diff, { from, to }) {
+  const lines = ['## Design token changes', '', `${from} → ${to}`, '']
+
+  if (isEmptyDiff(diff)) {
+    return [...lines, 'No token changes.'].join('\n')
+  }
+
+  // Consumers referencing these names stop compiling or lose their values
+  const breaking = diff.removed.length + diff.renamed.length
+  if (breaking > 0) {
+    lines.push(
+      `> ⚠️ **Breaking:** ${breaking} token(s) removed or renamed.`,
+      ''
+    )
+  }
+
+  if (diff.added.length > 0) {
+    lines.push(`### Added (${diff.added.length})`, '')
+    for (const token of diff.added) {
+      lines.push(`- \`${token.name}\` (${token.type})`)
+    }
+    lines.push('')
+  }
+
+  if (diff.removed.length > 0) {
+    lines.push(`### Removed (${diff.removed.length})`, '')
+    for (const token of diff.removed) {
+      lines.push(`- ~~\`${token.name}\`~~ (${token.type})`)
+    }
+    lines.push('')
+  }
+
+  if (diff.renamed.length > 0) {
+    lines.push(`### Renamed (${diff.renamed.length})`, '')
+    for (const token of diff.renamed) {
+      lines.push(
+        `- \`${token.previousName}\` → \`${token.name}\` (${token.type})`
+      )
+    }
+    lines.push('')
+  }
+
+  if (diff.changed.length > 0) {
+    lines.push(
+      `### Changed (${diff.changed.length})`,
+      '',
+      '| Token | Type | Before | After |',
+      '| --- | --- | --- | --- |'
+    )
+    for (const token of diff.changed) {
+      const [before, after] = describeChange(token)
+      lines.push(
+        `| \`${cell(token.name)}\` | ${token.type} | ${cell(before)} | ${cell(
+          after
+        )} |`
+      )
+    }
+    lines.push('')
+  }
+
+  return lines.join('\n').trimEnd()
+}
+
+function formatJson(diff, { from, to }) {
+  return JSON.stringify(
+    { from, to, summary: countChanges(diff), ...diff },
+    null,
+    2
+  )
+}
+
+/**
+ * Render a diff as a report
+ * @param {Object} diff - Result of diffTokens
+ * @param {string} report - One of DIFF_REPORTS
+ * @param {Object} labels - Descriptions of the compared sides
+ * @param {string} labels.from - Earlier side
+ * @param {string} labels.to - Later side
+ * @returns {string} Report
+ * @throws {ValidationError} If the report format is unknown
+ */
+export function formatDiff(diff, report, labels) {
+  switch (report) {
+    case 'text':
+      return formatText(diff, labels)
+    case 'markdown':
+      return formatMarkdown(diff, labels)
+    case 'json':
+      return formatJson(diff, labels)
+    default:
+      throw new ValidationError(
+        `Unknown report format '${report}'. Expected one of: ${DIFF_REPORTS.join(
+          ', '
+        )}`,
+        'INVALID_REPORT'
+      )
+  }
+}
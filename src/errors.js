@@ -285,7 +285,9 @@ export function withErrorHandling(fn, context = 'Operation') {
 /**
  * Retry function with exponential backoff
  * @param {Function} fn - Function to retry
- * @param {Object} options - Retry options
+ * @param {Object} options - Retry options. retryAfter(error) returns the
+ * milliseconds a server asked to wait, used instead of the backoff when
+ * set (up to maxDelay), and onRetry(error, attempt, delay) is called before every wait
  * @returns {Promise} Function result
  */
 export async function retry(fn, options = {}) {
@@ -295,7 +297,9 @@ export async function retry(fn, options = {}) {
     maxDelay = 30000,
     backoffFactor = 2,
     shouldRetry = (error) =>
-      error instanceof NetworkError || error instanceof RateLimitError
+      error instanceof NetworkError || error instanceof RateLimitError,
+    retryAfter = () => undefined,
+    onRetry = () => {}
   } = options
 
   let lastError
@@ -318,7 +322,9 @@ export async function retry(fn, options = {}) {
       }
 
       // Wait before retry
-      await new Promise((resolve) => setTimeout(resolve, delay))
+      const wait = Math.min(retryAfter(error) ?? delay, maxDelay)
+      onRetry(error, attempt + 1, wait)
+      await new Promise((resolve) => setTimeout(resolve, wait))
 
       // Exponential backoff
       delay = Math.min(delay * backoffFactor, maxDelay)
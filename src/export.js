@@ -1,254 +1,20 @@
 import fs from 'fs'
+import path from 'path'
 import logger from './logger.js'
+import { compressStylesForAI } from './compress.js'
+import { getThemingGuidelines } from './themes.js'
+import { getNamingGuidelines } from './generators.js'
+import { countTokens, estimateTokens } from './tokens.js'
 
-// Compress styles data to reduce token usage (copied from ai-providers.js)
-function compressStylesForAI(styles) {
-  const compressed = {
-    colors: [],
-    typography: [],
-    effects: [],
-    spacing: []
-  }
-
-  // Extract detailed paint/color information
-  if (styles.styles?.fill) {
-    compressed.colors = styles.styles.fill
-      .map((style) => {
-        const paint = {
-          name: style.name,
-          type: style.values?.type || 'unknown'
-        }
-
-        // Common properties for all paint types
-        if (style.values?.opacity !== undefined) {
-          paint.opacity = style.values.opacity
-        }
-        if (style.values?.blendMode) paint.blendMode = style.values.blendMode
-
-        // SOLID paint properties
-        if (style.values?.type === 'SOLID') {
-          if (style.values?.color) paint.color = style.values.color
-          if (style.values?.hex) paint.hex = style.values.hex
-          if (style.values?.css) paint.css = style.values.css
-        }
-
-        // GRADIENT paint properties (LINEAR, RADIAL, ANGULAR, DIAMOND)
-        if (style.values?.type?.startsWith('GRADIENT_')) {
-          if (style.values?.gradientHandlePositions) {
-            paint.gradientHandlePositions =
-              style.values.gradientHandlePositions
-          }
-          if (style.values?.gradientStops) {
-            paint.gradientStops = style.values.gradientStops
-          }
-          if (style.values?.gradient) paint.gradient = style.values.gradient // Fallback if API uses different structure
-        }
-
-        // IMAGE paint properties
-        if (style.values?.type === 'IMAGE') {
-          if (style.values?.scaleMode) paint.scaleMode = style.values.scaleMode
-          if (style.values?.imageTransform) {
-            paint.imageTransform = style.values.imageTransform
-          }
-          if (style.values?.scalingFactor !== undefined) {
-            paint.scalingFactor = style.values.scalingFactor
-          }
-          if (style.values?.rotation !== undefined) {
-            paint.rotation = style.values.rotation
-          }
-          if (style.values?.imageRef) paint.imageRef = style.values.imageRef
-          if (style.values?.filters) paint.filters = style.values.filters
-          if (style.values?.gifRef) paint.gifRef = style.values.gifRef
-        }
-
-        // PATTERN paint properties (beta)
-        if (style.values?.type === 'PATTERN') {
-          if (style.values?.sourceNodeId) {
-            paint.sourceNodeId = style.values.sourceNodeId
-          }
-          if (style.values?.tileType) paint.tileType = style.values.tileType
-          if (style.values?.scalingFactor !== undefined) {
-            paint.scalingFactor = style.values.scalingFactor
-          }
-          if (style.values?.spacing) paint.spacing = style.values.spacing
-          if (style.values?.horizontalAlignment) {
-            paint.horizontalAlignment = style.values.horizontalAlignment
-          }
-          if (style.values?.verticalAlignment) {
-            paint.verticalAlignment = style.values.verticalAlignment
-          }
-        }
-
-        // Fallback to any available color representation
-        if (!paint.color && !paint.gradientStops && !paint.imageRef) {
-          if (style.values?.hex) paint.fallbackHex = style.values.hex
-          if (style.values?.css) paint.fallbackCss = style.values.css
-        }
-
-        return paint
-      })
-      .filter(
-        (paint) =>
-          paint.type !== 'unknown' || paint.fallbackHex || paint.fallbackCss
-      )
-  }
-
-  // Extract only essential typography information
-  if (styles.styles?.text) {
-    compressed.typography = styles.styles.text.map((style) => ({
-      name: style.name,
-      fontSize: style.values?.fontSize || 16,
-      fontFamily: style.values?.fontFamily || 'system',
-      fontWeight: style.values?.fontWeight || 'normal',
-      lineHeight: style.values?.lineHeight || 'normal',
-      letterSpacing: style.values?.letterSpacing || 'normal'
-    }))
-  }
-
-  // Extract detailed effect information
-  if (styles.styles?.effect) {
-    compressed.effects = styles.styles.effect
-      .map((style) => {
-        // Effects are stored in style.values.effects array
-        if (
-          !style.values?.effects ||
-          !Array.isArray(style.values.effects) ||
-          style.values.effects.length === 0
-        ) {
-          return null
-        }
-
-        // Take the first effect from the array (most Figma styles have one effect)
-        const effectData = style.values.effects[0]
-        const effect = {
-          name: style.name,
-          type: effectData.type || 'unknown'
-        }
-
-        // Add common properties
-        if (effectData.radius !== undefined) effect.radius = effectData.radius
-        if (effectData.blendMode) effect.blendMode = effectData.blendMode
-        if (effectData.visible !== undefined) {
-          effect.visible = effectData.visible
-        }
-
-        // Shadow-specific properties (INNER_SHADOW, DROP_SHADOW)
-        if (
-          effectData.type === 'INNER_SHADOW' ||
-          effectData.type === 'DROP_SHADOW'
-        ) {
-          if (effectData.color) effect.color = effectData.color
-          if (effectData.offset) effect.offset = effectData.offset
-          if (effectData.spread !== undefined) {
-            effect.spread = effectData.spread
-          }
-          if (effectData.showShadowBehindNode !== undefined) {
-            effect.showShadowBehindNode = effectData.showShadowBehindNode
-          }
-        }
-
-        // Blur-specific properties (LAYER_BLUR, BACKGROUND_BLUR)
-        if (
-          effectData.type === 'LAYER_BLUR' ||
-          effectData.type === 'BACKGROUND_BLUR'
-        ) {
-          if (effectData.blurType) effect.blurType = effectData.blurType
-          if (effectData.startRadius !== undefined) {
-            effect.startRadius = effectData.startRadius
-          }
-          if (effectData.startOffset) {
-            effect.startOffset = effectData.startOffset
-          }
-          if (effectData.endOffset) effect.endOffset = effectData.endOffset
-        }
-
-        // Noise-specific properties
-        if (effectData.type === 'NOISE') {
-          if (effectData.noiseSize !== undefined) {
-            effect.noiseSize = effectData.noiseSize
-          }
-          if (effectData.noiseType) effect.noiseType = effectData.noiseType
-          if (effectData.density !== undefined) {
-            effect.density = effectData.density
-          }
-          if (effectData.secondaryColor) {
-            effect.secondaryColor = effectData.secondaryColor
-          }
-          if (effectData.opacity !== undefined) {
-            effect.opacity = effectData.opacity
-          }
-        }
-
-        // Texture-specific properties
-        if (effectData.type === 'TEXTURE') {
-          if (effectData.noiseSize !== undefined) {
-            effect.noiseSize = effectData.noiseSize
-          }
-          if (effectData.clipToShape !== undefined) {
-            effect.clipToShape = effectData.clipToShape
-          }
-        }
-
-        // Include all effects from the array if there are multiple
-        if (style.values.effects.length > 1) {
-          effect.allEffects = style.values.effects
-        }
-
-        return effect
-      })
-      .filter((effect) => effect !== null && effect.type !== 'unknown')
-  }
-
-  // Extract grid/layout information
-  if (styles.styles?.grid) {
-    compressed.spacing = styles.styles.grid
-      .map((style) => {
-        const grid = {
-          name: style.name,
-          type: 'grid'
-        }
-
-        // Extract grid properties
-        if (style.values?.grids && style.values.grids.length > 0) {
-          const gridData = style.values.grids[0] // Take first grid
-          if (gridData.pattern) grid.pattern = gridData.pattern
-          if (gridData.sectionSize !== undefined) {
-            grid.sectionSize = gridData.sectionSize
-          }
-          if (gridData.gutterSize !== undefined) {
-            grid.gutterSize = gridData.gutterSize
-          }
-          if (gridData.offset !== undefined) grid.offset = gridData.offset
-          if (gridData.count !== undefined) grid.count = gridData.count
-          if (gridData.alignment) grid.alignment = gridData.alignment
-          if (gridData.color) grid.color = gridData.color
-        }
-
-        return grid
-      })
-      .filter((grid) => grid.pattern || grid.sectionSize !== undefined)
-  }
-
-  // Add summary stats
-  compressed.summary = {
-    totalColors: compressed.colors.length,
-    totalTypography: compressed.typography.length,
-    totalEffects: compressed.effects.length,
-    totalSpacing: compressed.spacing.length,
-    originalFileSize: JSON.stringify(styles).length
-  }
-
-  return compressed
-}
-
-export function generatePrompt(styleTree, llm, format) {
+export function generatePrompt(styleTree, llm, format, { naming } = {}) {
   // Use compressed styles instead of full object
   const compressedStyles = compressStylesForAI(styleTree)
   const stylesSummary = JSON.stringify(compressedStyles, null, 2)
 
-  // Estimate token usage
-  const originalTokens = Math.round(JSON.stringify(styleTree).length / 4)
-  const compressedTokens = Math.round(stylesSummary.length / 4)
+  // Token usage, with OpenAI's tokenizer as the LLM isn't known and
+  // estimated for the whole tree, which can hold the document
+  const originalTokens = estimateTokens(JSON.stringify(styleTree))
+  const compressedTokens = countTokens(stylesSummary)
 
   logger.tokenUsage(originalTokens, compressedTokens, 'Manual mode')
 
@@ -285,7 +51,10 @@ You are a code generation expert${llmText}.
 Convert these Figma design tokens to ${format} code:
 
 ${stylesSummary}
-
+${getThemingGuidelines(
+    compressedStyles.variableCollections,
+    format
+  )}${getNamingGuidelines(naming)}
 OUTPUT RULES:
 - Return ONLY valid ${format} code
 - NO explanations or descriptions outside of code
@@ -306,6 +75,7 @@ export function savePromptToFile(prompt, filename) {
     filename || process.env.FIGTREE_OUTPUT || './figtree-prompt.txt'
 
   try {
+    fs.mkdirSync(path.dirname(outputFile), { recursive: true })
     fs.writeFileSync(outputFile, prompt, 'utf8')
     logger.fileOperation('write', outputFile, 'success')
     return outputFile
@@ -1,15 +1,19 @@
 // src/figma.js
-import { getFigmaToken } from './config.js'
+import path from 'path'
+import { getFigmaApiUrl, getFigmaToken, getRecordDir } from './config.js'
 import logger from './logger.js'
-
-const BASE_URL = 'https://api.figma.com/v1'
+import { API_CONFIG } from './constants.js'
+import { cached, getCacheDir, hashKey, pruneCache } from './cache.js'
+import { recordFixture } from './fixtures.js'
+import { generateLocalCode } from './generators.js'
+import { parseFills } from './paints.js'
 
 async function fetchFromFigma(path, retries = 3) {
   const token = getFigmaToken()
 
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      const res = await fetch(`${BASE_URL}${path}`, {
+      const res = await fetch(`${getFigmaApiUrl()}${path}`, {
         headers: {
           'X-Figma-Token': token,
           'Content-Type': 'application/json'
@@ -59,7 +63,15 @@ async function fetchFromFigma(path, retries = 3) {
         }
       }
 
-      return res.json()
+      const data = await res.json()
+
+      const recordDir = getRecordDir()
+      if (recordDir) {
+        const file = recordFixture(recordDir, path, data)
+        logger.debug(`[figtree] Recorded ${path} to ${file}`)
+      }
+
+      return data
     } catch (error) {
       if (attempt === retries) {
         // Add network-specific error handling
@@ -112,14 +124,25 @@ export function validateFileKey(fileKey) {
   return fileKeyRegex.test(fileKey.trim()) && fileKey.trim().length > 10
 }
 
-export async function getFileInfo(fileKey) {
+/**
+ * Get the name, version and style map of a file without its content
+ * @param {string} fileKey - Figma file key
+ * @param {Object} [options] - Options
+ * @param {string} [options.version] - Version id to read instead of the
+ * current version
+ * @returns {Promise<Object>} File info
+ */
+export async function getFileInfo(fileKey, { version } = {}) {
   if (!validateFileKey(fileKey)) {
     throw new Error('Invalid file key format')
   }
 
   logger.debug(`[figtree] Getting file info for: ${fileKey}`)
 
-  const data = await fetchFromFigma(`/files/${fileKey}`)
+  // depth=1 stops at the pages, enough to tell which version is current
+  const data = await fetchFromFigma(
+    withVersion(`/files/${fileKey}?depth=1`, version)
+  )
 
   return {
     name: data.name,
@@ -127,11 +150,97 @@ export async function getFileInfo(fileKey) {
     lastModified: data.lastModified,
     thumbnailUrl: data.thumbnailUrl,
     version: data.version,
-    document: data.document
+    document: data.document,
+    styles: data.styles || {}
+  }
+}
+
+// API path reading a past version, unchanged for the current one
+function withVersion(apiPath, version) {
+  if (!version) return apiPath
+  const separator = apiPath.includes('?') ? '&' : '?'
+  return `${apiPath}${separator}version=${encodeURIComponent(version)}`
+}
+
+/**
+ * List the saved versions of a file, newest first
+ * @param {string} fileKey - Figma file key
+ * @returns {Promise<Object[]>} Versions as { id, createdAt, label,
+ * description, user }
+ */
+export async function getFileVersions(fileKey) {
+  if (!validateFileKey(fileKey)) {
+    throw new Error('Invalid file key format')
+  }
+
+  const data = await fetchFromFigma(`/files/${fileKey}/versions`)
+
+  return (data.versions || []).map((version) => ({
+    id: version.id,
+    createdAt: version.created_at,
+    label: version.label || null,
+    description: version.description || null,
+    user: version.user?.handle || null
+  }))
+}
+
+/**
+ * Directory holding the cached responses of one version of a file
+ * @param {string} fileKey - Figma file key
+ * @param {Object} fileInfo - File info with version and lastModified
+ * @returns {string} Directory path
+ */
+function fileCacheDir(fileKey, fileInfo) {
+  return path.join(
+    getCacheDir(),
+    'figma',
+    fileKey,
+    hashKey(fileInfo.version, fileInfo.lastModified)
+  )
+}
+
+/**
+ * Load a response that belongs to a file through the on-disk cache. Entries
+ * are keyed by the file version, so an edited file never reads old ones.
+ * @param {string} fileKey - Figma file key
+ * @param {string} apiPath - API path, identifies the entry
+ * @param {Function} load - Loads the response on a miss
+ * @param {Object} [options] - Cache options
+ * @param {Object} [options.fileInfo] - Current file info, nothing is cached
+ * without it
+ * @param {boolean} [options.cache=true] - Use the cache
+ * @param {boolean} [options.refresh=false] - Ignore cached responses
+ * @returns {Promise<*>} Response
+ */
+function cachedFileRequest(fileKey, apiPath, load, options = {}) {
+  if (!options.fileInfo || options.cache === false) {
+    return load()
   }
+
+  const file = path.join(
+    fileCacheDir(fileKey, options.fileInfo),
+    `${hashKey(apiPath)}.json`
+  )
+  return cached(file, load, options)
 }
 
-export async function getStylesFromFile(fileKey) {
+/**
+ * Extract styles and variables from a file
+ * @param {string} fileKey - Figma file key
+ * @param {Object} [options] - Options
+ * @param {Object} [options.fileInfo] - Result of getFileInfo, fetched when
+ * missing and the cache is on
+ * @param {boolean} [options.cache=true] - Reuse responses cached for the
+ * current file version
+ * @param {boolean} [options.refresh=false] - Download again and replace the
+ * cached responses
+ * @param {string} [options.version] - Read a past version (pass its
+ * fileInfo too). Variables have no history in the API and are left out;
+ * styles are the published ones and those its pages used, as they were at
+ * that version.
+ * @returns {Promise<Object>} Extracted styles
+ */
+export async function getStylesFromFile(fileKey, options = {}) {
   if (!validateFileKey(fileKey)) {
     throw new Error('Invalid file key format')
   }
@@ -139,17 +248,26 @@ export async function getStylesFromFile(fileKey) {
   logger.debug(`[figtree] Fetching styles from file: ${fileKey}`)
 
   try {
-    // Get file data using Files API
-    const fileData = await fetchFromFigma(`/files/${fileKey}`)
-    logger.debug(`[figtree] File data retrieved for ${fileKey}`)
+    const cacheOptions = { ...options }
+    if (!cacheOptions.fileInfo) {
+      cacheOptions.fileInfo = await getFileInfo(fileKey, options)
+    }
+    const { fileInfo, version } = cacheOptions
+
+    // Responses of older versions are never read again, unless a past
+    // version is what's being read
+    if (cacheOptions.cache !== false && !version) {
+      const versionDir = fileCacheDir(fileKey, fileInfo)
+      pruneCache(path.dirname(versionDir), path.basename(versionDir))
+    }
 
     // Extract and organize styles from file data
     const extractedStyles = {
       fileInfo: {
-        name: fileData.name,
+        name: fileInfo.name,
         key: fileKey,
-        lastModified: fileData.lastModified,
-        version: fileData.version
+        lastModified: fileInfo.lastModified,
+        version: fileInfo.version
       },
       styles: {
         fill: [],
@@ -158,32 +276,58 @@ export async function getStylesFromFile(fileKey) {
         grid: []
       },
       raw: {
-        file: fileData
+        file: fileInfo
       }
     }
 
-    // Process styles from the file data (they're in fileData.styles)
-    if (fileData.styles && Object.keys(fileData.styles).length > 0) {
+    let styleInfos = await getStyleMetadata(fileKey, cacheOptions)
+
+    // Without any styles, the colors and fonts the document uses are all
+    // there is to go on
+    if (Object.keys(styleInfos).length === 0) {
       logger.debug(
-        `[figtree] Found ${Object.keys(fileData.styles).length} styles in file`
+        `[figtree] No style metadata found, downloading the document of ${fileKey}`
       )
+      const filePath = withVersion(`/files/${fileKey}`, version)
+      const fileData = await cachedFileRequest(
+        fileKey,
+        filePath,
+        () => fetchFromFigma(filePath),
+        cacheOptions
+      )
+      styleInfos = fileData.styles || {}
+      extractedStyles.raw.file = fileData
 
-      // Extract style node IDs for the second API call
-      const styleNodeIds = Object.keys(fileData.styles)
+      // Also extract styles from the document structure for additional context
+      if (fileData.document && fileData.document.children) {
+        const documentStyles = extractStylesFromDocument(fileData.document)
+        extractedStyles.documentStyles = documentStyles
+      }
+    }
 
-      // Fetch actual style definitions using nodes API
-      const nodesUrl = `/files/${fileKey}/nodes?ids=${styleNodeIds.join(',')}`
+    // Process styles from the style metadata
+    if (Object.keys(styleInfos).length > 0) {
+      logger.debug(
+        `[figtree] Found ${Object.keys(styleInfos).length} styles in file`
+      )
 
-      const nodesData = await fetchFromFigma(nodesUrl)
+      // Fetch actual style definitions using nodes API
+      const nodes = await getNodes(
+        fileKey,
+        Object.keys(styleInfos),
+        cacheOptions
+      )
       logger.debug('[figtree] Style definitions retrieved')
 
       // Process each style with its full definition
-      for (const [styleId, styleInfo] of Object.entries(fileData.styles)) {
-        const styleNode = nodesData.nodes[styleId]
+      for (const [styleId, styleInfo] of Object.entries(styleInfos)) {
+        const styleNode = nodes[styleId]
 
         const style = {
           id: styleId,
-          name: styleInfo.name,
+          // Published metadata is always current, a past version has the
+          // name its style node had back then
+          name: (version && styleNode?.document?.name) || styleInfo.name,
           description: styleInfo.description,
           key: styleInfo.key,
           styleType: styleInfo.styleType,
@@ -212,6 +356,10 @@ export async function getStylesFromFile(fileKey) {
               extractedStyles.styles.grid.push(style)
               break
           }
+        } else if (version) {
+          logger.debug(
+            `[figtree] Style ${styleId} (${styleInfo.name}) doesn't exist in version ${version}`
+          )
         } else {
           logger.warn(
             `[figtree] Warning: No definition found for style ${styleId} (${styleInfo.name})`
@@ -222,19 +370,20 @@ export async function getStylesFromFile(fileKey) {
       logger.info('[figtree] No styles found in file data')
     }
 
-    // Also extract styles from the document structure for additional context
-    if (fileData.document && fileData.document.children) {
-      const documentStyles = extractStylesFromDocument(fileData.document)
-      extractedStyles.documentStyles = documentStyles
-    }
+    // Variables live behind their own endpoints
+    extractedStyles.variables = version
+      ? { collections: [], variables: [] }
+      : await getVariablesFromFile(fileKey, cacheOptions)
 
     // Add summary
     extractedStyles.summary = {
-      totalStyles: Object.keys(fileData.styles || {}).length,
+      totalStyles: Object.keys(styleInfos).length,
       fillStyles: extractedStyles.styles.fill.length,
       textStyles: extractedStyles.styles.text.length,
       effectStyles: extractedStyles.styles.effect.length,
-      gridStyles: extractedStyles.styles.grid.length
+      gridStyles: extractedStyles.styles.grid.length,
+      variables: extractedStyles.variables.variables.length,
+      variableCollections: extractedStyles.variables.collections.length
     }
 
     return extractedStyles
@@ -246,31 +395,270 @@ export async function getStylesFromFile(fileKey) {
   }
 }
 
-// Helper functions to parse different style types
-function parseFillStyle(document) {
-  const values = {}
+/**
+ * Style metadata by node id without downloading the document: the styles
+ * map of the shallow file info, those of the top levels of its pages and
+ * the file's published styles. Local styles that aren't published are only
+ * listed by the nodes that use them, so the ones used deeper than
+ * API_CONFIG.PAGE_STYLE_DEPTH levels into a page are not found.
+ * @param {string} fileKey - Figma file key
+ * @param {Object} options - Cache options with fileInfo
+ * @returns {Promise<Object>} Style metadata by node id
+ */
+async function getStyleMetadata(fileKey, options) {
+  const styles = { ...options.fileInfo.styles }
+
+  const pageIds = (options.fileInfo.document?.children || []).map(
+    (page) => page.id
+  )
+  const pages = await getNodes(
+    fileKey,
+    pageIds,
+    options,
+    API_CONFIG.PAGE_STYLE_DEPTH
+  )
+  for (const id of pageIds) Object.assign(styles, pages[id]?.styles)
+
+  const stylesPath = `/files/${fileKey}/styles`
+  const published = await cachedFileRequest(
+    fileKey,
+    stylesPath,
+    () => fetchOptionalMeta(stylesPath),
+    options
+  )
 
-  if (document.fills && document.fills.length > 0) {
-    const fill = document.fills[0] // Take the first fill
-    values.type = fill.type
+  for (const style of published?.styles || []) {
+    styles[style.node_id] = {
+      key: style.key,
+      name: style.name,
+      description: style.description,
+      styleType: style.style_type,
+      remote: false,
+      ...styles[style.node_id]
+    }
+  }
 
-    if (fill.type === 'SOLID' && fill.color) {
-      values.color = {
-        r: fill.color.r,
-        g: fill.color.g,
-        b: fill.color.b,
-        a: fill.opacity || 1
-      }
-      values.hex = rgbToHex(fill.color)
-      values.css = `rgba(${Math.round(fill.color.r * 255)}, ${Math.round(
-        fill.color.g * 255
-      )}, ${Math.round(fill.color.b * 255)}, ${fill.opacity || 1})`
-    } else if (fill.type === 'GRADIENT') {
-      values.gradient = fill.gradientStops
+  return styles
+}
+
+/**
+ * Fetch nodes of a file in batches, so long id lists never exceed URL
+ * length limits. Geometry is left out (it is only sent with geometry=paths)
+ * and depth limits the descendants of each node.
+ * @param {string} fileKey - Figma file key
+ * @param {string[]} nodeIds - Node ids
+ * @param {Object} [options] - Cache options, see getStylesFromFile
+ * @param {number} [depth=1] - Levels of descendants, 1 for the children
+ * @returns {Promise<Object>} Nodes by id as returned by /nodes
+ */
+async function getNodes(fileKey, nodeIds, options = {}, depth = 1) {
+  const nodes = {}
+
+  for (
+    let start = 0;
+    start < nodeIds.length;
+    start += API_CONFIG.NODE_IDS_PER_REQUEST
+  ) {
+    const ids = nodeIds
+      .slice(start, start + API_CONFIG.NODE_IDS_PER_REQUEST)
+      .map(encodeURIComponent)
+      .join(',')
+    const nodesPath = withVersion(
+      `/files/${fileKey}/nodes?ids=${ids}&depth=${depth}`,
+      options.version
+    )
+
+    const data = await cachedFileRequest(
+      fileKey,
+      nodesPath,
+      () => fetchFromFigma(nodesPath),
+      options
+    )
+    Object.assign(nodes, data.nodes)
+  }
+
+  return nodes
+}
+
+/**
+ * Fetch an endpoint that not every file or plan has, treating "not
+ * available" as no data (the Variables REST API requires an Enterprise plan
+ * and the file_variables:read scope, everyone else gets a 403; files without
+ * a team library have no published styles)
+ * @param {string} path - API path
+ * @returns {Promise<Object|null>} Response meta or null
+ */
+async function fetchOptionalMeta(path) {
+  try {
+    const data = await fetchFromFigma(path)
+    return data.meta || null
+  } catch (error) {
+    if (
+      error.message.includes('Access denied') ||
+      error.message.includes('Resource not found')
+    ) {
+      logger.debug(`[figtree] Not available (${path}): ${error.message}`)
+      return null
     }
+    throw error
   }
+}
 
-  return values
+/**
+ * Get local and published variables with aliases resolved for every mode
+ * @param {string} fileKey - Figma file key
+ * @param {Object} [options] - Cache options, see getStylesFromFile
+ * @returns {Promise<Object>} Variable collections and variables
+ */
+export async function getVariablesFromFile(fileKey, options = {}) {
+  if (!validateFileKey(fileKey)) {
+    throw new Error('Invalid file key format')
+  }
+
+  logger.debug(`[figtree] Fetching variables from file: ${fileKey}`)
+
+  // "Not available" is cached too, it holds for the whole version
+  const fetchMeta = (apiPath) =>
+    cachedFileRequest(
+      fileKey,
+      apiPath,
+      () => fetchOptionalMeta(apiPath),
+      options
+    )
+
+  const local = await fetchMeta(`/files/${fileKey}/variables/local`)
+  if (!local) {
+    return { collections: [], variables: [] }
+  }
+
+  const published = await fetchMeta(`/files/${fileKey}/variables/published`)
+
+  return parseVariables(local, published)
+}
+
+/**
+ * Turn the Variables API response into collections and resolved variables
+ * @param {Object} local - meta of /variables/local
+ * @param {Object|null} published - meta of /variables/published
+ * @returns {Object} { collections, variables }
+ */
+export function parseVariables(local, published = null) {
+  const rawVariables = local.variables || {}
+  const rawCollections = local.variableCollections || {}
+  const publishedIds = new Set(Object.keys(published?.variables || {}))
+
+  const collections = Object.values(rawCollections).map((collection) => {
+    const defaultMode = collection.modes.find(
+      (mode) => mode.modeId === collection.defaultModeId
+    )
+    return {
+      id: collection.id,
+      key: collection.key,
+      name: collection.name,
+      modes: collection.modes.map((mode) => mode.name),
+      defaultMode: defaultMode?.name || collection.modes[0]?.name,
+      remote: Boolean(collection.remote)
+    }
+  })
+
+  const variables = Object.values(rawVariables)
+    .filter((variable) => !variable.deletedButReferenced)
+    .map((variable) => {
+      const collection = rawCollections[variable.variableCollectionId]
+      const valuesByMode = {}
+      const aliasesByMode = {}
+
+      for (const mode of collection?.modes || []) {
+        const raw = variable.valuesByMode?.[mode.modeId]
+        const resolved = resolveVariableValue(
+          variable.id,
+          mode.name,
+          rawVariables,
+          rawCollections
+        )
+        if (resolved !== undefined) valuesByMode[mode.name] = resolved
+        if (raw?.type === 'VARIABLE_ALIAS') {
+          aliasesByMode[mode.name] = {
+            id: raw.id,
+            name: rawVariables[raw.id]?.name || null
+          }
+        }
+      }
+
+      return {
+        id: variable.id,
+        key: variable.key,
+        name: variable.name,
+        collection: collection?.name || null,
+        type: variable.resolvedType,
+        description: variable.description || '',
+        scopes: variable.scopes || [],
+        codeSyntax: variable.codeSyntax || {},
+        remote: Boolean(variable.remote),
+        published: publishedIds.has(variable.id),
+        valuesByMode,
+        aliasesByMode
+      }
+    })
+
+  return { collections, variables }
+}
+
+/**
+ * Follow alias chains to a concrete value for a mode. Aliases can point into
+ * another collection, so the mode is matched by name and falls back to that
+ * collection's default mode.
+ * @param {string} variableId - Variable to resolve
+ * @param {string} modeName - Mode name
+ * @param {Object} variables - Raw variables by id
+ * @param {Object} collections - Raw collections by id
+ * @param {Set} [seen] - Variables visited on this chain (cycle guard)
+ * @returns {*} Resolved value or undefined
+ */
+function resolveVariableValue(
+  variableId,
+  modeName,
+  variables,
+  collections,
+  seen = new Set()
+) {
+  if (seen.has(variableId)) {
+    logger.warn(`[figtree] Warning: Circular variable alias at ${variableId}`)
+    return undefined
+  }
+  seen.add(variableId)
+
+  // Aliases to library variables that aren't in this file can't be resolved
+  const variable = variables[variableId]
+  if (!variable) {
+    return undefined
+  }
+
+  const collection = collections[variable.variableCollectionId]
+  const mode =
+    collection?.modes.find((item) => item.name === modeName) ||
+    collection?.modes.find((item) => item.modeId === collection.defaultModeId)
+  const value = mode ? variable.valuesByMode?.[mode.modeId] : undefined
+
+  if (value && value.type === 'VARIABLE_ALIAS') {
+    return resolveVariableValue(
+      value.id,
+      modeName,
+      variables,
+      collections,
+      seen
+    )
+  }
+
+  return value
+}
+
+// Helper functions to parse different style types
+function parseFillStyle(document) {
+  // Keep the whole paint stack, not just the first paint
+  return document.fills && document.fills.length > 0
+    ? parseFills(document.fills)
+    : {}
 }
 
 function parseTextStyle(document) {
@@ -279,12 +667,22 @@ function parseTextStyle(document) {
   if (document.style) {
     const style = document.style
     values.fontFamily = style.fontFamily
+    values.fontPostScriptName = style.fontPostScriptName
     values.fontWeight = style.fontWeight
     values.fontSize = style.fontSize
+    values.italic = Boolean(style.italic)
+    // lineHeightPx is always set; the unit says how the designer defined it
+    // (PIXELS, FONT_SIZE_% or INTRINSIC_% for "Auto")
     values.lineHeight = style.lineHeightPx
+    values.lineHeightUnit = style.lineHeightUnit
+    values.lineHeightPercentFontSize = style.lineHeightPercentFontSize
     values.letterSpacing = style.letterSpacing
+    values.paragraphSpacing = style.paragraphSpacing
+    values.paragraphIndent = style.paragraphIndent
+    values.textAlignHorizontal = style.textAlignHorizontal
     values.textCase = style.textCase
     values.textDecoration = style.textDecoration
+    values.opentypeFlags = style.opentypeFlags
   }
 
   return values
@@ -408,67 +806,10 @@ export async function getStyleDetails(fileKey, styleId) {
   return data
 }
 
-// Function to export styles to various formats
+// Function to export styles to various formats (custom properties, with a
+// [data-theme] block for every variable mode, plus text and shadow classes)
 export function exportStylesToCSS(styles) {
-  let css = '/* Figma Styles Export */\n\n'
-
-  // Export color styles
-  if (styles.styles.fill.length > 0) {
-    css += ':root {\n'
-    styles.styles.fill.forEach((style) => {
-      const varName = style.name
-        .toLowerCase()
-        .replace(/\s+/g, '-')
-        .replace(/[^a-z0-9-]/g, '')
-
-      if (style.values && style.values.hex) {
-        css += `  --${varName}: ${style.values.hex}; /* ${style.name} - ${
-          style.description || 'No description'
-        } */\n`
-      } else {
-        css += `  --${varName}: /* ${style.name} - ${
-          style.description || 'No description'
-        } - Value not available */;\n`
-      }
-    })
-    css += '}\n\n'
-  }
-
-  // Export text styles
-  if (styles.styles.text.length > 0) {
-    styles.styles.text.forEach((style) => {
-      const className = style.name
-        .toLowerCase()
-        .replace(/\s+/g, '-')
-        .replace(/[^a-z0-9-]/g, '')
-      css += `.${className} {\n`
-      css += `  /* ${style.name} - ${
-        style.description || 'No description'
-      } */\n`
-
-      if (style.values) {
-        if (style.values.fontFamily) {
-          css += `  font-family: "${style.values.fontFamily}";\n`
-        }
-        if (style.values.fontSize) {
-          css += `  font-size: ${style.values.fontSize}px;\n`
-        }
-        if (style.values.fontWeight) {
-          css += `  font-weight: ${style.values.fontWeight};\n`
-        }
-        if (style.values.lineHeight) {
-          css += `  line-height: ${style.values.lineHeight}px;\n`
-        }
-        if (style.values.letterSpacing) {
-          css += `  letter-spacing: ${style.values.letterSpacing}px;\n`
-        }
-      }
-
-      css += '}\n\n'
-    })
-  }
-
-  return css
+  return generateLocalCode(styles, 'css')
 }
 
 export function exportStylesToJSON(styles) {
@@ -0,0 +1,111 @@
+/**
+ * Token filters
+ *
+ * Targets can narrow the extracted styles down to the tokens they need:
+ *
+ *   tokens: {
+ *     types: ['fill', 'text', 'variable'],
+ *     include: ['Brand/**', 'color/*'],
+ *     exclude: ['Legacy/**']
+ *   }
+ *
+ * Patterns match style and variable names. * matches within one group of
+ * the name (between slashes), ** across groups.
+ */
+import { ValidationError } from './errors.js'
+
+/**
+ * Token types a filter can select, by the Figma style type they come from
+ */
+export const TOKEN_TYPES = ['fill', 'text', 'effect', 'grid', 'variable']
+
+/**
+ * Turn a name pattern into a regular expression
+ * @param {string} pattern - Pattern with * and ** wildcards
+ * @returns {RegExp} Expression matching whole names
+ */
+export function patternToRegExp(pattern) {
+  const source = String(pattern)
+    .split(/(\*\*|\*)/)
+    .map((part) => {
+      if (part === '**') return '.*'
+      if (part === '*') return '[^/]*'
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    })
+    .join('')
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Build a predicate for token names from include and exclude patterns
+ * @param {Object} [filter] - Token filter
+ * @returns {Function} name => whether the token is kept
+ */
+function nameMatcher({ include = [], exclude = [] } = {}) {
+  const included = include.map(patternToRegExp)
+  const excluded = exclude.map(patternToRegExp)
+
+  return (name) =>
+    (included.length === 0 || included.some((regex) => regex.test(name))) &&
+    !excluded.some((regex) => regex.test(name))
+}
+
+/**
+ * Keep only the styles and variables a filter selects
+ * @param {Object} styles - Result of getStylesFromFile
+ * @param {Object} [filter] - Token filter
+ * @param {string[]} [filter.types] - Token types to keep (TOKEN_TYPES)
+ * @param {string[]} [filter.include] - Keep only names matching one of these
+ * @param {string[]} [filter.exclude] - Drop names matching one of these
+ * @returns {Object} Filtered copy of styles (the input is returned as is
+ * without a filter)
+ * @throws {ValidationError} If the filter names an unknown token type
+ */
+export function filterStyles(styles, filter) {
+  if (!filter) return styles
+
+  const types = filter.types || TOKEN_TYPES
+  const unknown = types.filter((type) => !TOKEN_TYPES.includes(type))
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `Unknown token type '${unknown[0]}'. Expected one of: ${TOKEN_TYPES.join(
+        ', '
+      )}`,
+      'INVALID_TOKEN_TYPE'
+    )
+  }
+
+  const matches = nameMatcher(filter)
+  const keep = (type, items = []) =>
+    types.includes(type) ? items.filter((item) => matches(item.name)) : []
+
+  const filtered = {
+    ...styles,
+    styles: {
+      fill: keep('fill', styles.styles?.fill),
+      text: keep('text', styles.styles?.text),
+      effect: keep('effect', styles.styles?.effect),
+      grid: keep('grid', styles.styles?.grid)
+    },
+    variables: {
+      collections: styles.variables?.collections || [],
+      variables: keep('variable', styles.variables?.variables)
+    }
+  }
+
+  filtered.summary = {
+    ...styles.summary,
+    totalStyles:
+      filtered.styles.fill.length +
+      filtered.styles.text.length +
+      filtered.styles.effect.length +
+      filtered.styles.grid.length,
+    fillStyles: filtered.styles.fill.length,
+    textStyles: filtered.styles.text.length,
+    effectStyles: filtered.styles.effect.length,
+    gridStyles: filtered.styles.grid.length,
+    variables: filtered.variables.variables.length
+  }
+
+  return filtered
+}
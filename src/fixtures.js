@@ -0,0 +1,76 @@
+/**
+ * Figma API fixtures
+ *
+ * A fixture is a recorded API response stored at a path derived from the
+ * request: /files/KEY/nodes?ids=1:2&depth=1 lives at
+ * files/KEY/nodes/depth=1-ids=1-2.json and /files/KEY/styles at
+ * files/KEY/styles/index.json. Setting FIGTREE_RECORD_DIR records every
+ * response of a run, the mock server serves them back.
+ */
+import fs from 'fs'
+import path from 'path'
+import { hashKey } from './cache.js'
+
+// Longer query strings are shortened and made unique with a hash
+const MAX_QUERY_NAME_LENGTH = 100
+
+/**
+ * File name for the query string of a request
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {string} File name without extension
+ */
+function queryFileName(params) {
+  const query = [...params]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&')
+
+  if (!query) return 'index'
+
+  const name = query.replace(/[^\w.,=-]/g, '-')
+  return name.length > MAX_QUERY_NAME_LENGTH
+    ? `${name.slice(0, MAX_QUERY_NAME_LENGTH)}-${hashKey(query)}`
+    : name
+}
+
+/**
+ * Path of the fixture for a request
+ * @param {string} dir - Fixtures directory
+ * @param {string} apiPath - API path with query string, without the base URL
+ * @returns {string} Fixture file path
+ */
+export function fixturePath(dir, apiPath) {
+  const url = new URL(apiPath, 'http://fixtures')
+  const segments = url.pathname
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => decodeURIComponent(segment).replace(/[^\w.-]/g, '-'))
+
+  return path.join(dir, ...segments, `${queryFileName(url.searchParams)}.json`)
+}
+
+/**
+ * Save a response as a fixture
+ * @param {string} dir - Fixtures directory
+ * @param {string} apiPath - API path with query string
+ * @param {Object} data - Response body
+ * @returns {string} Fixture file path
+ */
+export function recordFixture(dir, apiPath, data) {
+  const file = fixturePath(dir, apiPath)
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n', 'utf8')
+  return file
+}
+
+/**
+ * Read the fixture for a request
+ * @param {string} dir - Fixtures directory
+ * @param {string} apiPath - API path with query string
+ * @returns {Object|null} Response body or null without a fixture
+ */
+export function readFixture(dir, apiPath) {
+  const file = fixturePath(dir, apiPath)
+  if (!fs.existsSync(file)) return null
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
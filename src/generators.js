@@ -0,0 +1,2058 @@
+/**
+ * Deterministic (AI-free) code generators
+ *
+ * Every generator turns the extracted Figma styles into source code without
+ * calling a model, so the same Figma file always yields byte-identical output.
+ */
+import path from 'path'
+import { SUPPORTED_FORMATS } from './constants.js'
+import {
+  colorToAndroid,
+  colorToCss,
+  colorToRgba,
+  colorToSwift,
+  formatNumber
+} from './colors.js'
+import { ValidationError } from './errors.js'
+import { handleDistance } from './gradients.js'
+import { layersToCss, layersToCssBlendModes } from './paints.js'
+import { getThemes, themeSelector } from './themes.js'
+
+/**
+ * Split a Figma style name into lowercase words
+ * "Brand/Primary 500" -> ['brand', 'primary', '500']
+ * @param {string} name - Style name
+ * @returns {string[]} Words
+ */
+function splitWords(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word.toLowerCase())
+}
+
+/**
+ * Naming conventions used by the generators
+ */
+export const NAMING_CONVENTIONS = {
+  kebab: (words) => words.join('-'),
+  snake: (words) => words.join('_'),
+  camel: (words) =>
+    words
+      .map((word, index) =>
+        index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)
+      )
+      .join(''),
+  pascal: (words) =>
+    words.map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join('')
+}
+
+/**
+ * Formats whose identifiers only work in one naming convention
+ */
+export const FIXED_NAMING = {
+  android: 'snake',
+  swiftui: 'camel'
+}
+
+/**
+ * Convert a style name to an identifier in the given convention
+ * @param {string} name - Style name
+ * @param {string} convention - Key of NAMING_CONVENTIONS
+ * @returns {string} Identifier
+ */
+export function formatName(name, convention = 'kebab') {
+  const words = splitWords(name)
+  const formatted = NAMING_CONVENTIONS[convention](
+    words.length > 0 ? words : ['unnamed']
+  )
+
+  // Identifiers in Swift, JS and Android resources can't start with a digit
+  return /^[0-9]/.test(formatted) ? `_${formatted}` : formatted
+}
+
+/**
+ * Join name parts into one identifier in the given convention
+ * ("card-shadow", "blend mode" -> card-shadow-blend-mode)
+ * @param {string} convention - Key of NAMING_CONVENTIONS
+ * @param {...string} parts - Identifiers or words
+ * @returns {string} Identifier
+ */
+function joinName(convention, ...parts) {
+  return formatName(parts.join(' '), convention)
+}
+
+/**
+ * Assign each item a unique identifier, suffixing duplicates deterministically
+ * @param {Object[]} items - Items with a name property
+ * @param {string} convention - Naming convention
+ * @returns {Object[]} Items with an id property added
+ */
+function withUniqueIds(items, convention) {
+  const seen = new Map()
+
+  return items.map((item) => {
+    const base = formatName(item.name, convention)
+    const count = seen.get(base) || 0
+    seen.set(base, count + 1)
+
+    const separator =
+      convention === 'snake' ? '_' : convention === 'kebab' ? '-' : ''
+    return {
+      ...item,
+      id: count === 0 ? base : `${base}${separator}${count + 1}`
+    }
+  })
+}
+
+/**
+ * Prefix an identifier with its category unless the name already starts with
+ * it ("Grid/12 col" becomes grid-12-col, not grid-grid-12-col)
+ * @param {string} prefix - Category prefix
+ * @param {string} id - Identifier
+ * @param {string} [convention] - Naming convention of the identifier
+ * @returns {string} Prefixed identifier
+ */
+function prefixed(prefix, id, convention = 'kebab') {
+  return splitWords(id)[0] === prefix ? id : joinName(convention, prefix, id)
+}
+
+// Sort by name with a locale-independent comparison so output is stable
+function byName(a, b) {
+  if (a.name < b.name) return -1
+  if (a.name > b.name) return 1
+  return 0
+}
+
+/**
+ * Collect the values the generators need from extracted styles
+ *
+ * Variables take the value of the requested theme in collections that have
+ * that mode and their default mode everywhere else, so every theme yields the
+ * same tokens in the same order. Tokens whose value differs from the default
+ * mode are flagged as themed.
+ * @param {Object} styles - Result of getStylesFromFile
+ * @param {Object} [options] - Options
+ * @param {string} [options.theme] - Mode name to read variable values from
+ * @returns {Object} Tokens grouped by category, sorted by name
+ */
+export function collectTokens(styles, { theme } = {}) {
+  const fill = [...(styles.styles?.fill || [])].sort(byName)
+  const text = [...(styles.styles?.text || [])].sort(byName)
+  const effect = [...(styles.styles?.effect || [])].sort(byName)
+  const grid = [...(styles.styles?.grid || [])].sort(byName)
+
+  const colors = fill
+    .filter((style) => style.values?.color)
+    .map((style) => ({
+      name: style.name,
+      description: style.description || '',
+      color: { a: 1, ...style.values.color }
+    }))
+
+  const gradients = fill
+    .filter((style) => style.values?.gradient)
+    .map((style) => ({
+      name: style.name,
+      description: style.description || '',
+      gradient: style.values.gradient
+    }))
+
+  // Paint stacks that can't be flattened, drawn bottom to top
+  const layeredFills = fill
+    .filter((style) => style.values?.layers)
+    .map((style) => ({
+      name: style.name,
+      description: style.description || '',
+      layers: style.values.layers
+    }))
+
+  const typography = text
+    .filter((style) => style.values?.fontFamily || style.values?.fontSize)
+    .map((style) => ({
+      name: style.name,
+      description: style.description || '',
+      ...style.values
+    }))
+
+  const shadows = []
+  const blurs = []
+  for (const style of effect) {
+    const effects = (style.values?.effects || []).filter(
+      (item) => item.visible !== false
+    )
+
+    const shadowEffects = effects.filter(
+      (item) => item.type === 'DROP_SHADOW' || item.type === 'INNER_SHADOW'
+    )
+    if (shadowEffects.length > 0) {
+      shadows.push({
+        name: style.name,
+        description: style.description || '',
+        shadows: shadowEffects.map((item) => ({
+          inset: item.type === 'INNER_SHADOW',
+          x: item.offset?.x || 0,
+          y: item.offset?.y || 0,
+          blur: item.radius || 0,
+          spread: item.spread || 0,
+          color: { a: 1, ...(item.color || { r: 0, g: 0, b: 0, a: 0.25 }) }
+        }))
+      })
+    }
+
+    const blurEffect = effects.find(
+      (item) => item.type === 'LAYER_BLUR' || item.type === 'BACKGROUND_BLUR'
+    )
+    if (blurEffect) {
+      blurs.push({
+        name: style.name,
+        description: style.description || '',
+        radius: blurEffect.radius || 0,
+        background: blurEffect.type === 'BACKGROUND_BLUR'
+      })
+    }
+  }
+
+  const grids = grid
+    .filter((style) => style.values?.grids?.length > 0)
+    .map((style) => {
+      const layout = style.values.grids[0]
+      return {
+        name: style.name,
+        description: style.description || '',
+        pattern: layout.pattern,
+        count: layout.count,
+        gutter: layout.gutterSize,
+        offset: layout.offset,
+        sectionSize: layout.sectionSize
+      }
+    })
+
+  const dimensions = []
+  const numbers = []
+  const strings = []
+  const booleans = []
+  const collections = new Map(
+    (styles.variables?.collections || []).map((collection) => [
+      collection.name,
+      collection
+    ])
+  )
+  const variables = [...(styles.variables?.variables || [])].sort(byName)
+
+  for (const variable of variables) {
+    const collection = collections.get(variable.collection)
+    const defaultMode = collection?.defaultMode
+    const defaultValue = variable.valuesByMode?.[defaultMode]
+    if (defaultValue === undefined) continue
+
+    const defaultAlias = variable.aliasesByMode?.[defaultMode]?.id || null
+    let value = defaultValue
+    let alias = defaultAlias
+    if (theme && collection.modes.includes(theme)) {
+      const themeValue = variable.valuesByMode?.[theme]
+      if (themeValue !== undefined) {
+        value = themeValue
+        alias = variable.aliasesByMode?.[theme]?.id || null
+      }
+    }
+
+    const token = {
+      name: variable.name,
+      description: variable.description || '',
+      variableId: variable.id,
+      alias,
+      themed:
+        alias !== defaultAlias ||
+        JSON.stringify(value) !== JSON.stringify(defaultValue),
+      scopes: variable.scopes || []
+    }
+
+    switch (variable.type) {
+      case 'COLOR':
+        colors.push({ ...token, color: { a: 1, ...value } })
+        break
+      case 'FLOAT':
+        if (isDimension(token.scopes)) {
+          dimensions.push({ ...token, value })
+        } else {
+          numbers.push({ ...token, value })
+        }
+        break
+      case 'STRING':
+        strings.push({ ...token, value })
+        break
+      case 'BOOLEAN':
+        booleans.push({ ...token, value })
+        break
+    }
+  }
+
+  return {
+    colors,
+    gradients,
+    layeredFills,
+    typography,
+    shadows,
+    blurs,
+    grids,
+    dimensions,
+    numbers,
+    strings,
+    booleans
+  }
+}
+
+/**
+ * Themes defined by variable modes, each with its tokens
+ * @param {Object} styles - Result of getStylesFromFile
+ * @returns {Object[]} Themes from getThemes with a tokens property added
+ */
+function collectThemes(styles) {
+  return getThemes(styles.variables?.collections).map((theme) => ({
+    ...theme,
+    tokens: collectTokens(styles, { theme: theme.name })
+  }))
+}
+
+// Variable ids whose value changes in at least one theme
+function themedVariableIds(themes) {
+  const ids = new Set()
+  for (const theme of themes) {
+    for (const list of Object.values(theme.tokens)) {
+      for (const token of list) {
+        if (token.themed) ids.add(token.variableId)
+      }
+    }
+  }
+  return ids
+}
+
+// Variable scopes whose numbers are lengths in pixels
+const DIMENSION_SCOPES = [
+  'CORNER_RADIUS',
+  'WIDTH_HEIGHT',
+  'GAP',
+  'STROKE_FLOAT',
+  'EFFECT_FLOAT',
+  'FONT_SIZE',
+  'LINE_HEIGHT',
+  'LETTER_SPACING',
+  'PARAGRAPH_SPACING',
+  'PARAGRAPH_INDENT'
+]
+
+// A number variable is a dimension when every scope it may be used in is one
+function isDimension(scopes) {
+  return (
+    scopes.length > 0 &&
+    scopes.every((scope) => DIMENSION_SCOPES.includes(scope))
+  )
+}
+
+function shadowToCss(token) {
+  return token.shadows
+    .map(
+      (shadow) =>
+        `${shadow.inset ? 'inset ' : ''}${formatNumber(
+          shadow.x
+        )}px ${formatNumber(shadow.y)}px ${formatNumber(
+          shadow.blur
+        )}px ${formatNumber(shadow.spread)}px ${colorToRgba(shadow.color)}`
+    )
+    .join(', ')
+}
+
+function px(value) {
+  return `${formatNumber(value)}px`
+}
+
+// CSS value of a number, string or boolean variable token
+function variableToCss(token) {
+  if (typeof token.value === 'string') return `"${token.value}"`
+  if (typeof token.value === 'boolean') return String(token.value)
+  return isDimension(token.scopes) ? px(token.value) : formatNumber(token.value)
+}
+
+// Line height as CSS: "normal" for Figma's Auto, otherwise unitless so it
+// scales with the font size
+function lineHeightToCss(token) {
+  if (token.lineHeightUnit === 'INTRINSIC_%') return 'normal'
+  if (token.lineHeightPercentFontSize) {
+    return formatNumber(token.lineHeightPercentFontSize / 100)
+  }
+  return token.lineHeight ? px(token.lineHeight) : null
+}
+
+// OpenType features as a font-feature-settings value ("liga" 0, "tnum" 1)
+function fontFeaturesToCss(flags) {
+  const entries = Object.entries(flags || {}).sort(([a], [b]) =>
+    a < b ? -1 : a > b ? 1 : 0
+  )
+  if (entries.length === 0) return null
+  return entries
+    .map(([tag, value]) => `"${tag.toLowerCase()}" ${value}`)
+    .join(', ')
+}
+
+const TEXT_ALIGNMENTS = {
+  CENTER: 'center',
+  RIGHT: 'right',
+  JUSTIFIED: 'justify'
+}
+
+// Typography properties as CSS declarations (property, value)
+function typographyToCss(token) {
+  const declarations = []
+  if (token.fontFamily) {
+    declarations.push(['font-family', `"${token.fontFamily}"`])
+  }
+  if (token.fontSize) declarations.push(['font-size', px(token.fontSize)])
+  if (token.fontWeight) {
+    declarations.push(['font-weight', String(token.fontWeight)])
+  }
+  if (token.italic) declarations.push(['font-style', 'italic'])
+  const lineHeight = lineHeightToCss(token)
+  if (lineHeight) declarations.push(['line-height', lineHeight])
+  if (token.letterSpacing) {
+    declarations.push(['letter-spacing', px(token.letterSpacing)])
+  }
+  if (token.textCase === 'UPPER') {
+    declarations.push(['text-transform', 'uppercase'])
+  } else if (token.textCase === 'LOWER') {
+    declarations.push(['text-transform', 'lowercase'])
+  } else if (token.textCase === 'TITLE') {
+    declarations.push(['text-transform', 'capitalize'])
+  }
+  if (token.textDecoration === 'UNDERLINE') {
+    declarations.push(['text-decoration', 'underline'])
+  } else if (token.textDecoration === 'STRIKETHROUGH') {
+    declarations.push(['text-decoration', 'line-through'])
+  }
+  if (TEXT_ALIGNMENTS[token.textAlignHorizontal]) {
+    declarations.push([
+      'text-align',
+      TEXT_ALIGNMENTS[token.textAlignHorizontal]
+    ])
+  }
+  if (token.paragraphIndent) {
+    declarations.push(['text-indent', px(token.paragraphIndent)])
+  }
+  if (token.paragraphSpacing) {
+    declarations.push(['margin-bottom', px(token.paragraphSpacing)])
+  }
+  const features = fontFeaturesToCss(token.opentypeFlags)
+  if (features) declarations.push(['font-feature-settings', features])
+  return declarations
+}
+
+// Keep comment text from terminating the comment it's placed in
+function commentText(text) {
+  return String(text)
+    .replace(/\*\//g, '* /')
+    .replace(/--/g, '- -')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+function fileHeader(styles, open, close = '') {
+  const info = styles.fileInfo || {}
+  const source = info.name
+    ? `${info.name}${info.version ? ` (version ${info.version})` : ''}`
+    : 'Figma'
+  const end = close ? ` ${close}` : ''
+  return `${open} Design tokens generated by figtree from ${commentText(
+    source
+  )}${end}\n${open} Do not edit by hand, regenerate instead${end}\n`
+}
+
+/**
+ * Custom property / variable declarations grouped into sections, shared by
+ * the CSS and SCSS generators
+ * @param {Object} tokens - Result of collectTokens
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.typography] - Include typography declarations
+ * @param {string} [options.naming] - Naming convention of the names
+ * @returns {Object[]} Sections of { title, entries: [{ name, value, alias }] }
+ */
+function declarationSections(
+  tokens,
+  { typography = true, naming = 'kebab' } = {}
+) {
+  const sections = []
+  const add = (title, entries) => {
+    if (entries.length > 0) sections.push({ title, entries })
+  }
+
+  add(
+    'Colors',
+    withUniqueIds(tokens.colors, naming).map((token) => ({
+      name: prefixed('color', token.id, naming),
+      value: colorToCss(token.color),
+      variableId: token.variableId,
+      alias: token.alias,
+      themed: token.themed
+    }))
+  )
+
+  add(
+    'Gradients',
+    withUniqueIds(tokens.gradients, naming).map((token) => ({
+      name: prefixed('gradient', token.id, naming),
+      value: token.gradient.css
+    }))
+  )
+
+  add(
+    'Layered fills',
+    withUniqueIds(tokens.layeredFills, naming).flatMap((token) => {
+      const name = prefixed('fill', token.id, naming)
+      const blendModes = layersToCssBlendModes(token.layers)
+      const entries = [{ name, value: layersToCss(token.layers) }]
+      if (blendModes) {
+        entries.push({
+          name: joinName(naming, name, 'blend mode'),
+          value: blendModes
+        })
+      }
+      return entries
+    })
+  )
+
+  for (const [title, list] of [
+    ['Dimensions', tokens.dimensions],
+    ['Numbers', tokens.numbers],
+    ['Strings', tokens.strings],
+    ['Booleans', tokens.booleans]
+  ]) {
+    add(
+      title,
+      withUniqueIds(list, naming).map((token) => ({
+        name: token.id,
+        value: variableToCss(token),
+        variableId: token.variableId,
+        alias: token.alias,
+        themed: token.themed
+      }))
+    )
+  }
+
+  if (typography) {
+    add(
+      'Typography',
+      withUniqueIds(tokens.typography, naming).flatMap((token) =>
+        typographyToCss(token).map(([property, value]) => ({
+          name: joinName(
+            naming,
+            prefixed('font', token.id, naming),
+            property.replace(/^(font|text)-/, '')
+          ),
+          value
+        }))
+      )
+    )
+  }
+
+  add(
+    'Shadows',
+    withUniqueIds(tokens.shadows, naming).map((token) => ({
+      name: prefixed('shadow', token.id, naming),
+      value: shadowToCss(token)
+    }))
+  )
+
+  add(
+    'Blurs',
+    withUniqueIds(tokens.blurs, naming).map((token) => ({
+      name: prefixed('blur', token.id, naming),
+      value: `blur(${px(token.radius)})`
+    }))
+  )
+
+  add(
+    'Grids',
+    withUniqueIds(tokens.grids, naming).flatMap((token) => {
+      const name = prefixed('grid', token.id, naming)
+      const entries = []
+      if (token.count !== undefined && token.count > 0) {
+        entries.push({
+          name: joinName(naming, name, 'columns'),
+          value: String(token.count)
+        })
+      }
+      if (token.gutter !== undefined) {
+        entries.push({
+          name: joinName(naming, name, 'gutter'),
+          value: px(token.gutter)
+        })
+      }
+      if (token.offset !== undefined) {
+        entries.push({
+          name: joinName(naming, name, 'margin'),
+          value: px(token.offset)
+        })
+      }
+      if (token.sectionSize !== undefined) {
+        entries.push({
+          name: joinName(naming, name, 'size'),
+          value: px(token.sectionSize)
+        })
+      }
+      return entries
+    })
+  )
+
+  return sections
+}
+
+/**
+ * Render declaration sections, writing aliased variables as references to
+ * the variable they point at
+ * @param {Object[]} sections - Result of declarationSections
+ * @param {Object} syntax - Language syntax
+ * @param {Function} syntax.declare - (name, value) => declaration line
+ * @param {Function} syntax.reference - name => reference expression
+ * @param {Function} syntax.comment - text => comment line
+ * @param {boolean} syntax.forwardReferences - References may precede targets
+ * @param {Function} [include] - entry => whether to render the entry
+ * @returns {string[]} Lines
+ */
+function renderDeclarations(sections, syntax, include = () => true) {
+  const names = new Map()
+  for (const section of sections) {
+    for (const entry of section.entries) {
+      if (entry.variableId) names.set(entry.variableId, entry.name)
+    }
+  }
+
+  const declared = new Set()
+  const lines = []
+  for (const section of sections) {
+    const entries = section.entries.filter(include)
+    if (entries.length === 0) continue
+
+    if (lines.length > 0) lines.push('')
+    lines.push(syntax.comment(section.title))
+    for (const entry of entries) {
+      const target = entry.alias && names.get(entry.alias)
+      const canReference =
+        target && (syntax.forwardReferences || declared.has(target))
+      lines.push(
+        syntax.declare(
+          entry.name,
+          canReference ? syntax.reference(target) : entry.value
+        )
+      )
+      declared.add(entry.name)
+    }
+  }
+  return lines
+}
+
+const CSS_SYNTAX = {
+  declare: (name, value) => `  --${name}: ${value};`,
+  reference: (name) => `var(--${name})`,
+  comment: (text) => `  /* ${text} */`,
+  forwardReferences: true
+}
+
+// SCSS variables must be declared before they are used
+const SCSS_SYNTAX = {
+  declare: (name, value) => `$${name}: ${value};`,
+  reference: (name) => `$${name}`,
+  comment: (text) => `// ${text}`,
+  forwardReferences: false
+}
+
+// Entries of a theme in the $themes map, after every variable is declared
+const SCSS_THEME_SYNTAX = {
+  declare: (name, value) => `    ${name}: ${value},`,
+  reference: (name) => `$${name}`,
+  comment: (text) => `    // ${text}`,
+  forwardReferences: true
+}
+
+// :root declarations followed by one override block per theme
+function cssVariables(tokens, themes, naming) {
+  const blocks = []
+
+  const lines = renderDeclarations(
+    declarationSections(tokens, { naming }),
+    CSS_SYNTAX
+  )
+  if (lines.length > 0) blocks.push(`:root {\n${lines.join('\n')}\n}\n`)
+
+  for (const theme of themes) {
+    const overrides = renderDeclarations(
+      declarationSections(theme.tokens, { typography: false, naming }),
+      CSS_SYNTAX,
+      (entry) => entry.themed
+    )
+    if (overrides.length > 0) {
+      blocks.push(
+        `/* ${commentText(theme.name)} theme */\n${themeSelector(
+          theme
+        )} {\n${overrides.join('\n')}\n}\n`
+      )
+    }
+  }
+
+  return blocks.join('\n')
+}
+
+function generateCssVariables(styles, { naming = 'kebab' } = {}) {
+  const body = cssVariables(
+    collectTokens(styles),
+    collectThemes(styles),
+    naming
+  )
+  return `${fileHeader(styles, '/*', '*/')}\n${body}`
+}
+
+function generateCss(styles, { naming = 'kebab' } = {}) {
+  const tokens = collectTokens(styles)
+  let css = `${fileHeader(styles, '/*', '*/')}\n${cssVariables(
+    tokens,
+    collectThemes(styles),
+    naming
+  )}`
+
+  const typography = withUniqueIds(tokens.typography, naming)
+  for (const token of typography) {
+    css += `\n.${prefixed('text', token.id, naming)} {\n`
+    if (token.description) css += `  /* ${commentText(token.description)} */\n`
+    for (const [property] of typographyToCss(token)) {
+      const variable = joinName(
+        naming,
+        prefixed('font', token.id, naming),
+        property.replace(/^(font|text)-/, '')
+      )
+      css += `  ${property}: var(--${variable});\n`
+    }
+    css += '}\n'
+  }
+
+  const shadows = withUniqueIds(tokens.shadows, naming)
+  for (const token of shadows) {
+    const name = prefixed('shadow', token.id, naming)
+    css += `\n.${name} {\n  box-shadow: var(--${name});\n}\n`
+  }
+
+  const layeredFills = withUniqueIds(tokens.layeredFills, naming)
+  for (const token of layeredFills) {
+    const name = prefixed('fill', token.id, naming)
+    css += `\n.${name} {\n  background-image: var(--${name});\n`
+    if (layersToCssBlendModes(token.layers)) {
+      css += `  background-blend-mode: var(--${joinName(
+        naming,
+        name,
+        'blend mode'
+      )});\n`
+    }
+    css += '}\n'
+  }
+
+  return css
+}
+
+function generateScss(styles, { naming = 'kebab' } = {}) {
+  const tokens = collectTokens(styles)
+  const lines = renderDeclarations(
+    declarationSections(tokens, { typography: false, naming }),
+    SCSS_SYNTAX
+  )
+
+  const typography = withUniqueIds(tokens.typography, naming)
+  if (typography.length > 0) {
+    if (lines.length > 0) lines.push('')
+    lines.push(
+      '// Typography\n' +
+        typography
+          .map((token) => {
+            const declarations = typographyToCss(token)
+              .map(([property, value]) => `  ${property}: ${value};`)
+              .join('\n')
+            return `@mixin ${prefixed(
+              'text',
+              token.id,
+              naming
+            )} {\n${declarations}\n}`
+          })
+          .join('\n\n')
+    )
+  }
+
+  const themes = collectThemes(styles)
+    .map((theme) => ({
+      theme,
+      lines: renderDeclarations(
+        declarationSections(theme.tokens, { typography: false, naming }),
+        SCSS_THEME_SYNTAX,
+        (entry) => entry.themed
+      )
+    }))
+    .filter((item) => item.lines.length > 0)
+  if (themes.length > 0) {
+    if (lines.length > 0) lines.push('')
+    lines.push(
+      '// Themes, values that differ from the default mode',
+      '$themes: (',
+      ...themes.map(
+        ({ theme, lines: entries }) =>
+          `  ${theme.slug}: (\n${entries.join('\n')}\n  ),`
+      ),
+      ');'
+    )
+  }
+
+  return `${fileHeader(styles, '//')}\n${lines.join('\n')}\n`
+}
+
+// Marks a value toJsLiteral writes as source code instead of serializing
+const JS_SOURCE = Symbol('jsSource')
+
+/**
+ * Wrap source code so toJsLiteral embeds it as is
+ * @param {Function} render - indent => JavaScript source
+ * @returns {Object} Value for toJsLiteral
+ */
+function jsSource(render) {
+  return { [JS_SOURCE]: render }
+}
+
+/**
+ * Serialize a plain value as a JavaScript literal (single quotes, no
+ * quoting of keys that are valid identifiers)
+ * @param {*} value - Value to serialize
+ * @param {number} [indent] - Current indentation level
+ * @returns {string} JavaScript source
+ */
+export function toJsLiteral(value, indent = 0) {
+  const pad = '  '.repeat(indent + 1)
+  const end = '  '.repeat(indent)
+
+  if (value && value[JS_SOURCE]) return value[JS_SOURCE](indent)
+
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => toJsLiteral(item, indent)).join(', ')}]`
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value)
+    if (entries.length === 0) return '{}'
+    const body = entries
+      .map(([key, item]) => {
+        const safeKey = /^[A-Za-z_$][\w$]*$/.test(key)
+          ? key
+          : `'${key.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`
+        return `${pad}${safeKey}: ${toJsLiteral(item, indent + 1)}`
+      })
+      .join(',\n')
+    return `{\n${body}\n${end}}`
+  }
+
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`
+  }
+
+  return String(value)
+}
+
+// Background properties of a layered fill, keyed like the style properties
+function layeredFillToObject(token) {
+  const object = { backgroundImage: layersToCss(token.layers) }
+  const blendModes = layersToCssBlendModes(token.layers)
+  if (blendModes) object.backgroundBlendMode = blendModes
+  return object
+}
+
+// Typography as an object keyed by camelCase CSS property names
+function typographyToObject(token) {
+  const object = {}
+  for (const [property, value] of typographyToCss(token)) {
+    const key = formatName(property, 'camel')
+    object[key] = property === 'font-family' ? token.fontFamily : value
+  }
+  return object
+}
+
+// Custom properties of the variables accepted by include, keyed --name
+function themeProperties(tokens, include, naming) {
+  return Object.fromEntries(
+    declarationSections(tokens, { typography: false, naming })
+      .flatMap((section) => section.entries)
+      .filter(include)
+      .map((entry) => [`--${entry.name}`, entry.value])
+  )
+}
+
+function generateTailwind(styles, { naming = 'kebab' } = {}) {
+  const tokens = collectTokens(styles)
+  const themes = collectThemes(styles)
+  const extend = {}
+
+  // Values that change between themes go through CSS variables, which a
+  // plugin defines for :root and each theme selector
+  const themedIds = themedVariableIds(themes)
+  const cssNames = new Map(
+    declarationSections(tokens, { typography: false, naming })
+      .flatMap((section) => section.entries)
+      .filter((entry) => entry.variableId)
+      .map((entry) => [entry.variableId, entry.name])
+  )
+  const themed = (token, value) =>
+    themedIds.has(token.variableId)
+      ? `var(--${cssNames.get(token.variableId)})`
+      : value
+
+  const colors = withUniqueIds(tokens.colors, naming)
+  if (colors.length > 0) {
+    extend.colors = Object.fromEntries(
+      colors.map((token) => [token.id, themed(token, colorToCss(token.color))])
+    )
+  }
+
+  // Blend modes of layered fills are left to Tailwind's bg-blend utilities
+  const backgrounds = [
+    ...withUniqueIds(tokens.gradients, naming).map((token) => [
+      token.id,
+      token.gradient.css
+    ]),
+    ...withUniqueIds(tokens.layeredFills, naming).map((token) => [
+      prefixed('fill', token.id, naming),
+      layersToCss(token.layers)
+    ])
+  ]
+  if (backgrounds.length > 0) {
+    extend.backgroundImage = Object.fromEntries(backgrounds)
+  }
+
+  const typography = withUniqueIds(tokens.typography, naming)
+  const families = typography.filter((token) => token.fontFamily)
+  if (families.length > 0) {
+    extend.fontFamily = Object.fromEntries(
+      families.map((token) => [token.id, [token.fontFamily]])
+    )
+  }
+
+  const sizes = typography.filter((token) => token.fontSize)
+  if (sizes.length > 0) {
+    extend.fontSize = Object.fromEntries(
+      sizes.map((token) => {
+        const settings = {}
+        const lineHeight = lineHeightToCss(token)
+        if (lineHeight) settings.lineHeight = lineHeight
+        if (token.letterSpacing) {
+          settings.letterSpacing = px(token.letterSpacing)
+        }
+        if (token.fontWeight) settings.fontWeight = String(token.fontWeight)
+        return [token.id, [px(token.fontSize), settings]]
+      })
+    )
+  }
+
+  const shadows = withUniqueIds(tokens.shadows, naming)
+  if (shadows.length > 0) {
+    extend.boxShadow = Object.fromEntries(
+      shadows.map((token) => [token.id, shadowToCss(token)])
+    )
+  }
+
+  const blurs = withUniqueIds(tokens.blurs, naming)
+  if (blurs.length > 0) {
+    extend.blur = Object.fromEntries(
+      blurs.map((token) => [token.id, px(token.radius)])
+    )
+  }
+
+  const grids = withUniqueIds(tokens.grids, naming)
+  const spacing = {}
+  const borderRadius = {}
+  for (const token of withUniqueIds(tokens.dimensions, naming)) {
+    if (token.scopes.includes('CORNER_RADIUS')) {
+      borderRadius[token.id] = themed(token, px(token.value))
+    } else {
+      spacing[token.id] = themed(token, px(token.value))
+    }
+  }
+  if (Object.keys(borderRadius).length > 0) extend.borderRadius = borderRadius
+  for (const token of grids) {
+    if (token.gutter !== undefined) {
+      spacing[joinName(naming, token.id, 'gutter')] = px(token.gutter)
+    }
+    if (token.offset !== undefined) {
+      spacing[joinName(naming, token.id, 'margin')] = px(token.offset)
+    }
+  }
+  if (Object.keys(spacing).length > 0) extend.spacing = spacing
+
+  const config = {}
+  const dark = themes.find((theme) => theme.dark)
+  if (dark && themedIds.size > 0) {
+    config.darkMode = ['class', themeSelector(dark)]
+  }
+  config.theme = { extend }
+
+  if (themedIds.size > 0) {
+    const base = {
+      ':root': themeProperties(
+        tokens,
+        (entry) => themedIds.has(entry.variableId),
+        naming
+      )
+    }
+    for (const theme of themes) {
+      const properties = themeProperties(
+        theme.tokens,
+        (entry) => entry.themed,
+        naming
+      )
+      if (Object.keys(properties).length > 0) {
+        base[themeSelector(theme)] = properties
+      }
+    }
+    config.plugins = [
+      jsSource(
+        (indent) => `({ addBase }) => addBase(${toJsLiteral(base, indent)})`
+      )
+    ]
+  }
+
+  return `${fileHeader(
+    styles,
+    '//'
+  )}\n/** @type {import('tailwindcss').Config} */\nmodule.exports = ${toJsLiteral(
+    config
+  )}\n`
+}
+
+// Token groups variables end up in, with their design token type
+const VARIABLE_TOKEN_TYPES = {
+  colors: 'color',
+  dimensions: 'dimension',
+  numbers: 'number',
+  strings: 'string',
+  booleans: 'boolean'
+}
+
+/**
+ * Variable values that differ from the default mode, grouped per theme
+ * @param {Object} styles - Result of getStylesFromFile
+ * @param {string} convention - Naming convention of the token keys
+ * @param {Function} toValue - (token, group) => output value
+ * @returns {Object|null} { [themeSlug]: { [group]: { [id]: value } } }, or
+ * null when no theme changes anything
+ */
+function themeOverrides(styles, convention, toValue) {
+  const themes = {}
+
+  for (const theme of collectThemes(styles)) {
+    const groups = {}
+    for (const group of Object.keys(VARIABLE_TOKEN_TYPES)) {
+      const changed = withUniqueIds(theme.tokens[group], convention).filter(
+        (token) => token.themed
+      )
+      if (changed.length > 0) {
+        groups[group] = Object.fromEntries(
+          changed.map((token) => [token.id, toValue(token, group)])
+        )
+      }
+    }
+    if (Object.keys(groups).length > 0) themes[theme.slug] = groups
+  }
+
+  return Object.keys(themes).length > 0 ? themes : null
+}
+
+function generateJavaScript(styles, { naming = 'camel' } = {}) {
+  const tokens = collectTokens(styles)
+  const groups = {}
+
+  groups.colors = Object.fromEntries(
+    withUniqueIds(tokens.colors, naming).map((token) => [
+      token.id,
+      colorToCss(token.color)
+    ])
+  )
+
+  if (tokens.gradients.length > 0) {
+    groups.gradients = Object.fromEntries(
+      withUniqueIds(tokens.gradients, naming).map((token) => [
+        token.id,
+        token.gradient.css
+      ])
+    )
+  }
+
+  if (tokens.layeredFills.length > 0) {
+    groups.fills = Object.fromEntries(
+      withUniqueIds(tokens.layeredFills, naming).map((token) => [
+        token.id,
+        layeredFillToObject(token)
+      ])
+    )
+  }
+
+  groups.typography = Object.fromEntries(
+    withUniqueIds(tokens.typography, naming).map((token) => [
+      token.id,
+      typographyToObject(token)
+    ])
+  )
+
+  groups.shadows = Object.fromEntries(
+    withUniqueIds(tokens.shadows, naming).map((token) => [
+      token.id,
+      shadowToCss(token)
+    ])
+  )
+
+  groups.blurs = Object.fromEntries(
+    withUniqueIds(tokens.blurs, naming).map((token) => [
+      token.id,
+      px(token.radius)
+    ])
+  )
+
+  groups.grids = Object.fromEntries(
+    withUniqueIds(tokens.grids, naming).map((token) => {
+      const grid = {}
+      if (token.pattern) grid.pattern = token.pattern
+      if (token.count !== undefined) grid.count = token.count
+      if (token.gutter !== undefined) grid.gutter = token.gutter
+      if (token.offset !== undefined) grid.margin = token.offset
+      if (token.sectionSize !== undefined) grid.sectionSize = token.sectionSize
+      return [token.id, grid]
+    })
+  )
+
+  // Variable groups only appear when the file has such variables
+  for (const group of ['dimensions', 'numbers', 'strings', 'booleans']) {
+    if (tokens[group].length > 0) {
+      groups[group] = Object.fromEntries(
+        withUniqueIds(tokens[group], naming).map((token) => [
+          token.id,
+          group === 'dimensions' ? px(token.value) : token.value
+        ])
+      )
+    }
+  }
+
+  const themes = themeOverrides(styles, naming, (token, group) => {
+    if (group === 'colors') return colorToCss(token.color)
+    return group === 'dimensions' ? px(token.value) : token.value
+  })
+  if (themes) groups.themes = themes
+
+  const names = Object.keys(groups)
+  const exports = names
+    .map((group) => `export const ${group} = ${toJsLiteral(groups[group])}\n`)
+    .join('\n')
+
+  return `${fileHeader(
+    styles,
+    '//'
+  )}\n${exports}\nexport default { ${names.join(', ')} }\n`
+}
+
+function generateJson(styles, { naming = 'kebab' } = {}) {
+  const tokens = collectTokens(styles)
+  const output = {
+    colors: {},
+    typography: {},
+    spacing: {},
+    effects: {}
+  }
+
+  for (const token of withUniqueIds(tokens.colors, naming)) {
+    output.colors[token.id] = {
+      value: colorToCss(token.color),
+      type: 'color',
+      description: token.description
+    }
+  }
+
+  if (tokens.gradients.length > 0) {
+    output.gradients = {}
+    for (const token of withUniqueIds(tokens.gradients, naming)) {
+      output.gradients[token.id] = {
+        value: token.gradient.css,
+        type: 'gradient',
+        description: token.description
+      }
+    }
+  }
+
+  if (tokens.layeredFills.length > 0) {
+    output.fills = {}
+    for (const token of withUniqueIds(tokens.layeredFills, naming)) {
+      output.fills[token.id] = {
+        value: layeredFillToObject(token),
+        type: 'fill',
+        description: token.description
+      }
+    }
+  }
+
+  for (const token of withUniqueIds(tokens.typography, naming)) {
+    const value = {}
+    if (token.fontFamily) value.fontFamily = token.fontFamily
+    if (token.fontSize) value.fontSize = px(token.fontSize)
+    if (token.fontWeight) value.fontWeight = String(token.fontWeight)
+    if (token.italic) value.fontStyle = 'italic'
+    const lineHeight = lineHeightToCss(token)
+    if (lineHeight) value.lineHeight = lineHeight
+    if (token.letterSpacing) value.letterSpacing = px(token.letterSpacing)
+    if (TEXT_ALIGNMENTS[token.textAlignHorizontal]) {
+      value.textAlign = TEXT_ALIGNMENTS[token.textAlignHorizontal]
+    }
+    if (token.paragraphSpacing) {
+      value.paragraphSpacing = px(token.paragraphSpacing)
+    }
+    if (token.paragraphIndent) {
+      value.paragraphIndent = px(token.paragraphIndent)
+    }
+    const features = fontFeaturesToCss(token.opentypeFlags)
+    if (features) value.fontFeatureSettings = features
+    output.typography[token.id] = {
+      value,
+      type: 'typography',
+      description: token.description
+    }
+  }
+
+  for (const token of withUniqueIds(tokens.grids, naming)) {
+    if (token.gutter !== undefined) {
+      output.spacing[joinName(naming, token.id, 'gutter')] = {
+        value: px(token.gutter),
+        type: 'spacing',
+        description: token.description
+      }
+    }
+    if (token.offset !== undefined) {
+      output.spacing[joinName(naming, token.id, 'margin')] = {
+        value: px(token.offset),
+        type: 'spacing',
+        description: token.description
+      }
+    }
+  }
+
+  for (const token of withUniqueIds(tokens.shadows, naming)) {
+    output.effects[token.id] = {
+      value: shadowToCss(token),
+      type: 'effect',
+      description: token.description
+    }
+  }
+
+  for (const token of withUniqueIds(tokens.blurs, naming)) {
+    output.effects[joinName(naming, token.id, 'blur')] = {
+      value: `blur(${px(token.radius)})`,
+      type: 'effect',
+      description: token.description
+    }
+  }
+
+  // Variable categories only appear when the file has such variables
+  for (const group of ['dimensions', 'numbers', 'strings', 'booleans']) {
+    const type = VARIABLE_TOKEN_TYPES[group]
+    if (tokens[group].length === 0) continue
+    output[group] = {}
+    for (const token of withUniqueIds(tokens[group], naming)) {
+      output[group][token.id] = {
+        value: group === 'dimensions' ? px(token.value) : token.value,
+        type,
+        description: token.description
+      }
+    }
+  }
+
+  const themes = themeOverrides(styles, naming, (token, group) => ({
+    value:
+      group === 'colors'
+        ? colorToCss(token.color)
+        : group === 'dimensions'
+          ? px(token.value)
+          : token.value,
+    type: VARIABLE_TOKEN_TYPES[group],
+    description: token.description
+  }))
+  if (themes) output.themes = themes
+
+  return `${JSON.stringify(output, null, 2)}\n`
+}
+
+// Android string resources need XML escaping plus escaped quotes/apostrophes
+function escapeAndroidString(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, '\\\'')
+    .replace(/"/g, '\\"')
+}
+
+/**
+ * Android resources for the default mode, or only the resources a theme
+ * overrides (the contents of a values-night directory)
+ * @param {Object} styles - Result of getStylesFromFile
+ * @param {Object} [options] - Options
+ * @param {string} [options.theme] - Mode name of the theme
+ * @returns {string} Resource XML
+ */
+function generateAndroid(styles, { theme } = {}) {
+  const tokens = collectTokens(styles, { theme })
+  const lines = []
+
+  // Ids come from the full lists so overrides keep the default resource names
+  const pick = (list) => (theme ? list.filter((token) => token.themed) : list)
+
+  const allColors = withUniqueIds(tokens.colors, 'snake')
+  const colors = pick(allColors)
+  if (colors.length > 0) {
+    // Aliased color variables point at the resource of their target
+    const colorIds = new Map(
+      allColors
+        .filter((token) => token.variableId)
+        .map((token) => [token.variableId, token.id])
+    )
+
+    lines.push('    <!-- Colors -->')
+    for (const token of colors) {
+      const value = colorIds.has(token.alias)
+        ? `@color/${colorIds.get(token.alias)}`
+        : colorToAndroid(token.color)
+      lines.push(`    <color name="${token.id}">${value}</color>`)
+    }
+  }
+
+  const grids = theme ? [] : withUniqueIds(tokens.grids, 'snake')
+  if (grids.length > 0) {
+    if (lines.length > 0) lines.push('')
+    lines.push('    <!-- Grids -->')
+    for (const token of grids) {
+      if (token.gutter !== undefined) {
+        lines.push(
+          `    <dimen name="${prefixed(
+            'grid',
+            token.id,
+            'snake'
+          )}_gutter">${formatNumber(token.gutter)}dp</dimen>`
+        )
+      }
+      if (token.offset !== undefined) {
+        lines.push(
+          `    <dimen name="${prefixed(
+            'grid',
+            token.id,
+            'snake'
+          )}_margin">${formatNumber(token.offset)}dp</dimen>`
+        )
+      }
+    }
+  }
+
+  const dimensions = pick(withUniqueIds(tokens.dimensions, 'snake'))
+  if (dimensions.length > 0) {
+    if (lines.length > 0) lines.push('')
+    lines.push('    <!-- Dimensions -->')
+    for (const token of dimensions) {
+      const unit = token.scopes.includes('FONT_SIZE') ? 'sp' : 'dp'
+      lines.push(
+        `    <dimen name="${token.id}">${formatNumber(
+          token.value
+        )}${unit}</dimen>`
+      )
+    }
+  }
+
+  const numbers = pick(withUniqueIds(tokens.numbers, 'snake'))
+  if (numbers.length > 0) {
+    if (lines.length > 0) lines.push('')
+    lines.push('    <!-- Numbers -->')
+    for (const token of numbers) {
+      lines.push(
+        Number.isInteger(token.value)
+          ? `    <integer name="${token.id}">${token.value}</integer>`
+          : `    <item name="${
+              token.id
+            }" format="float" type="dimen">${formatNumber(token.value)}</item>`
+      )
+    }
+  }
+
+  const strings = pick(withUniqueIds(tokens.strings, 'snake'))
+  if (strings.length > 0) {
+    if (lines.length > 0) lines.push('')
+    lines.push('    <!-- Strings -->')
+    for (const token of strings) {
+      lines.push(
+        `    <string name="${token.id}">${escapeAndroidString(
+          token.value
+        )}</string>`
+      )
+    }
+  }
+
+  const booleans = pick(withUniqueIds(tokens.booleans, 'snake'))
+  if (booleans.length > 0) {
+    if (lines.length > 0) lines.push('')
+    lines.push('    <!-- Booleans -->')
+    for (const token of booleans) {
+      lines.push(`    <bool name="${token.id}">${token.value}</bool>`)
+    }
+  }
+
+  const typography = theme ? [] : withUniqueIds(tokens.typography, 'pascal')
+  if (typography.length > 0) {
+    if (lines.length > 0) lines.push('')
+    lines.push('    <!-- Typography -->')
+    for (const token of typography) {
+      lines.push(`    <style name="TextAppearance.Figma.${token.id}">`)
+      if (token.fontFamily) {
+        lines.push(
+          `        <item name="android:fontFamily">@font/${formatName(
+            token.fontFamily,
+            'snake'
+          )}</item>`
+        )
+      }
+      if (token.fontSize) {
+        lines.push(
+          `        <item name="android:textSize">${formatNumber(
+            token.fontSize
+          )}sp</item>`
+        )
+      }
+      if (token.fontWeight) {
+        lines.push(
+          `        <item name="android:textFontWeight">${token.fontWeight}</item>`
+        )
+      }
+      if (token.italic) {
+        lines.push('        <item name="android:textStyle">italic</item>')
+      }
+      // Figma's Auto line height is the font's own, which Android uses too
+      if (token.lineHeight && token.lineHeightUnit !== 'INTRINSIC_%') {
+        lines.push(
+          `        <item name="lineHeight">${formatNumber(
+            token.lineHeight
+          )}sp</item>`
+        )
+      }
+      if (token.letterSpacing && token.fontSize) {
+        // Android letter spacing is expressed in ems
+        lines.push(
+          `        <item name="android:letterSpacing">${formatNumber(
+            token.letterSpacing / token.fontSize
+          )}</item>`
+        )
+      }
+      if (token.textCase === 'UPPER') {
+        lines.push('        <item name="android:textAllCaps">true</item>')
+      }
+      const features = fontFeaturesToCss(token.opentypeFlags)
+      if (features) {
+        lines.push(
+          `        <item name="android:fontFeatureSettings">${escapeAndroidString(
+            features
+          )}</item>`
+        )
+      }
+      lines.push('    </style>')
+    }
+  }
+
+  let header = fileHeader(styles, '<!--', '-->')
+  if (theme) header += `<!-- Overrides for the ${commentText(theme)} mode -->\n`
+  return `<?xml version="1.0" encoding="utf-8"?>\n${header}<resources>\n${lines.join(
+    '\n'
+  )}\n</resources>\n`
+}
+
+const SWIFT_WEIGHTS = {
+  100: 'ultraLight',
+  200: 'thin',
+  300: 'light',
+  400: 'regular',
+  500: 'medium',
+  600: 'semibold',
+  700: 'bold',
+  800: 'heavy',
+  900: 'black'
+}
+
+function swiftWeight(weight) {
+  const rounded = Math.min(900, Math.max(100, Math.round(weight / 100) * 100))
+  return SWIFT_WEIGHTS[rounded]
+}
+
+function swiftString(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+}
+
+// Type annotation and value of a variable constant
+function swiftValue(token, group) {
+  switch (group) {
+    case 'dimensions':
+      return `: CGFloat = ${formatNumber(token.value)}`
+    case 'numbers':
+      return `: Double = ${formatNumber(token.value)}`
+    case 'strings':
+      return ` = ${swiftString(token.value)}`
+    default:
+      return ` = ${token.value}`
+  }
+}
+
+function swiftPoint(point) {
+  return `UnitPoint(x: ${formatNumber(point.x)}, y: ${formatNumber(point.y)})`
+}
+
+// SwiftUI blend mode by Figma blend mode, normal blending needs no modifier
+const SWIFT_BLEND_MODES = {
+  DARKEN: 'darken',
+  MULTIPLY: 'multiply',
+  LINEAR_BURN: 'plusDarker',
+  COLOR_BURN: 'colorBurn',
+  LIGHTEN: 'lighten',
+  SCREEN: 'screen',
+  LINEAR_DODGE: 'plusLighter',
+  COLOR_DODGE: 'colorDodge',
+  OVERLAY: 'overlay',
+  SOFT_LIGHT: 'softLight',
+  HARD_LIGHT: 'hardLight',
+  DIFFERENCE: 'difference',
+  EXCLUSION: 'exclusion',
+  HUE: 'hue',
+  SATURATION: 'saturation',
+  COLOR: 'color',
+  LUMINOSITY: 'luminosity'
+}
+
+// Native SwiftUI gradient view for a parsed gradient, diamond gradients are
+// drawn as elliptical ones. Lines after the first get the extra indent.
+function swiftGradient(gradient, indent = '') {
+  const [center, end] = gradient.handles
+  const stops = gradient.stops
+    .map(
+      (stop) =>
+        `            .init(color: ${colorToSwift(
+          stop.color
+        )}, location: ${formatNumber(stop.position)})`
+    )
+    .join(',\n')
+  const args = [`        stops: [\n${stops}\n        ]`]
+
+  let type
+  switch (gradient.kind) {
+    case 'linear':
+      type = 'LinearGradient'
+      args.push(
+        `        startPoint: ${swiftPoint(center)}`,
+        `        endPoint: ${swiftPoint(end)}`
+      )
+      break
+
+    case 'angular': {
+      // SwiftUI angles start at the trailing edge, CSS angles at the top
+      const start = gradient.angle - 90
+      type = 'AngularGradient'
+      args.push(
+        `        center: ${swiftPoint(center)}`,
+        `        startAngle: .degrees(${formatNumber(start, 2)})`,
+        `        endAngle: .degrees(${formatNumber(start + 360, 2)})`
+      )
+      break
+    }
+
+    default:
+      type = 'EllipticalGradient'
+      args.push(
+        `        center: ${swiftPoint(center)}`,
+        '        startRadiusFraction: 0',
+        `        endRadiusFraction: ${formatNumber(
+          handleDistance(center, end)
+        )}`
+      )
+  }
+
+  return `${type}(\n${args.join(',\n')}\n    )`.replace(/\n/g, `\n${indent}`)
+}
+
+function generateSwiftUI(styles) {
+  const tokens = collectTokens(styles)
+  const sections = []
+
+  // Colors that change in the dark theme adapt to the system appearance
+  const dark = collectThemes(styles).find((theme) => theme.dark)
+  const darkColors = new Map(
+    (dark?.tokens.colors || [])
+      .filter((token) => token.themed)
+      .map((token) => [token.variableId, token.color])
+  )
+
+  const colors = withUniqueIds(tokens.colors, 'camel')
+  if (colors.length > 0) {
+    const lines = colors.map((token) => {
+      const doc = token.description
+        ? `    /// ${commentText(token.description)}\n`
+        : ''
+      const color = darkColors.has(token.variableId)
+        ? `Color(light: ${colorToSwift(token.color)}, dark: ${colorToSwift(
+            darkColors.get(token.variableId)
+          )})`
+        : colorToSwift(token.color)
+      return `${doc}    static let ${token.id} = ${color}`
+    })
+    sections.push(
+      `// MARK: - Colors\n\nextension Color {\n${lines.join('\n')}\n}`
+    )
+  }
+
+  const gradients = withUniqueIds(tokens.gradients, 'camel')
+  if (gradients.length > 0) {
+    const lines = gradients.map((token) => {
+      const doc = token.description
+        ? `    /// ${commentText(token.description)}\n`
+        : ''
+      return `${doc}    static let ${token.id} = ${swiftGradient(
+        token.gradient
+      )}`
+    })
+    sections.push(
+      `// MARK: - Gradients\n\nenum Gradients {\n${lines.join('\n\n')}\n}`
+    )
+  }
+
+  const layeredFills = withUniqueIds(tokens.layeredFills, 'camel')
+  if (layeredFills.length > 0) {
+    const lines = layeredFills.map((token) => {
+      const doc = token.description
+        ? `    /// ${commentText(token.description)}\n`
+        : ''
+      const layers = token.layers.map((layer) => {
+        const view = layer.gradient
+          ? swiftGradient(layer.gradient, '        ')
+          : colorToSwift(layer.color)
+        const blendMode = SWIFT_BLEND_MODES[layer.blendMode]
+        return `            ${view}${
+          blendMode ? `\n                .blendMode(.${blendMode})` : ''
+        }`
+      })
+      return `${doc}    static var ${
+        token.id
+      }: some View {\n        ZStack {\n${layers.join('\n')}\n        }\n    }`
+    })
+    sections.push(
+      `// MARK: - Layered fills\n\nenum Fills {\n${lines.join('\n\n')}\n}`
+    )
+  }
+
+  if (darkColors.size > 0) {
+    sections.push(
+      [
+        '// MARK: - Appearance',
+        '',
+        'extension Color {',
+        '    /// Color that follows the light or dark system appearance',
+        '    init(light: Color, dark: Color) {',
+        '        self.init(UIColor { traits in',
+        '            traits.userInterfaceStyle == .dark ? UIColor(dark) : UIColor(light)',
+        '        })',
+        '    }',
+        '}'
+      ].join('\n')
+    )
+  }
+
+  const typography = withUniqueIds(tokens.typography, 'camel')
+  if (typography.length > 0) {
+    const lines = typography.map((token) => {
+      const size = formatNumber(token.fontSize || 17)
+      let font
+      if (token.fontPostScriptName) {
+        // The PostScript name already selects the weight and italic face
+        font = `Font.custom(${swiftString(
+          token.fontPostScriptName
+        )}, size: ${size})`
+      } else {
+        font = token.fontFamily
+          ? `Font.custom(${swiftString(token.fontFamily)}, size: ${size})`
+          : `Font.system(size: ${size})`
+        if (token.fontWeight) {
+          font += `.weight(.${swiftWeight(token.fontWeight)})`
+        }
+        if (token.italic) font += '.italic()'
+      }
+      return `    static let ${token.id} = ${font}`
+    })
+    sections.push(
+      `// MARK: - Typography\n\nextension Font {\n${lines.join('\n')}\n}`
+    )
+
+    // Tracking is a view modifier, so text styles pair it with the font
+    if (typography.some((token) => token.letterSpacing)) {
+      const styleLines = typography.map(
+        (token) =>
+          `    static let ${token.id} = TextStyleToken(font: .${
+            token.id
+          }, tracking: ${formatNumber(token.letterSpacing || 0)})`
+      )
+      sections.push(
+        [
+          '// MARK: - Text styles',
+          '',
+          'struct TextStyleToken {',
+          '    let font: Font',
+          '    let tracking: CGFloat',
+          '}',
+          '',
+          'extension TextStyleToken {',
+          ...styleLines,
+          '}',
+          '',
+          'extension View {',
+          '    func textStyle(_ token: TextStyleToken) -> some View {',
+          '        font(token.font).tracking(token.tracking)',
+          '    }',
+          '}'
+        ].join('\n')
+      )
+    }
+  }
+
+  const variableLines = []
+  for (const [title, group] of [
+    ['Dimensions', 'dimensions'],
+    ['Numbers', 'numbers'],
+    ['Strings', 'strings'],
+    ['Booleans', 'booleans']
+  ]) {
+    const list = withUniqueIds(tokens[group], 'camel')
+    if (list.length === 0) continue
+    if (variableLines.length > 0) variableLines.push('')
+    variableLines.push(`    // ${title}`)
+    for (const token of list) {
+      variableLines.push(
+        `    static let ${token.id}${swiftValue(token, group)}`
+      )
+    }
+  }
+  if (variableLines.length > 0) {
+    sections.push(
+      `// MARK: - Variables\n\nenum DesignTokens {\n${variableLines.join(
+        '\n'
+      )}\n}`
+    )
+  }
+
+  const shadows = withUniqueIds(tokens.shadows, 'camel')
+  if (shadows.length > 0) {
+    const lines = shadows.map((token) => {
+      // SwiftUI's shadow modifier has no spread or inset, use the first layer
+      const shadow = token.shadows[0]
+      return `    static let ${token.id} = ShadowToken(color: ${colorToSwift(
+        shadow.color
+      )}, radius: ${formatNumber(shadow.blur / 2)}, x: ${formatNumber(
+        shadow.x
+      )}, y: ${formatNumber(shadow.y)})`
+    })
+    sections.push(
+      [
+        '// MARK: - Shadows',
+        '',
+        'struct ShadowToken {',
+        '    let color: Color',
+        '    let radius: CGFloat',
+        '    let x: CGFloat',
+        '    let y: CGFloat',
+        '}',
+        '',
+        'extension ShadowToken {',
+        ...lines,
+        '}',
+        '',
+        'extension View {',
+        '    func shadow(_ token: ShadowToken) -> some View {',
+        '        shadow(color: token.color, radius: token.radius, x: token.x, y: token.y)',
+        '    }',
+        '}'
+      ].join('\n')
+    )
+  }
+
+  const imports =
+    darkColors.size > 0 ? 'import SwiftUI\nimport UIKit' : 'import SwiftUI'
+  return `${fileHeader(styles, '//')}\n${imports}\n\n${sections.join('\n\n')}\n`
+}
+
+/**
+ * Generators by format
+ */
+export const LOCAL_GENERATORS = {
+  css: generateCss,
+  scss: generateScss,
+  tailwind: generateTailwind,
+  javascript: generateJavaScript,
+  json: generateJson,
+  'css-variables': generateCssVariables,
+  android: generateAndroid,
+  swiftui: generateSwiftUI
+}
+
+/**
+ * Android resource directory next to the output file: res/values/colors.xml
+ * gives res/values-night or res/drawable, a file anywhere else gets the
+ * directory beside it
+ * @param {string} outputFile - Path of the main output file
+ * @param {string} type - Resource type (drawable) or qualifier (night)
+ * @returns {string} Directory
+ */
+function androidResourceDir(outputFile, type) {
+  const dir = path.dirname(outputFile)
+  const base = path.basename(dir)
+
+  if (!/^values(-|$)/.test(base)) {
+    return path.join(dir, type === 'night' ? 'values-night' : type)
+  }
+  return path.join(path.dirname(dir), type === 'night' ? `${base}-night` : type)
+}
+
+// Android shape gradients are linear, radial or sweep with up to 3 colors
+const ANDROID_GRADIENT_TYPES = {
+  linear: 'linear',
+  radial: 'radial',
+  diamond: 'radial',
+  angular: 'sweep'
+}
+
+/**
+ * <gradient> element of a shape drawable
+ * @param {Object} gradient - Result of parseGradient
+ * @param {string} indent - Indentation of the element
+ * @returns {string[]} Lines, starting with comments on what Android can't do
+ */
+function androidGradient(gradient, indent) {
+  const [center, end] = gradient.handles
+  const stops = gradient.stops
+  const attributes = [`android:type="${ANDROID_GRADIENT_TYPES[gradient.kind]}"`]
+  const notes = []
+
+  if (gradient.kind === 'linear') {
+    // Android angles run counterclockwise from left to right in steps of 45
+    const angle = (Math.round((90 - gradient.angle) / 45) * 45 + 360) % 360
+    attributes.push(`android:angle="${angle}"`)
+  } else {
+    attributes.push(
+      `android:centerX="${formatNumber(center.x)}"`,
+      `android:centerY="${formatNumber(center.y)}"`
+    )
+    if (gradient.kind === 'angular') {
+      notes.push('Android sweep gradients always start on the right')
+    } else {
+      attributes.push(
+        `android:gradientRadius="${formatNumber(
+          handleDistance(center, end) * 100,
+          2
+        )}%"`
+      )
+    }
+  }
+
+  if (stops.length > 0) {
+    attributes.push(`android:startColor="${colorToAndroid(stops[0].color)}"`)
+  }
+  if (stops.length > 2) {
+    const middle = stops
+      .slice(1, -1)
+      .reduce((best, stop) =>
+        Math.abs(stop.position - 0.5) < Math.abs(best.position - 0.5)
+          ? stop
+          : best
+      )
+    attributes.push(`android:centerColor="${colorToAndroid(middle.color)}"`)
+  }
+  if (stops.length > 1) {
+    attributes.push(
+      `android:endColor="${colorToAndroid(stops[stops.length - 1].color)}"`
+    )
+  }
+  if (stops.length > 3) {
+    notes.push(`${stops.length} color stops reduced to start, center and end`)
+  }
+
+  const attributeLines = attributes.map(
+    (attribute) => `${indent}    ${attribute}`
+  )
+  attributeLines[attributeLines.length - 1] += ' />'
+  return [
+    ...notes.map((note) => `${indent}<!-- ${note} -->`),
+    `${indent}<gradient`,
+    ...attributeLines
+  ]
+}
+
+/**
+ * Drawable XML for a gradient, or a layer-list for a layered fill
+ * @param {Object} styles - Result of getStylesFromFile
+ * @param {Object} token - Gradient or layered fill token
+ * @returns {string} Drawable XML
+ */
+function androidDrawable(styles, token) {
+  const namespace = 'xmlns:android="http://schemas.android.com/apk/res/android"'
+  const lines = []
+
+  if (token.gradient) {
+    lines.push(
+      `<shape ${namespace}>`,
+      ...androidGradient(token.gradient, '    '),
+      '</shape>'
+    )
+  } else {
+    lines.push(`<layer-list ${namespace}>`)
+    if (token.layers.some((layer) => layersToCssBlendModes([layer]))) {
+      lines.push(
+        '    <!-- Layer lists draw every layer with normal blending -->'
+      )
+    }
+    for (const layer of token.layers) {
+      lines.push('    <item>', '        <shape>')
+      if (layer.gradient) {
+        lines.push(...androidGradient(layer.gradient, '            '))
+      } else {
+        lines.push(
+          `            <solid android:color="${colorToAndroid(layer.color)}" />`
+        )
+      }
+      lines.push('        </shape>', '    </item>')
+    }
+    lines.push('</layer-list>')
+  }
+
+  return `<?xml version="1.0" encoding="utf-8"?>\n${fileHeader(
+    styles,
+    '<!--',
+    '-->'
+  )}${lines.join('\n')}\n`
+}
+
+/**
+ * Files a format keeps outside the main output file: for Android the
+ * values-night overrides of the dark theme and a drawable per gradient or
+ * layered fill
+ * @param {Object} styles - Result of getStylesFromFile
+ * @param {string} format - One of SUPPORTED_FORMATS
+ * @param {string} outputFile - Path of the main output file
+ * @returns {Object[]} Files as { path, code }
+ */
+export function generateExtraFiles(styles, format, outputFile) {
+  if (format !== 'android') return []
+
+  const files = []
+
+  const dark = collectThemes(styles).find((theme) => theme.dark)
+  if (
+    dark &&
+    Object.values(dark.tokens)
+      .flat()
+      .some((token) => token.themed)
+  ) {
+    files.push({
+      path: path.join(
+        androidResourceDir(outputFile, 'night'),
+        path.basename(outputFile)
+      ),
+      code: generateAndroid(styles, { theme: dark.name })
+    })
+  }
+
+  const tokens = collectTokens(styles)
+  const drawables = androidResourceDir(outputFile, 'drawable')
+  for (const [prefix, list] of [
+    ['gradient', tokens.gradients],
+    ['fill', tokens.layeredFills]
+  ]) {
+    for (const token of withUniqueIds(list, 'snake')) {
+      files.push({
+        path: path.join(
+          drawables,
+          `${prefixed(prefix, token.id, 'snake')}.xml`
+        ),
+        code: androidDrawable(styles, token)
+      })
+    }
+  }
+
+  return files
+}
+
+/**
+ * Check that a naming convention can be used with a format
+ * @param {string} format - One of SUPPORTED_FORMATS
+ * @param {string} [naming] - Key of NAMING_CONVENTIONS
+ * @throws {ValidationError} If the convention is unknown or the format
+ * requires another one
+ */
+export function validateNaming(format, naming) {
+  if (!naming) return
+
+  if (!NAMING_CONVENTIONS[naming]) {
+    throw new ValidationError(
+      `Unknown naming convention '${naming}'. Expected one of: ${Object.keys(
+        NAMING_CONVENTIONS
+      ).join(', ')}`,
+      'INVALID_NAMING'
+    )
+  }
+
+  const fixed = FIXED_NAMING[format]
+  if (fixed && fixed !== naming) {
+    throw new ValidationError(
+      `${format} always uses ${fixed} names, remove naming: '${naming}'`,
+      'UNSUPPORTED_NAMING'
+    )
+  }
+}
+
+/**
+ * Prompt section asking the model for a naming convention
+ * @param {string} [naming] - Key of NAMING_CONVENTIONS
+ * @returns {string} Prompt section, empty without a convention
+ */
+export function getNamingGuidelines(naming) {
+  if (!naming) return ''
+  return `\nNAMING:\n- Name every token in ${naming} case, for example ${formatName(
+    'Brand/Primary 500',
+    naming
+  )}\n`
+}
+
+/**
+ * Generate code for a format without AI
+ * @param {Object} styles - Result of getStylesFromFile
+ * @param {string} format - One of SUPPORTED_FORMATS
+ * @param {Object} [options] - Options
+ * @param {string} [options.naming] - Naming convention, defaults to the one
+ * idiomatic for the format
+ * @returns {string} Generated code
+ * @throws {ValidationError} If the format or naming is not supported
+ */
+export function generateLocalCode(styles, format, options = {}) {
+  const generator = LOCAL_GENERATORS[format]
+
+  if (!generator) {
+    throw new ValidationError(
+      `Unknown format '${format}'. Expected one of: ${SUPPORTED_FORMATS.join(
+        ', '
+      )}`,
+      'INVALID_FORMAT'
+    )
+  }
+  validateNaming(format, options.naming)
+
+  return generator(styles, { naming: options.naming })
+}
@@ -0,0 +1,143 @@
+/**
+ * Gradient paints
+ *
+ * Figma describes a gradient with three handle positions in the unit square
+ * of the node (origin top left): the start (or center), the end of the main
+ * axis and the end of the cross axis. Without the node's size the conversions
+ * here assume a square box, which is exact for CSS percentages and the unit
+ * points SwiftUI and Android use.
+ */
+import { colorToCss, formatNumber } from './colors.js'
+
+/**
+ * Gradient kinds by Figma paint type
+ */
+export const GRADIENT_TYPES = {
+  GRADIENT_LINEAR: 'linear',
+  GRADIENT_RADIAL: 'radial',
+  GRADIENT_ANGULAR: 'angular',
+  GRADIENT_DIAMOND: 'diamond'
+}
+
+// Handles Figma uses when a paint doesn't carry any (left to right)
+const DEFAULT_HANDLES = [
+  { x: 0, y: 0.5 },
+  { x: 1, y: 0.5 },
+  { x: 0, y: 1 }
+]
+
+/**
+ * Distance between two handles
+ * @param {Object} a - Point with x and y
+ * @param {Object} b - Point with x and y
+ * @returns {number} Distance in unit square coordinates
+ */
+export function handleDistance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y)
+}
+
+// Direction of a vector in degrees, clockwise from "up" like CSS angles
+function bearing(from, to) {
+  const degrees = (Math.atan2(to.x - from.x, from.y - to.y) * 180) / Math.PI
+  return (degrees + 360) % 360
+}
+
+function percent(value) {
+  return `${formatNumber(value * 100, 2)}%`
+}
+
+/**
+ * Parse a Figma gradient paint
+ * @param {Object} paint - Paint with a GRADIENT_* type
+ * @returns {Object|null} { kind, angle, handles, stops, css }, null for other
+ * paint types
+ */
+export function parseGradient(paint) {
+  const kind = GRADIENT_TYPES[paint?.type]
+  if (!kind) return null
+
+  const handles =
+    paint.gradientHandlePositions?.length >= 3
+      ? paint.gradientHandlePositions.map(({ x, y }) => ({ x, y }))
+      : DEFAULT_HANDLES
+  // The paint's own opacity fades every stop
+  const opacity = paint.opacity ?? 1
+  const stops = (paint.gradientStops || [])
+    .map((stop) => ({
+      position: stop.position,
+      color: { ...stop.color, a: (stop.color?.a ?? 1) * opacity }
+    }))
+    .sort((a, b) => a.position - b.position)
+
+  const gradient = {
+    kind,
+    angle: Number(formatNumber(bearing(handles[0], handles[1]), 2)),
+    handles,
+    stops
+  }
+  gradient.css = gradientToCss(gradient)
+  return gradient
+}
+
+/**
+ * Positions of the stops along the CSS gradient line. CSS runs a linear
+ * gradient corner to corner through the center, Figma between two handles,
+ * so each stop is projected onto the CSS line.
+ * @param {Object} gradient - Result of parseGradient
+ * @returns {number[]} Positions, 0 to 1 at the ends of the CSS line
+ */
+function linearStopPositions(gradient) {
+  const [start, end] = gradient.handles
+  const radians = (gradient.angle * Math.PI) / 180
+  const direction = { x: Math.sin(radians), y: -Math.cos(radians) }
+  const length = Math.abs(direction.x) + Math.abs(direction.y)
+  const along = (point) =>
+    ((point.x - 0.5) * direction.x + (point.y - 0.5) * direction.y) / length +
+    0.5
+
+  const from = along(start)
+  const to = along(end)
+  return gradient.stops.map((stop) => from + stop.position * (to - from))
+}
+
+/**
+ * CSS gradient for a parsed gradient. Diamond gradients have no CSS
+ * counterpart and fall back to a radial gradient with the same stops.
+ * @param {Object} gradient - Result of parseGradient
+ * @returns {string} linear-gradient(), radial-gradient() or conic-gradient()
+ */
+export function gradientToCss(gradient) {
+  const [center, end, cross] = gradient.handles
+  const stops = (positions) =>
+    gradient.stops
+      .map(
+        (stop, index) =>
+          `${colorToCss(stop.color)} ${percent(positions[index])}`
+      )
+      .join(', ')
+  const ownPositions = gradient.stops.map((stop) => stop.position)
+
+  switch (gradient.kind) {
+    case 'linear':
+      return `linear-gradient(${formatNumber(gradient.angle, 2)}deg, ${stops(
+        linearStopPositions(gradient)
+      )})`
+
+    case 'angular':
+      return `conic-gradient(from ${formatNumber(
+        gradient.angle,
+        2
+      )}deg at ${percent(center.x)} ${percent(center.y)}, ${stops(
+        ownPositions
+      )})`
+
+    default: {
+      // Horizontal and vertical extent of the (possibly rotated) ellipse
+      const radiusX = Math.hypot(end.x - center.x, cross.x - center.x)
+      const radiusY = Math.hypot(end.y - center.y, cross.y - center.y)
+      return `radial-gradient(ellipse ${percent(radiusX)} ${percent(
+        radiusY
+      )} at ${percent(center.x)} ${percent(center.y)}, ${stops(ownPositions)})`
+    }
+  }
+}
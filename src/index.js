@@ -1,25 +1,163 @@
-import { getFileInfo, getStylesFromFile } from './figma.js'
 import {
+  getFileInfo,
+  getFileVersions,
+  getStylesFromFile,
+  validateFileKey
+} from './figma.js'
+import {
+  extractFileKeyFromUrl,
   promptForFileKey,
   confirmFileSelection,
+  confirmCost,
   chooseGenerationMode,
   chooseAIProvider,
   chooseModel,
   chooseCodeFormat,
+  chooseCodeFormats,
   promptForOutputFile
 } from './prompts.js'
 import { generatePrompt, savePromptToFile } from './export.js'
 import {
   generateCodeFromStyles,
   generateDesignTokens,
+  planGeneration,
   saveCodeToFile,
-  getAvailableProviders
+  getAvailableProviders,
+  getAllProviders,
+  getProviderInfo,
+  getProviderModels
 } from './ai-providers.js'
+import { getModelInfo } from './providers.js'
+import {
+  checkCostLimit,
+  createUsageTracker,
+  formatCost,
+  formatUsage
+} from './costs.js'
+import { generateLocalCode, generateExtraFiles } from './generators.js'
+import { filterStyles } from './filters.js'
+import { verifyOutput } from './verify.js'
+import { compressStylesForAI } from './compress.js'
+import {
+  AppError,
+  ConfigurationError,
+  UserCancelledError,
+  ValidationError
+} from './errors.js'
+import {
+  DIFF_REPORTS,
+  createSnapshot,
+  diffStyles,
+  diffTokens,
+  formatDiff,
+  isEmptyDiff,
+  readSnapshot
+} from './diff.js'
+import {
+  checkLockfile,
+  createLockfile,
+  getLockfilePath,
+  isLockfileCurrent,
+  readLockfile,
+  writeLockfile
+} from './lockfile.js'
+import { OUTPUT_CONFIG, SUPPORTED_FORMATS, WATCH_CONFIG } from './constants.js'
+import fs from 'fs'
+import path from 'path'
 import ora from 'ora'
 import chalk from 'chalk'
 import logger from './logger.js'
 
-export async function run() {
+/**
+ * Use a value given on the command line, or ask for it when interactive
+ * @param {*} value - Value provided up front (CLI flag)
+ * @param {Function} ask - Prompt to run when the value is missing
+ * @param {Object} options - Run options
+ * @param {string} flag - Flag that provides the value, for the error message
+ * @returns {Promise<*>} Resolved value
+ * @throws {ValidationError} If the value is missing in non-interactive mode
+ */
+async function resolveOption(value, ask, options, flag) {
+  if (value !== null && value !== undefined) {
+    return value
+  }
+
+  if (!options.interactive) {
+    throw new ValidationError(
+      `Missing required option ${flag} (prompts are disabled in non-interactive mode)`,
+      'MISSING_OPTION'
+    )
+  }
+
+  return ask()
+}
+
+/**
+ * Parse one or more code formats
+ * @param {string|string[]} [value] - Format, comma separated formats or a
+ * list of either
+ * @returns {string[]} Formats without duplicates, empty when unset
+ * @throws {ValidationError} If a format is not supported
+ */
+export function parseFormats(value) {
+  const formats = [value]
+    .flat(Infinity)
+    .filter(Boolean)
+    .flatMap((item) => item.split(','))
+    .map((format) => format.trim())
+    .filter(Boolean)
+
+  const unknown = formats.find((format) => !SUPPORTED_FORMATS.includes(format))
+  if (unknown) {
+    throw new ValidationError(
+      `Unknown format '${unknown}'. Expected one of: ${SUPPORTED_FORMATS.join(
+        ', '
+      )}`,
+      'INVALID_FORMAT'
+    )
+  }
+
+  return [...new Set(formats)]
+}
+
+/**
+ * Run the figtree flow
+ * @param {Object} [options] - Run options
+ * @param {boolean} [options.interactive=true] - Allow prompting the user
+ * @param {string} [options.file] - Figma file key or URL
+ * @param {string|string[]} [options.format] - Code format, or several to
+ * generate from one extraction
+ * @param {string} [options.mode] - Generation mode ('ai', 'prompt' or 'local')
+ * @param {string} [options.provider] - AI provider
+ * @param {string} [options.model] - AI model
+ * @param {string} [options.output] - Output file path, or the output
+ * directory with several formats
+ * @param {string} [options.naming] - Token naming convention
+ * @param {number} [options.repairRounds] - Times AI code that fails its
+ * checks is sent back to the model to be fixed
+ * @param {number} [options.maxCost] - Most an AI generation may cost, in
+ * US dollars
+ * @param {number} [options.concurrency] - Chunks of a large file generated
+ * at once
+ * @param {Object} [options.tokens] - Token filter (see filters.js)
+ * @param {boolean} [options.cache=true] - Reuse Figma responses cached for
+ * the current file version
+ * @param {boolean} [options.aiCache=true] - Reuse AI responses cached for
+ * the same prompt and model
+ * @param {boolean} [options.refresh=false] - Download the file again and
+ * replace the cached responses
+ * @param {boolean} [options.frozen=false] - Only check the file and outputs
+ * against the lockfile next to the output, without generating
+ */
+export async function run(options = {}) {
+  options = {
+    interactive: true,
+    cache: true,
+    aiCache: true,
+    refresh: false,
+    ...options
+  }
+
   try {
     logger.header('🌳 figtree', 'Extract design tokens from Figma')
     logger.info('Ready to extract styles from your Figma file!\n')
@@ -29,8 +167,20 @@ export async function run() {
     let fileInfo
     let confirmed = false
 
+    if (options.file) {
+      fileKey = extractFileKeyFromUrl(options.file)
+      if (!validateFileKey(fileKey)) {
+        throw new ValidationError(
+          `Invalid Figma URL or file key: ${options.file}`,
+          'INVALID_FILE_KEY'
+        )
+      }
+    }
+
     while (!confirmed) {
-      fileKey = await promptForFileKey()
+      if (!options.file) {
+        fileKey = await resolveOption(null, promptForFileKey, options, '--file')
+      }
 
       // Step 2: Validate file key and get file info
       const spinner = ora(
@@ -42,14 +192,31 @@ export async function run() {
         spinner.succeed('File found and validated!')
 
         // Step 3: Confirm file selection
-        confirmed = await confirmFileSelection(fileInfo)
+        if (options.interactive) {
+          confirmed = await confirmFileSelection(fileInfo)
+        } else {
+          logger.info(`📄 File: ${fileInfo.name} (version ${fileInfo.version})`)
+          confirmed = true
+        }
 
         if (!confirmed) {
+          // Fall back to asking for a key when the one from --file was rejected
+          options.file = null
           logger.info(chalk.yellow('\n🔄 Let\'s try another file key...\n'))
         }
       } catch (error) {
+        if (error instanceof ValidationError) {
+          throw error
+        }
+
         spinner.fail('Failed to validate file key.')
 
+        // Asking for another key makes no sense without a prompt or when the
+        // key was given up front, so surface the original error instead
+        if (!options.interactive || options.file) {
+          throw error
+        }
+
         if (error.message.includes('Invalid Figma token')) {
           logger.error(chalk.yellow('\n🔑 Token Issue:'))
           logger.raw('Please check your Figma token setup:')
@@ -87,55 +254,68 @@ export async function run() {
     }
 
     // Step 4: Extract styles from the file
-    const stylesSpinner = ora('Extracting styles from file...').start()
-    let styles
-
-    try {
-      styles = await getStylesFromFile(fileKey)
-      stylesSpinner.succeed('Styles extracted successfully!')
-
-      // Show summary of extracted styles
-      logger.section('📊 Styles Summary:')
-      logger.info(`• ${styles.summary.fillStyles} color/fill styles`)
-      logger.info(`• ${styles.summary.textStyles} text styles`)
-      logger.info(`• ${styles.summary.effectStyles} effect styles`)
-      logger.info(`• ${styles.summary.gridStyles} grid styles`)
-      logger.info(`• Total: ${styles.summary.totalStyles} styles`)
-
-      if (styles.summary.totalStyles === 0) {
-        logger.warn(chalk.yellow('\n⚠️  No styles found in this file.'))
-        logger.info('This could mean:')
-        logger.info('• The file doesn\'t have any defined styles')
-        logger.info('• All styles are from external libraries')
-        logger.info('• The file is empty or has no design tokens')
-        logger.info('\nContinuing with document-level style extraction...')
-      }
-    } catch (error) {
-      stylesSpinner.fail('Failed to extract styles.')
-      logger.error(`\n❌ Error extracting styles: ${error.message}`)
+    const styles = await extractStyles(fileKey, fileInfo, options)
 
-      if (error.message.includes('Access denied')) {
-        logger.warn('\nThis file might be in a team you don\'t have access to.')
-        logger.raw('Try a different file or check your permissions.')
-      }
-      throw new Error('Failed to extract styles from file')
+    if (options.frozen) {
+      const formats = parseFormats(options.format)
+      verifyLockfile(
+        getLockfilePath(outputDir(options.output, formats.length)),
+        fileKey,
+        styles
+      )
+      return
     }
 
     // Step 5: Choose generation mode
-    const mode = await chooseGenerationMode()
+    const mode = await resolveOption(
+      options.mode,
+      chooseGenerationMode,
+      options,
+      '--mode'
+    )
 
-    if (mode === 'ai') {
-      // AI-powered generation
-      await generateWithAI(styles)
+    // Step 6: Choose the code formats
+    const formats = await resolveFormats(options)
+
+    if (formats.length === 1) {
+      const files = await generate(styles, mode, {
+        ...options,
+        format: formats[0]
+      })
+      if (files.length > 0) {
+        updateLockfile(getLockfilePath(path.dirname(files[0])), styles, [
+          { name: formats[0], format: formats[0], mode, files }
+        ])
+      }
     } else {
-      // Original prompt generation
-      await generatePromptMode(styles)
+      // Ask for the provider and model once for all formats
+      const availableProviders = getAvailableProviders()
+      if (mode === 'ai' && Object.keys(availableProviders).length > 0) {
+        options.provider = await resolveProvider(availableProviders, options)
+        options.model = await resolveModel(options.provider, options)
+      }
+
+      // One file per format in the output directory, named by format
+      const results = await generateTargets(
+        styles,
+        formatTargets(formats, mode, options.output),
+        options
+      )
+      printSummary(results)
+      throwFirstFailure(results)
+      updateLockfile(
+        getLockfilePath(outputDir(options.output, formats.length)),
+        styles,
+        results
+      )
     }
   } catch (error) {
     // Catch any unexpected errors
     if (error.message && error.message.includes('User force closed')) {
       logger.raw(chalk.gray('\n👋 Cancelled by user.'))
       throw new Error('User cancelled operation')
+    } else if (error instanceof AppError) {
+      throw error
     } else {
       logger.error(`\n💥 Unexpected error: ${error.message}`)
       logger.raw(chalk.gray('Please try again or report this issue.'))
@@ -144,55 +324,1032 @@ export async function run() {
   }
 }
 
+/**
+ * Regenerate the targets of the project config without prompting
+ * @param {Object} config - Result of getAppConfig with a project config
+ * @param {Object} [options] - Build options
+ * @param {string[]} [options.targets] - Names of the targets to build, all
+ * when empty
+ * @param {boolean} [options.cache=true] - Reuse cached Figma responses
+ * @param {boolean} [options.aiCache=true] - Reuse cached AI responses
+ * @param {boolean} [options.refresh=false] - Replace cached Figma responses
+ * @param {boolean} [options.frozen=false] - Only check the file and outputs
+ * against the lockfile, without generating
+ * @returns {Promise<Object[]>} One { name, format, mode, files, error } per
+ * target built, empty when frozen
+ * @throws {ConfigurationError} If the project config has no targets
+ * @throws {ValidationError} If a target name or file is unknown
+ */
+export async function build(
+  config,
+  {
+    targets: names = [],
+    cache = true,
+    aiCache = true,
+    refresh = false,
+    frozen = false
+  } = {}
+) {
+  const targets = selectTargets(config, names)
+  const byFile = groupTargetsByFile(targets)
+  const lockFile = getLockfilePath(
+    config.configFile ? path.dirname(config.configFile) : process.cwd()
+  )
+  logger.header('🌳 figtree build', `${targets.length} target(s)`)
+
+  // One lockfile describes one Figma file
+  if (frozen && byFile.size > 1) {
+    throw new ConfigurationError(
+      'The targets read more than one Figma file, --frozen needs a single file',
+      'LOCKFILE_MULTIPLE_FILES'
+    )
+  }
+
+  // Targets reading the same file share one extraction
+  const results = []
+  const extractions = []
+  for (const [fileKey, fileTargets] of byFile) {
+    const fileInfo = await getFileInfo(fileKey)
+    logger.info(`📄 File: ${fileInfo.name} (version ${fileInfo.version})`)
+
+    const styles = await extractStyles(fileKey, fileInfo, { cache, refresh })
+    if (frozen) {
+      verifyLockfile(lockFile, fileKey, styles)
+      return []
+    }
+
+    const fileResults = await generateTargets(styles, fileTargets, {
+      interactive: false,
+      repairRounds: config.repairRounds,
+      maxCost: config.maxCost,
+      concurrency: config.concurrency,
+      aiCache,
+      cache,
+      refresh
+    })
+    results.push(...fileResults)
+    extractions.push({ styles, results: fileResults })
+  }
+
+  printSummary(results)
+  throwFirstFailure(results)
+
+  if (extractions.length === 1) {
+    updateLockfile(lockFile, extractions[0].styles, extractions[0].results)
+  } else {
+    logger.warn(
+      'The targets read more than one Figma file, no lockfile was written'
+    )
+  }
+
+  return results
+}
+
+/**
+ * Directory outputs are written to: output itself for several formats,
+ * the directory of the output file for one
+ * @param {string} [output] - Output option
+ * @param {number} formatCount - Number of formats generated
+ * @returns {string} Directory
+ */
+function outputDir(output, formatCount) {
+  if (!output) return process.cwd()
+  return formatCount > 1 ? output : path.dirname(output)
+}
+
+/**
+ * Record an extraction and the code generated from it in the lockfile.
+ * Prompts are left out, and a run of prompts alone writes no lockfile.
+ * @param {string} lockFile - Lockfile path
+ * @param {Object} styles - Extracted styles
+ * @param {Object[]} results - Results of generateTargets
+ */
+function updateLockfile(lockFile, styles, results) {
+  const generated = results.filter((result) => result.mode !== 'prompt')
+  if (generated.length === 0) return
+
+  writeLockfile(
+    lockFile,
+    createLockfile(styles, generated, path.dirname(lockFile))
+  )
+  logger.info(`🔒 Lockfile updated: ${displayPath(lockFile)}`)
+}
+
+/**
+ * Check the file and the outputs against the lockfile
+ * @param {string} lockFile - Lockfile path
+ * @param {string} fileKey - Figma file key
+ * @param {Object} styles - Extracted styles
+ * @throws {ConfigurationError} If there is no lockfile
+ * @throws {ValidationError} If the file or an output drifted from it
+ */
+function verifyLockfile(lockFile, fileKey, styles) {
+  const lock = readLockfile(lockFile)
+  if (lock.fileKey && lock.fileKey !== fileKey) {
+    throw new ValidationError(
+      `${displayPath(lockFile)} locks file ${lock.fileKey}, not ${fileKey}`,
+      'LOCKFILE_DRIFT'
+    )
+  }
+
+  const check = checkLockfile(lock, styles, path.dirname(lockFile))
+  const version = styles.fileInfo.version
+
+  if (isLockfileCurrent(check)) {
+    logger.success(
+      `✅ ${displayPath(lockFile)} is up to date (${
+        Object.keys(lock.outputs).length
+      } outputs, version ${lock.version})`
+    )
+    if (version !== lock.version) {
+      logger.info(
+        chalk.gray(
+          `Figma is at version ${version} now, without token changes since version ${lock.version}.`
+        )
+      )
+    }
+    return
+  }
+
+  if (!isEmptyDiff(check.tokens)) {
+    logger.error('❌ The Figma file changed since the lockfile was written:')
+    logger.raw(
+      formatDiff(check.tokens, 'text', {
+        from: `locked version ${lock.version}`,
+        to: `current version ${version}`
+      })
+    )
+  }
+  if (check.outputs.length > 0) {
+    logger.error('❌ Outputs differ from the lockfile:')
+    for (const output of check.outputs) {
+      logger.raw(`  ${output.path} is ${output.problem}`)
+    }
+  }
+
+  throw new ValidationError(
+    `${displayPath(
+      lockFile
+    )} is out of date. Run without --frozen and commit the result`,
+    'LOCKFILE_DRIFT'
+  )
+}
+
+/**
+ * Regenerate whenever the Figma file changes, until stopped. Watches the
+ * targets of the project config, or the file, formats and output given as
+ * options when there is none.
+ * @param {Object} config - Result of getAppConfig
+ * @param {Object} [options] - Watch options
+ * @param {string[]} [options.targets] - Names of the targets to watch, all
+ * when empty
+ * @param {number} [options.interval] - Milliseconds between checks while
+ * nothing changes, backing off up to WATCH_CONFIG.MAX_INTERVAL
+ * @param {boolean} [options.cache=true] - Reuse cached Figma responses
+ * @param {boolean} [options.aiCache=true] - Reuse cached AI responses
+ * @param {boolean} [options.refresh=false] - Replace cached Figma responses
+ * @param {AbortSignal} [options.signal] - Stops watching when aborted
+ * @returns {Promise<void>} Resolves once stopped
+ * @throws {ConfigurationError} If there is nothing to watch
+ * @throws {ValidationError} If a target, file or format is invalid
+ */
+export async function watch(
+  config,
+  {
+    targets: names = [],
+    interval = WATCH_CONFIG.INTERVAL,
+    cache = true,
+    aiCache = true,
+    refresh = false,
+    signal
+  } = {}
+) {
+  const targets =
+    config.targets.length > 0
+      ? selectTargets(config, names)
+      : optionTargets(config)
+  const files = [...groupTargetsByFile(targets)].map(
+    ([fileKey, fileTargets]) => ({ fileKey, targets: fileTargets })
+  )
+
+  logger.header(
+    '🌳 figtree watch',
+    `${targets.length} target(s), checking every ${Math.round(
+      interval / 1000
+    )}s`
+  )
+
+  const generateOptions = {
+    interactive: false,
+    repairRounds: config.repairRounds,
+    maxCost: config.maxCost,
+    concurrency: config.concurrency,
+    aiCache,
+    cache,
+    refresh,
+    signal
+  }
+
+  // First build, so outputs match the file before waiting for changes
+  for (const file of files) {
+    file.info = await getFileInfo(file.fileKey)
+    logger.info(`📄 File: ${file.info.name} (version ${file.info.version})`)
+    file.styles = await extractStyles(file.fileKey, file.info, generateOptions)
+    printSummary(
+      await generateTargets(file.styles, file.targets, generateOptions)
+    )
+  }
+
+  logger.info(chalk.gray('\n👀 Watching for changes, press Ctrl+C to stop'))
+
+  let delay = interval
+  while (!signal?.aborted) {
+    await sleep(delay, signal)
+    if (signal?.aborted) break
+
+    try {
+      let changed = false
+      for (const file of files) {
+        changed =
+          (await updateWatchedFile(file, generateOptions, signal)) || changed
+      }
+
+      // Check less often while the file is quiet, right away again after
+      // a change since designers tend to edit in bursts
+      delay = changed
+        ? interval
+        : Math.min(delay * WATCH_CONFIG.IDLE_BACKOFF, WATCH_CONFIG.MAX_INTERVAL)
+    } catch (error) {
+      delay = Math.min(
+        Math.max(delay, interval) * WATCH_CONFIG.ERROR_BACKOFF,
+        WATCH_CONFIG.MAX_INTERVAL
+      )
+      logger.warn(
+        chalk.yellow(
+          `⚠️  Could not check for changes: ${
+            error.message
+          }. Retrying in ${Math.round(delay / 1000)}s`
+        )
+      )
+    }
+
+    logger.debug(`[figtree] Next check in ${Math.round(delay / 1000)}s`)
+  }
+
+  logger.info(chalk.gray('\n👋 Stopped watching.'))
+}
+
+/**
+ * Report the token changes between two versions of a file, or between a
+ * snapshot and the file
+ * @param {Object} config - Result of getAppConfig
+ * @param {Object} [options] - Diff options
+ * @param {string} [options.from] - Version id or snapshot file of the
+ * earlier side, the version before the later side by default
+ * @param {string} [options.to] - Version id or snapshot file of the later
+ * side, the current file by default
+ * @param {string} [options.report='text'] - One of DIFF_REPORTS
+ * @param {string} [options.output] - Write the report here instead of
+ * printing it
+ * @param {string} [options.snapshot] - Also save the tokens of the later
+ * side as a snapshot to compare against later
+ * @param {boolean} [options.cache=true] - Reuse cached Figma responses
+ * @param {boolean} [options.refresh=false] - Replace cached Figma responses
+ * @returns {Promise<Object>} The diff (see diffTokens)
+ * @throws {ValidationError} If the file, a side or the report is invalid
+ */
+export async function diff(
+  config,
+  {
+    from,
+    to,
+    report = 'text',
+    output,
+    snapshot,
+    cache = true,
+    refresh = false
+  } = {}
+) {
+  if (!DIFF_REPORTS.includes(report)) {
+    throw new ValidationError(
+      `Unknown report format '${report}'. Expected one of: ${DIFF_REPORTS.join(
+        ', '
+      )}`,
+      'INVALID_REPORT'
+    )
+  }
+
+  const fileKey = resolveDiffFile(config, [from, to])
+  const options = { cache, refresh }
+
+  const later = await loadDiffSide(fileKey, to, options)
+  const earlier = from
+    ? await loadDiffSide(fileKey, from, options)
+    : await loadPreviousVersion(fileKey, later, options)
+
+  let before = earlier.snapshot.tokens
+  let after = later.snapshot.tokens
+
+  // Variables of a past version can't be read, comparing them with the
+  // current ones would report every variable as added or removed
+  if (earlier.pastVersion !== later.pastVersion) {
+    logger.warn(
+      'Variables have no version history in the Figma API, comparing styles only'
+    )
+    before = before.filter((token) => token.type !== 'variable')
+    after = after.filter((token) => token.type !== 'variable')
+  }
+
+  const changes = diffTokens(before, after)
+  const text = formatDiff(changes, report, {
+    from: earlier.label,
+    to: later.label
+  })
+
+  if (snapshot) {
+    writeReport(snapshot, `${JSON.stringify(later.snapshot, null, 2)}\n`)
+  }
+
+  // A report on stdout stays clean enough to pipe
+  if (output) {
+    writeReport(output, `${text}\n`)
+    logger.success(`✅ Diff saved to: ${output}`)
+    if (snapshot) logger.success(`✅ Snapshot saved to: ${snapshot}`)
+  } else {
+    logger.raw(text)
+  }
+
+  return changes
+}
+
+// Write a file, creating its directory
+function writeReport(file, content) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true })
+  fs.writeFileSync(file, content, 'utf8')
+}
+
+// Whether a diff side names a snapshot file rather than a version id
+function isSnapshotPath(side) {
+  return side.endsWith('.json') || fs.existsSync(side)
+}
+
+/**
+ * The file to diff: --file or the config, else the file of the snapshot
+ * being compared, else the one file all targets read
+ * @param {Object} config - Result of getAppConfig
+ * @param {string[]} sides - The from and to options
+ * @returns {string} File key
+ * @throws {ValidationError} If no single file can be found
+ */
+function resolveDiffFile(config, sides) {
+  const snapshotFile = sides
+    .filter((side) => side && isSnapshotPath(side))
+    .map((side) => readSnapshot(side).fileKey)
+    .find(Boolean)
+  const targetFiles = [
+    ...new Set(config.targets.map((target) => target.file).filter(Boolean))
+  ]
+  const file =
+    config.file ||
+    snapshotFile ||
+    (targetFiles.length === 1 ? targetFiles[0] : null)
+
+  if (!file) {
+    throw new ValidationError(
+      'Which file should be compared? Pass --file FILE_KEY',
+      'MISSING_OPTION'
+    )
+  }
+
+  const fileKey = extractFileKeyFromUrl(file)
+  if (!validateFileKey(fileKey)) {
+    throw new ValidationError(
+      `Invalid Figma URL or file key: ${file}`,
+      'INVALID_FILE_KEY'
+    )
+  }
+
+  return fileKey
+}
+
+/**
+ * Load one side of a diff
+ * @param {string} fileKey - Figma file key
+ * @param {string} [side] - Snapshot file or version id, the current file
+ * when missing
+ * @param {Object} options - Cache options
+ * @returns {Promise<Object>} { label, snapshot, pastVersion, version }
+ */
+async function loadDiffSide(fileKey, side, options) {
+  if (side && isSnapshotPath(side)) {
+    const snapshot = readSnapshot(side)
+    if (snapshot.fileKey && snapshot.fileKey !== fileKey) {
+      logger.warn(
+        `${side} was taken from file ${snapshot.fileKey}, not ${fileKey}`
+      )
+    }
+    return {
+      label: `${side} (version ${snapshot.version})`,
+      snapshot,
+      pastVersion: false,
+      version: snapshot.version
+    }
+  }
+
+  const spinner = ora(
+    side ? `Reading version ${side}...` : 'Reading the current version...'
+  ).start()
+
+  try {
+    const fileInfo = await getFileInfo(fileKey, { version: side })
+    const styles = await getStylesFromFile(fileKey, {
+      ...options,
+      fileInfo,
+      version: side
+    })
+    spinner.succeed(`Read ${fileInfo.name} version ${fileInfo.version}`)
+
+    return {
+      label: side ? `version ${side}` : `current version (${fileInfo.version})`,
+      snapshot: createSnapshot(styles),
+      pastVersion: Boolean(side),
+      version: fileInfo.version
+    }
+  } catch (error) {
+    spinner.fail(
+      side ? `Could not read version ${side}` : 'Could not read the file'
+    )
+    throw error
+  }
+}
+
+/**
+ * Load the version saved before the later side of a diff
+ * @param {string} fileKey - Figma file key
+ * @param {Object} later - Later side, see loadDiffSide
+ * @param {Object} options - Cache options
+ * @returns {Promise<Object>} Side, see loadDiffSide
+ * @throws {ValidationError} If the file has no earlier version
+ */
+async function loadPreviousVersion(fileKey, later, options) {
+  const versions = await getFileVersions(fileKey)
+  const index = versions.findIndex((version) => version.id === later.version)
+  const previous =
+    index === -1
+      ? versions.find((version) => version.id !== later.version)
+      : versions[index + 1]
+
+  if (!previous) {
+    throw new ValidationError(
+      `No version before ${later.version} to compare with. Pass --from`,
+      'NO_PREVIOUS_VERSION'
+    )
+  }
+
+  const side = await loadDiffSide(fileKey, previous.id, options)
+  if (previous.label) {
+    side.label = `${side.label} "${previous.label}"`
+  }
+  return side
+}
+
+/**
+ * Check a watched file and regenerate its targets when it changed
+ * @param {Object} file - Watched file { fileKey, targets, info, styles }
+ * @param {Object} options - Options for generateTargets, with the cache
+ * and refresh of the extraction
+ * @param {AbortSignal} [signal] - Skips the work once aborted
+ * @returns {Promise<boolean>} Whether the file changed
+ */
+async function updateWatchedFile(file, options, signal) {
+  const info = await getFileInfo(file.fileKey)
+  if (
+    info.version === file.info.version &&
+    info.lastModified === file.info.lastModified
+  ) {
+    return false
+  }
+  if (signal?.aborted) return false
+
+  logger.section(
+    `🔄 ${info.name} changed (version ${file.info.version} → ${info.version})`
+  )
+  const styles = await extractStyles(file.fileKey, info, options)
+  const diff = diffStyles(file.styles, styles)
+  file.info = info
+  file.styles = styles
+
+  logStyleChanges(diff)
+  if (!isEmptyDiff(diff)) {
+    printSummary(await generateTargets(styles, file.targets, options))
+  }
+
+  return true
+}
+
+/**
+ * Print the styles and variables that changed between two extractions
+ * @param {Object} diff - Result of diffStyles
+ */
+function logStyleChanges(diff) {
+  if (isEmptyDiff(diff)) {
+    logger.info(chalk.gray('No token changes, outputs are up to date.'))
+    return
+  }
+
+  logger.section('🎨 Changed tokens:')
+  for (const token of diff.added) {
+    logger.raw(chalk.green(`  + ${token.type} ${token.name}`))
+  }
+  for (const token of diff.removed) {
+    logger.raw(chalk.red(`  - ${token.type} ${token.name}`))
+  }
+  for (const token of diff.renamed) {
+    logger.raw(
+      chalk.cyan(`  → ${token.type} ${token.previousName} → ${token.name}`)
+    )
+  }
+  for (const token of diff.changed) {
+    logger.raw(chalk.yellow(`  ~ ${token.type} ${token.name}`))
+  }
+}
+
+// Wait, returning early when the signal aborts
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', done)
+      resolve()
+    }
+    const timer = setTimeout(done, ms)
+    signal?.addEventListener('abort', done, { once: true })
+  })
+}
+
+/**
+ * Targets of the project config, all or the named ones
+ * @param {Object} config - Result of getAppConfig
+ * @param {string[]} names - Target names, all when empty
+ * @returns {Object[]} Targets
+ * @throws {ConfigurationError} If the project config has no targets
+ * @throws {ValidationError} If a name is not a target
+ */
+function selectTargets(config, names) {
+  if (config.targets.length === 0) {
+    throw new ConfigurationError(
+      config.configFile
+        ? `No targets defined in ${config.configFile}`
+        : 'No project config found. Add a figtree.config.js or .figtreerc.json with targets',
+      'NO_TARGETS'
+    )
+  }
+
+  const unknown = names.find(
+    (name) => !config.targets.some((target) => target.name === name)
+  )
+  if (unknown) {
+    throw new ValidationError(
+      `Unknown target '${unknown}'. Defined targets: ${config.targets
+        .map((target) => target.name)
+        .join(', ')}`,
+      'UNKNOWN_TARGET'
+    )
+  }
+
+  return names.length > 0
+    ? config.targets.filter((target) => names.includes(target.name))
+    : config.targets
+}
+
+/**
+ * Targets for the file, formats and output given as options, laid out the
+ * way run writes several formats
+ * @param {Object} config - Result of getAppConfig
+ * @returns {Object[]} Targets
+ * @throws {ValidationError} If the file or format is missing
+ */
+function optionTargets(config) {
+  const formats = parseFormats(config.format)
+  if (!config.file || formats.length === 0) {
+    throw new ValidationError(
+      'Nothing to watch. Define targets in a project config or pass --file and --format',
+      'MISSING_OPTION'
+    )
+  }
+
+  const mode = config.mode || 'local'
+  return formatTargets(formats, mode, config.output).map((target) => ({
+    ...target,
+    file: config.file,
+    provider: config.provider,
+    model: config.model,
+    naming: config.naming,
+    tokens: config.tokens
+  }))
+}
+
+/**
+ * One target per format. A single format writes to output as a file,
+ * several write their default file names into output as a directory.
+ * @param {string[]} formats - Code formats
+ * @param {string} mode - One of GENERATION_MODES
+ * @param {string} [output] - Output file or directory
+ * @returns {Object[]} Targets as { name, format, mode, output }
+ */
+function formatTargets(formats, mode, output) {
+  if (formats.length === 1) {
+    return [{ name: formats[0], format: formats[0], mode, output }]
+  }
+
+  const outputDir = output || '.'
+  return formats.map((format) => ({
+    name: format,
+    format,
+    mode,
+    output: path.join(
+      outputDir,
+      mode === 'prompt'
+        ? `figtree-prompt.${format}.txt`
+        : OUTPUT_CONFIG.DEFAULT_FILENAMES[format]
+    )
+  }))
+}
+
+/**
+ * Group targets by the Figma file they read
+ * @param {Object[]} targets - Targets with a file key or URL
+ * @returns {Map<string, Object[]>} Targets by file key
+ * @throws {ValidationError} If a target has no or an invalid file
+ */
+function groupTargetsByFile(targets) {
+  const byFile = new Map()
+
+  for (const target of targets) {
+    if (!target.file) {
+      throw new ValidationError(
+        `Target '${target.name}' has no Figma file. Set file in the config or pass --file`,
+        'MISSING_OPTION'
+      )
+    }
+
+    const fileKey = extractFileKeyFromUrl(target.file)
+    if (!validateFileKey(fileKey)) {
+      throw new ValidationError(
+        `Invalid Figma URL or file key for target '${target.name}': ${target.file}`,
+        'INVALID_FILE_KEY'
+      )
+    }
+
+    if (!byFile.has(fileKey)) byFile.set(fileKey, [])
+    byFile.get(fileKey).push(target)
+  }
+
+  return byFile
+}
+
+/**
+ * Generate every target from the same extracted styles. A failing target
+ * doesn't stop the others, it is reported in the summary.
+ * @param {Object} styles - Extracted styles
+ * @param {Object[]} targets - Targets as { name, format, output, mode } with
+ * optional provider, model, naming and tokens
+ * @param {Object} options - Run options shared by all targets
+ * @returns {Promise<Object[]>} One { name, format, mode, files, error } per
+ * target
+ */
+async function generateTargets(styles, targets, options) {
+  const results = []
+
+  for (const target of targets) {
+    logger.section(`🎯 ${target.name} (${target.format})`)
+    const result = {
+      name: target.name,
+      format: target.format,
+      mode: target.mode,
+      files: [],
+      error: null
+    }
+
+    try {
+      result.files = await generate(
+        filterStyles(styles, target.tokens),
+        target.mode,
+        {
+          ...options,
+          format: target.format,
+          output: target.output,
+          provider: target.provider ?? options.provider,
+          model: target.model ?? options.model,
+          naming: target.naming ?? options.naming
+        }
+      )
+    } catch (error) {
+      logger.error(`❌ ${target.name} failed: ${error.message}`)
+      result.error = error
+    }
+
+    results.push(result)
+  }
+
+  return results
+}
+
+/**
+ * Print a table of the files each target wrote
+ * @param {Object[]} results - Results of generateTargets
+ */
+function printSummary(results) {
+  const rows = results.flatMap((result) => {
+    if (result.error) {
+      return [[result.name, result.format, result.mode, '✖ failed']]
+    }
+    return result.files.map((file, index) =>
+      index === 0
+        ? [result.name, result.format, result.mode, displayPath(file)]
+        : ['', '', '', displayPath(file)]
+    )
+  })
+
+  const header = ['Target', 'Format', 'Mode', 'Output']
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map((row) => row[column].length))
+  )
+  const line = (row) =>
+    row
+      .map((cell, column) => cell.padEnd(widths[column]))
+      .join('  ')
+      .trimEnd()
+
+  logger.section('📦 Output Summary:')
+  logger.raw(chalk.bold(line(header)))
+  logger.raw(chalk.gray(widths.map((width) => '-'.repeat(width)).join('  ')))
+  for (const row of rows) {
+    logger.raw(row[3] === '✖ failed' ? chalk.red(line(row)) : line(row))
+  }
+}
+
+// Paths below the working directory are shown relative to it
+function displayPath(file) {
+  const relative = path.relative(process.cwd(), file)
+  return relative && !relative.startsWith('..') ? relative : file
+}
+
+// Fail the run with the first target error once every target had its turn
+function throwFirstFailure(results) {
+  const failed = results.filter((result) => result.error)
+  if (failed.length > 0) {
+    logger.error(
+      `\n❌ ${failed.length} of ${results.length} target(s) failed: ${failed
+        .map((result) => result.name)
+        .join(', ')}`
+    )
+    throw failed[0].error
+  }
+}
+
+/**
+ * Fetch, filter and summarize the styles of a file
+ * @param {string} fileKey - Figma file key
+ * @param {Object} fileInfo - Result of getFileInfo
+ * @param {Object} options - Run options (cache, refresh and tokens, a
+ * token filter)
+ * @returns {Promise<Object>} Styles
+ */
+async function extractStyles(fileKey, fileInfo, options) {
+  const stylesSpinner = ora('Extracting styles from file...').start()
+  let styles
+
+  try {
+    styles = await getStylesFromFile(fileKey, {
+      fileInfo,
+      cache: options.cache,
+      refresh: options.refresh
+    })
+    styles = filterStyles(styles, options.tokens)
+    stylesSpinner.succeed('Styles extracted successfully!')
+
+    // Show summary of extracted styles
+    logger.section('📊 Styles Summary:')
+    logger.info(`• ${styles.summary.fillStyles} color/fill styles`)
+    logger.info(`• ${styles.summary.textStyles} text styles`)
+    logger.info(`• ${styles.summary.effectStyles} effect styles`)
+    logger.info(`• ${styles.summary.gridStyles} grid styles`)
+    logger.info(`• Total: ${styles.summary.totalStyles} styles`)
+    if (styles.summary.variables > 0) {
+      logger.info(
+        `• ${styles.summary.variables} variables in ${styles.summary.variableCollections} collections`
+      )
+    }
+
+    if (styles.summary.totalStyles === 0 && styles.summary.variables === 0) {
+      logger.warn(chalk.yellow('\n⚠️  No styles found in this file.'))
+      logger.info('This could mean:')
+      logger.info('• The file doesn\'t have any defined styles')
+      logger.info('• All styles are from external libraries')
+      logger.info('• The file is empty or has no design tokens')
+      logger.info('\nContinuing with document-level style extraction...')
+    }
+  } catch (error) {
+    stylesSpinner.fail('Failed to extract styles.')
+    logger.error(`\n❌ Error extracting styles: ${error.message}`)
+
+    if (error.message.includes('Access denied')) {
+      logger.warn('\nThis file might be in a team you don\'t have access to.')
+      logger.raw('Try a different file or check your permissions.')
+    }
+    throw new Error('Failed to extract styles from file')
+  }
+
+  return styles
+}
+
+/**
+ * Ask for the formats to generate unless they were given
+ * @param {Object} options - Run options
+ * @returns {Promise<string[]>} At least one format
+ */
+async function resolveFormats(options) {
+  const formats = parseFormats(options.format)
+  if (formats.length > 0) {
+    return formats
+  }
+
+  return resolveOption(null, chooseCodeFormats, options, '--format')
+}
+
+/**
+ * Generate code or a prompt from styles in the given mode
+ * @param {Object} styles - Extracted styles
+ * @param {string} mode - One of GENERATION_MODES
+ * @param {Object} options - Run options
+ * @returns {Promise<string[]>} Paths of the files written
+ */
+async function generate(styles, mode, options) {
+  if (mode === 'ai') {
+    // AI-powered generation
+    return generateWithAI(styles, options)
+  } else if (mode === 'local') {
+    // Deterministic generation, nothing leaves the machine
+    return generateLocally(styles, options)
+  } else {
+    // Original prompt generation
+    return generatePromptMode(styles, options)
+  }
+}
+
+// Keep a spinner showing the responses coming in, the ones waiting to be
+// sent again and the time since the start, which keeps moving while
+// reasoning models think. Returns { update, stop } where update takes the
+// progress reported by generateCodeFromStyles.
+function showProgress(spinner, text) {
+  const started = Date.now()
+  // Responses that aren't complete yet, by label
+  const current = new Map()
+
+  const describe = ({ label, tokens, retryAt, retry }) => {
+    if (retryAt) {
+      const seconds = Math.max(Math.ceil((retryAt - Date.now()) / 1000), 0)
+      return [label, `retry ${retry} in ${seconds}s`]
+    }
+    return [label, tokens > 0 && `~${tokens.toLocaleString()} tokens received`]
+  }
+
+  const render = () => {
+    const seconds = Math.round((Date.now() - started) / 1000)
+    spinner.text = [
+      text,
+      ...[...current.values()].map((progress) =>
+        describe(progress).filter(Boolean).join(' ')
+      ),
+      `${seconds}s`
+    ]
+      .filter(Boolean)
+      .join(' · ')
+  }
+  const timer = setInterval(render, 1000)
+
+  return {
+    update(progress) {
+      if (progress.done) current.delete(progress.label)
+      else {
+        current.set(progress.label, {
+          ...progress,
+          retryAt: progress.retry && Date.now() + progress.delay
+        })
+      }
+      render()
+    },
+    stop() {
+      clearInterval(timer)
+    }
+  }
+}
+
+// Show the tokens and cost a generation is expected to take, for every
+// chunk when it is split, and what comes from the AI cache
+function showEstimate(plan) {
+  const cached = plan.requests.filter(
+    (request) => request.cached !== undefined
+  ).length
+  if (cached === plan.requests.length) {
+    logger.raw(
+      chalk.blue(
+        '♻️  Reusing the cached AI output for this prompt (--no-ai-cache asks again)'
+      )
+    )
+    return
+  }
+
+  logger.raw(chalk.blue(`💰 Estimate: ${formatUsage(plan, true)}`))
+  if (plan.chunked) {
+    for (const request of plan.requests) {
+      const usage =
+        request.cached === undefined
+          ? formatUsage(request, true)
+          : 'cached, nothing to pay'
+      logger.raw(chalk.gray(`   ${request.label}: ${usage}`))
+    }
+  }
+  logger.raw(
+    chalk.gray('   Code that fails its checks adds repair requests to this')
+  )
+}
+
+// Show what the requests of a generation used, as the providers reported it
+function showUsage(total) {
+  if (total.requests === 0) return
+
+  logger.raw(
+    chalk.blue(`💰 Used: ${formatUsage(total)} in ${total.requests} request(s)`)
+  )
+}
+
 // AI-powered code generation
-async function generateWithAI(styles) {
+async function generateWithAI(styles, options) {
   try {
     logger.section('🤖 Setting up AI code generation...')
 
     // Check available providers
     const availableProviders = getAvailableProviders()
     if (Object.keys(availableProviders).length === 0) {
+      if (!options.interactive) {
+        // A requested provider names the setting it is missing
+        if (options.provider) await resolveProvider(availableProviders, options)
+        throw new ConfigurationError(
+          'No AI providers configured. Set an API key such as OPENAI_API_KEY or a local server in FIGTREE_LOCAL_LLM_URL, or use --mode prompt',
+          'MISSING_API_KEY'
+        )
+      }
+
       logger.warn(chalk.yellow('\n⚠️  No AI providers configured.'))
       logger.info('To use AI generation, set up API keys in your .env file:')
-      logger.info('• OPENAI_API_KEY for OpenAI')
-      logger.info('• GOOGLE_API_KEY for Google (Gemini)')
-      logger.info('• ANTHROPIC_API_KEY for Anthropic (Claude)')
-      logger.info('• DEEPSEEK_API_KEY for DeepSeek')
+      for (const { name, envVar } of Object.values(getAllProviders())) {
+        if (envVar) logger.info(`• ${envVar} for ${name}`)
+      }
       logger.info(chalk.gray('\nFalling back to prompt generation...'))
 
-      await generatePromptMode(styles)
-      return
+      return generatePromptMode(styles, options)
     }
 
     // Get user preferences
-    const provider = await chooseAIProvider()
-    const model = await chooseModel(provider)
-    const format = await chooseCodeFormat()
-    const outputFile = await promptForOutputFile(format)
-
-    // Get token limits for the selected model
-    const tokenLimits = {
-      'o4-mini': 200_000,
-      o3: 200_000,
-      'o3-pro': 200_000,
-      'o3-mini': 200_000,
-      o1: 200_000,
-      'o1-pro': 200_000,
-      'gemini-2.5-pro': 1_048_576,
-      'gemini-2.5-flash': 1_048_576,
-      'claude-opus-4-20250514': 200_000,
-      'claude-sonnet-4-20250514': 200_000,
-      'deepseek-chat': 64_000,
-      'deepseek-reasoner': 64_000
-    }
-
-    const maxTokens = tokenLimits[model] || 100_000
+    const provider = await resolveProvider(availableProviders, options)
+    const model = await resolveModel(provider, options)
+    const format = await resolveOption(
+      options.format,
+      chooseCodeFormat,
+      options,
+      '--format'
+    )
+    const outputFile = await resolveOutputFile(format, options)
+
+    const { contextWindow } = getModelInfo(provider, model)
     logger.raw(
       chalk.blue(
-        `\n📊 Model: ${model} (${maxTokens.toLocaleString()} token limit)`
+        `\n📊 Model: ${model} (${contextWindow.toLocaleString()} token limit)`
       )
     )
 
+    // Nothing is spent before the estimate is below --max-cost and, when
+    // someone is there to ask, accepted
+    const plan = planGeneration(styles, {
+      provider,
+      model,
+      format,
+      naming: options.naming,
+      aiCache: options.aiCache
+    })
+    showEstimate(plan)
+    checkCostLimit(plan.cost, options.maxCost)
+    if (
+      options.interactive &&
+      plan.cost > 0 &&
+      !(await confirmCost(formatCost(plan.cost)))
+    ) {
+      throw new UserCancelledError()
+    }
+    const usage = createUsageTracker(provider, model, options.maxCost)
+
     logger.raw(
       chalk.cyan(
         `\n🔧 Generating ${format} code using ${provider} (${model})...`
@@ -200,6 +1357,7 @@ async function generateWithAI(styles) {
     )
 
     const spinner = ora('Generating code with AI...').start()
+    const progress = showProgress(spinner, 'Generating code with AI...')
 
     let result
     try {
@@ -208,7 +1366,10 @@ async function generateWithAI(styles) {
         result = await generateDesignTokens(styles, {
           provider,
           model,
-          maxTokens
+          naming: options.naming,
+          repairRounds: options.repairRounds,
+          plan,
+          onUsage: usage.add
         })
       } else {
         // Use text generation for code formats
@@ -216,34 +1377,78 @@ async function generateWithAI(styles) {
           provider,
           model,
           format,
-          maxTokens
+          naming: options.naming,
+          repairRounds: options.repairRounds,
+          concurrency: options.concurrency,
+          plan,
+          signal: options.signal,
+          onProgress: progress.update,
+          onUsage: usage.add
         })
       }
+      progress.stop()
+      showUsage(usage.total)
+
+      // Nothing is saved unless it parses. Tokens that seem to be missing
+      // are only reported, the check goes by names and values and can miss
+      // how a model wrote them.
+      const { code, problems, syntax } = verifyOutput(
+        result,
+        format,
+        compressStylesForAI(styles)
+      )
+      if (syntax.length > 0) {
+        throw new ValidationError(
+          `The generated ${format} code failed ${
+            syntax.length
+          } check(s):\n${syntax.map((problem) => `  • ${problem}`).join('\n')}`,
+          'INVALID_AI_OUTPUT'
+        )
+      }
+      if (problems.length > 0) {
+        logger.warn(
+          chalk.yellow(
+            `\n⚠️  Check these tokens in the generated code:\n${problems
+              .map((problem) => `  • ${problem}`)
+              .join('\n')}`
+          )
+        )
+      }
 
       spinner.succeed('Code generated successfully!')
 
       // Save to file
-      const savedFile = await saveCodeToFile(result, format, outputFile)
+      const savedFile = await saveCodeToFile(code, format, outputFile)
 
       logger.success(`\n✅ Code generated and saved to: ${savedFile}`)
       logger.info(chalk.gray('You can now use this code in your project!'))
 
       // Show preview of generated code
-      const preview =
-        typeof result === 'string' ? result : JSON.stringify(result, null, 2)
       const previewLength = 250
 
-      if (preview.length > previewLength) {
-        logger.info(chalk.blue('\n📝 Preview (first 500 characters):'))
-        logger.raw(chalk.gray(preview.substring(0, previewLength) + '...'))
+      if (code.length > previewLength) {
+        logger.info(
+          chalk.blue(`\n📝 Preview (first ${previewLength} characters):`)
+        )
+        logger.raw(chalk.gray(code.substring(0, previewLength) + '...'))
       } else {
         logger.info(chalk.blue('\n📝 Generated code:'))
-        logger.raw(chalk.gray(preview))
+        logger.raw(chalk.gray(code))
       }
+
+      return [savedFile]
     } catch (error) {
+      progress.stop()
       spinner.fail('Failed to generate code')
+      showUsage(usage.total)
+      if (error.partialOutput) {
+        logger.info(chalk.gray(`Partial output kept in ${error.partialOutput}`))
+      }
 
-      if (error.message.includes('Missing API key')) {
+      if (error.code === 'INVALID_AI_OUTPUT') {
+        logger.warn(chalk.yellow('\n🧪 The code was not saved:'))
+        logger.error(error.message)
+      } else if (error.message.includes('Missing API key')) {
         logger.warn(chalk.yellow('\n🔑 API Key Issue:'))
         logger.error(error.message)
         logger.raw(
@@ -276,6 +1481,11 @@ async function generateWithAI(styles) {
         logger.error(chalk.red(`\n❌ Generation error: ${error.message}`))
       }
 
+      // Without a prompt there is nobody to offer the fallback to
+      if (!options.interactive) {
+        throw error
+      }
+
       // Offer fallback to prompt mode
       logger.raw(chalk.gray('\nWould you like to generate a prompt instead?'))
       const fallback = await new Promise((resolve) => {
@@ -294,30 +1504,147 @@ async function generateWithAI(styles) {
       })
 
       if (fallback) {
-        await generatePromptMode(styles)
+        return generatePromptMode(styles, options)
       }
+      return []
     }
   } catch (error) {
+    if (!options.interactive || error instanceof AppError) {
+      throw error
+    }
+
     logger.error(chalk.red(`\n💥 AI generation error: ${error.message}`))
     logger.info(chalk.gray('Falling back to prompt generation...'))
-    await generatePromptMode(styles)
+    return generatePromptMode(styles, options)
+  }
+}
+
+// Pick the AI provider from the CLI flag, or ask for it
+async function resolveProvider(availableProviders, options) {
+  if (!options.provider) {
+    const providerKeys = Object.keys(availableProviders)
+
+    // A single configured provider needs no choice, even in CI
+    if (!options.interactive && providerKeys.length === 1) {
+      return providerKeys[0]
+    }
+
+    return resolveOption(null, chooseAIProvider, options, '--provider')
+  }
+
+  if (!getAllProviders()[options.provider]) {
+    throw new ValidationError(
+      `Unknown provider '${options.provider}'. Expected one of: ${Object.keys(
+        getAllProviders()
+      ).join(', ')}`,
+      'UNKNOWN_PROVIDER'
+    )
   }
+
+  if (!availableProviders[options.provider]) {
+    const { name, envVar, keyless } = getProviderInfo(options.provider)
+    if (keyless) {
+      throw new ConfigurationError(
+        `Missing server URL for ${name}. Please set ${envVar} in your .env file.`,
+        'MISSING_LOCAL_LLM_URL'
+      )
+    }
+    throw new ConfigurationError(
+      `Missing API key for ${name}. Please set ${envVar} in your .env file.`,
+      'MISSING_API_KEY'
+    )
+  }
+
+  return options.provider
+}
+
+// Pick the model from the CLI flag, the provider default, or ask for it
+async function resolveModel(provider, options) {
+  if (!options.model) {
+    if (!options.interactive) {
+      return getProviderInfo(provider).defaultModel
+    }
+    return chooseModel(provider)
+  }
+
+  // Local servers take whatever model they have
+  const models = getProviderModels(provider)
+  if (!getProviderInfo(provider).anyModel && !models[options.model]) {
+    throw new ValidationError(
+      `Unknown model '${
+        options.model
+      }' for ${provider}. Expected one of: ${Object.keys(models).join(', ')}`,
+      'UNKNOWN_MODEL'
+    )
+  }
+
+  return options.model
+}
+
+// Deterministic code generation without AI
+async function generateLocally(styles, options) {
+  logger.section('⚙️  Generating code locally...')
+
+  const format = await resolveOption(
+    options.format,
+    chooseCodeFormat,
+    options,
+    '--format'
+  )
+  const outputFile = await resolveOutputFile(format, options)
+
+  const code = generateLocalCode(styles, format, { naming: options.naming })
+  const savedFile = await saveCodeToFile(code, format, outputFile)
+
+  logger.success(`\n✅ Code generated and saved to: ${savedFile}`)
+
+  const files = [savedFile]
+  for (const file of generateExtraFiles(styles, format, savedFile)) {
+    const savedExtraFile = await saveCodeToFile(file.code, format, file.path)
+    logger.success(`✅ Also saved: ${savedExtraFile}`)
+    files.push(savedExtraFile)
+  }
+  logger.info(
+    chalk.gray('No AI was used - the same file always gives the same output.')
+  )
+
+  return files
+}
+
+// Output path from the CLI flag, or ask for it, or the format default
+async function resolveOutputFile(format, options) {
+  if (options.output) {
+    return options.output
+  }
+
+  if (options.interactive) {
+    return promptForOutputFile(format)
+  }
+
+  return `figma-styles.${OUTPUT_CONFIG.EXTENSIONS[format]}`
 }
 
 // Original prompt generation mode
-async function generatePromptMode(styles) {
+async function generatePromptMode(styles, options) {
   try {
     logger.section('\n📝 Generating prompt for manual AI use...')
 
     // Use same format options as AI mode
-    const format = await chooseCodeFormat()
+    const format = await resolveOption(
+      options.format,
+      chooseCodeFormat,
+      options,
+      '--format'
+    )
 
     logger.progress('\n🔧 Generating prompt...')
 
-    const prompt = generatePrompt(styles, null, format)
+    const prompt = generatePrompt(styles, null, format, {
+      naming: options.naming
+    })
 
     // Save to file
-    const savedFile = savePromptToFile(prompt)
+    const savedFile = savePromptToFile(prompt, options.output)
 
     // Also display in console
     logger.raw(chalk.green('\n--- GENERATED PROMPT ---\n'))
@@ -340,6 +1667,8 @@ async function generatePromptMode(styles) {
         )
       )
     }
+
+    return savedFile ? [savedFile] : []
   } catch (error) {
     logger.error(chalk.red(`\n💥 Prompt generation error: ${error.message}`))
     throw error
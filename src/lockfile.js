@@ -0,0 +1,167 @@
+/**
+ * Token lockfile
+ *
+ * figtree.lock.json records what a build was made from and what it wrote:
+ * the Figma file and version, the normalized tokens of that version and a
+ * content hash of every output. Committed next to the outputs it lets
+ * review see token changes as a diff and lets CI check with --frozen that
+ * neither the Figma file nor the outputs moved since the lockfile was
+ * written.
+ */
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { ConfigurationError, ValidationError } from './errors.js'
+import { OUTPUT_CONFIG } from './constants.js'
+import {
+  SNAPSHOT_VERSION,
+  createSnapshot,
+  diffTokens,
+  isEmptyDiff
+} from './diff.js'
+
+// Lockfile layout version, bumped when the layout changes
+export const LOCKFILE_VERSION = 1
+
+/**
+ * Lockfile path in a directory
+ * @param {string} dir - Directory of the outputs or project config
+ * @returns {string} Lockfile path
+ */
+export function getLockfilePath(dir) {
+  return path.join(dir, OUTPUT_CONFIG.LOCKFILE_FILENAME)
+}
+
+/**
+ * Content hash of a file
+ * @param {string} file - File path
+ * @returns {string} sha256:<hex>
+ */
+export function hashFile(file) {
+  return `sha256:${crypto
+    .createHash('sha256')
+    .update(fs.readFileSync(file))
+    .digest('hex')}`
+}
+
+// Output paths are stored relative to the lockfile with / separators, so
+// the lockfile is the same on every machine
+function outputKey(lockDir, file) {
+  return path.relative(lockDir, path.resolve(file)).split(path.sep).join('/')
+}
+
+/**
+ * Build a lockfile for an extraction and the files generated from it
+ * @param {Object} styles - Result of getStylesFromFile (before filtering)
+ * @param {Object[]} results - Results of generateTargets
+ * @param {string} lockDir - Directory the lockfile is written to
+ * @returns {Object} Lockfile
+ */
+export function createLockfile(styles, results, lockDir) {
+  const { snapshotVersion, ...snapshot } = createSnapshot(styles)
+  const outputs = {}
+
+  for (const result of results) {
+    for (const file of result.files) {
+      outputs[outputKey(lockDir, file)] = {
+        target: result.name,
+        format: result.format,
+        mode: result.mode,
+        hash: hashFile(file)
+      }
+    }
+  }
+
+  return {
+    lockfileVersion: LOCKFILE_VERSION,
+    snapshotVersion,
+    ...snapshot,
+    outputs: Object.fromEntries(
+      Object.entries(outputs).sort(([a], [b]) => a.localeCompare(b))
+    )
+  }
+}
+
+/**
+ * Write a lockfile
+ * @param {string} file - Lockfile path
+ * @param {Object} lock - Lockfile from createLockfile
+ */
+export function writeLockfile(file, lock) {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, `${JSON.stringify(lock, null, 2)}\n`, 'utf8')
+}
+
+/**
+ * Read a lockfile
+ * @param {string} file - Lockfile path
+ * @returns {Object} Lockfile
+ * @throws {ConfigurationError} If there is no lockfile
+ * @throws {ValidationError} If the lockfile can't be read
+ */
+export function readLockfile(file) {
+  if (!fs.existsSync(file)) {
+    throw new ConfigurationError(
+      `No lockfile at ${file}. Run without --frozen first to create it`,
+      'LOCKFILE_NOT_FOUND'
+    )
+  }
+
+  let lock
+  try {
+    lock = JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (error) {
+    throw new ValidationError(
+      `Could not read lockfile ${file}: ${error.message}`,
+      'INVALID_LOCKFILE'
+    )
+  }
+
+  if (
+    !Array.isArray(lock?.tokens) ||
+    !lock.outputs ||
+    lock.lockfileVersion > LOCKFILE_VERSION ||
+    lock.snapshotVersion > SNAPSHOT_VERSION
+  ) {
+    throw new ValidationError(
+      `${file} is not a lockfile this version of figtree can read`,
+      'INVALID_LOCKFILE'
+    )
+  }
+
+  return lock
+}
+
+/**
+ * Check the Figma file and the outputs against a lockfile
+ * @param {Object} lock - Lockfile from readLockfile
+ * @param {Object} styles - Current result of getStylesFromFile
+ * @param {string} lockDir - Directory of the lockfile
+ * @returns {Object} { tokens, outputs } where tokens is the diff from the
+ * locked tokens and outputs lists { path, problem } for outputs that are
+ * missing or were changed
+ */
+export function checkLockfile(lock, styles, lockDir) {
+  const tokens = diffTokens(lock.tokens, createSnapshot(styles).tokens)
+  const outputs = []
+
+  for (const [output, entry] of Object.entries(lock.outputs)) {
+    const file = path.resolve(lockDir, output)
+    if (!fs.existsSync(file)) {
+      outputs.push({ path: output, problem: 'missing' })
+    } else if (hashFile(file) !== entry.hash) {
+      outputs.push({ path: output, problem: 'modified' })
+    }
+  }
+
+  return { tokens, outputs }
+}
+
+/**
+ * Whether a lockfile check found nothing
+ * @param {Object} check - Result of checkLockfile
+ * @returns {boolean} True when file and outputs match the lockfile
+ */
+export function isLockfileCurrent(check) {
+  return isEmptyDiff(check.tokens) && check.outputs.length === 0
+}
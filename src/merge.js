@@ -0,0 +1,607 @@
+/**
+ * Merging chunked AI results
+ *
+ * A file too large for one request is generated in chunks, and every chunk
+ * comes back as a file of its own. They are merged on the structure of the
+ * format, so the result is again one valid file: JSON and the objects of
+ * Tailwind configs and JavaScript modules are merged deeply, CSS rules with
+ * the same selector become one (so there is a single :root), SCSS variables
+ * and maps, SwiftUI types and Android resources are declared once, in one
+ * <resources> root.
+ *
+ * Code is read as levels of entries (declarations, object keys, members)
+ * and blocks with their own level inside (rules, objects, types). Entries
+ * match on their key across chunks, the later chunk's value winning, and
+ * blocks that match merge their levels. Comments of their own start a
+ * section; entries of later chunks join the section with the same comment.
+ */
+import { scanCode } from './verify.js'
+import { ValidationError } from './errors.js'
+
+// Tailwind config keys whose lists every chunk adds to, where one chunk's
+// list would otherwise replace the others
+const LIST_KEYS = new Set(['plugins', 'presets', 'content', 'safelist'])
+
+const CLOSING = { '(': ')', '[': ']', '{': '}' }
+
+// Comments that document the entry below them rather than start a section
+const DOC_COMMENT = /^(?:\/\*\*|\/\/\/)/
+
+const normalize = (text) => text.replace(/\s+/g, ' ').trim()
+
+// How the levels of each format are read and written:
+//   separators - characters that end an entry outside of brackets
+//   rules - whether `head { ... }` ends an entry, a block when mergesRule
+//     allows merging its body
+//   valueHead, values - start of an entry whose value is an object or map
+//     (opened by values), a block whose entries are read as children
+//   terminator - written after every entry, or between them unless trailing
+//   keyOf(code) - what entries match on
+//   mergeLeaf(earlier, later, unit) - entry for a key both chunks have
+const CSS = {
+  lineComments: false,
+  separators: ';',
+  rules: true,
+  mergesRule: (head) => !/^@(?:function|each|for|if|else|while)\b/.test(head),
+  terminator: ';',
+  trailing: true,
+  keyOf: (code) => code.match(/^([$%]?[\w-]+)\s*:/)?.[1] ?? normalize(code)
+}
+
+const SCSS_MAP = {
+  lineComments: true,
+  separators: ',',
+  values: '(',
+  valueHead: /^['"]?[\w-]+['"]?\s*:\s*/,
+  terminator: ',',
+  trailing: true,
+  keyOf: (code) => code.match(/^['"]?([\w-]+)['"]?\s*:/)?.[1] ?? normalize(code)
+}
+SCSS_MAP.children = SCSS_MAP
+
+const SCSS = {
+  ...CSS,
+  lineComments: true,
+  values: '(',
+  valueHead: /^\$[\w-]+\s*:\s*/,
+  children: SCSS_MAP
+}
+
+const JS_OBJECT = {
+  lineComments: true,
+  separators: ',',
+  values: '{',
+  valueHead: /^(?:(['"]).*?\1|\[[^\]]*\]|[\w$]+)\s*:\s*/,
+  terminator: ',',
+  trailing: false,
+  keyOf: (code) => {
+    const match = code.match(/^(?:(['"])(.*?)\1|([\w$]+))\s*:/)
+    return match ? match[2] ?? match[3] : normalize(code)
+  },
+  mergeLeaf: mergeLists
+}
+JS_OBJECT.children = JS_OBJECT
+
+const JS_MODULE = {
+  lineComments: true,
+  separators: ';\n',
+  values: '{',
+  valueHead:
+    /^(?:module\.exports\s*=|export\s+default|(?:export\s+)?(?:const|let|var)\s+[\w$]+\s*=)\s*/,
+  children: JS_OBJECT,
+  terminator: '',
+  trailing: true,
+  // CommonJS and ES module chunks export the same config
+  keyOf: (code) =>
+    /^(?:module\.exports\s*=|export\s+default)/.test(code)
+      ? 'export default'
+      : normalize(code)
+}
+
+const SWIFT = {
+  lineComments: true,
+  separators: ';\n',
+  rules: true,
+  mergesRule: (head) =>
+    /^(?:(?:@\w+|public|internal|private|fileprivate|final)\s+)*(?:extension|struct|enum|class|actor|protocol)\s/.test(
+      head
+    ),
+  terminator: '',
+  trailing: true,
+  keyOf: (code) =>
+    code.match(/^(?:[@\w]+\s+)*?(?:let|var|case|typealias)\s+(`?\w+`?)/)?.[1] ??
+    normalize(code)
+}
+
+const XML = { lineComments: false, terminator: '', trailing: true }
+
+/**
+ * Merge the code generated for the chunks of a file into one file
+ * @param {string[]} results - Code of every chunk, in order
+ * @param {string} format - Output format
+ * @returns {string} Code of the whole file
+ * @throws {ValidationError} When the code of a chunk can't be read
+ */
+export function mergeChunks(results, format) {
+  if (results.length === 1) return results[0]
+
+  switch (format) {
+    case 'json':
+      return mergeJson(results)
+    case 'android':
+      return mergeResources(results)
+    case 'css':
+    case 'css-variables':
+      return mergeCode(results, CSS)
+    case 'scss':
+      return mergeCode(results, SCSS)
+    case 'tailwind':
+    case 'javascript':
+      return mergeCode(results, JS_MODULE)
+    case 'swiftui':
+      return mergeCode(results, SWIFT)
+    default:
+      return results.join('\n\n')
+  }
+}
+
+function unreadable(results, index, reason) {
+  return new ValidationError(
+    `Chunk ${index + 1}/${results.length} can't be merged: ${reason}`,
+    'INVALID_AI_OUTPUT'
+  )
+}
+
+const isObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value)
+
+function deepMerge(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    target[key] =
+      isObject(value) && isObject(target[key])
+        ? deepMerge(target[key], value)
+        : value
+  }
+  return target
+}
+
+function mergeJson(results) {
+  const merged = {}
+
+  results.forEach((code, index) => {
+    let tokens
+    try {
+      tokens = JSON.parse(code)
+    } catch (error) {
+      throw unreadable(results, index, `invalid JSON: ${error.message}`)
+    }
+    if (!isObject(tokens)) {
+      throw unreadable(results, index, 'the JSON is not an object')
+    }
+    deepMerge(merged, tokens)
+  })
+
+  return JSON.stringify(merged, null, 2)
+}
+
+function mergeCode(results, syntax) {
+  const levels = results.map((code, index) => {
+    try {
+      return parseLevel(code, syntax)
+    } catch (error) {
+      throw unreadable(results, index, error.message)
+    }
+  })
+
+  return `${renderLevel(levels, syntax, 0, indentUnit(results[0]))}\n`
+}
+
+const RESOURCES = /<resources\b([^>]*?)(?:\/>|>([\s\S]*)<\/resources\s*>)/
+const RESOURCE =
+  /<!--[\s\S]*?-->|<([\w.:-]+)\b[^>]*?\/>|<([\w.:-]+)\b[^>]*>[\s\S]*?<\/\2\s*>/g
+
+// Resources of every chunk in the <resources> root of the first, which
+// gets the namespaces of all of them
+function mergeResources(results) {
+  const roots = results.map((code, index) => {
+    const root = code.match(RESOURCES)
+    if (!root) throw unreadable(results, index, 'no <resources> element')
+    return root
+  })
+
+  const attributes = new Map()
+  for (const root of roots) {
+    for (const [, name, value] of root[1].matchAll(
+      /([\w.:-]+)\s*=\s*("[^"]*"|'[^']*')/g
+    )) {
+      if (!attributes.has(name)) attributes.set(name, value)
+    }
+  }
+
+  const prolog = results[0].slice(0, roots[0].index)
+  const open = `<resources${[...attributes]
+    .map(([name, value]) => ` ${name}=${value}`)
+    .join('')}>`
+  const body = renderLevel(
+    roots.map((root) => parseResources(root[2] ?? '')),
+    XML,
+    1,
+    indentUnit(results[0])
+  )
+
+  return `${prolog}${open}\n${body}\n</resources>\n`
+}
+
+function parseResources(body) {
+  return [...body.matchAll(RESOURCE)].map((match) => {
+    const text = dedent(match[0], indentAt(body, match.index))
+    if (text.startsWith('<!--')) return { comment: text }
+
+    const name = text.match(/^<[^>]*?\bname\s*=\s*["']([^"']*)["']/)?.[1]
+    return {
+      key: name ? `${match[1] ?? match[2]}:${name}` : normalize(text),
+      text
+    }
+  })
+}
+
+// Indentation of the first indented line that isn't part of a /** */
+// comment
+function indentUnit(code) {
+  return code.match(/^([ \t]+)[^\s*]/m)?.[1] ?? '  '
+}
+
+// Leading whitespace of the line an index is on
+function indentAt(code, index) {
+  const line = code.slice(code.lastIndexOf('\n', index - 1) + 1, index)
+  return line.match(/^[ \t]*/)[0]
+}
+
+// Text of an entry without the indentation of the line it started on
+function dedent(text, indent) {
+  return text
+    .split('\n')
+    .map((line, i) =>
+      i > 0 && line.startsWith(indent) ? line.slice(indent.length) : line
+    )
+    .join('\n')
+}
+
+function indentLines(text, indent) {
+  return text
+    .split('\n')
+    .map((line) => (line ? indent + line : line))
+    .join('\n')
+}
+
+function leadingComment(text, { lineComments }) {
+  return text.match(
+    lineComments
+      ? /^\s*(\/\*[\s\S]*?\*\/|\/\/[^\n]*)/
+      : /^\s*(\/\*[\s\S]*?\*\/)/
+  )
+}
+
+// Comments at the start of text, and the code after them
+function splitComments(text, syntax) {
+  let rest = text
+  let match
+  while ((match = leadingComment(rest, syntax))) {
+    rest = rest.slice(match[0].length)
+  }
+  rest = rest.trimStart()
+  return [text.slice(0, text.length - rest.length), rest]
+}
+
+// Cut a level into the text of its entries: at separators and after rule
+// blocks, outside of brackets, strings and comments
+function splitLevel(code, syntax) {
+  const pieces = []
+  let depth = 0
+  let start = 0
+  const cut = (end, next) => {
+    pieces.push({ text: code.slice(start, end), start })
+    start = next
+  }
+
+  const problems = scanCode(
+    code,
+    (char, index) => {
+      if (CLOSING[char]) {
+        depth++
+      } else if (')]}'.includes(char)) {
+        depth = Math.max(0, depth - 1)
+        if (depth === 0 && char === '}' && syntax.rules) {
+          cut(index + 1, index + 1)
+        }
+      } else if (depth === 0 && syntax.separators.includes(char)) {
+        cut(index, index + 1)
+      }
+    },
+    syntax
+  )
+  if (problems.length > 0) throw new Error(problems[0])
+
+  pieces.push({ text: code.slice(start), start })
+  return pieces
+}
+
+// Index of the first bracket outside of others, -1 when there is none
+function firstOpen(code, bracket, syntax) {
+  let depth = 0
+  let found = -1
+  scanCode(
+    code,
+    (char, index) => {
+      if (found !== -1) return
+      if (char === bracket && depth === 0) found = index
+      if (CLOSING[char]) depth++
+      else if (')]}'.includes(char)) depth--
+    },
+    syntax
+  )
+  return found
+}
+
+// Index of the bracket closing the one at start, -1 when it isn't closed
+function groupEnd(code, start, syntax) {
+  let depth = 0
+  let end = -1
+  scanCode(
+    code.slice(start),
+    (char, index) => {
+      if (end !== -1) return
+      if (CLOSING[char]) depth++
+      else if (')]}'.includes(char) && --depth === 0) end = start + index
+    },
+    syntax
+  )
+  return end
+}
+
+// Entries and section comments of one level, kept without the indentation
+// they had
+function parseLevel(code, syntax) {
+  const items = []
+  let doc = ''
+
+  for (const piece of splitLevel(code, syntax)) {
+    let text = piece.text
+    let offset = piece.start
+    let match
+
+    while (
+      (match = leadingComment(text, syntax)) &&
+      !DOC_COMMENT.test(match[1])
+    ) {
+      const previous = items.at(-1)
+      const end = offset + match[0].length
+      if (
+        text === piece.text &&
+        !match[0].includes('\n') &&
+        code[piece.start - 1] !== '\n' &&
+        previous?.key !== undefined &&
+        !previous.note
+      ) {
+        // A comment on the line of the entry before belongs to it
+        previous.note = match[1]
+      } else {
+        items.push({
+          comment: dedent(match[1], indentAt(code, end - match[1].length)),
+          // Like a file header, with a blank line before the code
+          apart: /^[ \t]*\n[ \t]*\n/.test(code.slice(end))
+        })
+      }
+      offset = end
+      text = text.slice(match[0].length)
+    }
+
+    if (!text.trim()) continue
+    const entry = dedent(
+      text.trim(),
+      indentAt(code, offset + text.search(/\S/))
+    )
+
+    // Doc comments on lines of their own go with the entry below
+    if (!splitComments(entry, syntax)[1]) {
+      doc += `${entry}\n`
+      continue
+    }
+    items.push(parseEntry(doc + entry, syntax))
+    doc = ''
+  }
+
+  if (doc) items.push({ key: doc, text: doc.trimEnd(), rule: true })
+  return items
+}
+
+function parseEntry(text, syntax) {
+  let note
+  if (syntax.lineComments) {
+    const comment = text.match(/\s+(\/\/[^\n'"`]*)$/)
+    if (comment) {
+      note = comment[1]
+      text = text.slice(0, comment.index)
+    }
+  }
+  const [doc, code] = splitComments(text, syntax)
+
+  if (syntax.rules && code.endsWith('}')) {
+    const open = firstOpen(code, '{', syntax)
+    if (open !== -1 && groupEnd(code, open, syntax) === code.length - 1) {
+      const head = code.slice(0, open).trim()
+      if (!syntax.mergesRule(head)) {
+        return { key: syntax.keyOf(head), text, note, rule: true }
+      }
+      return {
+        key: normalize(head),
+        head: doc + head,
+        open: '{',
+        close: '}',
+        levels: [parseLevel(code.slice(open + 1, -1), syntax)],
+        syntax,
+        note,
+        rule: true
+      }
+    }
+  }
+
+  const head = syntax.valueHead && code.match(syntax.valueHead)?.[0]
+  if (
+    head &&
+    code[head.length] === syntax.values &&
+    groupEnd(code, head.length, syntax) === code.length - 1
+  ) {
+    const inner = code.slice(head.length + 1, -1)
+    // Parentheses in SCSS are only merged as maps
+    const map =
+      syntax.values !== '(' ||
+      SCSS_MAP.valueHead.test(splitComments(inner, syntax)[1])
+    if (map) {
+      return {
+        key: syntax.keyOf(head.trim()),
+        head: doc + head.trim(),
+        open: syntax.values,
+        close: CLOSING[syntax.values],
+        levels: [parseLevel(inner, syntax.children)],
+        syntax: syntax.children,
+        note
+      }
+    }
+  }
+
+  return { key: syntax.keyOf(code), text, note }
+}
+
+// Sections of a level with the entries of every chunk, merged on their
+// key. Blocks with the same key always merge, other entries only across
+// chunks, so a fallback declared twice in one rule stays as it was. New
+// entries join the section of their comment, or of the entry before them.
+function mergeLevel(levels, syntax, unit) {
+  const sections = []
+  const byComment = new Map()
+  const byKey = new Map()
+
+  const section = (comment) => {
+    if (!byComment.has(comment)) {
+      byComment.set(comment, { comment, slots: [] })
+      sections.push(byComment.get(comment))
+    }
+    return byComment.get(comment)
+  }
+
+  levels.forEach((items, source) => {
+    let current = section(null)
+
+    for (const item of items) {
+      if (item.comment) {
+        current = section(item.comment)
+        current.apart ||= item.apart
+        continue
+      }
+
+      current.used = true
+      const slot = byKey.get(item.key)
+      const blocks = slot?.item.levels && item.levels
+      if (!slot || (slot.source === source && !blocks)) {
+        const added = { item, source, section: current }
+        byKey.set(item.key, added)
+        current.slots.push(added)
+      } else {
+        slot.item = blocks
+          ? { ...slot.item, levels: [...slot.item.levels, ...item.levels] }
+          : syntax.mergeLeaf?.(slot.item, item, unit) ?? item
+        slot.source = source
+        // What follows without a comment of its own goes with it
+        current = slot.section
+      }
+    }
+  })
+
+  return sections
+}
+
+function renderLevel(levels, syntax, depth, unit) {
+  const indent = unit.repeat(depth)
+  const sections = mergeLevel(levels, syntax, unit)
+  const count = sections.reduce((total, { slots }) => total + slots.length, 0)
+  const lines = []
+  let written = 0
+  let previous = null
+
+  for (const { comment, apart, used, slots } of sections) {
+    // The comment of entries that all merged into other sections goes
+    if (used && slots.length === 0) continue
+
+    if (comment) {
+      if (previous && previous !== 'comment') lines.push('')
+      lines.push(indentLines(comment, indent))
+      previous = apart ? 'apart' : 'comment'
+    }
+
+    for (const { item } of slots) {
+      written++
+      const terminator =
+        item.rule || (!syntax.trailing && written === count)
+          ? ''
+          : syntax.terminator
+      let code = item.levels
+        ? renderBlock(item, depth, unit)
+        : indentLines(item.text, indent)
+      code += terminator
+      if (item.note) code += ` ${item.note}`
+
+      // Blocks at the top stand apart
+      const block = code.includes('\n')
+      if (
+        previous === 'apart' ||
+        (depth === 0 &&
+          (block || previous === 'block') &&
+          previous !== null &&
+          previous !== 'comment')
+      ) {
+        lines.push('')
+      }
+      lines.push(code)
+      previous = block ? 'block' : 'entry'
+    }
+  }
+
+  return lines.join('\n')
+}
+
+function renderBlock(item, depth, unit) {
+  const indent = unit.repeat(depth)
+  const head = indentLines(item.head, indent)
+  const body = renderLevel(item.levels, item.syntax, depth + 1, unit)
+
+  return body
+    ? `${head} ${item.open}\n${body}\n${indent}${item.close}`
+    : `${head} ${item.open}${item.close}`
+}
+
+// Lists like plugins get the elements of both chunks
+function mergeLists(earlier, later, unit) {
+  const lists = [earlier, later].map((item) =>
+    item.text?.match(/^((?:(['"])[\w-]+\2|[\w$]+)\s*:\s*)\[([\s\S]*)\]$/)
+  )
+  if (!LIST_KEYS.has(later.key) || !lists[0] || !lists[1]) return later
+
+  const elements = new Map()
+  for (const [, , , inner] of lists) {
+    for (const piece of splitLevel(inner, JS_OBJECT)) {
+      if (!piece.text.trim()) continue
+      const element = dedent(
+        piece.text.trim(),
+        indentAt(inner, piece.start + piece.text.search(/\S/))
+      )
+      elements.set(normalize(element), element)
+    }
+  }
+
+  const values = [...elements.values()]
+  const list = values.some((value) => value.includes('\n'))
+    ? `[\n${values.map((value) => indentLines(value, unit)).join(',\n')}\n]`
+    : `[${values.join(', ')}]`
+  return { ...later, text: `${lists[1][1]}${list}` }
+}
@@ -0,0 +1,97 @@
+/**
+ * Mock Figma API
+ *
+ * Serves recorded fixtures (see fixtures.js) the way the Figma REST API
+ * would, so runs can be tested without network or a real token. Point
+ * figtree at it with FIGMA_API_URL:
+ *
+ *   node src/mock-server.js test/fixtures/figma --port 4010
+ *   FIGMA_API_URL=http://127.0.0.1:4010/v1 FIGMA_TOKEN=figd_mock figtree
+ */
+import http from 'http'
+import { pathToFileURL } from 'url'
+import logger from './logger.js'
+import { readFixture } from './fixtures.js'
+
+// Prefix of the real API, stripped so fixtures are stored without it
+const API_VERSION_PREFIX = '/v1'
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * Start a mock Figma API server
+ * @param {Object} options - Server options
+ * @param {string} options.fixturesDir - Directory with recorded fixtures
+ * @param {number} [options.port=0] - Port, 0 picks a free one
+ * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+ * @returns {Promise<Object>} { url, requests, close } where url is the API
+ * base URL and requests lists the paths served so far
+ */
+export async function startMockServer({
+  fixturesDir,
+  port = 0,
+  host = '127.0.0.1'
+}) {
+  const requests = []
+
+  const server = http.createServer((req, res) => {
+    const apiPath = req.url.startsWith(API_VERSION_PREFIX)
+      ? req.url.slice(API_VERSION_PREFIX.length)
+      : req.url
+    requests.push(apiPath)
+
+    if (!req.headers['x-figma-token']) {
+      sendJson(res, 403, { status: 403, err: 'Invalid token' })
+      return
+    }
+
+    try {
+      const fixture = readFixture(fixturesDir, apiPath)
+      if (fixture) {
+        sendJson(res, 200, fixture)
+      } else {
+        sendJson(res, 404, { status: 404, err: 'Not found' })
+      }
+    } catch (error) {
+      sendJson(res, 500, { status: 500, err: error.message })
+    }
+  })
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, host, resolve)
+  })
+
+  const address = server.address()
+
+  return {
+    url: `http://${host}:${address.port}${API_VERSION_PREFIX}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve))
+  }
+}
+
+// node src/mock-server.js <fixturesDir> [--port 4010]
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  const args = process.argv.slice(2)
+  const portIndex = args.indexOf('--port')
+  const port = portIndex === -1 ? 4010 : Number(args[portIndex + 1])
+  const fixturesDir = args.find(
+    (arg, index) =>
+      !arg.startsWith('-') && (portIndex === -1 || index !== portIndex + 1)
+  )
+
+  if (!fixturesDir) {
+    logger.error('Usage: node src/mock-server.js <fixturesDir> [--port 4010]')
+    process.exitCode = 1
+  } else {
+    const server = await startMockServer({ fixturesDir, port })
+    logger.success(`Mock Figma API serving ${fixturesDir} at ${server.url}`)
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Paint stacks of fill styles
+ *
+ * Figma lists the paints of a fill bottom to top. A stack of plain solid
+ * paints flattens to one color; anything else (gradients over colors, blend
+ * modes) is kept as layers for the exporters to draw in order.
+ */
+import { colorToCss, colorToHex } from './colors.js'
+import { GRADIENT_TYPES, parseGradient } from './gradients.js'
+
+/**
+ * CSS blend mode by Figma blend mode. LINEAR_BURN and LINEAR_DODGE have no
+ * CSS counterpart and render as normal.
+ */
+export const CSS_BLEND_MODES = {
+  PASS_THROUGH: 'normal',
+  NORMAL: 'normal',
+  DARKEN: 'darken',
+  MULTIPLY: 'multiply',
+  LINEAR_BURN: 'normal',
+  COLOR_BURN: 'color-burn',
+  LIGHTEN: 'lighten',
+  SCREEN: 'screen',
+  LINEAR_DODGE: 'normal',
+  COLOR_DODGE: 'color-dodge',
+  OVERLAY: 'overlay',
+  SOFT_LIGHT: 'soft-light',
+  HARD_LIGHT: 'hard-light',
+  DIFFERENCE: 'difference',
+  EXCLUSION: 'exclusion',
+  HUE: 'hue',
+  SATURATION: 'saturation',
+  COLOR: 'color',
+  LUMINOSITY: 'luminosity'
+}
+
+function isNormalBlend(blendMode) {
+  return !blendMode || blendMode === 'NORMAL' || blendMode === 'PASS_THROUGH'
+}
+
+/**
+ * Parse one paint of a fill
+ * @param {Object} paint - Figma paint
+ * @returns {Object} { type, visible, opacity, blendMode } plus color (with
+ * the paint opacity folded into its alpha) or gradient, and imageRef for
+ * image paints
+ */
+export function parsePaint(paint) {
+  const opacity = paint.opacity ?? 1
+  const parsed = {
+    type: paint.type,
+    visible: paint.visible !== false,
+    opacity,
+    blendMode: paint.blendMode || 'NORMAL'
+  }
+
+  if (paint.type === 'SOLID' && paint.color) {
+    parsed.color = {
+      r: paint.color.r,
+      g: paint.color.g,
+      b: paint.color.b,
+      a: (paint.color.a ?? 1) * opacity
+    }
+  } else if (GRADIENT_TYPES[paint.type]) {
+    parsed.gradient = parseGradient(paint)
+  } else if (paint.imageRef) {
+    parsed.imageRef = paint.imageRef
+  }
+
+  return parsed
+}
+
+/**
+ * Composite solid colors bottom to top (source over)
+ * @param {Object[]} colors - Colors with r, g, b and a, bottom first
+ * @returns {Object} Resulting color
+ */
+export function flattenColors(colors) {
+  let result = { r: 0, g: 0, b: 0, a: 0 }
+
+  for (const color of colors) {
+    const alpha = color.a + result.a * (1 - color.a)
+    if (alpha === 0) {
+      result = { r: color.r, g: color.g, b: color.b, a: 0 }
+      continue
+    }
+    const channel = (key) =>
+      (color[key] * color.a + result[key] * result.a * (1 - color.a)) / alpha
+    result = { r: channel('r'), g: channel('g'), b: channel('b'), a: alpha }
+  }
+
+  return result
+}
+
+/**
+ * Values of a fill style from its paint stack
+ * @param {Object[]} fills - Figma paints, bottom first
+ * @returns {Object} Style values: paints always, plus color/hex/css for
+ * solid stacks, gradient/css for a single gradient or layers/css otherwise
+ */
+export function parseFills(fills = []) {
+  const paints = fills.map(parsePaint)
+  const values = { type: fills[fills.length - 1]?.type, paints }
+
+  // Images and other paint kinds can't be exported as code
+  const drawable = paints.filter(
+    (paint) => paint.visible && (paint.color || paint.gradient)
+  )
+  if (drawable.length === 0) return values
+
+  values.type = drawable[drawable.length - 1].type
+
+  if (
+    drawable.every((paint) => paint.color && isNormalBlend(paint.blendMode))
+  ) {
+    values.color = flattenColors(drawable.map((paint) => paint.color))
+    values.hex = colorToHex(values.color)
+    values.css = colorToCss(values.color)
+    return values
+  }
+
+  if (drawable.length === 1 && isNormalBlend(drawable[0].blendMode)) {
+    const { gradient } = drawable[0]
+    values.gradientStops = gradient.stops
+    values.gradientHandlePositions = gradient.handles
+    values.gradient = gradient
+    values.css = gradient.css
+    return values
+  }
+
+  values.layers = drawable.map((paint) => ({
+    type: paint.type,
+    blendMode: paint.blendMode,
+    ...(paint.color ? { color: paint.color } : { gradient: paint.gradient })
+  }))
+  values.css = layersToCss(values.layers)
+  return values
+}
+
+/**
+ * CSS background layers (top first, as background-image lists them)
+ * @param {Object[]} layers - Layers from parseFills, bottom first
+ * @returns {string} background-image value
+ */
+export function layersToCss(layers) {
+  return [...layers]
+    .reverse()
+    .map((layer) =>
+      layer.gradient
+        ? layer.gradient.css
+        : `linear-gradient(${colorToCss(layer.color)}, ${colorToCss(
+            layer.color
+          )})`
+    )
+    .join(', ')
+}
+
+/**
+ * background-blend-mode for layers, null when every layer blends normally
+ * @param {Object[]} layers - Layers from parseFills, bottom first
+ * @returns {string|null} background-blend-mode value
+ */
+export function layersToCssBlendModes(layers) {
+  if (layers.every((layer) => isNormalBlend(layer.blendMode))) return null
+  return [...layers]
+    .reverse()
+    .map((layer) => CSS_BLEND_MODES[layer.blendMode] || 'normal')
+    .join(', ')
+}
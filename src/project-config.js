@@ -0,0 +1,207 @@
+/**
+ * Project config file
+ *
+ * A figtree.config.js (or .mjs/.cjs) or .figtreerc.json in the project root
+ * declares the Figma file and the targets `figtree build` regenerates:
+ *
+ *   export default {
+ *     file: 'https://www.figma.com/design/FILE_KEY/Design-System',
+ *     mode: 'local',
+ *     targets: {
+ *       web: { format: 'css-variables', output: 'src/styles/tokens.css' },
+ *       ios: { format: 'swiftui', output: 'ios/Tokens.swift' },
+ *       brand: {
+ *         format: 'json',
+ *         output: 'tokens/brand.json',
+ *         naming: 'camel',
+ *         tokens: { types: ['fill'], include: ['Brand/**'] }
+ *       }
+ *     }
+ *   }
+ *
+ * Settings at the top level apply to every target that doesn't set them.
+ * `providers` and `plugins` add AI providers and models (see providers.js).
+ */
+import fs from 'fs'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { z } from 'zod'
+import { ConfigurationError } from './errors.js'
+import { GENERATION_MODES, SUPPORTED_FORMATS } from './constants.js'
+import {
+  FIXED_NAMING,
+  NAMING_CONVENTIONS,
+  validateNaming
+} from './generators.js'
+import { TOKEN_TYPES } from './filters.js'
+import { providerSchema, registerProjectProviders } from './providers.js'
+import logger from './logger.js'
+
+/**
+ * Config file names, in the order they are looked up
+ */
+export const CONFIG_FILES = [
+  'figtree.config.js',
+  'figtree.config.mjs',
+  'figtree.config.cjs',
+  '.figtreerc.json',
+  '.figtreerc'
+]
+
+// Targets default to local generation, the only mode that needs no API key
+const DEFAULT_TARGET_MODE = 'local'
+
+const tokenFilterSchema = z
+  .object({
+    types: z.array(z.enum(TOKEN_TYPES)).optional(),
+    include: z.array(z.string()).optional(),
+    exclude: z.array(z.string()).optional()
+  })
+  .strict()
+
+// Settings a target inherits from the top level
+const sharedSettings = {
+  file: z.string().optional(),
+  mode: z.enum(GENERATION_MODES).optional(),
+  provider: z.string().optional(),
+  model: z.string().optional(),
+  naming: z.enum(Object.keys(NAMING_CONVENTIONS)).optional(),
+  tokens: tokenFilterSchema.optional()
+}
+
+const targetSchema = z
+  .object({
+    ...sharedSettings,
+    format: z.enum(SUPPORTED_FORMATS),
+    output: z.string()
+  })
+  .strict()
+
+const projectSchema = z
+  .object({
+    ...sharedSettings,
+    repairRounds: z.number().int().min(0).optional(),
+    maxCost: z.number().min(0).optional(),
+    concurrency: z.number().int().min(1).optional(),
+    plugins: z.array(z.string()).optional(),
+    providers: z.record(providerSchema).optional(),
+    targets: z.record(targetSchema).optional()
+  })
+  .strict()
+
+/**
+ * Find the config file of a project
+ * @param {string} [cwd] - Project directory
+ * @returns {string|null} Path of the first config file found
+ */
+export function findProjectConfig(cwd = process.cwd()) {
+  for (const name of CONFIG_FILES) {
+    const file = path.join(cwd, name)
+    if (fs.existsSync(file)) return file
+  }
+  return null
+}
+
+// Read a config file, JSON or a module with a default export
+async function readConfigFile(file) {
+  if (file.endsWith('.json') || path.basename(file) === '.figtreerc') {
+    return JSON.parse(fs.readFileSync(file, 'utf8'))
+  }
+
+  const module = await import(pathToFileURL(file).href)
+  return module.default ?? module
+}
+
+/**
+ * Targets with the top level settings filled in and output paths resolved
+ * against the config file's directory
+ * @param {Object} config - Validated config
+ * @param {string} dir - Directory of the config file
+ * @returns {Object[]} Targets as { name, file, format, output, mode,
+ * provider, model, naming, tokens }
+ */
+function resolveTargets(config, dir) {
+  return Object.entries(config.targets || {}).map(([name, target]) => ({
+    name,
+    file: target.file ?? config.file,
+    format: target.format,
+    output: path.resolve(dir, target.output),
+    mode: target.mode ?? config.mode ?? DEFAULT_TARGET_MODE,
+    provider: target.provider ?? config.provider,
+    model: target.model ?? config.model,
+    // A project wide convention skips formats that only work with their own
+    naming:
+      target.naming ??
+      (FIXED_NAMING[target.format] ? undefined : config.naming),
+    tokens: target.tokens ?? config.tokens
+  }))
+}
+
+/**
+ * Load and validate the project config
+ * @param {Object} [options] - Options
+ * @param {string} [options.configPath] - Explicit config file (--config)
+ * @param {string} [options.cwd] - Directory to look for a config file in
+ * @returns {Promise<Object|null>} { path, config, targets }, or null when the
+ * project has no config file
+ * @throws {ConfigurationError} If the file is missing, unreadable or invalid,
+ * or one of its plugins fails to load
+ */
+export async function loadProjectConfig({
+  configPath,
+  cwd = process.cwd()
+} = {}) {
+  const file = configPath
+    ? path.resolve(cwd, configPath)
+    : findProjectConfig(cwd)
+  if (!file) return null
+
+  if (!fs.existsSync(file)) {
+    throw new ConfigurationError(
+      `Config file not found: ${file}`,
+      'CONFIG_NOT_FOUND'
+    )
+  }
+
+  let raw
+  try {
+    raw = await readConfigFile(file)
+  } catch (error) {
+    throw new ConfigurationError(
+      `Could not read config file ${file}: ${error.message}`,
+      'INVALID_CONFIG'
+    )
+  }
+
+  const result = projectSchema.safeParse(raw)
+  if (!result.success) {
+    const problems = result.error.issues
+      .map(
+        (issue) => `  • ${issue.path.join('.') || 'config'}: ${issue.message}`
+      )
+      .join('\n')
+    throw new ConfigurationError(
+      `Invalid config file ${file}:\n${problems}`,
+      'INVALID_CONFIG'
+    )
+  }
+
+  const targets = resolveTargets(result.data, path.dirname(file))
+  for (const target of targets) {
+    try {
+      validateNaming(target.format, target.naming)
+    } catch (error) {
+      throw new ConfigurationError(
+        `Invalid config file ${file}:\n  • targets.${target.name}.naming: ${error.message}`,
+        'INVALID_CONFIG'
+      )
+    }
+  }
+
+  // The entries as written, zod wraps the factory functions it checks
+  await registerProjectProviders(raw, path.dirname(file))
+
+  logger.debug(`[figtree] Loaded config from ${file}`)
+
+  return { path: file, config: result.data, targets }
+}
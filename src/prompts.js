@@ -9,7 +9,7 @@ import {
 import logger from "./logger.js";
 
 // Extract file key from Figma URL
-function extractFileKeyFromUrl(input) {
+export function extractFileKeyFromUrl(input) {
   // Remove whitespace
   const cleaned = input.trim();
 
@@ -82,6 +82,19 @@ export async function confirmFileSelection(fileInfo) {
   return confirmed;
 }
 
+export async function confirmCost(cost) {
+  const { confirmed } = await inquirer.prompt([
+    {
+      name: "confirmed",
+      type: "confirm",
+      message: `💰 Generate for about ${cost}?`,
+      default: true,
+    },
+  ]);
+
+  return confirmed;
+}
+
 export async function selectFigmaFile(files) {
   const choices = files.map((f) => ({
     name: `${f.name} (${new Date(f.last_modified).toLocaleString()})`,
@@ -118,6 +131,11 @@ export async function chooseGenerationMode() {
   const hasProviders = hasAvailableProviders();
 
   const choices = [
+    {
+      name: "⚙️  Generate code locally (no AI, deterministic)",
+      value: "local",
+      short: "Local generation",
+    },
     {
       name: "📝 Generate prompt only (copy-paste to AI)",
       value: "prompt",
@@ -182,6 +200,21 @@ export async function chooseModel(provider) {
   const models = getProviderModels(provider);
   const providerInfo = getProviderInfo(provider);
 
+  // Local servers run whatever model was pulled, so ask for its name
+  if (providerInfo.anyModel) {
+    const { model } = await inquirer.prompt([
+      {
+        name: "model",
+        type: "input",
+        message: `🧠 ${providerInfo.name} model name:`,
+        default: providerInfo.defaultModel,
+        validate: (input) => input.trim() !== "" || "Enter a model name",
+      },
+    ]);
+
+    return model.trim();
+  }
+
   if (Object.keys(models).length === 1) {
     return Object.keys(models)[0];
   }
@@ -205,28 +238,49 @@ export async function chooseModel(provider) {
   return model;
 }
 
+const CODE_FORMAT_CHOICES = [
+  { name: "CSS (Custom Properties)", value: "css" },
+  { name: "SCSS (Variables & Mixins)", value: "scss" },
+  { name: "Tailwind Config", value: "tailwind" },
+  { name: "JavaScript/TypeScript", value: "javascript" },
+  { name: "JSON (Design Tokens)", value: "json" },
+  { name: "CSS Variables Only", value: "css-variables" },
+  { name: "Android XML", value: "android" },
+  { name: "SwiftUI", value: "swiftui" },
+];
+
 export async function chooseCodeFormat() {
   const { format } = await inquirer.prompt([
     {
       name: "format",
       type: "list",
       message: "📝 Choose code format:",
-      choices: [
-        { name: "CSS (Custom Properties)", value: "css" },
-        { name: "SCSS (Variables & Mixins)", value: "scss" },
-        { name: "Tailwind Config", value: "tailwind" },
-        { name: "JavaScript/TypeScript", value: "javascript" },
-        { name: "JSON (Design Tokens)", value: "json" },
-        { name: "CSS Variables Only", value: "css-variables" },
-        { name: "Android XML", value: "android" },
-        { name: "SwiftUI", value: "swiftui" },
-      ],
+      choices: CODE_FORMAT_CHOICES,
     },
   ]);
 
   return format;
 }
 
+export async function chooseCodeFormats() {
+  const { formats } = await inquirer.prompt([
+    {
+      name: "formats",
+      type: "checkbox",
+      message: "📝 Choose code formats (space to select):",
+      choices: CODE_FORMAT_CHOICES,
+      validate: (input) => {
+        if (input.length === 0) {
+          return "Choose at least one format";
+        }
+        return true;
+      },
+    },
+  ]);
+
+  return formats;
+}
+
 export async function promptForOutputFile(format) {
   const extensions = {
     css: "css",
@@ -0,0 +1,441 @@
+/**
+ * AI provider registry
+ *
+ * Every provider figtree can generate code with, and what it knows about
+ * their models: a label for the model list, the context window, the output
+ * limit and the price per million input and output tokens, how its
+ * tokenizer compares with OpenAI's and how fast it takes requests. The
+ * built-in providers are registered below. A project adds its own, or
+ * models for an existing provider, in the `providers` key of its config,
+ * and packages listed in `plugins` register them in code:
+ *
+ *   export default {
+ *     plugins: ['figtree-provider-bedrock'],
+ *     providers: {
+ *       openai: {
+ *         models: { 'gpt-4.1': { contextWindow: 1_047_576, maxOutput: 32_768 } }
+ *       },
+ *       gateway: {
+ *         name: 'Company gateway',
+ *         baseURL: 'https://llm.example.com/v1',
+ *         envVar: 'GATEWAY_API_KEY',
+ *         defaultModel: 'gpt-4o',
+ *         models: { 'gpt-4o': { pricing: { input: 2.5, output: 10 } } }
+ *       }
+ *     }
+ *   }
+ *
+ * A provider without a factory is called through the OpenAI chat API at its
+ * baseURL, so a JSON config can add one too.
+ */
+import path from 'path'
+import { createRequire } from 'module'
+import { pathToFileURL } from 'url'
+import { openai, createOpenAI } from '@ai-sdk/openai'
+import { google } from '@ai-sdk/google'
+import { anthropic } from '@ai-sdk/anthropic'
+import { deepseek } from '@ai-sdk/deepseek'
+import { z } from 'zod'
+import { ENV_VARS } from './constants.js'
+import { ConfigurationError } from './errors.js'
+import logger from './logger.js'
+
+const pricingSchema = z
+  .object({
+    // US dollars per million tokens
+    input: z.number().min(0),
+    output: z.number().min(0)
+  })
+  .strict()
+
+const rateLimitSchema = z
+  .object({
+    // Requests the provider takes at once
+    concurrency: z.number().int().positive().optional(),
+    requestsPerMinute: z.number().positive().optional()
+  })
+  .strict()
+
+/**
+ * What the registry knows about a model. Missing fields come from the
+ * provider's modelDefaults.
+ */
+export const modelSchema = z
+  .object({
+    label: z.string().optional(),
+    contextWindow: z.number().int().positive().optional(),
+    maxOutput: z.number().int().positive().optional(),
+    pricing: pricingSchema.optional()
+  })
+  .strict()
+
+/**
+ * A provider entry. Registering an existing provider again only changes
+ * the fields it sets and adds its models to the ones already there.
+ */
+export const providerSchema = z
+  .object({
+    name: z.string().optional(),
+    // Setting that must be present for the provider to be offered: its API
+    // key, or the server URL of a keyless provider. Without one the
+    // provider is always available
+    envVar: z.string().optional(),
+    keyless: z.boolean().optional(),
+    // Takes model names the registry doesn't list
+    anyModel: z.boolean().optional(),
+    baseURL: z.string().url().optional(),
+    // (modelId) => language model of the ai SDK
+    factory: z.function().optional(),
+    defaultModel: z.string().optional(),
+    // Setting that overrides defaultModel
+    modelEnvVar: z.string().optional(),
+    // Tokens of the provider's tokenizer per OpenAI o200k_base token, to
+    // estimate counts the provider doesn't offer offline (see tokens.js)
+    tokenRatio: z.number().positive().optional(),
+    // Limits every request to the provider keeps (see rate-limit.js)
+    rateLimit: rateLimitSchema.optional(),
+    modelDefaults: modelSchema.optional(),
+    models: z.record(modelSchema).optional()
+  })
+  .strict()
+
+// Used for a model nobody registered limits for. There is no fallback
+// price, a cost nobody knows is left out instead of shown as free.
+const FALLBACK_MODEL = {
+  contextWindow: 100_000,
+  maxOutput: 4_096
+}
+
+const registry = new Map()
+
+/**
+ * Add a provider, or models and settings to an existing one
+ * @param {string} id - Provider id, as passed to --provider
+ * @param {Object} definition - Entry matching providerSchema
+ * @returns {Object} The provider as registered
+ * @throws {ConfigurationError} If the entry is invalid or a new provider
+ * has no name or no way to create a model
+ */
+export function registerProvider(id, definition) {
+  const result = providerSchema.safeParse(definition)
+  if (!result.success) {
+    const problems = result.error.issues
+      .map((issue) => `${issue.path.join('.') || 'provider'}: ${issue.message}`)
+      .join(', ')
+    throw new ConfigurationError(
+      `Invalid provider '${id}': ${problems}`,
+      'INVALID_PROVIDER'
+    )
+  }
+
+  const existing = registry.get(id)
+  const provider = {
+    ...existing,
+    ...definition,
+    id,
+    models: { ...existing?.models, ...definition.models }
+  }
+
+  if (!provider.factory && provider.baseURL) {
+    provider.factory = openAICompatible(provider)
+  }
+  if (!provider.name || !provider.factory) {
+    throw new ConfigurationError(
+      `Invalid provider '${id}': a new provider needs a name and a factory or baseURL`,
+      'INVALID_PROVIDER'
+    )
+  }
+
+  registry.set(id, provider)
+  return provider
+}
+
+/**
+ * Add a model to a registered provider
+ * @param {string} providerId - Provider id
+ * @param {string} modelId - Model id sent to the provider
+ * @param {Object} [info] - Entry matching modelSchema
+ * @throws {ConfigurationError} If the provider isn't registered
+ */
+export function registerModel(providerId, modelId, info = {}) {
+  if (!registry.has(providerId)) {
+    throw new ConfigurationError(
+      `Can't add model '${modelId}' to unknown provider '${providerId}'`,
+      'UNKNOWN_PROVIDER'
+    )
+  }
+  registerProvider(providerId, { models: { [modelId]: info } })
+}
+
+/**
+ * A registered provider
+ * @param {string} id - Provider id
+ * @returns {Object|undefined} Provider with its current default model
+ */
+export function getProvider(id) {
+  const provider = registry.get(id)
+  if (!provider) return undefined
+
+  return {
+    ...provider,
+    defaultModel:
+      (provider.modelEnvVar && process.env[provider.modelEnvVar]) ||
+      provider.defaultModel ||
+      Object.keys(provider.models)[0]
+  }
+}
+
+/**
+ * All registered providers
+ * @returns {Object} Providers by id
+ */
+export function getProviders() {
+  return Object.fromEntries(
+    [...registry.keys()].map((id) => [id, getProvider(id)])
+  )
+}
+
+/**
+ * Whether the setting a provider needs is present
+ * @param {Object} provider - Provider from getProvider
+ * @returns {boolean} True when the provider can be used
+ */
+export function isProviderConfigured(provider) {
+  return !provider.envVar || Boolean(process.env[provider.envVar]?.trim())
+}
+
+/**
+ * Limits and prices of a model
+ * @param {string} providerId - Provider id
+ * @param {string} modelId - Model id
+ * @returns {Object} { id, label, contextWindow, maxOutput, pricing }, with
+ * the provider's defaults for what the model doesn't set and no pricing
+ * when neither sets one
+ */
+export function getModelInfo(providerId, modelId) {
+  const provider = registry.get(providerId)
+  const model = provider?.models[modelId] ?? {}
+
+  return {
+    id: modelId,
+    label: modelId,
+    ...FALLBACK_MODEL,
+    ...provider?.modelDefaults,
+    ...model
+  }
+}
+
+/**
+ * Register the providers and plugins of a project config
+ * @param {Object} config - Validated project config
+ * @param {string} dir - Directory of the config file, plugins are resolved
+ * from there
+ * @throws {ConfigurationError} If a plugin can't be loaded or registers an
+ * invalid provider
+ */
+export async function registerProjectProviders(config, dir) {
+  for (const specifier of config.plugins ?? []) {
+    await loadPlugin(specifier, dir)
+  }
+
+  for (const [id, definition] of Object.entries(config.providers ?? {})) {
+    registerProvider(id, definition)
+  }
+}
+
+// A plugin default-exports a function that gets the registry functions
+async function loadPlugin(specifier, dir) {
+  let register
+  try {
+    const module = await import(resolvePlugin(specifier, dir))
+    register = module.default
+  } catch (error) {
+    throw new ConfigurationError(
+      `Could not load plugin '${specifier}': ${error.message}`,
+      'INVALID_PLUGIN'
+    )
+  }
+
+  if (typeof register !== 'function') {
+    throw new ConfigurationError(
+      `Plugin '${specifier}' must export a function by default`,
+      'INVALID_PLUGIN'
+    )
+  }
+
+  await register({ registerProvider, registerModel })
+  logger.debug(`[figtree] Loaded plugin ${specifier}`)
+}
+
+// Relative paths and packages are found from the config file, like a
+// require() in it would
+function resolvePlugin(specifier, dir) {
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    return pathToFileURL(path.resolve(dir, specifier)).href
+  }
+
+  try {
+    const require = createRequire(path.join(dir, 'figtree.config.js'))
+    return pathToFileURL(require.resolve(specifier)).href
+  } catch {
+    // ESM-only packages can't be resolved by require
+    return specifier
+  }
+}
+
+// Chat models of an OpenAI-compatible server at the provider's baseURL
+function openAICompatible(provider) {
+  return (modelId) =>
+    createOpenAI({
+      name: provider.id,
+      baseURL: provider.baseURL,
+      apiKey: (!provider.keyless && process.env[provider.envVar]) || provider.id
+    }).chat(modelId)
+}
+
+// Chat model on the local server. Most servers ignore the key, the SDK
+// needs one anyway.
+function createLocalModel(modelId) {
+  const provider = createOpenAI({
+    name: 'local',
+    baseURL: process.env[ENV_VARS.FIGTREE_LOCAL_LLM_URL],
+    apiKey: process.env[ENV_VARS.FIGTREE_LOCAL_LLM_API_KEY] || 'local'
+  })
+  return provider.chat(modelId)
+}
+
+registerProvider('openai', {
+  name: 'OpenAI',
+  factory: openai,
+  envVar: 'OPENAI_API_KEY',
+  tokenRatio: 1,
+  defaultModel: 'o4-mini',
+  models: {
+    'o4-mini': {
+      label: 'o4 Mini - Faster and more affordable model',
+      contextWindow: 200_000,
+      maxOutput: 100_000,
+      pricing: { input: 1.1, output: 4.4 }
+    },
+    o3: {
+      label: 'o3 - Most powerful model',
+      contextWindow: 200_000,
+      maxOutput: 100_000,
+      pricing: { input: 2, output: 8 }
+    },
+    'o3-pro': {
+      label: 'o3 Pro - More compute than o3 for better responses',
+      contextWindow: 200_000,
+      maxOutput: 100_000,
+      pricing: { input: 20, output: 80 }
+    },
+    'o3-mini': {
+      label: 'o3 Mini - Smaller than o3',
+      contextWindow: 200_000,
+      maxOutput: 100_000,
+      pricing: { input: 1.1, output: 4.4 }
+    },
+    o1: {
+      label: 'o1 - Most powerful model',
+      contextWindow: 200_000,
+      maxOutput: 100_000,
+      pricing: { input: 15, output: 60 }
+    },
+    'o1-pro': {
+      label: 'o1 Pro - More compute than o1 for better responses',
+      contextWindow: 200_000,
+      maxOutput: 100_000,
+      pricing: { input: 150, output: 600 }
+    }
+  }
+})
+
+registerProvider('google', {
+  name: 'Google (Gemini)',
+  factory: google,
+  envVar: 'GOOGLE_API_KEY',
+  tokenRatio: 1.05,
+  defaultModel: 'gemini-2.5-flash',
+  models: {
+    'gemini-2.5-pro': {
+      label: 'Gemini 2.5 Pro - Enhanced thinking and reasoning',
+      contextWindow: 1_048_576,
+      maxOutput: 65_536,
+      pricing: { input: 1.25, output: 10 }
+    },
+    'gemini-2.5-flash': {
+      label: 'Gemini 2.5 Flash - Adaptive thinking, cost efficient',
+      contextWindow: 1_048_576,
+      maxOutput: 65_536,
+      pricing: { input: 0.3, output: 2.5 }
+    }
+  }
+})
+
+registerProvider('anthropic', {
+  name: 'Anthropic (Claude)',
+  factory: anthropic,
+  envVar: 'ANTHROPIC_API_KEY',
+  tokenRatio: 1.2,
+  defaultModel: 'claude-sonnet-4-20250514',
+  models: {
+    'claude-opus-4-20250514': {
+      label: 'Claude Opus 4 - Most powerful and capable model',
+      contextWindow: 200_000,
+      maxOutput: 32_000,
+      pricing: { input: 15, output: 75 }
+    },
+    'claude-sonnet-4-20250514': {
+      label: 'Claude Sonnet 4 - High performance model',
+      contextWindow: 200_000,
+      maxOutput: 64_000,
+      pricing: { input: 3, output: 15 }
+    }
+  }
+})
+
+registerProvider('deepseek', {
+  name: 'DeepSeek',
+  factory: deepseek,
+  envVar: 'DEEPSEEK_API_KEY',
+  tokenRatio: 1.1,
+  defaultModel: 'deepseek-chat',
+  modelDefaults: { contextWindow: 64_000 },
+  models: {
+    'deepseek-chat': {
+      label: 'Most powerful and capable model',
+      contextWindow: 64_000,
+      maxOutput: 8_192,
+      pricing: { input: 0.27, output: 1.1 }
+    },
+    'deepseek-reasoner': {
+      label: 'High performance model',
+      contextWindow: 64_000,
+      maxOutput: 65_536,
+      pricing: { input: 0.55, output: 2.19 }
+    }
+  }
+})
+
+// Any server speaking the OpenAI chat API (Ollama, LM Studio, vLLM,
+// llama.cpp server), so design files never leave the network. Available
+// once its URL is set, takes any model the server has and needs no key.
+// Servers often run with a small context, a project registers the real
+// limits of its models. Most work on one request at a time and leave the
+// others waiting until they time out.
+registerProvider('local', {
+  name: 'Local (OpenAI-compatible)',
+  factory: createLocalModel,
+  envVar: ENV_VARS.FIGTREE_LOCAL_LLM_URL,
+  keyless: true,
+  anyModel: true,
+  tokenRatio: 1.1,
+  rateLimit: { concurrency: 1 },
+  defaultModel: 'llama3.1',
+  modelEnvVar: ENV_VARS.FIGTREE_LOCAL_LLM_MODEL,
+  modelDefaults: {
+    contextWindow: 32_768,
+    maxOutput: 4_096,
+    pricing: { input: 0, output: 0 }
+  }
+})
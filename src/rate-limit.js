@@ -0,0 +1,139 @@
+/**
+ * Rate limits of AI providers
+ *
+ * Every request to a provider goes through its limiter, shared by all
+ * generations of the process: no more requests at once than its
+ * concurrency, no more a minute than its requestsPerMinute, and none while
+ * it asked to wait after a 429. Providers set their limits in the
+ * `rateLimit` key of their registry entry, which depend on the account:
+ *
+ *   providers: {
+ *     openai: { rateLimit: { concurrency: 2, requestsPerMinute: 30 } }
+ *   }
+ *
+ * Requests that fail on the way are sent again, see isRetryable.
+ */
+import { APICallError } from 'ai'
+import { getProvider } from './providers.js'
+
+const limiters = new Map()
+
+// Failures of the connection rather than of the request
+const NETWORK_ERRORS =
+  /ECONNRESET|ETIMEDOUT|EPIPE|EAI_AGAIN|UND_ERR_SOCKET|socket hang up|terminated/i
+
+/**
+ * Create a limiter for requests
+ * @param {Object} [limits] - { concurrency, requestsPerMinute }, no limit
+ * for what isn't set
+ * @returns {Object} { run, pause } where run(send) resolves to what send()
+ * does once the limits let it start, and pause(ms) holds back requests
+ * that haven't started for that long
+ */
+export function createRateLimiter({
+  concurrency = Infinity,
+  requestsPerMinute
+} = {}) {
+  const interval = requestsPerMinute ? 60_000 / requestsPerMinute : 0
+  const waiting = []
+  let active = 0
+  let nextStart = 0
+  let pausedUntil = 0
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+  async function acquire() {
+    // A finished request hands its slot to the one waiting longest
+    if (active < concurrency) active++
+    else await new Promise((resolve) => waiting.push(resolve))
+
+    const start = Math.max(Date.now(), nextStart)
+    nextStart = start + interval
+    for (
+      let at = Math.max(start, pausedUntil);
+      at > Date.now();
+      at = Math.max(start, pausedUntil)
+    ) {
+      await sleep(at - Date.now())
+    }
+  }
+
+  function release() {
+    const next = waiting.shift()
+    if (next) next()
+    else active--
+  }
+
+  return {
+    async run(send) {
+      await acquire()
+      try {
+        return await send()
+      } finally {
+        release()
+      }
+    },
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms)
+    }
+  }
+}
+
+/**
+ * The limiter of a provider, created from its registry entry
+ * @param {string} providerId - Provider id
+ * @returns {Object} Limiter from createRateLimiter
+ */
+export function getRateLimiter(providerId) {
+  const limits = getProvider(providerId)?.rateLimit
+  let entry = limiters.get(providerId)
+
+  // Registering the provider again can change its limits
+  if (!entry || entry.limits !== limits) {
+    entry = { limits, limiter: createRateLimiter(limits) }
+    limiters.set(providerId, entry)
+  }
+  return entry.limiter
+}
+
+/**
+ * Whether sending a failed request again can work: the provider was rate
+ * limited, overloaded or down for a moment (as the ai SDK tells), or the
+ * connection dropped. Refused connections and bad requests fail again.
+ * @param {Error} error - Error of the request
+ * @returns {boolean} True when the request is worth sending again
+ */
+export function isRetryable(error) {
+  if (APICallError.isInstance(error)) return error.isRetryable
+
+  return [error, error?.cause].some(
+    (cause) =>
+      cause &&
+      (NETWORK_ERRORS.test(cause.code ?? '') ||
+        NETWORK_ERRORS.test(cause.message ?? ''))
+  )
+}
+
+/**
+ * How long a provider asked to wait before the next request
+ * @param {Error} error - Error of the request
+ * @returns {number|undefined} Milliseconds, from the retry-after-ms or
+ * retry-after header
+ */
+export function getRetryAfter(error) {
+  const headers = APICallError.isInstance(error) ? error.responseHeaders : null
+  if (!headers) return undefined
+
+  const ms = Number.parseFloat(headers['retry-after-ms'])
+  if (ms >= 0) return ms
+
+  const retryAfter = headers['retry-after']
+  if (!retryAfter) return undefined
+
+  // Seconds, or the date to wait for
+  const seconds = Number(retryAfter)
+  const wait = Number.isNaN(seconds)
+    ? Date.parse(retryAfter) - Date.now()
+    : seconds * 1000
+  return Number.isNaN(wait) ? undefined : Math.max(wait, 0)
+}
@@ -0,0 +1,144 @@
+/**
+ * Themes from Figma variable modes
+ *
+ * Every mode of a variable collection other than its default mode is a
+ * theme. Modes with the same name in different collections form one theme,
+ * so "Dark" in a color collection and "Dark" in a surface collection switch
+ * together.
+ */
+
+/**
+ * Attribute value used to select a theme ("High Contrast" -> high-contrast)
+ * @param {string} name - Mode name
+ * @returns {string} Slug
+ */
+export function themeSlug(name) {
+  return (
+    String(name)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'theme'
+  )
+}
+
+/**
+ * CSS selector that activates a theme
+ * @param {Object} theme - Theme from getThemes
+ * @returns {string} Selector
+ */
+export function themeSelector(theme) {
+  return `[data-theme="${theme.slug}"]`
+}
+
+/**
+ * Themes defined by the modes of variable collections
+ * @param {Object[]} collections - Collections with modes and defaultMode
+ * @returns {Object[]} Themes as { name, slug, dark }, in mode order
+ */
+export function getThemes(collections = []) {
+  const themes = []
+
+  for (const collection of collections || []) {
+    for (const mode of collection.modes || []) {
+      if (mode === collection.defaultMode) continue
+      if (themes.some((theme) => theme.name === mode)) continue
+      themes.push({ name: mode, slug: themeSlug(mode), dark: false })
+    }
+  }
+
+  // Platforms with a single system dark mode use the first dark-looking theme
+  const dark = themes.find((theme) => /\b(dark|night)\b/i.test(theme.name))
+  if (dark) dark.dark = true
+
+  return themes
+}
+
+/**
+ * Prompt section telling the model how to express themes in a format
+ * @param {Object[]} collections - Collections with modes and defaultMode
+ * @param {string} format - Output format
+ * @returns {string} Prompt section, empty when there are no themes
+ */
+export function getThemingGuidelines(collections, format) {
+  const themes = getThemes(collections)
+  if (themes.length === 0) return ''
+
+  const defaults = [
+    ...new Set(
+      collections
+        .filter((item) => item.modes.length > 1)
+        .map((item) => item.defaultMode)
+    )
+  ]
+  const dark = themes.find((theme) => theme.dark)
+  const selectors = themes
+    .map((theme) => `${themeSelector(theme)} (${theme.name})`)
+    .join(', ')
+
+  const lines = [
+    `- Variable values are given per mode. Default mode: ${defaults.join(
+      ', '
+    )}. Every other mode is a theme: ${themes
+      .map((theme) => theme.name)
+      .join(', ')}`
+  ]
+
+  switch (format) {
+    case 'css':
+    case 'css-variables':
+      lines.push(
+        '- Declare default mode values in :root',
+        `- Add one block per theme that overrides only the values that change: ${selectors}`
+      )
+      break
+
+    case 'scss':
+      lines.push(
+        '- Declare default mode values as $variables',
+        `- Add a $themes map keyed by ${themes
+          .map((theme) => theme.slug)
+          .join(', ')} holding only the values that change`
+      )
+      break
+
+    case 'tailwind':
+      lines.push(
+        '- Reference values that change between themes as CSS variables (e.g. \'var(--color-surface)\')',
+        `- Define those CSS variables in a plugin using addBase for :root and ${selectors}`
+      )
+      if (dark) {
+        lines.push(`- Set darkMode: ['class', '${themeSelector(dark)}']`)
+      }
+      break
+
+    case 'javascript':
+    case 'json':
+      lines.push(
+        `- Keep default mode values in the main groups and add a themes object keyed by ${themes
+          .map((theme) => theme.slug)
+          .join(', ')} holding only the values that change`
+      )
+      break
+
+    case 'android':
+      lines.push(
+        dark
+          ? `- Put default mode values in the resources and add a trailing comment with the res/values-night/colors.xml resources for the ${dark.name} mode`
+          : '- Android has no resource qualifier for these themes, use default mode values'
+      )
+      break
+
+    case 'swiftui':
+      lines.push(
+        dark
+          ? `- Use Color(light:dark:) for colors that change in the ${dark.name} mode and define that initializer in a Color extension based on UIColor's user interface style`
+          : '- SwiftUI only switches between light and dark, use default mode values'
+      )
+      break
+
+    default:
+      lines.push('- Express every theme in the idiomatic way for the format')
+  }
+
+  return `\nTHEMES:\n${lines.join('\n')}\n`
+}
@@ -0,0 +1,141 @@
+/**
+ * Token counting and context budgets
+ *
+ * Counts come from OpenAI's o200k_base tokenizer. They are exact for the
+ * OpenAI models; for other providers, whose tokenizers are only available
+ * through their APIs, they are scaled by the provider's tokenRatio in the
+ * registry. A request has to fit its prompt template, the design token data
+ * and the code it gets back in the model's context window, and the code in
+ * its output limit, so the budget for the data is what is left of both.
+ */
+import { createRequire } from 'module'
+import { generateLocalCode } from './generators.js'
+import { getModelInfo, getProvider } from './providers.js'
+
+// Tokens of a provider's tokenizer per o200k_base token, for providers
+// that don't set their own. Other tokenizers mostly need more tokens for
+// the same JSON and code.
+const DEFAULT_TOKEN_RATIO = 1.1
+
+// Part of the context window left free for what the counts miss
+// (message framing, reasoning, estimation errors)
+const CONTEXT_MARGIN = 0.1
+
+// Models write comments and spacing the local generators don't, so the
+// expected output is this much longer than the local code
+const OUTPUT_MARGIN = 1.25
+
+// Characters per token of JSON, close enough for sizes that are only logged
+const CHARS_PER_TOKEN = 4
+
+const require = createRequire(import.meta.url)
+let encoder
+
+// The tokenizer tables take a moment to load and are only needed for AI
+// and prompt generation
+function getEncoder() {
+  if (!encoder) {
+    const { Tiktoken } = require('js-tiktoken/lite')
+    encoder = new Tiktoken(require('js-tiktoken/ranks/o200k_base'))
+  }
+  return encoder
+}
+
+/**
+ * Count the tokens of a text
+ * @param {string} text - Text
+ * @param {string} [provider] - Provider id, counts o200k_base tokens
+ * without one
+ * @returns {number} Tokens
+ */
+export function countTokens(text, provider) {
+  // Special tokens like <|endoftext|> in a style name are plain text here
+  const tokens = getEncoder().encode(text, [], []).length
+  return provider ? Math.ceil(tokens * getTokenRatio(provider)) : tokens
+}
+
+/**
+ * Estimate the tokens of a text from its length, for texts too large to be
+ * worth tokenizing, like a whole Figma document
+ * @param {string} text - Text
+ * @param {string} [provider] - Provider id, estimates o200k_base tokens
+ * without one
+ * @returns {number} Tokens
+ */
+export function estimateTokens(text, provider) {
+  const tokens = Math.ceil(text.length / CHARS_PER_TOKEN)
+  return provider ? Math.ceil(tokens * getTokenRatio(provider)) : tokens
+}
+
+/**
+ * Ratio of a provider's tokens to o200k_base tokens
+ * @param {string} provider - Provider id
+ * @returns {number} Ratio
+ */
+export function getTokenRatio(provider) {
+  return getProvider(provider)?.tokenRatio ?? DEFAULT_TOKEN_RATIO
+}
+
+/**
+ * Expected output tokens per token of design token data, from the code the
+ * local generator writes for the same styles
+ * @param {Object} styles - Styles from Figma
+ * @param {string} format - Output format
+ * @param {Object} [options] - Options
+ * @param {string} [options.provider] - Provider id
+ * @param {string} [options.naming] - Naming convention
+ * @param {number} options.dataTokens - Tokens of the data in the prompt
+ * @returns {number} Output tokens per data token
+ */
+export function estimateOutputRatio(
+  styles,
+  format,
+  { provider, naming, dataTokens }
+) {
+  if (!dataTokens) return OUTPUT_MARGIN
+
+  const code = generateLocalCode(styles, format, { naming })
+  return (countTokens(code, provider) * OUTPUT_MARGIN) / dataTokens
+}
+
+/**
+ * Context window and output limit of a model
+ * @param {string} provider - Provider id
+ * @param {string} model - Model id
+ * @returns {Object} { contextWindow, maxOutput } where contextWindow
+ * already leaves the safety margin free
+ */
+export function getModelLimits(provider, model) {
+  const { contextWindow, maxOutput } = getModelInfo(provider, model)
+  return {
+    contextWindow: Math.floor(contextWindow * (1 - CONTEXT_MARGIN)),
+    maxOutput
+  }
+}
+
+/**
+ * Whether a request fits a model
+ * @param {Object} request - { promptTokens, outputTokens }
+ * @param {Object} limits - Result of getModelLimits
+ * @returns {boolean} True when prompt and output fit the context window
+ * and the output fits the output limit
+ */
+export function fitsModel({ promptTokens, outputTokens }, limits) {
+  return (
+    promptTokens + outputTokens <= limits.contextWindow &&
+    outputTokens <= limits.maxOutput
+  )
+}
+
+/**
+ * Most tokens of design token data one request can carry
+ * @param {Object} request - { templateTokens, outputRatio } where
+ * templateTokens counts the prompt without the data
+ * @param {Object} limits - Result of getModelLimits
+ * @returns {number} Data tokens, 0 when even the template doesn't fit
+ */
+export function getDataBudget({ templateTokens, outputRatio }, limits) {
+  const context = (limits.contextWindow - templateTokens) / (1 + outputRatio)
+  const output = limits.maxOutput / outputRatio
+  return Math.max(0, Math.floor(Math.min(context, output)))
+}
@@ -0,0 +1,732 @@
+/**
+ * Checks for AI generated code
+ *
+ * Models wrap code in markdown fences, add a sentence before it, stop
+ * halfway through a file or quietly drop tokens. The code is cleaned up and
+ * checked here before it is saved: syntax per format, then whether every
+ * token sent to the model made it into the output with its value.
+ */
+import { execFileSync } from 'child_process'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { colorToHex, formatNumber } from './colors.js'
+
+// Tokens listed per problem before the rest is summarized as "+n more"
+const MAX_LISTED = 10
+
+// Lines after a token name its value may be on, for formats that nest the
+// value in an object
+const VALUE_LINES = 3
+
+// Tokens a format writes to files other than the one checked, or leaves
+// out: Android keeps the values of other modes in values-night and
+// gradients, layered fills and shadows in drawables, SwiftUI has no
+// layout grids
+const WRITTEN_ELSEWHERE = {
+  android: { otherModes: true, gradients: true, effects: true },
+  swiftui: { grids: true }
+}
+
+// Time allowed for node --check on JavaScript output
+const SYNTAX_CHECK_TIMEOUT = 10_000
+
+const FENCED_BLOCK = /```[\w+-]*[^\S\n]*\n([\s\S]*?)\n?[^\S\n]*```/g
+
+/**
+ * Take the code out of markdown fences
+ * @param {string} text - Model output
+ * @returns {string} Code of all fenced blocks, or the trimmed text when it
+ * has none
+ */
+export function stripCodeFences(text) {
+  const blocks = [...text.matchAll(FENCED_BLOCK)].map((match) => match[1])
+  if (blocks.length > 0) return blocks.join('\n\n').trim()
+
+  // An answer cut off by the output limit has an opening fence only
+  return text
+    .trim()
+    .replace(/^```[\w+-]*[^\S\n]*\n/, '')
+    .replace(/\n?```$/, '')
+    .trim()
+}
+
+/**
+ * Turn model output into the code to save
+ * @param {string|Object} output - Generated text, or tokens from structured
+ * generation
+ * @param {string} format - Output format
+ * @returns {string} Code
+ */
+export function cleanOutput(output, format) {
+  if (typeof output !== 'string') return JSON.stringify(output, null, 2)
+
+  const code = stripCodeFences(output)
+  if (format !== 'json') return code
+
+  // "Here are your tokens:" before a JSON object
+  try {
+    JSON.parse(code)
+  } catch {
+    const start = code.indexOf('{')
+    const end = code.lastIndexOf('}')
+    if (start > 0 || (start === 0 && end < code.length - 1)) {
+      const object = code.slice(start, end + 1)
+      try {
+        JSON.parse(object)
+        return object
+      } catch {}
+    }
+  }
+  return code
+}
+
+/**
+ * Check that code parses as its format
+ * @param {string} code - Cleaned code
+ * @param {string} format - Output format
+ * @returns {string[]} Problems found, empty when the code is valid
+ */
+export function checkSyntax(code, format) {
+  if (!code.trim()) return ['The output is empty']
+
+  switch (format) {
+    case 'json':
+      return checkJson(code)
+    case 'android':
+      return checkXml(code)
+    case 'tailwind':
+      return checkJavaScript(code)
+    case 'javascript':
+      // Asked for with TypeScript types, which node can't parse
+      return checkDelimiters(code)
+    case 'css':
+    case 'css-variables':
+    case 'scss':
+      return checkCss(code, { scss: format === 'scss' })
+    case 'swiftui':
+      return checkDelimiters(code)
+    default:
+      return []
+  }
+}
+
+function checkJson(code) {
+  try {
+    JSON.parse(code)
+    return []
+  } catch (error) {
+    return [`Invalid JSON: ${error.message}`]
+  }
+}
+
+// Line of an offset in the code, for messages
+function lineAt(code, index) {
+  return code.slice(0, index).split('\n').length
+}
+
+function excerpt(text) {
+  const line = text.trim().split('\n')[0]
+  return line.length > 60 ? `${line.slice(0, 60)}…` : line
+}
+
+const XML_NAME = /^[A-Za-z_:][\w.:-]*$/
+const XML_ATTRIBUTES =
+  /^(?:\s+[A-Za-z_:][\w.:-]*\s*=\s*(?:"[^"<]*"|'[^'<]*'))*\s*$/
+const XML_ENTITY = /&(?!(?:[A-Za-z_][\w.-]*|#\d+|#x[0-9A-Fa-f]+);)/
+
+/**
+ * Check that XML is well-formed: one root, matching tags, quoted
+ * attributes and escaped ampersands
+ * @param {string} code - XML
+ * @returns {string[]} Problems found
+ */
+function checkXml(code) {
+  const problems = []
+  const open = []
+  let roots = 0
+  let index = 0
+
+  const text = (value, at) => {
+    if (open.length === 0 && value.trim()) {
+      problems.push(
+        `line ${lineAt(code, at)}: text outside the root element: "${excerpt(
+          value
+        )}"`
+      )
+    } else if (XML_ENTITY.test(value)) {
+      problems.push(`line ${lineAt(code, at)}: unescaped "&"`)
+    }
+  }
+
+  while (index < code.length && problems.length === 0) {
+    const start = code.indexOf('<', index)
+    if (start === -1) {
+      text(code.slice(index), index)
+      break
+    }
+    text(code.slice(index, start), index)
+
+    const line = lineAt(code, start)
+    const markup = [
+      ['<!--', '-->'],
+      ['<![CDATA[', ']]>'],
+      ['<?', '?>'],
+      ['<!', '>']
+    ].find(([opening]) => code.startsWith(opening, start))
+
+    if (markup) {
+      const end = code.indexOf(markup[1], start + markup[0].length)
+      if (end === -1) {
+        problems.push(`line ${line}: unterminated ${markup[0]}`)
+        break
+      }
+      if (markup[0] === '<![CDATA[' && open.length === 0) {
+        problems.push(`line ${line}: CDATA outside the root element`)
+      }
+      index = end + markup[1].length
+      continue
+    }
+
+    const end = code.indexOf('>', start)
+    if (end === -1) {
+      problems.push(`line ${line}: unterminated tag`)
+      break
+    }
+    const tag = code.slice(start + 1, end)
+    index = end + 1
+
+    if (tag.startsWith('/')) {
+      const name = tag.slice(1).trim()
+      const expected = open.pop()
+      if (name !== expected) {
+        problems.push(
+          expected
+            ? `line ${line}: </${name}> closes <${expected}>`
+            : `line ${line}: </${name}> has no opening tag`
+        )
+      }
+      continue
+    }
+
+    const selfClosing = tag.endsWith('/')
+    const [name = ''] = tag.match(/^[^\s/>]*/)
+    const attributes = tag.slice(name.length, selfClosing ? -1 : undefined)
+    if (!XML_NAME.test(name)) {
+      problems.push(`line ${line}: invalid tag <${excerpt(tag)}>`)
+    } else if (!XML_ATTRIBUTES.test(attributes)) {
+      problems.push(`line ${line}: invalid attributes in <${name}>`)
+    } else if (open.length === 0 && ++roots > 1) {
+      problems.push(`line ${line}: more than one root element <${name}>`)
+    } else if (!selfClosing) {
+      open.push(name)
+    }
+  }
+
+  if (problems.length === 0 && open.length > 0) {
+    problems.push(`<${open.at(-1)}> is never closed`)
+  }
+  if (problems.length === 0 && roots === 0) {
+    problems.push('No root element')
+  }
+  return problems
+}
+
+/**
+ * Check JavaScript syntax with node --check, which parses without running
+ * @param {string} code - JavaScript module or CommonJS file
+ * @returns {string[]} Problems found
+ */
+function checkJavaScript(code) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'figtree-check-'))
+  const file = path.join(dir, 'output.mjs')
+
+  try {
+    fs.writeFileSync(file, code, 'utf8')
+    execFileSync(process.execPath, ['--check', file], {
+      stdio: 'pipe',
+      timeout: SYNTAX_CHECK_TIMEOUT
+    })
+    return []
+  } catch (error) {
+    const output = String(error.stderr || '')
+    const message = output.match(/^\w*Error: .*$/m)?.[0] || error.message
+    const line = output.match(/output\.mjs:(\d+)/)?.[1]
+    return [line ? `line ${line}: ${message}` : message]
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+const CLOSING = { '(': ')', '[': ']', '{': '}' }
+
+/**
+ * Walk code the way a C-like tokenizer would, skipping comments and strings
+ * @param {string} code - Source
+ * @param {Function} visit - Called with (char, index) for code outside of
+ * comments and strings
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.lineComments=true] - Whether // starts a comment
+ * @returns {string[]} Problems with comments and strings
+ */
+export function scanCode(code, visit, { lineComments = true } = {}) {
+  for (let i = 0; i < code.length; i++) {
+    const char = code[i]
+    const next = code[i + 1]
+
+    if (char === '/' && next === '*') {
+      const end = code.indexOf('*/', i + 2)
+      if (end === -1) return [`line ${lineAt(code, i)}: unterminated comment`]
+      i = end + 1
+    } else if (
+      lineComments &&
+      char === '/' &&
+      next === '/' &&
+      !/[:\w]/.test(code[i - 1] ?? '')
+    ) {
+      const end = code.indexOf('\n', i)
+      i = end === -1 ? code.length : end - 1
+    } else if (char === '"' || char === '\'') {
+      const quote = code.startsWith('"""', i) ? '"""' : char
+      let end = i + quote.length
+      while (end < code.length && !code.startsWith(quote, end)) {
+        if (code[end] === '\\') end++
+        else if (code[end] === '\n' && quote.length === 1) break
+        end++
+      }
+      if (!code.startsWith(quote, end)) {
+        return [`line ${lineAt(code, i)}: unterminated string`]
+      }
+      visit('"', i)
+      i = end + quote.length - 1
+    } else {
+      visit(char, i)
+    }
+  }
+  return []
+}
+
+/**
+ * Check that brackets, comments and strings are balanced, for formats
+ * without a parser here
+ * @param {string} code - Source
+ * @param {Object} [options] - Options for scanCode
+ * @returns {string[]} Problems found
+ */
+function checkDelimiters(code, options) {
+  const open = []
+  const problems = []
+
+  problems.push(
+    ...scanCode(
+      code,
+      (char, index) => {
+        if (problems.length > 0) return
+        if (CLOSING[char]) {
+          open.push({ char, index })
+        } else if (Object.values(CLOSING).includes(char)) {
+          const last = open.pop()
+          if (!last || CLOSING[last.char] !== char) {
+            problems.push(`line ${lineAt(code, index)}: unexpected "${char}"`)
+          }
+        }
+      },
+      options
+    )
+  )
+
+  if (problems.length === 0 && open.length > 0) {
+    const last = open.at(-1)
+    problems.push(
+      `line ${lineAt(code, last.index)}: "${last.char}" is never closed`
+    )
+  }
+  return problems
+}
+
+/**
+ * Check CSS structure: balanced blocks, declarations inside rules and no
+ * stray text between them
+ * @param {string} code - CSS or SCSS
+ * @param {Object} options - Options
+ * @param {boolean} options.scss - Allow SCSS comments, variables and
+ * interpolation
+ * @returns {string[]} Problems found
+ */
+function checkCss(code, { scss }) {
+  const problems = checkDelimiters(code, { lineComments: scss })
+  if (problems.length > 0) return problems
+
+  // Split into statements at { } and ; outside of parentheses
+  let depth = 0
+  let parens = 0
+  let statement = ''
+  let start = 0
+
+  const end = (terminator, index) => {
+    const text = statement.trim()
+    const line = lineAt(code, start + statement.search(/\S/))
+    statement = ''
+    start = index + 1
+    if (!text) return
+
+    if (terminator === '{') {
+      // Selectors never end a line with a colon or full stop, sentences do
+      if (text.split('\n').some((line) => /[\w)][:.]$/.test(line.trim()))) {
+        problems.push(`line ${line}: text before a rule: "${excerpt(text)}"`)
+      }
+      return
+    }
+
+    const declaration =
+      text.startsWith('@') ||
+      (scss && (text.startsWith('$') || text.startsWith('%')))
+    if (depth === 0 && !declaration) {
+      problems.push(`line ${line}: text outside of a rule: "${excerpt(text)}"`)
+    } else if (depth > 0 && !declaration && !text.includes(':')) {
+      problems.push(`line ${line}: not a declaration: "${excerpt(text)}"`)
+    }
+  }
+
+  problems.push(
+    ...scanCode(
+      code,
+      (char, index) => {
+        if (char === '(') parens++
+        if (char === ')') parens--
+        if (parens > 0 || (scss && char === '{' && code[index - 1] === '#')) {
+          statement += char
+          return
+        }
+
+        if (char === '{') {
+          end('{', index)
+          depth++
+        } else if (char === '}' && !(scss && /#\{[^}]*$/.test(statement))) {
+          end('}', index)
+          depth--
+        } else if (char === ';') {
+          end(';', index)
+        } else {
+          statement += char
+        }
+      },
+      { lineComments: scss }
+    )
+  )
+  end(';', code.length)
+
+  return problems
+}
+
+/**
+ * Keys of the blocks each line is nested in, so a name split over nested
+ * objects ({ brand: { primary: ... } }) is found like a flat one
+ * @param {string} code - Source
+ * @returns {string[]} Keys of the enclosing blocks per line, outermost
+ * first
+ */
+function enclosingKeys(code) {
+  const starts = [0]
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === '\n') starts.push(i + 1)
+  }
+
+  const keys = []
+  const stack = []
+  let line = 0
+  const advance = (index) => {
+    for (; line < starts.length && starts[line] <= index; line++) {
+      keys[line] = stack.join(' ')
+    }
+  }
+
+  scanCode(code, (char, index) => {
+    advance(index)
+    if (char === '{' || char === '[') {
+      // The key is the last name before the brace: colors: {, "brand": {
+      // or enum Brand {
+      const before = code.slice(starts[line - 1], index)
+      stack.push(before.match(/([\w$-]+)["']?\s*[:=]?\s*$/)?.[1] ?? '')
+    } else if (char === '}' || char === ']') {
+      stack.pop()
+    }
+  })
+  advance(code.length)
+  return keys
+}
+
+/**
+ * Code around the places a token is named: the line with the name and the
+ * few after it, where formats put the value
+ * @param {string[]} lines - Lines of the code
+ * @param {string[]} keys - Result of enclosingKeys for the code
+ * @param {string} name - Token name
+ * @returns {string|null} Code near the name, null when it isn't named
+ */
+function findToken(lines, keys, name) {
+  // Words in any case and separator, so "Brand/Primary 500" matches
+  // --brand-primary-500, brandPrimary500 and brand_primary_500
+  const words = String(name)
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+  if (words.length === 0) return lines.join('\n')
+  const pattern = new RegExp(words.join('[^a-zA-Z0-9]*'), 'i')
+
+  const windows = []
+  lines.forEach((line, index) => {
+    if (pattern.test(line) || pattern.test(`${keys[index]} ${line}`)) {
+      windows.push(lines.slice(index, index + VALUE_LINES + 1).join('\n'))
+    }
+  })
+  return windows.length > 0 ? windows.join('\n') : null
+}
+
+function toHex6(red, green, blue) {
+  return [red, green, blue]
+    .map((byte) =>
+      Math.round(Math.min(Math.max(byte, 0), 255))
+        .toString(16)
+        .padStart(2, '0')
+    )
+    .join('')
+}
+
+/**
+ * Every color in code as rrggbb: hex in CSS, Android and Swift notation,
+ * rgb() and Swift's Color(red:green:blue:)
+ * @param {string} code - Source
+ * @returns {Set<string>} Colors without alpha
+ */
+function findColors(code) {
+  const colors = new Set()
+
+  for (const [, hex] of code.matchAll(
+    /(?:#|0x|["'])([0-9a-fA-F]{8}|[0-9a-fA-F]{6}|[0-9a-fA-F]{3,4})\b/g
+  )) {
+    const value = hex.toLowerCase()
+    if (value.length === 8) {
+      // #rrggbbaa in CSS, #aarrggbb on Android and in Swift/Kotlin ints
+      colors.add(value.slice(0, 6))
+      colors.add(value.slice(2))
+    } else if (value.length <= 4) {
+      colors.add([...value.slice(0, 3)].map((digit) => digit + digit).join(''))
+    } else {
+      colors.add(value)
+    }
+  }
+
+  for (const [, red, green, blue] of code.matchAll(
+    /rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/g
+  )) {
+    colors.add(toHex6(red, green, blue))
+  }
+
+  const channel = '([\\d.]+)(\\s*\\/\\s*255(?:\\.0)?)?'
+  for (const match of code.matchAll(
+    new RegExp(
+      `red:\\s*${channel}\\s*,\\s*green:\\s*${channel}\\s*,\\s*blue:\\s*${channel}`,
+      'g'
+    )
+  )) {
+    const bytes = [1, 3, 5].map((group) =>
+      match[group + 1]
+        ? Number(match[group])
+        : Number(match[group]) * (Number(match[group]) <= 1 ? 255 : 1)
+    )
+    colors.add(toHex6(...bytes))
+  }
+
+  return colors
+}
+
+// Every number in code, rounded the way values are compared
+function findNumbers(code) {
+  return new Set(
+    [...code.matchAll(/(?<![\w#.])-?\d*\.?\d+/g)].map(([number]) =>
+      formatNumber(number, 2)
+    )
+  )
+}
+
+/**
+ * Values each token sent to the model should have in the code
+ * @param {Object} compressed - Result of compressStylesForAI
+ * @param {string} [format] - Output format, leaves out what it writes
+ * elsewhere (see WRITTEN_ELSEWHERE)
+ * @returns {Object[]} { name, values, data } where values are
+ * { type, value } with type color (rrggbb), number or string and data is
+ * the token as sent to the model
+ */
+function expectedTokens(compressed, format) {
+  const elsewhere = WRITTEN_ELSEWHERE[format] ?? {}
+  const color = (value) =>
+    value && {
+      type: 'color',
+      value: (typeof value === 'string' ? value : colorToHex(value))
+        .replace('#', '')
+        .slice(0, 6)
+        .toLowerCase()
+    }
+  const number = (value) =>
+    typeof value === 'number' && { type: 'number', value }
+  const string = (value) => value && { type: 'string', value }
+  const token = (data, values) => ({
+    name: data.name,
+    values: values.filter(Boolean),
+    data
+  })
+
+  return [
+    ...compressed.colors
+      .filter(
+        (paint) =>
+          !(elsewhere.gradients && (paint.gradientStops || paint.layers))
+      )
+      .map((paint) =>
+        token(paint, [
+          color(paint.hex),
+          ...(paint.gradientStops || []).map((stop) => color(stop.color)),
+          ...(paint.layers || []).map((layer) => color(layer.color))
+        ])
+      ),
+    ...compressed.typography.map((text) =>
+      token(text, [string(text.fontFamily), number(text.fontSize)])
+    ),
+    ...(elsewhere.effects ? [] : compressed.effects).map((effect) =>
+      token(effect, [color(effect.color)])
+    ),
+    ...(elsewhere.grids ? [] : compressed.spacing).map((grid) =>
+      token(grid, [])
+    ),
+    ...compressed.variables.map((variable) =>
+      token(
+        variable,
+        // Aliased modes may be written as a reference to the other token
+        Object.entries(variable.values)
+          .slice(0, elsewhere.otherModes ? 1 : undefined)
+          .filter(([mode]) => !variable.aliases?.[mode])
+          .map(([, value]) => {
+            if (variable.type === 'COLOR') return color(value)
+            if (variable.type === 'FLOAT') return number(value)
+            if (variable.type === 'STRING') return string(value)
+            return null
+          })
+      )
+    )
+  ]
+}
+
+// Whether code near a token name has a value it should have
+function hasValue(expected, code) {
+  switch (expected.type) {
+    case 'color':
+      return findColors(code).has(expected.value)
+    case 'number': {
+      const numbers = findNumbers(code)
+      // Sizes may have been converted from px to rem
+      return (
+        numbers.has(formatNumber(expected.value, 2)) ||
+        (/\drem\b/.test(code) &&
+          numbers.has(formatNumber(expected.value / 16, 2)))
+      )
+    }
+    default:
+      return code.toLowerCase().includes(String(expected.value).toLowerCase())
+  }
+}
+
+function describeExpected(expected) {
+  return expected.type === 'color' ? `#${expected.value}` : expected.value
+}
+
+function listed(items) {
+  const more = items.length - MAX_LISTED
+  return `${items.slice(0, MAX_LISTED).join(', ')}${
+    more > 0 ? ` (+${more} more)` : ''
+  }`
+}
+
+/**
+ * Find the tokens sent to the model that are not in the code with their
+ * value
+ * @param {string} code - Cleaned code
+ * @param {Object} compressed - Tokens the code was generated from (result
+ * of compressStylesForAI, or a chunk of it)
+ * @param {string} [format] - Output format
+ * @returns {Object[]} { name, missing, values, data } per token, with
+ * missing set when the name isn't in the code and values listing the
+ * values that aren't near it
+ */
+export function findTokenProblems(code, compressed, format) {
+  const lines = code.split('\n')
+  const keys = enclosingKeys(code)
+  const problems = []
+
+  for (const token of expectedTokens(compressed, format)) {
+    const near = findToken(lines, keys, token.name)
+    if (near === null) {
+      problems.push({ ...token, missing: true })
+      continue
+    }
+    const values = token.values.filter((value) => !hasValue(value, near))
+    if (values.length > 0) {
+      problems.push({ ...token, missing: false, values })
+    }
+  }
+  return problems
+}
+
+/**
+ * Describe token problems for people
+ * @param {Object[]} tokens - Result of findTokenProblems
+ * @returns {string[]} Problems, one for missing tokens and one for values
+ */
+export function describeTokenProblems(tokens) {
+  const missing = tokens
+    .filter((token) => token.missing)
+    .map((token) => token.name)
+  const wrong = tokens
+    .filter((token) => !token.missing)
+    .map(
+      (token) =>
+        `${token.name} (${token.values.map(describeExpected).join(', ')})`
+    )
+
+  const problems = []
+  if (missing.length > 0) {
+    problems.push(`Missing ${missing.length} token(s): ${listed(missing)}`)
+  }
+  if (wrong.length > 0) {
+    problems.push(
+      `Missing or wrong values for ${wrong.length} token(s): ${listed(wrong)}`
+    )
+  }
+  return problems
+}
+
+/**
+ * Clean up and check generated code before it is saved
+ * @param {string|Object} output - Model output
+ * @param {string} format - Output format
+ * @param {Object} compressed - Tokens the code was generated from (result
+ * of compressStylesForAI, or a chunk of it)
+ * @returns {Object} { code, problems, syntax, tokens } with the code to
+ * save, the problems found (syntax first), the syntax problems alone and
+ * the tokens behind the others (see findTokenProblems)
+ */
+export function verifyOutput(output, format, compressed) {
+  const code = cleanOutput(output, format)
+  const syntax = checkSyntax(code, format)
+
+  // Token names and values can't be trusted in code that doesn't parse
+  const tokens =
+    syntax.length === 0 ? findTokenProblems(code, compressed, format) : []
+
+  return {
+    code,
+    problems: [...syntax, ...describeTokenProblems(tokens)],
+    syntax,
+    tokens
+  }
+}
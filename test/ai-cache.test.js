@@ -0,0 +1,100 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { run } from '../src/index.js'
+import { getStylesFromFile } from '../src/figma.js'
+import { generateLocalCode } from '../src/generators.js'
+import { planGeneration } from '../src/ai-providers.js'
+import { ValidationError } from '../src/errors.js'
+import { FIXTURE_FILE_KEY, useMockFigma, useMockLLM } from './helpers.js'
+
+describe('AI response cache', () => {
+  let mock
+  let llm
+  let styles
+  let css
+  let reply
+
+  before(async() => {
+    mock = await useMockFigma()
+    styles = await getStylesFromFile(FIXTURE_FILE_KEY)
+    css = generateLocalCode(styles, 'css-variables')
+    llm = await useMockLLM(() => reply)
+  })
+
+  after(async() => {
+    await llm.close()
+    await mock.cleanup()
+  })
+
+  const output = () => path.join(mock.tmpDir, 'cached.css')
+  const generate = (options) =>
+    run({
+      interactive: false,
+      file: FIXTURE_FILE_KEY,
+      mode: 'ai',
+      provider: 'local',
+      model: 'cache-test',
+      format: 'css-variables',
+      output: output(),
+      repairRounds: 0,
+      ...options
+    })
+
+  it('reuses the output of the same prompt and model', async() => {
+    reply = `\`\`\`css\n${css}\`\`\``
+    const requests = llm.requests.length
+
+    await generate()
+    assert.equal(llm.requests.length, requests + 1)
+    const code = fs.readFileSync(output(), 'utf8')
+
+    // Cached code is saved like a response
+    fs.rmSync(output())
+    await generate()
+    assert.equal(llm.requests.length, requests + 1)
+    assert.equal(fs.readFileSync(output(), 'utf8'), code)
+
+    const plan = (options) =>
+      planGeneration(styles, {
+        provider: 'local',
+        model: 'cache-test',
+        format: 'css-variables',
+        ...options
+      })
+    assert.equal(plan().requests[0].cached, code)
+    assert.equal(plan().inputTokens, 0)
+    assert.equal(plan({ model: 'other' }).requests[0].cached, undefined)
+    assert.equal(plan({ temperature: 0.7 }).requests[0].cached, undefined)
+    assert.equal(plan({ format: 'scss' }).requests[0].cached, undefined)
+    assert.equal(plan({ aiCache: false }).requests[0].cached, undefined)
+
+    await generate({ aiCache: false })
+    assert.equal(llm.requests.length, requests + 2)
+  })
+
+  it('asks again after output that failed its checks', async() => {
+    const requests = llm.requests.length
+
+    // Saved with a warning, but not reused
+    reply = ':root {\n  --color-primary: #3366ff;\n}\n'
+    for (const attempt of [1, 2]) {
+      await generate({ model: 'cache-test-incomplete' })
+      assert.equal(fs.readFileSync(output(), 'utf8'), reply.trim())
+      assert.equal(llm.requests.length, requests + attempt)
+    }
+
+    // Code that doesn't parse isn't saved at all
+    reply = ':root {\n  --color-primary: #3366ff;\n'
+    for (const attempt of [3, 4]) {
+      await assert.rejects(
+        generate({ model: 'cache-test-broken' }),
+        (error) =>
+          error instanceof ValidationError &&
+          error.code === 'INVALID_AI_OUTPUT'
+      )
+      assert.equal(llm.requests.length, requests + attempt)
+    }
+  })
+})
@@ -0,0 +1,125 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { build } from '../src/index.js'
+import { getAppConfig } from '../src/config.js'
+import { loadProjectConfig } from '../src/project-config.js'
+import { ConfigurationError, ValidationError } from '../src/errors.js'
+import { FIXTURE_FILE_KEY, useMockFigma } from './helpers.js'
+
+// Write a .figtreerc.json into a fresh directory and load it
+async function loadConfig(dir, config, cli = {}) {
+  fs.mkdirSync(dir, { recursive: true })
+  fs.writeFileSync(path.join(dir, '.figtreerc.json'), JSON.stringify(config))
+  const project = await loadProjectConfig({ cwd: dir })
+  return getAppConfig({ project, cli })
+}
+
+describe('build', () => {
+  let mock
+
+  before(async() => {
+    mock = await useMockFigma()
+  })
+
+  after(async() => {
+    await mock.cleanup()
+  })
+
+  it('builds every target with its own format, naming and filter', async() => {
+    const dir = path.join(mock.tmpDir, 'all')
+    const config = await loadConfig(dir, {
+      file: FIXTURE_FILE_KEY,
+      naming: 'snake',
+      targets: {
+        web: { format: 'css-variables', output: 'dist/tokens.css' },
+        android: { format: 'android', output: 'res/values/figma.xml' },
+        brand: {
+          format: 'json',
+          output: 'dist/brand.json',
+          naming: 'camel',
+          tokens: { types: ['variable'], include: ['color/**'] }
+        }
+      }
+    })
+
+    const results = await build(config)
+
+    assert.deepEqual(
+      results.map((result) => result.name),
+      ['web', 'android', 'brand']
+    )
+
+    const css = fs.readFileSync(path.join(dir, 'dist/tokens.css'), 'utf8')
+    assert.match(css, /--color_primary: #3366ff;/)
+
+    // The project wide naming skips formats with their own convention
+    const xml = fs.readFileSync(path.join(dir, 'res/values/figma.xml'), 'utf8')
+    assert.match(xml, /<color name="color_background">/)
+
+    const json = fs.readFileSync(path.join(dir, 'dist/brand.json'), 'utf8')
+    assert.match(json, /colorBackground/)
+    assert.doesNotMatch(json, /primary|spaceMd/i)
+  })
+
+  it('builds only the selected targets', async() => {
+    const dir = path.join(mock.tmpDir, 'selected')
+    const config = await loadConfig(dir, {
+      file: FIXTURE_FILE_KEY,
+      targets: {
+        web: { format: 'css', output: 'web.css' },
+        tokens: { format: 'json', output: 'tokens.json' }
+      }
+    })
+
+    await build(config, { targets: ['tokens'] })
+
+    assert.ok(fs.existsSync(path.join(dir, 'tokens.json')))
+    assert.ok(!fs.existsSync(path.join(dir, 'web.css')))
+  })
+
+  it('lets flags override the config', async() => {
+    const dir = path.join(mock.tmpDir, 'override')
+    const config = await loadConfig(
+      dir,
+      {
+        file: 'not a file key',
+        targets: { web: { format: 'scss', output: 'web.scss' } }
+      },
+      { file: FIXTURE_FILE_KEY, naming: 'camel' }
+    )
+
+    await build(config)
+
+    assert.match(
+      fs.readFileSync(path.join(dir, 'web.scss'), 'utf8'),
+      /\$colorPrimary: #3366ff;/
+    )
+  })
+
+  it('rejects unknown targets', async() => {
+    const config = await loadConfig(path.join(mock.tmpDir, 'unknown'), {
+      file: FIXTURE_FILE_KEY,
+      targets: { web: { format: 'css', output: 'web.css' } }
+    })
+
+    await assert.rejects(
+      build(config, { targets: ['ios'] }),
+      (error) =>
+        error instanceof ValidationError && error.code === 'UNKNOWN_TARGET'
+    )
+  })
+
+  it('reports invalid config files', async() => {
+    await assert.rejects(
+      loadConfig(path.join(mock.tmpDir, 'invalid'), {
+        targets: { web: { format: 'less', output: 'web.less' } }
+      }),
+      (error) =>
+        error instanceof ConfigurationError &&
+        error.code === 'INVALID_CONFIG' &&
+        /targets\.web\.format/.test(error.message)
+    )
+  })
+})
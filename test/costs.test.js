@@ -0,0 +1,149 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { run } from '../src/index.js'
+import { getStylesFromFile } from '../src/figma.js'
+import { generateLocalCode } from '../src/generators.js'
+import { generateCodeFromStyles, planGeneration } from '../src/ai-providers.js'
+import { registerProvider } from '../src/providers.js'
+import {
+  createUsageTracker,
+  formatCost,
+  formatUsage,
+  getCost
+} from '../src/costs.js'
+import { ValidationError } from '../src/errors.js'
+import { FIXTURE_FILE_KEY, useMockFigma, useMockLLM } from './helpers.js'
+
+describe('AI generation cost', () => {
+  let mock
+  let llm
+  let styles
+
+  before(async() => {
+    mock = await useMockFigma()
+    styles = await getStylesFromFile(FIXTURE_FILE_KEY)
+    const css = generateLocalCode(styles, 'css-variables')
+    llm = await useMockLLM(() => `\`\`\`css\n${css}\`\`\``)
+
+    registerProvider('priced', {
+      name: 'Priced',
+      baseURL: llm.url,
+      defaultModel: 'small',
+      models: {
+        // Small enough to split the fixture
+        small: { contextWindow: 1_500, pricing: { input: 2, output: 8 } },
+        large: { pricing: { input: 2, output: 8 } },
+        unpriced: {}
+      }
+    })
+  })
+
+  after(async() => {
+    await llm.close()
+    await mock.cleanup()
+  })
+
+  const rejectsWith = (code) => (error) =>
+    error instanceof ValidationError && error.code === code
+
+  it('estimates the tokens and cost of every chunk', () => {
+    const plan = planGeneration(styles, {
+      provider: 'priced',
+      format: 'css-variables'
+    })
+
+    assert.equal(plan.model, 'small')
+    assert.deepEqual(
+      plan.requests.map((request) => request.label),
+      ['Chunk 1/2', 'Chunk 2/2']
+    )
+    for (const request of plan.requests) {
+      assert.ok(request.inputTokens > 0 && request.outputTokens > 0)
+      assert.equal(
+        request.cost,
+        (request.inputTokens * 2 + request.outputTokens * 8) / 1e6
+      )
+    }
+    assert.equal(
+      plan.inputTokens,
+      plan.requests[0].inputTokens + plan.requests[1].inputTokens
+    )
+    assert.equal(plan.cost, getCost('priced', 'small', plan))
+
+    assert.equal(
+      planGeneration(styles, { provider: 'priced', model: 'unpriced' }).cost,
+      null
+    )
+    assert.equal(
+      formatUsage(
+        { inputTokens: 1_200, outputTokens: 300, cost: 0.0048 },
+        true
+      ),
+      '~1,200 input + ~300 output tokens, $0.0048'
+    )
+    assert.equal(formatCost(1.5), '$1.50')
+    assert.equal(formatCost(null), 'cost unknown')
+  })
+
+  it('stops before the first request above --max-cost', async() => {
+    const { cost } = planGeneration(styles, {
+      provider: 'priced',
+      format: 'css-variables'
+    })
+    const requests = llm.requests.length
+    const generate = (options) =>
+      run({
+        interactive: false,
+        file: FIXTURE_FILE_KEY,
+        mode: 'ai',
+        provider: 'priced',
+        format: 'css-variables',
+        output: path.join(mock.tmpDir, 'costly.css'),
+        ...options
+      })
+
+    await assert.rejects(
+      generate({ maxCost: cost / 2 }),
+      rejectsWith('COST_LIMIT_EXCEEDED')
+    )
+    // Without a price the limit can't be kept
+    await assert.rejects(
+      generate({ model: 'unpriced', maxCost: 1 }),
+      rejectsWith('UNKNOWN_COST')
+    )
+    assert.equal(llm.requests.length, requests)
+    assert.equal(fs.existsSync(path.join(mock.tmpDir, 'costly.css')), false)
+
+    await generate({ maxCost: cost * 2 })
+    assert.equal(llm.requests.length, requests + 2)
+  })
+
+  it('adds up the usage of every response', async() => {
+    const usage = []
+    await generateCodeFromStyles(styles, {
+      provider: 'priced',
+      model: 'large',
+      format: 'css-variables',
+      repairRounds: 0,
+      onUsage: (request) => usage.push(request)
+    })
+    assert.equal(usage.length, 1)
+    assert.ok(usage[0].inputTokens > 0 && usage[0].outputTokens > 0)
+
+    // Repair rounds can go over a limit the estimate kept
+    const tracker = createUsageTracker('priced', 'large', 0.003)
+    tracker.add({ inputTokens: 1_000, outputTokens: 100 })
+    assert.deepEqual(tracker.total, {
+      requests: 1,
+      inputTokens: 1_000,
+      outputTokens: 100,
+      cost: 0.0028
+    })
+    assert.throws(
+      () => tracker.add({ label: 'repair round 1', ...usage[0] }),
+      rejectsWith('COST_LIMIT_EXCEEDED')
+    )
+  })
+})
@@ -0,0 +1,149 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { diff } from '../src/index.js'
+import { getAppConfig } from '../src/config.js'
+import { diffStyles, formatDiff } from '../src/diff.js'
+import { ValidationError } from '../src/errors.js'
+import { FIXTURE_FILE_KEY, useMockFigma } from './helpers.js'
+
+// Version saved before the current one in the fixtures
+const PREVIOUS_VERSION = '2141200000'
+
+describe('diff', () => {
+  let mock
+  const config = () => getAppConfig({ cli: { file: FIXTURE_FILE_KEY } })
+
+  before(async() => {
+    mock = await useMockFigma()
+  })
+
+  after(async() => {
+    await mock.cleanup()
+  })
+
+  it('compares the current version with the one before', async() => {
+    const changes = await diff(config(), {
+      output: path.join(mock.tmpDir, 'diff.txt')
+    })
+
+    assert.deepEqual(
+      changes.added.map((token) => token.name),
+      ['Grid/Columns']
+    )
+    assert.deepEqual(
+      changes.removed.map((token) => token.name),
+      ['Legacy/Blue']
+    )
+    assert.deepEqual(changes.renamed, [
+      {
+        type: 'text',
+        id: '1:4',
+        name: 'Heading/Large',
+        previousName: 'Heading/XL'
+      }
+    ])
+    assert.deepEqual(
+      changes.changed.map((token) => token.name),
+      ['Primary']
+    )
+    // Variables can't be compared with a past version
+    assert.ok(
+      [...changes.added, ...changes.removed].every(
+        (token) => token.type !== 'variable'
+      )
+    )
+
+    const text = fs.readFileSync(path.join(mock.tmpDir, 'diff.txt'), 'utf8')
+    assert.match(text, /from version 2141200000 "Initial tokens"/)
+    assert.match(text, /#3366cc → #3366ff/)
+  })
+
+  it('writes markdown for pull requests', async() => {
+    const output = path.join(mock.tmpDir, 'CHANGES.md')
+    await diff(config(), { from: PREVIOUS_VERSION, report: 'markdown', output })
+
+    const markdown = fs.readFileSync(output, 'utf8')
+    assert.match(markdown, /\*\*Breaking:\*\* 2 token\(s\) removed or renamed/)
+    assert.match(markdown, /\| `Primary` \| fill \| #3366cc \| #3366ff \|/)
+  })
+
+  it('compares a snapshot with the current file', async() => {
+    const snapshot = path.join(mock.tmpDir, 'tokens.snapshot.json')
+    await diff(config(), {
+      from: PREVIOUS_VERSION,
+      snapshot,
+      output: path.join(mock.tmpDir, 'ignored.txt')
+    })
+
+    const output = path.join(mock.tmpDir, 'diff.json')
+    const changes = await diff(getAppConfig(), {
+      from: snapshot,
+      report: 'json',
+      output
+    })
+
+    // Same version on both sides, variables included
+    assert.deepEqual(JSON.parse(fs.readFileSync(output, 'utf8')).summary, {
+      added: 0,
+      removed: 0,
+      renamed: 0,
+      changed: 0
+    })
+    assert.equal(changes.changed.length, 0)
+  })
+
+  it('rejects unknown report formats', async() => {
+    await assert.rejects(
+      diff(config(), { report: 'html' }),
+      (error) =>
+        error instanceof ValidationError && error.code === 'INVALID_REPORT'
+    )
+  })
+})
+
+describe('diffStyles', () => {
+  const styles = (fill, variables = []) => ({
+    styles: { fill, text: [], effect: [], grid: [] },
+    variables: { collections: [], variables }
+  })
+
+  const changes = diffStyles(
+    styles([
+      { id: '1:1', name: 'Primary', values: { css: '#3366ff' } },
+      { id: '1:2', name: 'Accent', values: { css: '#ff9900' } },
+      { id: '1:3', name: 'Legacy', values: { css: '#000000' } }
+    ]),
+    styles(
+      [
+        { id: '1:1', name: 'Primary', values: { css: '#ff0000' } },
+        { id: '1:2', name: 'Brand/Accent', values: { css: '#ff9900' } }
+      ],
+      [{ id: 'V:1', name: 'space/md', valuesByMode: { Default: 16 } }]
+    )
+  )
+
+  it('reports added, removed, renamed and changed tokens', () => {
+    assert.deepEqual(changes.added, [
+      { type: 'variable', id: 'V:1', name: 'space/md' }
+    ])
+    assert.deepEqual(changes.removed, [
+      { type: 'fill', id: '1:3', name: 'Legacy' }
+    ])
+    assert.deepEqual(changes.renamed, [
+      { type: 'fill', id: '1:2', name: 'Brand/Accent', previousName: 'Accent' }
+    ])
+    assert.deepEqual(
+      changes.changed.map((token) => token.name),
+      ['Primary']
+    )
+  })
+
+  it('formats text reports with values', () => {
+    const text = formatDiff(changes, 'text', { from: 'a', to: 'b' })
+    assert.match(text, /~ fill Primary\n {6}#3366ff → #ff0000/)
+    assert.match(text, /→ fill Accent → Brand\/Accent/)
+    assert.match(text, /4 changes: 1 added, 1 removed, 1 renamed, 1 changed$/)
+  })
+})
@@ -0,0 +1,211 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { getFileInfo, getStylesFromFile } from '../src/figma.js'
+import { readFixture } from '../src/fixtures.js'
+import { FIXTURE_FILE_KEY, FIXTURES_DIR, useMockFigma } from './helpers.js'
+
+describe('figma', () => {
+  let mock
+
+  before(async() => {
+    mock = await useMockFigma()
+  })
+
+  after(async() => {
+    delete process.env.FIGTREE_RECORD_DIR
+    await mock.cleanup()
+  })
+
+  it('reads file info from the shallow document', async() => {
+    const info = await getFileInfo(FIXTURE_FILE_KEY)
+
+    assert.equal(info.name, 'figtree fixture')
+    assert.equal(info.version, '2141234567')
+    assert.deepEqual(mock.server.requests, [
+      `/files/${FIXTURE_FILE_KEY}?depth=1`
+    ])
+  })
+
+  it('parses styles and variables', async() => {
+    const styles = await getStylesFromFile(FIXTURE_FILE_KEY, { cache: false })
+
+    assert.deepEqual(styles.summary, {
+      totalStyles: 5,
+      fillStyles: 2,
+      textStyles: 1,
+      effectStyles: 1,
+      gridStyles: 1,
+      variables: 3,
+      variableCollections: 2
+    })
+
+    const [primary, gradient] = styles.styles.fill
+    assert.equal(primary.values.hex, '#3366ff')
+    assert.equal(gradient.values.gradient.kind, 'linear')
+
+    const [heading] = styles.styles.text
+    assert.equal(heading.values.fontFamily, 'Inter')
+    assert.equal(heading.values.lineHeightPercentFontSize, 125)
+
+    // color/surface aliases color/background in the Light mode
+    const surface = styles.variables.variables.find(
+      (variable) => variable.name === 'color/surface'
+    )
+    assert.equal(surface.aliasesByMode.Light.name, 'color/background')
+    assert.equal(surface.valuesByMode.Light.r, 1)
+  })
+
+  it('finds local styles next to published ones', async() => {
+    mock.server.requests.length = 0
+    const styles = await getStylesFromFile(FIXTURE_FILE_KEY, { cache: false })
+
+    // Grid/Columns isn't published, only the page lists it
+    const published = readFixture(
+      FIXTURES_DIR,
+      `/files/${FIXTURE_FILE_KEY}/styles`
+    ).meta.styles
+    assert.ok(published.length > 0)
+    assert.ok(published.every((style) => style.name !== 'Grid/Columns'))
+
+    const [grid] = styles.styles.grid
+    assert.equal(grid.id, '1:6')
+    assert.equal(grid.name, 'Grid/Columns')
+
+    // The top levels of the pages and the style nodes, never the document
+    assert.deepEqual(
+      mock.server.requests.filter((request) => request.includes('/nodes')),
+      [
+        `/files/${FIXTURE_FILE_KEY}/nodes?ids=0%3A1&depth=2`,
+        `/files/${FIXTURE_FILE_KEY}/nodes?ids=1%3A2,1%3A3,1%3A4,1%3A5,1%3A6&depth=1`
+      ]
+    )
+    assert.ok(!mock.server.requests.includes(`/files/${FIXTURE_FILE_KEY}`))
+  })
+
+  it('answers from the cache while the version is unchanged', async() => {
+    await getStylesFromFile(FIXTURE_FILE_KEY)
+    mock.server.requests.length = 0
+
+    await getStylesFromFile(FIXTURE_FILE_KEY)
+
+    assert.deepEqual(mock.server.requests, [
+      `/files/${FIXTURE_FILE_KEY}?depth=1`
+    ])
+  })
+
+  it('records responses as fixtures', async() => {
+    const recordDir = path.join(mock.tmpDir, 'recorded')
+    process.env.FIGTREE_RECORD_DIR = recordDir
+
+    await getStylesFromFile(FIXTURE_FILE_KEY, { cache: false })
+
+    const stylesPath = `/files/${FIXTURE_FILE_KEY}/styles`
+    assert.deepEqual(
+      readFixture(recordDir, stylesPath),
+      readFixture(FIXTURES_DIR, stylesPath)
+    )
+  })
+
+  it('rejects files the API does not know', async() => {
+    await assert.rejects(
+      getFileInfo('Unknown0Fixture0File01'),
+      /Resource not found/
+    )
+  })
+})
+
+describe('text styles', () => {
+  const NODES_PATH = path.join(
+    'files',
+    FIXTURE_FILE_KEY,
+    'nodes',
+    'depth=1-ids=1-2,1-3,1-4,1-5,1-6.json'
+  )
+
+  // Values of Heading/Large when Figma sends it with the given style
+  async function parseHeading(style) {
+    const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'figtree-text-'))
+    fs.cpSync(FIXTURES_DIR, fixturesDir, { recursive: true })
+    const nodesFile = path.join(fixturesDir, NODES_PATH)
+    const nodes = JSON.parse(fs.readFileSync(nodesFile, 'utf8'))
+    nodes.nodes['1:4'].document.style = style
+    fs.writeFileSync(nodesFile, JSON.stringify(nodes))
+
+    const mock = await useMockFigma({ fixturesDir })
+    try {
+      const styles = await getStylesFromFile(FIXTURE_FILE_KEY, { cache: false })
+      return styles.styles.text[0].values
+    } finally {
+      await mock.cleanup()
+      fs.rmSync(fixturesDir, { recursive: true, force: true })
+    }
+  }
+
+  it('keeps every field of the text style', async() => {
+    const values = await parseHeading({
+      fontFamily: 'Inter',
+      fontPostScriptName: 'Inter-BoldItalic',
+      fontWeight: 700,
+      fontSize: 32,
+      italic: true,
+      lineHeightPx: 48,
+      lineHeightUnit: 'FONT_SIZE_%',
+      lineHeightPercentFontSize: 150,
+      letterSpacing: 0.5,
+      paragraphSpacing: 12,
+      paragraphIndent: 24,
+      textAlignHorizontal: 'CENTER',
+      textCase: 'UPPER',
+      textDecoration: 'UNDERLINE',
+      opentypeFlags: { SMCP: 1, LIGA: 0 }
+    })
+
+    assert.deepEqual(values, {
+      fontFamily: 'Inter',
+      fontPostScriptName: 'Inter-BoldItalic',
+      fontWeight: 700,
+      fontSize: 32,
+      italic: true,
+      lineHeight: 48,
+      lineHeightUnit: 'FONT_SIZE_%',
+      lineHeightPercentFontSize: 150,
+      letterSpacing: 0.5,
+      paragraphSpacing: 12,
+      paragraphIndent: 24,
+      textAlignHorizontal: 'CENTER',
+      textCase: 'UPPER',
+      textDecoration: 'UNDERLINE',
+      opentypeFlags: { SMCP: 1, LIGA: 0 }
+    })
+  })
+
+  it('leaves out what Figma omits instead of guessing', async() => {
+    // Figma leaves out fields at their default, like upright text
+    const values = await parseHeading({
+      fontFamily: 'Inter',
+      fontWeight: 400,
+      fontSize: 16,
+      lineHeightPx: 19.36
+    })
+
+    assert.equal(values.italic, false)
+    for (const field of [
+      'fontPostScriptName',
+      'lineHeightUnit',
+      'lineHeightPercentFontSize',
+      'letterSpacing',
+      'paragraphSpacing',
+      'paragraphIndent',
+      'textAlignHorizontal',
+      'textCase',
+      'textDecoration',
+      'opentypeFlags'
+    ]) {
+      assert.equal(values[field], undefined, field)
+    }
+    assert.equal(values.lineHeight, 19.36)
+  })
+})
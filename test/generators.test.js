@@ -0,0 +1,163 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { getStylesFromFile } from '../src/figma.js'
+import { compressStylesForAI } from '../src/compress.js'
+import { SUPPORTED_FORMATS } from '../src/constants.js'
+import {
+  formatName,
+  generateExtraFiles,
+  generateLocalCode
+} from '../src/generators.js'
+import { checkSyntax, verifyOutput } from '../src/verify.js'
+import { FIXTURE_FILE_KEY, useMockFigma } from './helpers.js'
+
+// Lines every format writes for the fixture
+const EXPECTED_LINES = {
+  css: [
+    '  --color-primary: #3366ff;',
+    '  --color-surface: var(--color-background);',
+    '  --gradient-brand-gradient: linear-gradient(90deg, #3366ff 0%, #9933cc 100%);',
+    '  --font-heading-large-line-height: 1.25;',
+    '  --shadow-card: 0px 4px 12px 0px rgba(0, 0, 0, 0.15);',
+    '[data-theme="dark"] {',
+    '  --color-background: #121217;',
+    '.text-heading-large {'
+  ],
+  scss: [
+    '$color-primary: #3366ff;',
+    '$color-surface: $color-background;',
+    '$space-md: 16px;',
+    '@mixin text-heading-large {',
+    '  letter-spacing: -0.5px;',
+    '    color-background: #121217,'
+  ],
+  tailwind: [
+    'module.exports = {',
+    '  darkMode: [\'class\', \'[data-theme="dark"]\'],',
+    '        primary: \'#3366ff\',',
+    '        \'color-background\': \'var(--color-background)\',',
+    '        \'heading-large\': [\'32px\', {',
+    '      \'--color-background\': \'#121217\','
+  ],
+  javascript: [
+    '  primary: \'#3366ff\',',
+    '  brandGradient: \'linear-gradient(90deg, #3366ff 0%, #9933cc 100%)\'',
+    '    letterSpacing: \'-0.5px\'',
+    '    sectionSize: 64',
+    '      colorBackground: \'#121217\',',
+    'export default { colors, gradients, typography, shadows, blurs, grids, dimensions, themes }'
+  ],
+  json: [
+    '      "value": "#3366ff",',
+    '      "description": "Main brand color"',
+    '        "fontFamily": "Inter",',
+    '      "value": "16px",',
+    '          "value": "#121217",'
+  ],
+  'css-variables': [
+    '  --color-primary: #3366ff;',
+    '  --space-md: 16px;',
+    '  --grid-columns-columns: 12;',
+    '  --color-surface: #1f1f26;'
+  ],
+  android: [
+    '    <color name="primary">#FF3366FF</color>',
+    '    <color name="color_surface">@color/color_background</color>',
+    '    <dimen name="space_md">16dp</dimen>',
+    '    <style name="TextAppearance.Figma.HeadingLarge">',
+    '        <item name="lineHeight">40sp</item>'
+  ],
+  swiftui: [
+    '    static let primary = Color(red: 0.200, green: 0.400, blue: 1.000, opacity: 1.000)',
+    '    static let brandGradient = LinearGradient(',
+    '    static let headingLarge = Font.custom("Inter-Bold", size: 32)',
+    '    static let spaceMd: CGFloat = 16',
+    '    static let shadowCard = ShadowToken(color: Color(red: 0.000, green: 0.000, blue: 0.000, opacity: 0.150), radius: 6, x: 0, y: 4)'
+  ]
+}
+
+describe('local generators', () => {
+  let mock
+  let styles
+
+  before(async() => {
+    mock = await useMockFigma()
+    styles = await getStylesFromFile(FIXTURE_FILE_KEY)
+  })
+
+  after(async() => {
+    await mock.cleanup()
+  })
+
+  for (const format of SUPPORTED_FORMATS) {
+    it(`writes the tokens as ${format}`, () => {
+      const code = generateLocalCode(styles, format)
+      const lines = code.split('\n')
+
+      for (const line of EXPECTED_LINES[format]) {
+        assert.ok(lines.includes(line), `${format} lacks ${line}`)
+      }
+      // JSON has no comments to say where it came from
+      if (format !== 'json') {
+        assert.match(code, /generated by figtree from figtree fixture/)
+      }
+      // The same file gives the same code
+      assert.equal(generateLocalCode(styles, format), code)
+    })
+  }
+
+  it('passes the checks of AI output in every format', () => {
+    const compressed = compressStylesForAI(styles)
+
+    for (const format of SUPPORTED_FORMATS) {
+      const code = generateLocalCode(styles, format)
+      assert.deepEqual(
+        verifyOutput(code, format, compressed),
+        { code: code.trim(), problems: [], syntax: [], tokens: [] },
+        format
+      )
+    }
+  })
+
+  it('writes dark values and drawables of Android to their own files', () => {
+    const files = generateExtraFiles(styles, 'android', 'out/tokens.xml')
+
+    assert.deepEqual(
+      files.map((file) => file.path),
+      [
+        'out/values-night/tokens.xml',
+        'out/drawable/gradient_brand_gradient.xml'
+      ]
+    )
+    const [night, drawable] = files
+    assert.match(night.code, /<color name="color_background">#FF121217</)
+    assert.match(drawable.code, /android:endColor="#FF9933CC"/)
+    for (const file of files) {
+      assert.deepEqual(checkSyntax(file.code, 'android'), [], file.path)
+    }
+
+    assert.deepEqual(generateExtraFiles(styles, 'css', 'out/tokens.css'), [])
+  })
+
+  it('names tokens in the convention asked for', () => {
+    assert.equal(formatName('Brand/Primary 500', 'kebab'), 'brand-primary-500')
+    assert.equal(formatName('Brand/Primary 500', 'snake'), 'brand_primary_500')
+    assert.equal(formatName('Brand/Primary 500', 'camel'), 'brandPrimary500')
+    assert.equal(formatName('Brand/Primary 500', 'pascal'), 'BrandPrimary500')
+
+    assert.match(
+      generateLocalCode(styles, 'css', { naming: 'snake' }),
+      /--color_primary: #3366ff;/
+    )
+    assert.throws(
+      () => generateLocalCode(styles, 'swiftui', { naming: 'kebab' }),
+      { code: 'UNSUPPORTED_NAMING' }
+    )
+    assert.throws(() => generateLocalCode(styles, 'css', { naming: 'upper' }), {
+      code: 'INVALID_NAMING'
+    })
+    assert.throws(() => generateLocalCode(styles, 'less'), {
+      code: 'INVALID_FORMAT'
+    })
+  })
+})
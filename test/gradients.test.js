@@ -0,0 +1,197 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { getStylesFromFile } from '../src/figma.js'
+import { generateExtraFiles, generateLocalCode } from '../src/generators.js'
+import { parseGradient } from '../src/gradients.js'
+import { parseFills } from '../src/paints.js'
+import { FIXTURE_FILE_KEY, useMockFigma } from './helpers.js'
+
+const STOPS = [
+  { position: 0, color: { r: 0.2, g: 0.4, b: 1, a: 1 } },
+  { position: 1, color: { r: 0.6, g: 0.2, b: 0.8, a: 1 } }
+]
+
+// Gradient paint with handles given as [x, y] pairs
+const paint = (type, handles, extra) => ({
+  type: `GRADIENT_${type}`,
+  gradientHandlePositions: handles.map(([x, y]) => ({ x, y })),
+  gradientStops: STOPS,
+  ...extra
+})
+
+// Center left of the middle, main axis a quarter up, cross axis half right
+const RADIAL = paint('RADIAL', [
+  [0.25, 0.5],
+  [0.25, 0.25],
+  [0.75, 0.5]
+])
+// Pointing down
+const ANGULAR = paint('ANGULAR', [
+  [0.5, 0.5],
+  [0.5, 1],
+  [0, 0.5]
+])
+// Rotated, both axes half the box long
+const DIAMOND = paint('DIAMOND', [
+  [0.5, 0.5],
+  [0.8, 0.9],
+  [0.1, 0.8]
+])
+
+describe('gradients', () => {
+  let mock
+  let styles
+
+  before(async() => {
+    mock = await useMockFigma()
+    styles = await getStylesFromFile(FIXTURE_FILE_KEY)
+  })
+
+  after(async() => {
+    await mock.cleanup()
+  })
+
+  // The fixture with its Brand Gradient style painted with a paint
+  const withGradient = (gradientPaint) => {
+    const copy = structuredClone(styles)
+    const style = copy.styles.fill.find(
+      (fill) => fill.name === 'Brand Gradient'
+    )
+    style.values = parseFills([gradientPaint])
+    return copy
+  }
+
+  // Every format that writes the CSS value of a gradient has this one
+  const assertCssEverywhere = (gradientPaint, css) => {
+    const painted = withGradient(gradientPaint)
+    const value = escapeRegExp(css)
+
+    assert.equal(parseGradient(gradientPaint).css, css)
+    for (const format of ['css', 'css-variables']) {
+      assert.match(
+        generateLocalCode(painted, format),
+        new RegExp(`--gradient-brand-gradient: ${value};`),
+        format
+      )
+    }
+    assert.match(
+      generateLocalCode(painted, 'scss'),
+      new RegExp(`\\$gradient-brand-gradient: ${value};`)
+    )
+    assert.match(
+      generateLocalCode(painted, 'tailwind'),
+      new RegExp(`'brand-gradient': '${value}'`)
+    )
+    assert.match(
+      generateLocalCode(painted, 'javascript'),
+      new RegExp(`brandGradient: '${value}'`)
+    )
+    assert.equal(
+      JSON.parse(generateLocalCode(painted, 'json')).gradients['brand-gradient']
+        .value,
+      css
+    )
+  }
+
+  const drawable = (gradientPaint) =>
+    generateExtraFiles(
+      withGradient(gradientPaint),
+      'android',
+      '/app/res/values/figma.xml'
+    ).find((file) => file.path.endsWith('gradient_brand_gradient.xml')).code
+
+  it('takes angles and positions from the handles', () => {
+    const linear = parseGradient(
+      paint(
+        'LINEAR',
+        [
+          [0.25, 0.5],
+          [0.75, 0.5],
+          [0.25, 1]
+        ],
+        { opacity: 0.5 }
+      )
+    )
+    assert.equal(linear.angle, 90)
+    // Stops sit where the handles are on the CSS line, faded by the paint
+    assert.equal(
+      linear.css,
+      'linear-gradient(90deg, rgba(51, 102, 255, 0.5) 25%, rgba(153, 51, 204, 0.5) 75%)'
+    )
+    assert.equal(
+      parseGradient(
+        paint('LINEAR', [
+          [0, 0],
+          [1, 1],
+          [0, 1]
+        ])
+      ).css,
+      'linear-gradient(135deg, #3366ff 0%, #9933cc 100%)'
+    )
+
+    assert.equal(parseGradient(RADIAL).angle, 0)
+    assert.equal(parseGradient(ANGULAR).angle, 180)
+    assert.equal(parseGradient(DIAMOND).angle, 143.13)
+    assert.equal(parseGradient({ type: 'SOLID' }), null)
+  })
+
+  it('writes radial gradients as ellipses around the center', () => {
+    const css =
+      'radial-gradient(ellipse 50% 25% at 25% 50%, #3366ff 0%, #9933cc 100%)'
+    const radial = withGradient(RADIAL)
+
+    assertCssEverywhere(RADIAL, css)
+    assert.match(
+      generateLocalCode(radial, 'swiftui'),
+      /EllipticalGradient\([\s\S]*?center: UnitPoint\(x: 0\.25, y: 0\.5\),\n\s+startRadiusFraction: 0,\n\s+endRadiusFraction: 0\.25\n/
+    )
+    assert.match(
+      drawable(RADIAL),
+      /android:type="radial"\n\s+android:centerX="0\.25"\n\s+android:centerY="0\.5"\n\s+android:gradientRadius="25%"/
+    )
+  })
+
+  it('writes angular gradients from the direction of the main axis', () => {
+    const css =
+      'conic-gradient(from 180deg at 50% 50%, #3366ff 0%, #9933cc 100%)'
+    const angular = withGradient(ANGULAR)
+
+    assertCssEverywhere(ANGULAR, css)
+    // SwiftUI starts at the trailing edge, a quarter turn after CSS
+    assert.match(
+      generateLocalCode(angular, 'swiftui'),
+      /AngularGradient\([\s\S]*?center: UnitPoint\(x: 0\.5, y: 0\.5\),\n\s+startAngle: \.degrees\(90\),\n\s+endAngle: \.degrees\(450\)\n/
+    )
+    // Android can't turn a sweep gradient, and says so
+    const xml = drawable(ANGULAR)
+    assert.match(
+      xml,
+      /<!-- Android sweep gradients always start on the right -->/
+    )
+    assert.match(
+      xml,
+      /android:type="sweep"\n\s+android:centerX="0\.5"\n\s+android:centerY="0\.5"\n\s+android:startColor/
+    )
+  })
+
+  it('draws diamond gradients as radial ones', () => {
+    const css =
+      'radial-gradient(ellipse 50% 50% at 50% 50%, #3366ff 0%, #9933cc 100%)'
+    const diamond = withGradient(DIAMOND)
+
+    assert.equal(parseGradient(DIAMOND).kind, 'diamond')
+    assertCssEverywhere(DIAMOND, css)
+    assert.match(
+      generateLocalCode(diamond, 'swiftui'),
+      /EllipticalGradient\([\s\S]*?center: UnitPoint\(x: 0\.5, y: 0\.5\),\n\s+startRadiusFraction: 0,\n\s+endRadiusFraction: 0\.5\n/
+    )
+    assert.match(
+      drawable(DIAMOND),
+      /android:type="radial"\n\s+android:centerX="0\.5"\n\s+android:centerY="0\.5"\n\s+android:gradientRadius="50%"/
+    )
+  })
+})
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
@@ -0,0 +1,134 @@
+/**
+ * Shared setup for tests that talk to the mock Figma API
+ */
+import fs from 'fs'
+import http from 'http'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { startMockServer } from '../src/mock-server.js'
+import logger from '../src/logger.js'
+
+export const FIXTURE_FILE_KEY = 'Figtree0Fixture0File01'
+
+export const FIXTURES_DIR = fileURLToPath(
+  new URL('./fixtures/figma', import.meta.url)
+)
+
+/**
+ * Start the mock server and point figtree at it with an empty cache
+ * @param {Object} [options] - Options
+ * @param {string} [options.fixturesDir] - Fixtures to serve, the recorded
+ * fixture file by default
+ * @returns {Promise<Object>} { server, tmpDir, cleanup }
+ */
+export async function useMockFigma({ fixturesDir = FIXTURES_DIR } = {}) {
+  const server = await startMockServer({ fixturesDir })
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'figtree-test-'))
+
+  process.env.FIGMA_API_URL = server.url
+  process.env.FIGMA_TOKEN = 'figd_test'
+  process.env.FIGTREE_CACHE_DIR = path.join(tmpDir, 'cache')
+  logger.setLogLevel(logger.LOG_LEVELS.ERROR)
+
+  // Raw output (previews, prompts) goes to stderr: the test runner of
+  // Node 20 misreads stdout that arrives together with its own messages
+  const log = console.log
+  console.log = console.error
+
+  return {
+    server,
+    tmpDir,
+    cleanup: async() => {
+      console.log = log
+      await server.close()
+      fs.rmSync(tmpDir, { recursive: true, force: true })
+    }
+  }
+}
+
+/**
+ * Start a server speaking the OpenAI chat API and point the local provider
+ * at it
+ * @param {Function} answer - Called with each request body, returns the
+ * text of the reply, which is streamed when the request asks for it
+ * @returns {Promise<Object>} { url, requests, close } where requests
+ * collects { path, headers, body } of every request
+ */
+export async function useMockLLM(answer) {
+  const requests = []
+  const server = http.createServer((req, res) => {
+    let data = ''
+    req.on('data', (chunk) => {
+      data += chunk
+    })
+    req.on('end', () => {
+      const body = JSON.parse(data || '{}')
+      requests.push({ path: req.url, headers: req.headers, body })
+
+      const id = `chatcmpl-${requests.length}`
+      const content = answer(body)
+      const usage = {
+        prompt_tokens: 100,
+        completion_tokens: 50,
+        total_tokens: 150
+      }
+
+      if (!body.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' })
+        res.end(
+          JSON.stringify({
+            id,
+            object: 'chat.completion',
+            created: 0,
+            model: body.model,
+            choices: [
+              {
+                index: 0,
+                message: { role: 'assistant', content },
+                finish_reason: 'stop'
+              }
+            ],
+            usage
+          })
+        )
+        return
+      }
+
+      // Streamed replies come as server-sent events, a few lines each
+      const event = (choice, extra) =>
+        `data: ${JSON.stringify({
+          id,
+          object: 'chat.completion.chunk',
+          created: 0,
+          model: body.model,
+          choices: [{ index: 0, ...choice }],
+          ...extra
+        })}\n\n`
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+      for (const part of content.match(/(?:.*\n){1,10}|.+$/g) ?? []) {
+        res.write(
+          event({
+            delta: { role: 'assistant', content: part },
+            finish_reason: null
+          })
+        )
+      }
+      res.write(event({ delta: {}, finish_reason: 'stop' }, { usage }))
+      res.end('data: [DONE]\n\n')
+    })
+  })
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  const url = `http://127.0.0.1:${server.address().port}/v1`
+  process.env.FIGTREE_LOCAL_LLM_URL = url
+
+  return {
+    url,
+    requests,
+    close: async() => {
+      delete process.env.FIGTREE_LOCAL_LLM_URL
+      await new Promise((resolve) => server.close(resolve))
+    }
+  }
+}
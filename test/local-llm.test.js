@@ -0,0 +1,76 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { run } from '../src/index.js'
+import { getStylesFromFile } from '../src/figma.js'
+import { generateLocalCode } from '../src/generators.js'
+import { ConfigurationError } from '../src/errors.js'
+import { FIXTURE_FILE_KEY, useMockFigma, useMockLLM } from './helpers.js'
+
+describe('local LLM provider', () => {
+  let mock
+  let llm
+
+  before(async() => {
+    mock = await useMockFigma()
+    const css = generateLocalCode(
+      await getStylesFromFile(FIXTURE_FILE_KEY),
+      'css-variables'
+    )
+    llm = await useMockLLM(() => `\`\`\`css\n${css}\`\`\``)
+  })
+
+  after(async() => {
+    await llm.close()
+    await mock.cleanup()
+  })
+
+  const generate = (options) =>
+    run({
+      interactive: false,
+      file: FIXTURE_FILE_KEY,
+      mode: 'ai',
+      provider: 'local',
+      format: 'css-variables',
+      ...options
+    })
+
+  it('generates code with any model on the server, without a key', async() => {
+    const output = path.join(mock.tmpDir, 'local.css')
+    await generate({ model: 'qwen2.5-coder:7b', output })
+
+    const request = llm.requests.at(-1)
+    assert.equal(request.path, '/v1/chat/completions')
+    assert.equal(request.body.model, 'qwen2.5-coder:7b')
+    assert.match(request.body.messages[0].content, /Figma design tokens/)
+
+    assert.match(fs.readFileSync(output, 'utf8'), /--color-primary: #3366ff;/)
+  })
+
+  it('uses FIGTREE_LOCAL_LLM_MODEL without --model', async() => {
+    process.env.FIGTREE_LOCAL_LLM_MODEL = 'mistral'
+    try {
+      await generate({ output: path.join(mock.tmpDir, 'default.css') })
+    } finally {
+      delete process.env.FIGTREE_LOCAL_LLM_MODEL
+    }
+
+    assert.equal(llm.requests.at(-1).body.model, 'mistral')
+  })
+
+  it('needs the server URL', async() => {
+    const url = process.env.FIGTREE_LOCAL_LLM_URL
+    delete process.env.FIGTREE_LOCAL_LLM_URL
+    try {
+      await assert.rejects(
+        generate({ output: path.join(mock.tmpDir, 'none.css') }),
+        (error) =>
+          error instanceof ConfigurationError &&
+          error.code === 'MISSING_LOCAL_LLM_URL'
+      )
+    } finally {
+      process.env.FIGTREE_LOCAL_LLM_URL = url
+    }
+  })
+})
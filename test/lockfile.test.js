@@ -0,0 +1,91 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { build } from '../src/index.js'
+import { getAppConfig } from '../src/config.js'
+import { loadProjectConfig } from '../src/project-config.js'
+import { ConfigurationError, ValidationError } from '../src/errors.js'
+import { FIXTURE_FILE_KEY, useMockFigma } from './helpers.js'
+
+describe('lockfile', () => {
+  let mock
+  let dir
+  let config
+
+  before(async() => {
+    mock = await useMockFigma()
+    dir = path.join(mock.tmpDir, 'locked')
+    fs.mkdirSync(dir, { recursive: true })
+    fs.writeFileSync(
+      path.join(dir, '.figtreerc.json'),
+      JSON.stringify({
+        file: FIXTURE_FILE_KEY,
+        targets: {
+          web: { format: 'css-variables', output: 'dist/tokens.css' },
+          data: { format: 'json', output: 'dist/tokens.json' }
+        }
+      })
+    )
+    config = getAppConfig({ project: await loadProjectConfig({ cwd: dir }) })
+  })
+
+  after(async() => {
+    await mock.cleanup()
+  })
+
+  const isDrift = (error) =>
+    error instanceof ValidationError && error.code === 'LOCKFILE_DRIFT'
+
+  it('needs a lockfile before --frozen', async() => {
+    await assert.rejects(
+      build(config, { frozen: true }),
+      (error) =>
+        error instanceof ConfigurationError &&
+        error.code === 'LOCKFILE_NOT_FOUND'
+    )
+  })
+
+  it('records the version, tokens and output hashes of a build', async() => {
+    await build(config)
+
+    const lock = JSON.parse(
+      fs.readFileSync(path.join(dir, 'figtree.lock.json'), 'utf8')
+    )
+    assert.equal(lock.fileKey, FIXTURE_FILE_KEY)
+    assert.equal(lock.version, '2141234567')
+    assert.ok(lock.tokens.some((token) => token.name === 'Primary'))
+    assert.deepEqual(Object.keys(lock.outputs), [
+      'dist/tokens.css',
+      'dist/tokens.json'
+    ])
+    assert.equal(lock.outputs['dist/tokens.css'].target, 'web')
+    assert.match(lock.outputs['dist/tokens.css'].hash, /^sha256:[0-9a-f]{64}$/)
+  })
+
+  it('passes --frozen while nothing changed', async() => {
+    assert.deepEqual(await build(config, { frozen: true }), [])
+  })
+
+  it('fails --frozen when an output was edited or removed', async() => {
+    const css = path.join(dir, 'dist/tokens.css')
+    const original = fs.readFileSync(css, 'utf8')
+
+    fs.appendFileSync(css, '/* edited */\n')
+    await assert.rejects(build(config, { frozen: true }), isDrift)
+
+    fs.rmSync(css)
+    await assert.rejects(build(config, { frozen: true }), isDrift)
+
+    fs.writeFileSync(css, original)
+  })
+
+  it('fails --frozen when the Figma tokens changed', async() => {
+    const file = path.join(dir, 'figtree.lock.json')
+    const lock = JSON.parse(fs.readFileSync(file, 'utf8'))
+    lock.tokens = lock.tokens.filter((token) => token.name !== 'Primary')
+    fs.writeFileSync(file, JSON.stringify(lock))
+
+    await assert.rejects(build(config, { frozen: true }), isDrift)
+  })
+})
@@ -0,0 +1,182 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { getStylesFromFile } from '../src/figma.js'
+import { generateLocalCode } from '../src/generators.js'
+import { filterStyles } from '../src/filters.js'
+import { compressStylesForAI } from '../src/compress.js'
+import { SUPPORTED_FORMATS } from '../src/constants.js'
+import { checkSyntax, findTokenProblems } from '../src/verify.js'
+import { mergeChunks } from '../src/merge.js'
+import { ValidationError } from '../src/errors.js'
+import { FIXTURE_FILE_KEY, useMockFigma } from './helpers.js'
+
+describe('mergeChunks', () => {
+  let mock
+  let styles
+
+  before(async() => {
+    mock = await useMockFigma()
+    styles = await getStylesFromFile(FIXTURE_FILE_KEY)
+  })
+
+  after(async() => {
+    await mock.cleanup()
+  })
+
+  it('merges files of every format into one valid file', () => {
+    // Both halves have the variables, like chunks that share a collection
+    const halves = [
+      filterStyles(styles, { types: ['fill', 'variable'] }),
+      filterStyles(styles, { types: ['text', 'effect', 'grid', 'variable'] })
+    ]
+    const compressed = compressStylesForAI(styles)
+
+    for (const format of SUPPORTED_FORMATS) {
+      const code = mergeChunks(
+        halves.map((half) => generateLocalCode(half, format)),
+        format
+      )
+      assert.deepEqual(checkSyntax(code, format), [], format)
+
+      if (
+        ['css', 'css-variables', 'scss', 'tailwind', 'json'].includes(format)
+      ) {
+        assert.deepEqual(findTokenProblems(code, compressed), [], format)
+      }
+    }
+
+    const css = mergeChunks(
+      halves.map((half) => generateLocalCode(half, 'css-variables')),
+      'css-variables'
+    )
+    assert.equal(css.match(/^:root \{/gm).length, 1)
+    assert.equal(css.match(/^\[data-theme="dark"\] \{/gm).length, 1)
+    assert.equal(css.match(/--color-background: #ffffff;/g).length, 1)
+    assert.ok(!css.includes('Combined from'))
+  })
+
+  it('merges objects deeply', () => {
+    assert.deepEqual(
+      JSON.parse(
+        mergeChunks(
+          [
+            '{"colors": {"primary": {"value": "#3366ff"}}}',
+            '{"colors": {"secondary": {"value": "#ff0000"}}, "spacing": {"md": {"value": "16px"}}}'
+          ],
+          'json'
+        )
+      ),
+      {
+        colors: {
+          primary: { value: '#3366ff' },
+          secondary: { value: '#ff0000' }
+        },
+        spacing: { md: { value: '16px' } }
+      }
+    )
+
+    assert.equal(
+      mergeChunks(
+        [
+          `module.exports = {
+  theme: {
+    extend: {
+      colors: {
+        primary: '#3366ff', // Brand
+      },
+    },
+  },
+  plugins: [require('@tailwindcss/forms')],
+};`,
+          `/** @type {import('tailwindcss').Config} */
+export default {
+  theme: { extend: { colors: { secondary: '#ff0000' }, spacing: { md: '16px' } } },
+  plugins: [require('@tailwindcss/forms'), require('@tailwindcss/typography')]
+}`
+        ],
+        'tailwind'
+      ),
+      `module.exports = {
+  theme: {
+    extend: {
+      colors: {
+        primary: '#3366ff', // Brand
+        secondary: '#ff0000'
+      },
+      spacing: {
+        md: '16px'
+      }
+    }
+  },
+  plugins: [require('@tailwindcss/forms'), require('@tailwindcss/typography')]
+}
+`
+    )
+  })
+
+  it('declares rules and resources once', () => {
+    assert.equal(
+      mergeChunks(
+        [
+          '/* Colors */\n:root {\n  --a: 1px;\n}\n',
+          ':root {\n  --b: 2px;\n  --a: 3px;\n}\n\n@media (prefers-color-scheme: dark) {\n  :root {\n    --b: 4px;\n  }\n}'
+        ],
+        'css'
+      ),
+      `/* Colors */
+:root {
+  --a: 3px;
+  --b: 2px;
+}
+
+@media (prefers-color-scheme: dark) {
+  :root {
+    --b: 4px;
+  }
+}
+`
+    )
+
+    assert.equal(
+      mergeChunks(
+        [
+          '<?xml version="1.0" encoding="utf-8"?>\n<resources>\n    <color name="primary">#FF3366FF</color>\n</resources>',
+          `<resources xmlns:tools="http://schemas.android.com/tools">
+    <!-- Colors -->
+    <color name="secondary">#FFFF0000</color>
+    <dimen name="space_md" tools:ignore="UnusedResources">16dp</dimen>
+</resources>`
+        ],
+        'android'
+      ),
+      `<?xml version="1.0" encoding="utf-8"?>
+<resources xmlns:tools="http://schemas.android.com/tools">
+    <color name="primary">#FF3366FF</color>
+
+    <!-- Colors -->
+    <color name="secondary">#FFFF0000</color>
+    <dimen name="space_md" tools:ignore="UnusedResources">16dp</dimen>
+</resources>
+`
+    )
+  })
+
+  it('rejects chunks it cannot read', () => {
+    const rejects = (results, format, message) =>
+      assert.throws(
+        () => mergeChunks(results, format),
+        (error) =>
+          error instanceof ValidationError &&
+          error.code === 'INVALID_AI_OUTPUT' &&
+          message.test(error.message)
+      )
+
+    rejects(
+      ['{}', '{"a": 1,}'],
+      'json',
+      /^Chunk 2\/2 can't be merged: invalid JSON/
+    )
+    rejects([':root {}', ':root { /* open'], 'css', /unterminated comment/)
+    rejects(['<resources/>', '<color/>'], 'android', /no <resources> element/)
+  })
+})
@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  flattenColors,
+  layersToCss,
+  layersToCssBlendModes,
+  parseFills
+} from '../src/paints.js'
+
+const solid = (r, g, b, extra) => ({
+  type: 'SOLID',
+  color: { r, g, b, a: 1 },
+  ...extra
+})
+
+const GRADIENT = {
+  type: 'GRADIENT_LINEAR',
+  gradientHandlePositions: [
+    { x: 0, y: 0.5 },
+    { x: 1, y: 0.5 },
+    { x: 0, y: 1 }
+  ],
+  gradientStops: [
+    { position: 0, color: { r: 1, g: 1, b: 1, a: 1 } },
+    { position: 1, color: { r: 0, g: 0, b: 0, a: 1 } }
+  ]
+}
+
+describe('paints', () => {
+  it('skips paints that draw nothing', () => {
+    const red = solid(1, 0, 0)
+
+    for (const hidden of [
+      solid(0, 0, 1, { visible: false }),
+      solid(0, 0, 1, { opacity: 0 }),
+      { ...GRADIENT, visible: false },
+      { type: 'IMAGE', imageRef: 'abc' }
+    ]) {
+      const values = parseFills([red, hidden])
+      assert.equal(values.hex, '#ff0000', hidden.type)
+      assert.equal(values.css, '#ff0000')
+      assert.equal(values.layers, undefined)
+      // The paints are kept as they are
+      assert.equal(values.paints.length, 2)
+    }
+
+    const values = parseFills([solid(1, 0, 0, { visible: false })])
+    assert.equal(values.type, 'SOLID')
+    assert.equal(values.css, undefined)
+    assert.equal(parseFills([]).css, undefined)
+  })
+
+  it('flattens stacked solid fills to one color', () => {
+    // Half transparent blue over red
+    const values = parseFills([
+      solid(1, 0, 0),
+      solid(0, 0, 1, { opacity: 0.5 })
+    ])
+    assert.equal(values.hex, '#800080')
+    assert.equal(values.css, '#800080')
+
+    // Two half transparent layers cover three quarters
+    const faded = parseFills([
+      solid(1, 1, 1, { opacity: 0.5 }),
+      solid(1, 1, 1, { opacity: 0.5 })
+    ])
+    assert.equal(faded.color.a, 0.75)
+    assert.equal(faded.css, 'rgba(255, 255, 255, 0.75)')
+
+    // An opaque paint hides what is under it
+    assert.deepEqual(
+      flattenColors([
+        { r: 1, g: 0, b: 0, a: 1 },
+        { r: 0, g: 1, b: 0, a: 1 }
+      ]),
+      { r: 0, g: 1, b: 0, a: 1 }
+    )
+  })
+
+  it('keeps blended and gradient paints as layers', () => {
+    const values = parseFills([
+      solid(1, 0, 0),
+      { ...GRADIENT, blendMode: 'MULTIPLY' }
+    ])
+    assert.equal(values.type, 'GRADIENT_LINEAR')
+    assert.deepEqual(
+      values.layers.map((layer) => layer.blendMode),
+      ['NORMAL', 'MULTIPLY']
+    )
+    assert.equal(values.layers[0].color.r, 1)
+    assert.equal(values.layers[1].gradient.kind, 'linear')
+
+    // Top layer first, colors as flat gradients
+    const gradient = 'linear-gradient(90deg, #ffffff 0%, #000000 100%)'
+    assert.equal(values.css, `${gradient}, linear-gradient(#ff0000, #ff0000)`)
+    assert.equal(layersToCss(values.layers), values.css)
+    assert.equal(layersToCssBlendModes(values.layers), 'multiply, normal')
+
+    // Colors blended over each other can't be flattened
+    const blended = parseFills([
+      solid(1, 0, 0),
+      solid(0, 0, 1, { blendMode: 'SCREEN' })
+    ])
+    assert.equal(blended.color, undefined)
+    assert.equal(layersToCssBlendModes(blended.layers), 'screen, normal')
+
+    // Modes CSS doesn't have draw as normal, and normal needs no property
+    assert.equal(
+      layersToCssBlendModes([
+        { blendMode: 'NORMAL' },
+        { blendMode: 'LINEAR_BURN' }
+      ]),
+      'normal, normal'
+    )
+    assert.equal(
+      layersToCssBlendModes([
+        { blendMode: 'NORMAL' },
+        { blendMode: 'PASS_THROUGH' }
+      ]),
+      null
+    )
+
+    // A single gradient isn't a stack
+    const single = parseFills([GRADIENT])
+    assert.equal(single.layers, undefined)
+    assert.equal(single.css, gradient)
+  })
+})
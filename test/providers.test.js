@@ -0,0 +1,159 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { run } from '../src/index.js'
+import { getStylesFromFile } from '../src/figma.js'
+import { generateLocalCode } from '../src/generators.js'
+import { loadProjectConfig } from '../src/project-config.js'
+import {
+  getAvailableProviders,
+  getProviderModels
+} from '../src/ai-providers.js'
+import { getModelInfo } from '../src/providers.js'
+import { ConfigurationError } from '../src/errors.js'
+import { FIXTURE_FILE_KEY, useMockFigma, useMockLLM } from './helpers.js'
+
+describe('provider registry', () => {
+  let mock
+  let llm
+
+  before(async() => {
+    mock = await useMockFigma()
+    const css = generateLocalCode(
+      await getStylesFromFile(FIXTURE_FILE_KEY),
+      'css-variables'
+    )
+    llm = await useMockLLM(() => `\`\`\`css\n${css}\`\`\``)
+  })
+
+  after(async() => {
+    await llm.close()
+    await mock.cleanup()
+  })
+
+  // Project directory with a .figtreerc.json and optional extra files
+  const project = (name, config, files = {}) => {
+    const dir = path.join(mock.tmpDir, name)
+    for (const [file, content] of Object.entries({
+      '.figtreerc.json': JSON.stringify(config),
+      ...files
+    })) {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true })
+      fs.writeFileSync(path.join(dir, file), content)
+    }
+    return dir
+  }
+
+  it('knows the limits and prices of the built-in models', () => {
+    assert.deepEqual(getModelInfo('anthropic', 'claude-sonnet-4-20250514'), {
+      id: 'claude-sonnet-4-20250514',
+      label: 'Claude Sonnet 4 - High performance model',
+      contextWindow: 200_000,
+      maxOutput: 64_000,
+      pricing: { input: 3, output: 15 }
+    })
+
+    // Models nobody registered get the provider's defaults
+    const local = getModelInfo('local', 'qwen2.5-coder:14b')
+    assert.equal(local.contextWindow, 32_768)
+    assert.deepEqual(local.pricing, { input: 0, output: 0 })
+  })
+
+  it('adds providers and models from the project config', async() => {
+    const dir = project('configured', {
+      file: FIXTURE_FILE_KEY,
+      providers: {
+        openai: {
+          models: { 'gpt-4.1': { contextWindow: 1_047_576, maxOutput: 32_768 } }
+        },
+        gateway: {
+          name: 'Company gateway',
+          baseURL: llm.url,
+          envVar: 'FIGTREE_TEST_GATEWAY_KEY',
+          defaultModel: 'house-model',
+          models: {
+            'house-model': {
+              contextWindow: 50_000,
+              pricing: { input: 1, output: 2 }
+            }
+          }
+        }
+      }
+    })
+    await loadProjectConfig({ cwd: dir })
+
+    assert.ok(getProviderModels('openai')['o4-mini'])
+    assert.equal(getProviderModels('openai')['gpt-4.1'], 'gpt-4.1')
+    assert.equal(getModelInfo('openai', 'gpt-4.1').contextWindow, 1_047_576)
+    assert.equal(getModelInfo('gateway', 'house-model').maxOutput, 4_096)
+
+    // Offered once its key is set, and called through the OpenAI chat API
+    assert.equal(getAvailableProviders().gateway, undefined)
+    process.env.FIGTREE_TEST_GATEWAY_KEY = 'gw-secret'
+    try {
+      assert.ok(getAvailableProviders().gateway)
+      await run({
+        interactive: false,
+        file: FIXTURE_FILE_KEY,
+        mode: 'ai',
+        provider: 'gateway',
+        format: 'css-variables',
+        output: path.join(dir, 'tokens.css')
+      })
+    } finally {
+      delete process.env.FIGTREE_TEST_GATEWAY_KEY
+    }
+
+    const request = llm.requests.at(-1)
+    assert.equal(request.body.model, 'house-model')
+    assert.equal(request.headers.authorization, 'Bearer gw-secret')
+    assert.match(
+      fs.readFileSync(path.join(dir, 'tokens.css'), 'utf8'),
+      /--color-primary: #3366ff;/
+    )
+  })
+
+  it('loads plugins from the config directory', async() => {
+    const dir = project(
+      'plugged',
+      { plugins: ['./plugins/house.js'] },
+      {
+        'plugins/house.js': `export default ({ registerProvider, registerModel }) => {
+  registerModel('openai', 'gpt-house', { contextWindow: 12_345 })
+  registerProvider('house', { name: 'House', baseURL: 'http://127.0.0.1:9/v1' })
+}
+`
+      }
+    )
+    await loadProjectConfig({ cwd: dir })
+
+    assert.equal(getModelInfo('openai', 'gpt-house').contextWindow, 12_345)
+    // No setting needed, so always offered
+    assert.equal(getAvailableProviders().house.name, 'House')
+  })
+
+  it('rejects invalid providers and plugins', async() => {
+    const rejects = (name, config, code) =>
+      assert.rejects(
+        loadProjectConfig({ cwd: project(name, config) }),
+        (error) => error instanceof ConfigurationError && error.code === code
+      )
+
+    await rejects(
+      'bad-url',
+      { providers: { broken: { name: 'Broken', baseURL: 'nowhere' } } },
+      'INVALID_CONFIG'
+    )
+    await rejects(
+      'no-factory',
+      { providers: { nameless: { envVar: 'NAMELESS_API_KEY' } } },
+      'INVALID_PROVIDER'
+    )
+    await rejects(
+      'no-plugin',
+      { plugins: ['figtree-provider-missing'] },
+      'INVALID_PLUGIN'
+    )
+  })
+})
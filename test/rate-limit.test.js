@@ -0,0 +1,196 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { APICallError, simulateReadableStream } from 'ai'
+import { MockLanguageModelV1 } from 'ai/test'
+import { getStylesFromFile } from '../src/figma.js'
+import { generateLocalCode } from '../src/generators.js'
+import { generateCodeFromStyles } from '../src/ai-providers.js'
+import { retry } from '../src/errors.js'
+import { registerProvider } from '../src/providers.js'
+import {
+  createRateLimiter,
+  getRetryAfter,
+  isRetryable
+} from '../src/rate-limit.js'
+import { FIXTURE_FILE_KEY, useMockFigma } from './helpers.js'
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Failed request as the ai SDK reports it
+const apiError = (statusCode, responseHeaders) =>
+  new APICallError({
+    message: `Status ${statusCode}`,
+    url: 'https://llm.example.com/v1/chat/completions',
+    requestBodyValues: {},
+    statusCode,
+    responseHeaders
+  })
+
+// Provider whose model answers every chunk with text after a moment, or
+// with the error fail(chunk, attempt) returns. Keeps the chunk of every
+// request and the most requests it had at once.
+function slowProvider(id, text, { fail = () => null, rateLimit } = {}) {
+  const calls = []
+  const stats = { active: 0, mostActive: 0 }
+
+  registerProvider(id, {
+    name: id,
+    rateLimit,
+    models: {
+      // Small enough to split the fixture
+      small: { contextWindow: 1_500 }
+    },
+    factory: () =>
+      new MockLanguageModelV1({
+        doStream: async({ prompt }) => {
+          const chunk = JSON.stringify(prompt).match(/chunk (\d+) of/)[1]
+          const attempt = calls.filter((call) => call === chunk).length + 1
+          calls.push(chunk)
+
+          stats.active++
+          stats.mostActive = Math.max(stats.mostActive, stats.active)
+          await sleep(20)
+          stats.active--
+
+          const error = fail(chunk, attempt)
+          if (error) throw error
+          return {
+            stream: simulateReadableStream({
+              chunks: [
+                { type: 'text-delta', textDelta: text },
+                {
+                  type: 'finish',
+                  finishReason: 'stop',
+                  usage: { promptTokens: 10, completionTokens: 10 }
+                }
+              ]
+            }),
+            rawCall: { rawPrompt: null, rawSettings: {} }
+          }
+        }
+      })
+  })
+  return { calls, stats }
+}
+
+describe('parallel generation', () => {
+  let mock
+  let styles
+  let css
+
+  before(async() => {
+    mock = await useMockFigma()
+    styles = await getStylesFromFile(FIXTURE_FILE_KEY)
+    css = generateLocalCode(styles, 'css-variables')
+  })
+
+  after(async() => {
+    await mock.cleanup()
+  })
+
+  const generate = (provider, options) =>
+    generateCodeFromStyles(styles, {
+      provider,
+      model: 'small',
+      format: 'css-variables',
+      repairRounds: 0,
+      ...options
+    })
+
+  it('generates chunks at once up to the limits', async() => {
+    const parallel = slowProvider('parallel', css)
+    const code = await generate('parallel', { concurrency: 2 })
+    assert.equal(parallel.stats.mostActive, 2)
+
+    const serial = slowProvider('serial', css)
+    assert.equal(await generate('serial', { concurrency: 1 }), code)
+    assert.equal(serial.stats.mostActive, 1)
+
+    // The provider's limit holds whatever the concurrency
+    const limited = slowProvider('limited', css, {
+      rateLimit: { concurrency: 1 }
+    })
+    await generate('limited', { concurrency: 2 })
+    assert.equal(limited.stats.mostActive, 1)
+  })
+
+  it('sends a failed chunk again without the others', async() => {
+    const { calls } = slowProvider('flaky', css, {
+      fail: (chunk, attempt) =>
+        chunk === '2' &&
+        attempt < 3 &&
+        apiError(429, { 'retry-after-ms': '10' })
+    })
+
+    const updates = []
+    await generate('flaky', {
+      onProgress: (progress) => updates.push(progress)
+    })
+
+    assert.deepEqual(calls.sort(), ['1', '2', '2', '2'])
+    assert.deepEqual(
+      updates.filter((update) => update.retry),
+      [
+        { label: 'Chunk 2/2', retry: 1, delay: 10 },
+        { label: 'Chunk 2/2', retry: 2, delay: 10 }
+      ]
+    )
+
+    // A request the provider refuses fails the same way again
+    const refused = slowProvider('refused', css, {
+      fail: (chunk) => chunk === '2' && apiError(400)
+    })
+    await assert.rejects(generate('refused'), /Status 400/)
+    assert.deepEqual(refused.calls.sort(), ['1', '2'])
+  })
+
+  it('waits no longer than the longest delay', async() => {
+    const delays = []
+    let attempts = 0
+    const result = await retry(
+      async() => {
+        if (++attempts < 3) throw apiError(429, { 'retry-after': '3600' })
+        return 'done'
+      },
+      {
+        maxDelay: 10,
+        shouldRetry: isRetryable,
+        retryAfter: getRetryAfter,
+        onRetry: (_, attempt, delay) => delays.push(delay)
+      }
+    )
+
+    assert.equal(result, 'done')
+    // The hour the server asked for is cut to maxDelay
+    assert.deepEqual(delays, [10, 10])
+  })
+
+  it('spaces requests out and waits when told to', async() => {
+    const starts = []
+    const limiter = createRateLimiter({ requestsPerMinute: 1_200 })
+    const started = Date.now()
+    await Promise.all(
+      [1, 2, 3].map(() => limiter.run(async() => starts.push(Date.now())))
+    )
+    // One every 50ms, timers may fire a little early
+    assert.ok(starts[2] - started >= 95)
+
+    const paused = createRateLimiter()
+    paused.pause(50)
+    const before = Date.now()
+    await paused.run(async() => {})
+    assert.ok(Date.now() - before >= 45)
+
+    assert.equal(isRetryable(apiError(503)), true)
+    assert.equal(isRetryable(apiError(401)), false)
+    assert.equal(isRetryable(new Error('socket hang up')), true)
+    assert.equal(
+      isRetryable(
+        new TypeError('fetch failed', {
+          cause: Object.assign(new Error('connect'), { code: 'ECONNREFUSED' })
+        })
+      ),
+      false
+    )
+  })
+})
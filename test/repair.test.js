@@ -0,0 +1,112 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { simulateReadableStream } from 'ai'
+import { MockLanguageModelV1 } from 'ai/test'
+import { getStylesFromFile } from '../src/figma.js'
+import { generateLocalCode } from '../src/generators.js'
+import { compressStylesForAI } from '../src/compress.js'
+import { generateCheckedCode } from '../src/ai-providers.js'
+import { FIXTURE_FILE_KEY, useMockFigma } from './helpers.js'
+
+// Model answering with the given texts in turn, the last one from then on,
+// keeping the prompts it got
+function mockModel(...answers) {
+  const prompts = []
+  const model = new MockLanguageModelV1({
+    doStream: async({ prompt }) => {
+      prompts.push(prompt)
+      return {
+        stream: simulateReadableStream({
+          chunks: [
+            {
+              type: 'text-delta',
+              textDelta: answers[Math.min(prompts.length, answers.length) - 1]
+            },
+            {
+              type: 'finish',
+              finishReason: 'stop',
+              usage: { promptTokens: 10, completionTokens: 10 }
+            }
+          ]
+        }),
+        rawCall: { rawPrompt: null, rawSettings: {} }
+      }
+    }
+  })
+  return { model, prompts }
+}
+
+// Text of the last message of a prompt
+function lastMessage(prompt) {
+  return prompt
+    .at(-1)
+    .content.map((part) => part.text)
+    .join('')
+}
+
+describe('generateCheckedCode', () => {
+  let mock
+  let compressed
+  let good
+
+  before(async() => {
+    mock = await useMockFigma()
+    const styles = await getStylesFromFile(FIXTURE_FILE_KEY)
+    compressed = compressStylesForAI(styles)
+    good = generateLocalCode(styles, 'css-variables')
+  })
+
+  after(async() => {
+    await mock.cleanup()
+  })
+
+  const options = (rounds) => ({
+    prompt: 'Convert these tokens',
+    format: 'css-variables',
+    compressed,
+    repairRounds: rounds
+  })
+
+  it('returns code that passes without asking again', async() => {
+    const { model, prompts } = mockModel(`\`\`\`css\n${good}\n\`\`\``)
+
+    assert.equal(await generateCheckedCode(model, options(2)), good.trim())
+    assert.equal(prompts.length, 1)
+  })
+
+  it('sends failing code back with the problems and missing tokens', async() => {
+    const broken = good.replace(/^.*color-primary.*$/m, '')
+    const { model, prompts } = mockModel(
+      broken,
+      `Fixed:\n\`\`\`css\n${good}\`\`\``
+    )
+
+    assert.equal(await generateCheckedCode(model, options(2)), good.trim())
+    assert.equal(prompts.length, 2)
+
+    // The follow-up continues the conversation
+    const [user, assistant, repair] = prompts[1]
+    assert.equal(user.role, 'user')
+    assert.equal(assistant.role, 'assistant')
+    assert.equal(repair.role, 'user')
+
+    const text = lastMessage(prompts[1])
+    assert.match(text, /- Missing 1 token\(s\): Primary/)
+    assert.match(text, /"name": "Primary"[\s\S]*"hex": "#3366ff"/)
+  })
+
+  it('stops after the configured number of rounds', async() => {
+    const { model, prompts } = mockModel('not css at all')
+
+    assert.equal(await generateCheckedCode(model, options(1)), 'not css at all')
+    assert.equal(prompts.length, 2)
+    assert.match(lastMessage(prompts[1]), /text outside of a rule/)
+  })
+
+  it('skips repairs with zero rounds', async() => {
+    const { model, prompts } = mockModel('not css at all')
+
+    await generateCheckedCode(model, options(0))
+    assert.equal(prompts.length, 1)
+  })
+})
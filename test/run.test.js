@@ -0,0 +1,115 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { run } from '../src/index.js'
+import { ValidationError } from '../src/errors.js'
+import { FIXTURE_FILE_KEY, useMockFigma } from './helpers.js'
+
+describe('run', () => {
+  let mock
+
+  before(async() => {
+    mock = await useMockFigma()
+  })
+
+  after(async() => {
+    await mock.cleanup()
+  })
+
+  it('generates CSS variables with themes locally', async() => {
+    const output = path.join(mock.tmpDir, 'tokens.css')
+
+    await run({
+      interactive: false,
+      file: FIXTURE_FILE_KEY,
+      mode: 'local',
+      format: 'css-variables',
+      output
+    })
+
+    const css = fs.readFileSync(output, 'utf8')
+    assert.match(css, /--color-primary: #3366ff;/)
+    assert.match(css, /--color-surface: var\(--color-background\);/)
+    assert.match(
+      css,
+      /\[data-theme="dark"\] \{\n {2}\/\* Colors \*\/\n {2}--color-background: #121217;/
+    )
+  })
+
+  it('writes Android resources with night overrides and drawables', async() => {
+    const output = path.join(mock.tmpDir, 'res', 'values', 'figma.xml')
+
+    await run({
+      interactive: false,
+      file: FIXTURE_FILE_KEY,
+      mode: 'local',
+      format: 'android',
+      output
+    })
+
+    const res = path.join(mock.tmpDir, 'res')
+    assert.match(
+      fs.readFileSync(output, 'utf8'),
+      /<color name="color_surface">@color\/color_background<\/color>/
+    )
+    assert.match(
+      fs.readFileSync(path.join(res, 'values-night', 'figma.xml'), 'utf8'),
+      /<color name="color_background">#FF121217<\/color>/
+    )
+    assert.ok(
+      fs.existsSync(path.join(res, 'drawable', 'gradient_brand_gradient.xml'))
+    )
+  })
+
+  it('writes one file per format from a single extraction', async() => {
+    const output = path.join(mock.tmpDir, 'multi')
+    const requests = mock.server.requests.length
+
+    await run({
+      interactive: false,
+      file: FIXTURE_FILE_KEY,
+      mode: 'local',
+      format: ['css-variables', 'tailwind,swiftui'],
+      output,
+      cache: false
+    })
+
+    assert.deepEqual(fs.readdirSync(output).sort(), [
+      'figma-styles.swift',
+      'figma-variables.css',
+      'figtree.lock.json',
+      'tailwind.config.js'
+    ])
+    // One extraction for all formats, nothing is fetched twice
+    const extraction = mock.server.requests.slice(requests)
+    assert.ok(extraction.some((request) => request.includes('/nodes')))
+    assert.deepEqual(extraction, [...new Set(extraction)])
+  })
+
+  it('writes a prompt with the theming section', async() => {
+    const output = path.join(mock.tmpDir, 'prompt', 'prompt.txt')
+
+    await run({
+      interactive: false,
+      file: FIXTURE_FILE_KEY,
+      mode: 'prompt',
+      format: 'css',
+      output
+    })
+
+    const prompt = fs.readFileSync(output, 'utf8')
+    assert.match(prompt, /Convert these Figma design tokens to css code/)
+    assert.match(prompt, /THEMES:/)
+    // Only generated code is locked
+    assert.deepEqual(fs.readdirSync(path.dirname(output)), ['prompt.txt'])
+  })
+
+  it('fails instead of prompting for missing options', async() => {
+    await assert.rejects(
+      run({ interactive: false, file: FIXTURE_FILE_KEY }),
+      (error) =>
+        error instanceof ValidationError && error.code === 'MISSING_OPTION'
+    )
+  })
+})
@@ -0,0 +1,230 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { simulateReadableStream } from 'ai'
+import { MockLanguageModelV1 } from 'ai/test'
+import { getStylesFromFile } from '../src/figma.js'
+import { generateLocalCode } from '../src/generators.js'
+import { generateCodeFromStyles } from '../src/ai-providers.js'
+import { registerProvider } from '../src/providers.js'
+import { countTokens } from '../src/tokens.js'
+import { FIXTURE_FILE_KEY, useMockFigma } from './helpers.js'
+
+// Provider whose model streams the parts returned by parts()
+function streamingProvider(id, parts, models) {
+  registerProvider(id, {
+    name: id,
+    models,
+    factory: () =>
+      new MockLanguageModelV1({
+        doStream: async() => ({
+          stream: simulateReadableStream({ chunks: parts() }),
+          rawCall: { rawPrompt: null, rawSettings: {} }
+        })
+      })
+  })
+}
+
+const textParts = (text) =>
+  text.match(/(?:.*\n){1,5}|.+$/g).map((textDelta) => ({
+    type: 'text-delta',
+    textDelta
+  }))
+
+describe('streamed generation', () => {
+  let mock
+  let styles
+  let css
+
+  before(async() => {
+    mock = await useMockFigma()
+    styles = await getStylesFromFile(FIXTURE_FILE_KEY)
+    css = generateLocalCode(styles, 'css-variables')
+  })
+
+  after(async() => {
+    await mock.cleanup()
+  })
+
+  it('reports the tokens received for every chunk', async() => {
+    streamingProvider(
+      'stream-ok',
+      () => [
+        ...textParts(css),
+        {
+          type: 'finish',
+          finishReason: 'stop',
+          usage: { promptTokens: 10, completionTokens: 10 }
+        }
+      ],
+      {
+        // Small enough to split the fixture
+        small: { contextWindow: 1_500 }
+      }
+    )
+
+    const updates = []
+    await generateCodeFromStyles(styles, {
+      provider: 'stream-ok',
+      model: 'small',
+      format: 'css-variables',
+      repairRounds: 0,
+      onProgress: (progress) => updates.push(progress)
+    })
+
+    const labels = [...new Set(updates.map((update) => update.label))]
+    assert.deepEqual(labels, ['Chunk 1/2', 'Chunk 2/2'])
+
+    const first = updates.filter((update) => update.label === 'Chunk 1/2')
+    assert.equal(first[0].tokens, 0)
+    assert.ok(first.at(-1).tokens >= countTokens(css))
+
+    // Nothing to keep after a run that went through
+    assert.deepEqual(
+      fs
+        .readdirSync(os.tmpdir())
+        .filter((file) => file.includes(`-${process.pid}.partial`)),
+      []
+    )
+  })
+
+  it('keeps the output received before a failure', async() => {
+    streamingProvider('stream-broken', () => [
+      ...textParts(css.slice(0, 200)),
+      { type: 'error', error: new Error('socket hang up') }
+    ])
+
+    let partialOutput
+    await assert.rejects(
+      generateCodeFromStyles(styles, {
+        provider: 'stream-broken',
+        format: 'css-variables',
+        repairRounds: 0,
+        // A dropped connection is sent again otherwise
+        retries: 0
+      }),
+      (error) => {
+        partialOutput = error.partialOutput
+        return error.message === 'socket hang up'
+      }
+    )
+
+    assert.equal(
+      fs.readFileSync(partialOutput, 'utf8'),
+      `--- Response ---\n${css.slice(0, 200)}`
+    )
+    fs.rmSync(partialOutput)
+  })
+
+  it('writes the output to disk as it arrives', async() => {
+    const parts = textParts(css.slice(0, 300))
+    streamingProvider('stream-stopped', () => [
+      ...parts,
+      { type: 'error', error: new Error('Stopped') }
+    ])
+
+    // What a kill at each update would leave in the temp directory
+    const onDisk = []
+    const readPartials = () =>
+      fs
+        .readdirSync(os.tmpdir())
+        .filter((file) => file.includes(`-${process.pid}.partial`))
+        .map((file) => fs.readFileSync(path.join(os.tmpdir(), file), 'utf8'))
+        .join('')
+
+    let partialOutput
+    await assert.rejects(
+      generateCodeFromStyles(styles, {
+        provider: 'stream-stopped',
+        format: 'css-variables',
+        repairRounds: 0,
+        retries: 0,
+        onProgress: (progress) => {
+          if (progress.tokens > 0) onDisk.push(readPartials())
+        }
+      }),
+      (error) => {
+        partialOutput = error.partialOutput
+        return error.message === 'Stopped'
+      }
+    )
+
+    assert.deepEqual(
+      onDisk,
+      parts.map((_, i) =>
+        parts
+          .slice(0, i + 1)
+          .map((part) => part.textDelta)
+          .join('')
+      )
+    )
+    assert.equal(
+      fs.readFileSync(partialOutput, 'utf8'),
+      `--- Response ---\n${css.slice(0, 300)}`
+    )
+    fs.rmSync(partialOutput)
+  })
+
+  it('keeps the output on Ctrl+C while others listen for it', async() => {
+    const parts = textParts(css.slice(0, 300))
+    streamingProvider('stream-interrupted', () => [
+      ...parts,
+      {
+        type: 'finish',
+        finishReason: 'stop',
+        usage: { promptTokens: 10, completionTokens: 10 }
+      }
+    ])
+
+    // The spinner listens for SIGINT to restore the cursor
+    const spinner = () => {}
+    process.on('SIGINT', spinner)
+    const kill = process.kill
+    const kills = []
+    process.kill = (pid, signal) => kills.push(signal)
+
+    try {
+      let kept
+      let listening
+      await generateCodeFromStyles(styles, {
+        provider: 'stream-interrupted',
+        format: 'css-variables',
+        repairRounds: 0,
+        onProgress: (progress) => {
+          if (progress.tokens === 0 || kept !== undefined) return
+          listening = process.listenerCount('SIGINT')
+          process.emit('SIGINT')
+          const [file] = fs
+            .readdirSync(os.tmpdir())
+            .filter((name) => name.endsWith(`-${process.pid}.partial`))
+          kept = fs.readFileSync(path.join(os.tmpdir(), file), 'utf8')
+        }
+      })
+
+      assert.equal(listening, 2)
+      assert.equal(kept, `--- Response ---\n${parts[0].textDelta}`)
+      // Sent again to end the process
+      assert.deepEqual(kills, ['SIGINT'])
+      assert.deepEqual(process.listeners('SIGINT'), [spinner])
+
+      // Watch mode stops on its own signal and lets the generation finish
+      const controller = new AbortController()
+      await generateCodeFromStyles(styles, {
+        provider: 'stream-interrupted',
+        format: 'css-variables',
+        repairRounds: 0,
+        signal: controller.signal,
+        onProgress: () => {
+          listening = process.listenerCount('SIGINT')
+        }
+      })
+      assert.equal(listening, 1)
+      assert.deepEqual(kills, ['SIGINT'])
+    } finally {
+      process.kill = kill
+      process.off('SIGINT', spinner)
+    }
+  })
+})
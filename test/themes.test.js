@@ -0,0 +1,150 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { generateExtraFiles, generateLocalCode } from '../src/generators.js'
+import { getThemes, getThemingGuidelines, themeSlug } from '../src/themes.js'
+
+const color = (r, g, b) => ({ r, g, b, a: 1 })
+
+const colorVariable = (id, name, collection, valuesByMode) => ({
+  id,
+  name,
+  collection,
+  type: 'COLOR',
+  scopes: ['ALL_SCOPES'],
+  valuesByMode,
+  aliasesByMode: {}
+})
+
+// Two collections sharing the Dark mode, each with a theme of its own
+const STYLES = {
+  fileInfo: { name: 'themes' },
+  styles: {},
+  variables: {
+    collections: [
+      {
+        name: 'Colors',
+        modes: ['Light', 'Dark', 'High Contrast'],
+        defaultMode: 'Light'
+      },
+      { name: 'Surfaces', modes: ['Day', 'Night', 'Dark'], defaultMode: 'Day' }
+    ],
+    variables: [
+      colorVariable('1', 'color/text', 'Colors', {
+        Light: color(0, 0, 0),
+        Dark: color(1, 1, 1),
+        'High Contrast': color(0, 0, 0)
+      }),
+      // No Dark value
+      colorVariable('2', 'color/link', 'Colors', {
+        Light: color(0, 0, 1),
+        'High Contrast': color(0, 0, 0.5)
+      }),
+      // No default value
+      colorVariable('3', 'color/accent', 'Colors', { Dark: color(1, 0, 0) }),
+      colorVariable('4', 'surface/card', 'Surfaces', {
+        Day: color(1, 1, 1),
+        Night: color(0, 0, 0),
+        Dark: color(0.2, 0.2, 0.2)
+      })
+    ]
+  }
+}
+
+describe('themes', () => {
+  it('makes a theme of every mode besides the defaults', () => {
+    assert.deepEqual(getThemes(STYLES.variables.collections), [
+      { name: 'Dark', slug: 'dark', dark: true },
+      { name: 'High Contrast', slug: 'high-contrast', dark: false },
+      // Only the first dark-looking mode is the system dark mode
+      { name: 'Night', slug: 'night', dark: false }
+    ])
+    assert.deepEqual(
+      getThemes([{ modes: ['Default'], defaultMode: 'Default' }]),
+      []
+    )
+    assert.equal(themeSlug('  Brand / Dark  '), 'brand-dark')
+    assert.equal(themeSlug('🌙'), 'theme')
+
+    assert.match(
+      getThemingGuidelines(STYLES.variables.collections, 'css'),
+      /Default mode: Light, Day\. Every other mode is a theme: Dark, High Contrast, Night/
+    )
+  })
+
+  it('overrides only the values that change in each theme', () => {
+    assert.equal(
+      generateLocalCode(STYLES, 'css-variables')
+        .split('\n\n')
+        .slice(1)
+        .join('\n\n'),
+      [
+        ':root {',
+        '  /* Colors */',
+        '  --color-link: #0000ff;',
+        '  --color-text: #000000;',
+        '  --color-surface-card: #ffffff;',
+        '}',
+        '',
+        '/* Dark theme */',
+        '[data-theme="dark"] {',
+        '  /* Colors */',
+        '  --color-text: #ffffff;',
+        '  --color-surface-card: #333333;',
+        '}',
+        '',
+        '/* High Contrast theme */',
+        '[data-theme="high-contrast"] {',
+        '  /* Colors */',
+        '  --color-link: #000080;',
+        '}',
+        '',
+        '/* Night theme */',
+        '[data-theme="night"] {',
+        '  /* Colors */',
+        '  --color-surface-card: #000000;',
+        '}',
+        ''
+      ].join('\n')
+    )
+  })
+
+  it('falls back to the default mode for missing values', () => {
+    // color/link has no Dark value and stays blue, color/accent has no
+    // default value and is left out
+    const scss = generateLocalCode(STYLES, 'scss')
+    assert.match(scss, /^\$color-link: #0000ff;$/m)
+    assert.doesNotMatch(scss, /accent/)
+    assert.ok(
+      scss.includes(
+        [
+          '  dark: (',
+          '    // Colors',
+          '    color-text: #ffffff,',
+          '    color-surface-card: #333333,',
+          '  ),'
+        ].join('\n')
+      )
+    )
+
+    const swift = generateLocalCode(STYLES, 'swiftui')
+    assert.match(
+      swift,
+      /static let colorLink = Color\(red: 0\.000, green: 0\.000, blue: 1\.000, opacity: 1\.000\)\n/
+    )
+    assert.match(
+      swift,
+      /static let surfaceCard = Color\(light: .*, dark: Color\(red: 0\.200/
+    )
+
+    // Android only has a night qualifier, for the Dark mode
+    const [night] = generateExtraFiles(
+      STYLES,
+      'android',
+      'res/values/colors.xml'
+    )
+    assert.equal(night.path, 'res/values-night/colors.xml')
+    assert.match(night.code, /Overrides for the Dark mode/)
+    assert.match(night.code, /<color name="surface_card">#FF333333<\/color>/)
+    assert.doesNotMatch(night.code, /color_link|#FF000000/)
+  })
+})
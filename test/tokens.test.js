@@ -0,0 +1,103 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { MockLanguageModelV1 } from 'ai/test'
+import { getStylesFromFile } from '../src/figma.js'
+import { compressStylesForAI } from '../src/compress.js'
+import { generateCodeFromStyles } from '../src/ai-providers.js'
+import { registerProvider } from '../src/providers.js'
+import {
+  countTokens,
+  estimateTokens,
+  fitsModel,
+  getDataBudget,
+  getModelLimits
+} from '../src/tokens.js'
+import { ConfigurationError } from '../src/errors.js'
+import { FIXTURE_FILE_KEY, useMockFigma } from './helpers.js'
+
+describe('token counting', () => {
+  let mock
+  let styles
+
+  before(async() => {
+    mock = await useMockFigma()
+    styles = await getStylesFromFile(FIXTURE_FILE_KEY)
+  })
+
+  after(async() => {
+    await mock.cleanup()
+  })
+
+  it('counts with the tokenizer, scaled for other providers', () => {
+    assert.equal(countTokens('hello world'), 2)
+    assert.equal(countTokens('hello world', 'openai'), 2)
+    assert.equal(countTokens('hello world', 'anthropic'), 3)
+    assert.equal(countTokens('<|endoftext|>') > 1, true)
+
+    // Pretty printed JSON full of hex codes needs more than 1 token for
+    // every 4 characters
+    const json = JSON.stringify(compressStylesForAI(styles), null, 2)
+    assert.ok(countTokens(json) > json.length / 4)
+
+    // Texts too large to tokenize are estimated from their length
+    assert.equal(estimateTokens('a'.repeat(400)), 100)
+    assert.equal(estimateTokens('a'.repeat(400), 'openai'), 100)
+    assert.ok(estimateTokens('a'.repeat(400), 'anthropic') > 100)
+  })
+
+  it('leaves room for the prompt template and the output', () => {
+    registerProvider('budget-test', {
+      name: 'Budget test',
+      factory: () => new MockLanguageModelV1(),
+      tokenRatio: 1,
+      models: { m: { contextWindow: 10_000, maxOutput: 2_000 } }
+    })
+    const limits = getModelLimits('budget-test', 'm')
+    assert.deepEqual(limits, { contextWindow: 9_000, maxOutput: 2_000 })
+
+    assert.equal(
+      fitsModel({ promptTokens: 6_000, outputTokens: 2_000 }, limits),
+      true
+    )
+    assert.equal(
+      fitsModel({ promptTokens: 8_000, outputTokens: 1_500 }, limits),
+      false
+    )
+    assert.equal(
+      fitsModel({ promptTokens: 1_000, outputTokens: 3_000 }, limits),
+      false
+    )
+
+    // (9,000 - 1,000) / (1 + 1) for the context window, 2,000 / 1 for the
+    // output limit
+    assert.equal(
+      getDataBudget({ templateTokens: 1_000, outputRatio: 1 }, limits),
+      2_000
+    )
+    assert.equal(
+      getDataBudget({ templateTokens: 1_000, outputRatio: 0.5 }, limits),
+      4_000
+    )
+    assert.equal(
+      getDataBudget({ templateTokens: 9_500, outputRatio: 1 }, limits),
+      0
+    )
+  })
+
+  it('refuses models the prompt template alone overflows', async() => {
+    registerProvider('budget-test', {
+      models: { tiny: { contextWindow: 300 } }
+    })
+
+    await assert.rejects(
+      generateCodeFromStyles(styles, {
+        provider: 'budget-test',
+        model: 'tiny',
+        format: 'css-variables'
+      }),
+      (error) =>
+        error instanceof ConfigurationError &&
+        error.code === 'CONTEXT_TOO_SMALL'
+    )
+  })
+})
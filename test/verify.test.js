@@ -0,0 +1,213 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { getStylesFromFile } from '../src/figma.js'
+import { generateLocalCode } from '../src/generators.js'
+import { compressStylesForAI } from '../src/compress.js'
+import { SUPPORTED_FORMATS } from '../src/constants.js'
+import { planGeneration } from '../src/ai-providers.js'
+import { generatePrompt } from '../src/export.js'
+import {
+  checkSyntax,
+  cleanOutput,
+  findTokenProblems,
+  verifyOutput
+} from '../src/verify.js'
+import { FIXTURE_FILE_KEY, useMockFigma } from './helpers.js'
+
+describe('verifyOutput', () => {
+  let mock
+  let styles
+  let compressed
+
+  before(async() => {
+    mock = await useMockFigma()
+    styles = await getStylesFromFile(FIXTURE_FILE_KEY)
+    compressed = compressStylesForAI(styles)
+  })
+
+  after(async() => {
+    await mock.cleanup()
+  })
+
+  it('takes code out of markdown fences and prose', () => {
+    assert.equal(
+      cleanOutput(
+        'Here is your CSS:\n\n```css\n:root {\n  --a: 1px;\n}\n```\n\nEnjoy!',
+        'css'
+      ),
+      ':root {\n  --a: 1px;\n}'
+    )
+    assert.equal(
+      cleanOutput('Here are the tokens: {"a": {"b": 1}} Hope it helps', 'json'),
+      '{"a": {"b": 1}}'
+    )
+    assert.equal(cleanOutput('```swift\nlet a = 1', 'swiftui'), 'let a = 1')
+    assert.equal(cleanOutput({ a: 1 }, 'json'), '{\n  "a": 1\n}')
+  })
+
+  it('accepts the code of the local generators', () => {
+    // Android writes dark values and drawables to other files, SwiftUI
+    // leaves grids out
+    for (const format of SUPPORTED_FORMATS) {
+      const code = generateLocalCode(styles, format)
+      assert.deepEqual(checkSyntax(code, format), [], format)
+      assert.deepEqual(findTokenProblems(code, compressed, format), [], format)
+    }
+  })
+
+  it('finds tokens in nested objects', () => {
+    const tokens = {
+      colors: [{ name: 'Brand/Primary', hex: '#3366ff' }],
+      typography: [],
+      effects: [],
+      spacing: [],
+      variables: [{ name: 'space/md', type: 'FLOAT', values: { Default: 16 } }]
+    }
+    const check = (lines, format) =>
+      verifyOutput(lines.join('\n'), format, tokens).problems
+
+    assert.deepEqual(
+      check(
+        [
+          'export default {',
+          '  colors: { brand: { primary: "#3366ff" } },',
+          '  space: {',
+          '    md: "16px"',
+          '  }',
+          '}'
+        ],
+        'tailwind'
+      ),
+      []
+    )
+    assert.deepEqual(
+      check(
+        [
+          '{',
+          '  "brand": {',
+          '    "primary": {',
+          '      "value": "#3366ff"',
+          '    }',
+          '  },',
+          '  "space": { "md": { "value": 16 } }',
+          '}'
+        ],
+        'json'
+      ),
+      []
+    )
+    // Keys of closed blocks don't carry over
+    assert.deepEqual(
+      check(
+        [
+          'export default {',
+          '  brand: { secondary: "#ff0000" },',
+          '  primary: "#3366ff"',
+          '}'
+        ],
+        'javascript'
+      ),
+      ['Missing 2 token(s): Brand/Primary, space/md']
+    )
+  })
+
+  it('leaves out what a format writes to other files', () => {
+    const android = generateLocalCode(styles, 'android')
+    // The dark value of color/background is in values-night
+    assert.doesNotMatch(android, /#FF121217/)
+    assert.deepEqual(verifyOutput(android, 'android', compressed).problems, [])
+
+    // Other formats keep every mode in one file
+    const css = generateLocalCode(styles, 'css-variables').replace(
+      /#121217/gi,
+      '#000000'
+    )
+    assert.deepEqual(verifyOutput(css, 'css-variables', compressed).problems, [
+      'Missing or wrong values for 1 token(s): color/background (#121217)'
+    ])
+  })
+
+  it('reports syntax errors with their line', () => {
+    assert.match(checkSyntax('{"a": 1,}', 'json')[0], /^Invalid JSON/)
+    assert.deepEqual(
+      checkSyntax(
+        '<resources>\n  <color name="a">#fff</dimen>\n</resources>',
+        'android'
+      ),
+      ['line 2: </dimen> closes <color>']
+    )
+    assert.deepEqual(checkSyntax('<resources/>\n<resources/>', 'android'), [
+      'line 2: more than one root element <resources>'
+    ])
+    assert.match(
+      checkSyntax('export default {\n  colors: {\n}\n', 'tailwind')[0],
+      /^line \d+: SyntaxError/
+    )
+    assert.deepEqual(
+      checkSyntax(':root {\n  --a: 1px;\n}\nThis sets the colors', 'css'),
+      ['line 4: text outside of a rule: "This sets the colors"']
+    )
+    assert.deepEqual(
+      checkSyntax('Tokens below:\n:root {\n  --a: 1px;\n}', 'css-variables'),
+      ['line 1: text before a rule: "Tokens below:"']
+    )
+    assert.deepEqual(
+      checkSyntax(
+        '// Colors\n$a: #fff;\n.b { &:hover { color: $a; } }',
+        'scss'
+      ),
+      []
+    )
+    assert.deepEqual(checkSyntax('struct A {\n  let b = (1\n}', 'swiftui'), [
+      'line 3: unexpected "}"'
+    ])
+  })
+
+  it('accepts the TypeScript types JavaScript output is asked for', () => {
+    const typed = [
+      'export interface Spacing {',
+      '  small: number',
+      '}',
+      '',
+      'export const primary: string = "#3366ff"',
+      'export const spacing: Spacing = { small: 8 }'
+    ].join('\n')
+    assert.deepEqual(checkSyntax(typed, 'javascript'), [])
+    assert.deepEqual(
+      checkSyntax('export const spacing: Spacing = { small: 8 ', 'javascript'),
+      ['line 1: "{" is never closed']
+    )
+    // Tailwind configs are run as they are
+    assert.match(
+      checkSyntax('export const primary: string = "#3366ff"', 'tailwind')[0],
+      /^line 1: SyntaxError/
+    )
+
+    const { prompt } = planGeneration(styles, {
+      provider: 'local',
+      model: 'verify-test',
+      format: 'javascript'
+    }).requests[0]
+    assert.match(prompt, /ES modules with proper TypeScript types/)
+    assert.match(
+      generatePrompt(styles, 'ChatGPT', 'javascript'),
+      /ES modules with proper TypeScript types/
+    )
+  })
+
+  it('reports tokens left out or with other values', () => {
+    const code = generateLocalCode(styles, 'css-variables')
+      .replace(/^.*heading-large.*$/gm, '')
+      .replace('--color-primary: #3366ff', '--color-primary: #3366fe')
+
+    const { problems } = verifyOutput(
+      `\`\`\`css\n${code}\n\`\`\``,
+      'css',
+      compressed
+    )
+    assert.deepEqual(problems, [
+      'Missing 1 token(s): Heading/Large',
+      'Missing or wrong values for 1 token(s): Primary (#3366ff)'
+    ])
+  })
+})
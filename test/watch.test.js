@@ -0,0 +1,113 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { watch } from '../src/index.js'
+import { getAppConfig } from '../src/config.js'
+import { FIXTURE_FILE_KEY, FIXTURES_DIR, useMockFigma } from './helpers.js'
+
+// Edit a fixture of the copied file in place
+function editFixture(dir, file, edit) {
+  const fixture = path.join(dir, 'files', FIXTURE_FILE_KEY, file)
+  const data = JSON.parse(fs.readFileSync(fixture, 'utf8'))
+  edit(data)
+  fs.writeFileSync(fixture, JSON.stringify(data))
+}
+
+// Contents of a file that may not exist yet
+function read(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : ''
+}
+
+// Resolve once check() passes, polling the way a user would look at a file
+async function waitFor(check, timeout = 5000) {
+  const start = Date.now()
+  while (!check()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting')
+    await new Promise((resolve) => setTimeout(resolve, 20))
+  }
+}
+
+describe('watch', () => {
+  let mock
+  let fixturesDir
+
+  before(async() => {
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'figtree-watch-'))
+    fs.cpSync(FIXTURES_DIR, fixturesDir, { recursive: true })
+    mock = await useMockFigma({ fixturesDir })
+  })
+
+  after(async() => {
+    await mock.cleanup()
+    fs.rmSync(fixturesDir, { recursive: true, force: true })
+  })
+
+  it('regenerates when the file version changes', async() => {
+    const output = path.join(mock.tmpDir, 'tokens.css')
+    const config = getAppConfig({
+      cli: {
+        file: FIXTURE_FILE_KEY,
+        format: 'css-variables',
+        mode: 'local',
+        output
+      }
+    })
+    const controller = new AbortController()
+    const watching = watch(config, {
+      interval: 20,
+      signal: controller.signal
+    })
+
+    try {
+      // Written by the first build
+      await waitFor(() => read(output).includes('--color-primary: #3366ff;'))
+
+      editFixture(
+        fixturesDir,
+        'nodes/depth=1-ids=1-2,1-3,1-4,1-5,1-6.json',
+        (data) => {
+          data.nodes['1:2'].document.fills[0].color = { r: 1, g: 0, b: 0, a: 1 }
+        }
+      )
+      editFixture(fixturesDir, 'depth=1.json', (data) => {
+        data.version = '2141234568'
+      })
+
+      await waitFor(() => read(output).includes('--color-primary: #ff0000;'))
+    } finally {
+      controller.abort()
+      await watching
+    }
+  })
+
+  it('skips the Figma cache like run and build', async() => {
+    const output = path.join(mock.tmpDir, 'uncached.css')
+    const config = getAppConfig({
+      cli: {
+        file: FIXTURE_FILE_KEY,
+        format: 'css-variables',
+        mode: 'local',
+        output
+      }
+    })
+    const cacheDir = path.join(process.env.FIGTREE_CACHE_DIR, 'figma')
+    fs.rmSync(cacheDir, { recursive: true, force: true })
+
+    const controller = new AbortController()
+    const watching = watch(config, {
+      interval: 20,
+      cache: false,
+      signal: controller.signal
+    })
+
+    try {
+      await waitFor(() => read(output).includes('--color-primary'))
+      assert.equal(fs.existsSync(cacheDir), false)
+    } finally {
+      controller.abort()
+      await watching
+    }
+  })
+})